@@ -0,0 +1,210 @@
+// scripts/check-sources.js
+// Runs the occurrence source adapters against a local fixture server
+// (src/sources/fixtures/) instead of the live APIs: `npm run check:sources`.
+// The adapters are loaded through Vite so `import.meta.env` works as in the app.
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { createServer as createHttpServer } from 'node:http'
+import { resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createServer as createViteServer } from 'vite'
+
+const root = resolve(fileURLToPath(import.meta.url), '../..')
+const fixture = (name) =>
+  readFileSync(resolve(root, 'src/sources/fixtures', `${name}.json`), 'utf8')
+
+// Failures still to serve per path, to exercise the retry
+const failures = new Map()
+const requests = []
+
+function route(url) {
+  if (url.pathname === '/gbif/v1/occurrence/search') {
+    return url.searchParams.get('offset') === '0' ? 'gbif-page-1' : 'gbif-page-2'
+  }
+  if (url.pathname === '/obis/v3/occurrence') return 'obis-page-1'
+  if (url.pathname === '/inat/v1/observations') return 'inaturalist-page-1'
+  return null
+}
+
+const fixtureServer = createHttpServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost')
+  requests.push(url)
+
+  const remaining = failures.get(url.pathname) || 0
+  if (remaining > 0) {
+    failures.set(url.pathname, remaining - 1)
+    res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Service Unavailable')
+    return
+  }
+
+  const name = route(url)
+  if (!name) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not Found')
+    return
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' }).end(fixture(name))
+})
+
+await new Promise((done) => fixtureServer.listen(0, '127.0.0.1', done))
+const base = `http://127.0.0.1:${fixtureServer.address().port}`
+
+// Vite reads VITE_* variables from the environment before any .env file
+process.env.VITE_GBIF_API_URL = `${base}/gbif/v1`
+process.env.VITE_OBIS_API_URL = `${base}/obis/v3`
+process.env.VITE_INAT_API_URL = `${base}/inat/v1`
+process.env.VITE_CORS_PROXY = ''
+
+const vite = await createViteServer({
+  root,
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+})
+
+const checks = []
+const check = (name, fn) => checks.push({ name, fn })
+
+const taxon = { scientificName: 'Centrostephanus rodgersii', taxonKey: 2279088 }
+const query = { yearRange: [2020, 2024] }
+
+try {
+  const { default: gbif } = await vite.ssrLoadModule('/src/sources/gbif.js')
+  const { default: obis } = await vite.ssrLoadModule('/src/sources/obis.js')
+  const { default: inaturalist } = await vite.ssrLoadModule('/src/sources/inaturalist.js')
+  const { paginate } = await vite.ssrLoadModule('/src/sources/http.js')
+  const { fetchFromSources } = await vite.ssrLoadModule('/src/sources/index.js')
+
+  check('GBIF fetchPage builds the search URL and normalizes a page', async () => {
+    requests.length = 0
+    const page = await gbif.fetchPage(taxon, null, { query })
+
+    const url = requests[0]
+    assert.equal(url.searchParams.get('taxonKey'), '2279088')
+    assert.equal(url.searchParams.get('year'), '2020,2024')
+    assert.equal(url.searchParams.get('offset'), '0')
+
+    assert.equal(page.total, 4)
+    assert.equal(page.nextCursor, 300)
+    assert.equal(page.records.length, 2)
+    assert.deepEqual(page.records[0].issues, ['COUNTRY_COORDINATE_MISMATCH'])
+    assert.equal(page.records[0].media.length, 1, 'only still images are kept')
+    assert.equal(page.records[0].source, 'gbif')
+  })
+
+  check('GBIF last page ends pagination and drops records without coordinates', async () => {
+    const page = await gbif.fetchPage(taxon, 300, { query })
+    assert.equal(page.nextCursor, null)
+    assert.deepEqual(page.records.map((r) => r.key), [4033333333])
+  })
+
+  check('OBIS fetchPage converts string terms and keeps geospatial flags', async () => {
+    const page = await obis.fetchPage(taxon, null, { query })
+    const [first, second] = page.records
+
+    assert.equal(page.total, 2)
+    assert.equal(page.nextCursor, null)
+    assert.equal(first.coordinateUncertainty, 50)
+    assert.deepEqual(first.issues, [])
+    assert.equal(second.year, 2021, 'year falls back to eventDate')
+    assert.equal(second.coordinateUncertainty, undefined)
+    assert.deepEqual(second.issues, ['ON_LAND'])
+  })
+
+  check('iNaturalist fetchPage reads GeoJSON points and place names', async () => {
+    requests.length = 0
+    const page = await inaturalist.fetchPage(taxon, null, { query })
+    const [first, second] = page.records
+
+    assert.equal(requests[0].searchParams.get('id_above'), '0')
+    assert.equal(page.total, 2)
+    assert.deepEqual([first.lat, first.lng], [-34.05193, 151.15321])
+    assert.equal(first.country, 'Australia')
+    assert.equal(first.stateProvince, 'NSW')
+    assert.equal(first.media[0].url, 'https://static.inaturalist.org/photos/1/medium.jpg')
+    assert.equal(second.country, undefined)
+    assert.equal(second.recordedBy, 'snorkeller42')
+    assert.equal(second.license, 'All rights reserved')
+    assert.deepEqual(second.issues, ['COORDINATES_OBSCURED'])
+  })
+
+  check('paginate walks every page and resumes from a checkpoint', async () => {
+    const pages = []
+    const records = await paginate(
+      (cursor, signal) => gbif.fetchPage(taxon, cursor, { query, signal }),
+      { onPage: (p) => pages.push(p) }
+    )
+    assert.equal(records.length, 3)
+    assert.deepEqual(pages.map((p) => p.done), [false, true])
+
+    requests.length = 0
+    const resumed = await paginate(
+      (cursor, signal) => gbif.fetchPage(taxon, cursor, { query, signal }),
+      { resume: { records: pages[0].records, cursor: pages[0].cursor, total: 4 } }
+    )
+    assert.equal(resumed.length, 3)
+    assert.deepEqual(requests.map((u) => u.searchParams.get('offset')), ['300'])
+  })
+
+  check('paginate stops at maxRecords', async () => {
+    const records = await paginate(
+      (cursor, signal) => gbif.fetchPage(taxon, cursor, { query, signal }),
+      { maxRecords: 1 }
+    )
+    assert.equal(records.length, 1)
+  })
+
+  check('paginate retries a page after a server error', async () => {
+    failures.set('/obis/v3/occurrence', 1)
+    const records = await paginate((cursor, signal) =>
+      obis.fetchPage(taxon, cursor, { query, signal })
+    )
+    assert.equal(records.length, 2)
+    assert.equal(failures.get('/obis/v3/occurrence'), 0)
+  })
+
+  check('fetchFromSources merges the sources and collapses duplicates', async () => {
+    const { records, progress, complete } = await fetchFromSources(taxon, { query })
+
+    assert.equal(complete, true)
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(progress).map(([id, p]) => [id, p.fetched])),
+      { gbif: 3, obis: 2, inaturalist: 2 }
+    )
+    assert.equal(records.length, 5)
+
+    // Same occurrenceID, differing only in case
+    const specimen = records.find((r) => r.key === 4011111111)
+    assert.deepEqual(specimen.sources, ['gbif', 'obis'])
+    // Same place and day
+    const observation = records.find((r) => r.key === 4022222222)
+    assert.deepEqual(observation.sources, ['gbif', 'inaturalist'])
+  })
+
+  check('fetchFromSources skips a failing source', async () => {
+    failures.set('/inat/v1/observations', Infinity)
+    const { records, progress, complete } = await fetchFromSources(taxon, { query })
+    failures.delete('/inat/v1/observations')
+
+    assert.equal(complete, false)
+    assert.match(progress.inaturalist.error, /iNaturalist request failed \(503\)/)
+    assert.equal(records.length, 4)
+  })
+
+  let failed = 0
+  for (const { name, fn } of checks) {
+    try {
+      await fn()
+      console.log(`ok - ${name}`)
+    } catch (e) {
+      failed += 1
+      console.log(`not ok - ${name}`)
+      console.log(e)
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} checks passed`)
+  process.exitCode = failed > 0 ? 1 : 0
+} finally {
+  await vite.close()
+  fixtureServer.close()
+}
@@ -0,0 +1,216 @@
+// src/AlertsMenu.jsx
+import React, { useEffect, useEffectEvent, useState } from "react";
+import { ALERT_TYPES, browserNotificationsSupported, createWatch } from "./alerts";
+
+const TOAST_MS = 12000;
+
+const selectClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+
+function WatchForm({ trackedSpecies, regions, defaultSpeciesId, onAdd }) {
+  const [speciesId, setSpeciesId] = useState(defaultSpeciesId);
+  const [regionId, setRegionId] = useState("");
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <select
+        value={speciesId}
+        onChange={(e) => setSpeciesId(e.target.value)}
+        className={selectClass}
+      >
+        {trackedSpecies.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.commonName}
+          </option>
+        ))}
+      </select>
+      <select
+        value={regionId}
+        onChange={(e) => setRegionId(e.target.value)}
+        className={selectClass}
+      >
+        <option value="">Anywhere</option>
+        {regions.map((r) => (
+          <option key={r.id} value={r.id}>
+            {r.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={() => onAdd(createWatch(speciesId, regionId || null))}
+        className="px-2.5 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+      >
+        Watch
+      </button>
+    </div>
+  );
+}
+
+function NotificationPermission() {
+  const [permission, setPermission] = useState(() =>
+    browserNotificationsSupported() ? Notification.permission : "unsupported"
+  );
+
+  if (permission === "unsupported") return null;
+  if (permission === "granted") {
+    return <div className="text-[10px] text-slate-500">Browser notifications on</div>;
+  }
+  if (permission === "denied") {
+    return (
+      <div className="text-[10px] text-slate-500">
+        Browser notifications are blocked in the site settings
+      </div>
+    );
+  }
+  return (
+    <button
+      onClick={async () => setPermission(await Notification.requestPermission())}
+      className="text-left text-sky-300 hover:text-sky-200"
+    >
+      Enable browser notifications
+    </button>
+  );
+}
+
+// Header dropdown: watchlist, notification permission and alert history
+const AlertsMenu = ({
+  watchlist,
+  onAddWatch,
+  onRemoveWatch,
+  alerts,
+  onShowAlert,
+  onMarkAllRead,
+  onClearAlerts,
+  trackedSpecies,
+  regions,
+  selectedSpeciesId,
+}) => {
+  const unread = alerts.filter((a) => !a.read).length;
+  const speciesName = (id) => trackedSpecies.find((s) => s.id === id)?.commonName || id;
+  const regionName = (id) => regions.find((r) => r.id === id)?.name || "removed region";
+
+  return (
+    <details className="relative">
+      <summary className="list-none cursor-pointer px-2.5 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition">
+        Alerts
+        {unread > 0 && (
+          <span className="ml-1.5 px-1.5 rounded-full bg-orange-500 text-slate-950 font-semibold">
+            {unread}
+          </span>
+        )}
+      </summary>
+      <div className="absolute right-0 z-[1100] mt-1 w-80 bg-slate-950 border border-slate-700 rounded-xl p-3 shadow-lg shadow-slate-950/60 flex flex-col gap-3 text-xs">
+        <div className="flex flex-col gap-1.5">
+          <div className="font-semibold text-slate-200">Watchlist</div>
+          <p className="text-[10px] text-slate-500">
+            Each fresh fetch of a watched species is compared with the previous
+            one on a 1° grid.
+          </p>
+          {watchlist.map((w) => (
+            <div key={w.id} className="flex items-center justify-between gap-2">
+              <span className="text-slate-300 truncate">
+                {speciesName(w.speciesId)} ·{" "}
+                {w.regionId ? regionName(w.regionId) : "anywhere"}
+              </span>
+              <button
+                onClick={() => onRemoveWatch(w.id)}
+                className="text-slate-500 hover:text-red-300 transition"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <WatchForm
+            trackedSpecies={trackedSpecies}
+            regions={regions}
+            defaultSpeciesId={selectedSpeciesId}
+            onAdd={onAddWatch}
+          />
+          <NotificationPermission />
+        </div>
+
+        <div className="flex flex-col gap-1.5 pt-2 border-t border-slate-800">
+          <div className="flex items-center justify-between">
+            <span className="font-semibold text-slate-200">History</span>
+            <span className="flex gap-2">
+              <button
+                onClick={onMarkAllRead}
+                disabled={unread === 0}
+                className="text-slate-400 hover:text-slate-200 disabled:opacity-40"
+              >
+                Mark all read
+              </button>
+              <button
+                onClick={onClearAlerts}
+                disabled={alerts.length === 0}
+                className="text-slate-400 hover:text-red-300 disabled:opacity-40"
+              >
+                Clear
+              </button>
+            </span>
+          </div>
+          {alerts.length === 0 && <div className="text-slate-500">No alerts yet.</div>}
+          <ul className="max-h-64 overflow-y-auto flex flex-col gap-1">
+            {[...alerts].reverse().map((a) => (
+              <li key={a.id}>
+                <button
+                  onClick={() => onShowAlert(a)}
+                  className={`w-full text-left rounded-lg px-2 py-1 hover:bg-slate-800 ${
+                    a.read ? "text-slate-400" : "text-slate-100 bg-slate-900"
+                  }`}
+                >
+                  <div className="text-[10px] text-slate-500">
+                    {ALERT_TYPES[a.type]} · {new Date(a.createdAt).toLocaleString()}
+                  </div>
+                  {a.message}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default AlertsMenu;
+
+// Newly raised alerts, bottom right; hidden again after a while
+export function AlertToasts({ alerts, onShow, onDismiss }) {
+  const latest = alerts[alerts.length - 1];
+  const dismiss = useEffectEvent(onDismiss);
+
+  useEffect(() => {
+    if (!latest) return undefined;
+    const timer = setTimeout(dismiss, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [latest]);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[1200] w-80 flex flex-col gap-2 text-xs">
+      {alerts.slice(-3).map((a) => (
+        <div
+          key={a.id}
+          className="bg-slate-950 border border-orange-500/40 rounded-xl px-3 py-2 shadow-lg shadow-slate-950/60"
+        >
+          <div className="text-[10px] text-orange-300">{ALERT_TYPES[a.type]}</div>
+          <div className="text-slate-200">{a.message}</div>
+          <button
+            onClick={() => onShow(a)}
+            className="mt-1 text-sky-300 hover:text-sky-200"
+          >
+            Show on map
+          </button>
+        </div>
+      ))}
+      <div className="flex justify-end gap-3 text-slate-400">
+        {alerts.length > 3 && <span>+{alerts.length - 3} more in Alerts</span>}
+        <button onClick={onDismiss} className="hover:text-slate-200">
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,18 @@
 // src/App.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, {
+  useEffect,
+  useEffectEvent,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import {
   ResponsiveContainer,
   BarChart,
   Bar,
+  Cell,
+  ComposedChart,
+  Line,
   XAxis,
   YAxis,
   Tooltip as RechartsTooltip,
@@ -11,120 +20,1099 @@ import {
 } from "recharts";
 
 import MapComponent from "./MapComponent";
+import { MAX_PER_SPECIES } from "./api";
+import { cellRecords } from "./aggregate";
 import {
-  SPECIES,
-  fetchAllSpeciesOccurrences,
-  computeGridCells,
-} from "./api";
-
-// Hard-coded culinary profiles for the “Eat It” panel
-const CULINARY_PROFILES = {
-  purple: {
-    uniGrade: "Premium",
-    flavor: "Sweet, buttery, clean brine",
-    texture: "Custardy, melts on the tongue",
-    notes:
-      "Infamous kelp-forest bulldozer along the US West Coast. Harvest pressure here is basically habitat restoration with chopsticks.",
-    suggestedDishes: [
-      "Uni-topped scallop crudo",
-      "Creamy uni pasta with lemon zest",
-      "Uni over rice with shiso and pickled ginger",
-    ],
-    sustainabilityTip:
-      "Partner with local dive programs and kelp-restoration projects to prioritize harvest in high-risk barrens.",
-  },
-  longspined: {
-    uniGrade: "High (if handled quickly)",
-    flavor: "Rich, slightly metallic, strong ocean umami",
-    texture: "Firm lobes, creamy when very fresh",
-    notes:
-      "Expanding from mainland Australia down into Tasmania, chewing through kelp like it’s a salad bar with no closing time.",
-    suggestedDishes: [
-      "Charcoal-grilled sourdough with long-spined uni butter",
-      "Uni folded into miso beurre blanc over white fish",
-      "Tasmanian uni chawanmushi (savory custard)",
-    ],
-    sustainabilityTip:
-      "Focus harvest on urchin barrens where kelp canopy has already collapsed; coordinate with local fisheries managers.",
-  },
-  green: {
-    uniGrade: "Variable but often good",
-    flavor: "Briny, slightly nutty, classic North Atlantic profile",
-    texture: "Delicate lobes, can be grainier if older",
-    notes:
-      "Overgrazing kelp beds in parts of the North Atlantic and Arctic-ish coasts. Also: surprisingly delicious when someone else cracks the shell for you.",
-    suggestedDishes: [
-      "Green urchin butter baked over oysters",
-      "Potato–leek soup finished with a spoon of uni",
-      "Nordic-style uni toast with dill and lemon",
-    ],
-    sustainabilityTip:
-      "Work with small-scale fisheries and chefs to build stable demand so divers can justify targeted removals.",
-  },
-};
+  computeStoredGrid,
+  loadCached,
+  loadOccurrences,
+  useGridCells,
+  usePipelineGeneration,
+  useSpeciesViews,
+} from "./pipeline";
+import {
+  deleteCovariate,
+  deleteDownload,
+  deleteHabitatLayer,
+  deleteSurveyDataset,
+  needsRefresh,
+  readCovariates,
+  readDownloads,
+  readGridSnapshot,
+  readHabitatLayers,
+  readSurveyDatasets,
+  writeCovariate,
+  writeDownload,
+  writeGridSnapshot,
+  writeHabitatLayer,
+  writeSurveyDataset,
+} from "./cache";
+import {
+  DATA_SOURCES,
+  DEFAULT_SOURCE_IDS,
+  countBySource,
+  getSource,
+  summarizeProgress,
+} from "./sources";
+import { isAbortError } from "./sources/http";
+import FilterPanel from "./FilterPanel";
+import ExportMenu from "./ExportMenu";
+import AlertsMenu, { AlertToasts } from "./AlertsMenu";
+import {
+  alertsForWatch,
+  detectChanges,
+  loadAlerts,
+  loadWatchlist,
+  notifyBrowser,
+  saveAlerts,
+  saveWatchlist,
+  SNAPSHOT_CELL_SIZE,
+  takeSnapshot,
+} from "./alerts";
+import SurveyPanel from "./SurveyPanel";
+import DownloadPanel from "./DownloadPanel";
+import RegionPanel from "./RegionPanel";
+import HabitatPanel from "./HabitatPanel";
+import NativeRangePanel from "./NativeRangePanel";
+import CovariatePanel from "./CovariatePanel";
+import CovariateCard from "./CovariateCard";
+import { createCovariateSampler, formatCovariate, getCovariateKind } from "./covariates";
+import { addToRange, emptyRangeCounts } from "./nativeRange";
+import HarvestPlanner from "./HarvestPlanner";
+import RecordDrawer from "./RecordDrawer";
+import {
+  loadHarvestLog,
+  loadHarvestPlan,
+  planHarvest,
+  saveHarvestLog,
+  saveHarvestPlan,
+} from "./harvest";
+import { DEFAULT_MAX_DEPTH_M } from "./habitat";
+import QualityPanel from "./QualityPanel";
+import OfflinePanel from "./OfflinePanel";
+import {
+  loadOfflineAreas,
+  saveOfflineAreas,
+  useOfflineReady,
+  useOnline,
+} from "./offline";
+import {
+  compareRiskChart,
+  compareRows,
+  findCoOccurrence,
+  speciesColor,
+} from "./compare";
+import {
+  SURVEY_SOURCE_ID,
+  surveyRecordsForSpecies,
+  weightSurveyRecords,
+} from "./surveys";
+import {
+  computeRegionStats,
+  createRegion,
+  loadRegions,
+  polygonFromVertices,
+  saveRegions,
+} from "./regions";
+import { printRegionReport } from "./regionReport";
+import { scoreGridCells } from "./scoring";
+import {
+  classifyGrid,
+  loadProfiles,
+  profileFor,
+  profilesKey,
+  resolveBreaks,
+  saveProfiles,
+} from "./classification";
+import ClassificationPanel from "./ClassificationPanel";
+import {
+  BINNING_OPTIONS,
+  RESOLUTION_OPTIONS,
+  formatArea,
+  nominalCellAreaKm2,
+  resolveCellSize,
+} from "./grid";
+import {
+  addYearlyBreakdown,
+  formatCount,
+  formatGrowthRate,
+  growthRate,
+  summarizeTrends,
+  yearlySeries,
+  yearsInRange,
+} from "./trends";
+import {
+  EFFORT_REFERENCES,
+  effortForCells,
+  effortLabel,
+  effortTileKey,
+  effortTiles,
+  fetchSamplingEffort,
+} from "./effort";
+import SpeciesManager from "./SpeciesManager";
+import {
+  loadTrackedSpecies,
+  resetTrackedSpecies,
+  saveTrackedSpecies,
+} from "./species";
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  describeYearRange,
+  formatBbox,
+  queryFromFilters,
+} from "./filters";
+import {
+  DEFAULT_BINNING,
+  DEFAULT_RESOLUTION,
+  DEFAULT_VIEW,
+  buildSearch,
+  readUrlState,
+  roundView,
+} from "./urlState";
 
 function riskSummaryToChart(summary) {
-  if (!summary) return [];
-  return [
-    { name: "High", value: summary.highCount },
-    { name: "Medium", value: summary.medCount },
-    { name: "Low", value: summary.lowCount },
-  ];
+  return (summary?.classCounts || []).map((c) => ({
+    name: c.label,
+    value: c.count,
+    color: c.color,
+  }));
 }
 
-const INVASIVENESS_THRESHOLDS = {
-  high: 30, // “High Risk” cell if >= 30 reports in last 5 years
-  medium: 10,
+// "GBIF 12 · OBIS 3 · Survey 2" for the non-zero sources
+function formatSourceCounts(counts) {
+  return [...DATA_SOURCES, { id: SURVEY_SOURCE_ID, label: "Survey" }]
+    .filter((source) => counts[source.id] > 0)
+    .map((source) => `${source.label} ${counts[source.id]}`)
+    .join(" · ");
+}
+
+function formatTimestamp(ts) {
+  return new Date(ts).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+// Shown until the first grid comes back from the pipeline worker
+const EMPTY_GRID = {
+  cells: [],
+  summary: {
+    totalRecords: 0,
+    cellCount: 0,
+    noHabitatCellCount: 0,
+    lowHabitatCellCount: 0,
+    rangeCounts: emptyRangeCounts(),
+  },
+  occurrences: [],
 };
 
+const DEFAULT_SPECIES_ID = "purple";
+
+// Stands in for the filtered records until the selected species has some
+const NO_OCCURRENCES = [];
+
+// Sampling effort is fetched once the grid has stayed the same this long
+const EFFORT_DELAY_MS = 800;
+
 function App() {
-  const [speciesData, setSpeciesData] = useState({});
-  const [loading, setLoading] = useState(true);
-  const [selectedSpeciesId, setSelectedSpeciesId] = useState("purple");
-  const [error, setError] = useState(null);
-  const [selectedCell, setSelectedCell] = useState(null);
+  // Deep-linked state (see urlState.js) seeds the initial values below
+  const [initialUrlState] = useState(readUrlState);
+  // speciesId -> version of its records in the pipeline (see
+  // speciesStore.js), 0 when it has none
+  const [speciesVersions, setSpeciesVersions] = useState({});
+  // A failed pipeline worker takes the loaded records with it: start over
+  const pipelineGeneration = usePipelineGeneration();
+  const [loadedGeneration, setLoadedGeneration] = useState(pipelineGeneration);
+  if (pipelineGeneration !== loadedGeneration) {
+    setLoadedGeneration(pipelineGeneration);
+    setSpeciesVersions({});
+  }
+  const [trackedSpecies, setTrackedSpecies] = useState(loadTrackedSpecies);
+  const [managingSpecies, setManagingSpecies] = useState(false);
+  const [selectedSpeciesId, setSelectedSpeciesId] = useState(
+    initialUrlState.speciesId ?? DEFAULT_SPECIES_ID
+  );
+  // Only `id` is relied on: the cell itself is re-read from the current grid
+  const [selectedCell, setSelectedCell] = useState(
+    initialUrlState.cellId ? { id: initialUrlState.cellId } : null
+  );
+  const [enabledSourceIds, setEnabledSourceIds] = useState(DEFAULT_SOURCE_IDS);
+  const [dataAsOf, setDataAsOf] = useState({});
+  // speciesId -> { active, sources: per-source progress from fetchFromSources,
+  // error: message of the last failed load or null }
+  const [fetchStatus, setFetchStatus] = useState({});
+  // speciesId -> sources that had more records than were downloaded
+  const [truncation, setTruncation] = useState({});
+  // speciesId -> imported GBIF download (see downloads.js), without its
+  // records, which stay in the pipeline; null until read
+  const [downloads, setDownloads] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [filters, setFilters] = useState(
+    initialUrlState.filters ?? DEFAULT_FILTERS
+  );
+  const [drawingBbox, setDrawingBbox] = useState(false);
+  const [binning, setBinning] = useState(
+    initialUrlState.binning ?? DEFAULT_BINNING
+  );
+  const [resolution, setResolution] = useState(
+    initialUrlState.resolution ?? DEFAULT_RESOLUTION
+  );
+  const [normalizeByArea, setNormalizeByArea] = useState(false);
+  // { lat, lng, zoom } of the map, rounded as in the URL
+  const [mapView, setMapView] = useState(initialUrlState.view ?? DEFAULT_VIEW);
+  // What cells are classified by: "count" (records) or "score" (see scoring.js)
+  const [riskModel, setRiskModel] = useState("count");
+  const [classProfiles, setClassProfiles] = useState(loadProfiles);
+  const [effortReferenceId, setEffortReferenceId] = useState(
+    EFFORT_REFERENCES[0].id
+  );
+  // { key, byCell: Map, done, total } for the current reference + query
+  const [effort, setEffort] = useState(null);
+  const [surveyDatasets, setSurveyDatasets] = useState([]);
+  const [showSurveyLayer, setShowSurveyLayer] = useState(true);
+  const [mergeSurveys, setMergeSurveys] = useState(false);
+  const [surveyRecordsPerDensity, setSurveyRecordsPerDensity] = useState(1);
+  const [habitatLayers, setHabitatLayers] = useState([]);
+  const [maskNonHabitat, setMaskNonHabitat] = useState(false);
+  const [habitatMaxDepth, setHabitatMaxDepth] = useState(DEFAULT_MAX_DEPTH_M);
+  // SST / anomaly datasets (see covariates.js); the active one is mapped
+  // and compared with record growth
+  const [covariates, setCovariates] = useState([]);
+  const [activeCovariateId, setActiveCovariateId] = useState(null);
+  const [showCovariateLayer, setShowCovariateLayer] = useState(true);
+  // Extra species overlaid on the selected one; null when not comparing
+  const [compareSpeciesIds, setCompareSpeciesIds] = useState(
+    initialUrlState.compareSpeciesIds ?? null
+  );
+  const compareMode = compareSpeciesIds !== null;
+  const [regions, setRegions] = useState(loadRegions);
+  const [selectedRegionId, setSelectedRegionId] = useState(null);
+  const [drawingRegion, setDrawingRegion] = useState(false);
+  const [showNativeRange, setShowNativeRange] = useState(true);
+  const [drawingRange, setDrawingRange] = useState(false);
+  const [offlineAreas, setOfflineAreas] = useState(loadOfflineAreas);
+  const [drawingTileArea, setDrawingTileArea] = useState(false);
+  const [tileAreaBounds, setTileAreaBounds] = useState(null);
+  const online = useOnline();
+  const offlineReady = useOfflineReady();
+  const [harvestPlan, setHarvestPlan] = useState(loadHarvestPlan);
+  const [harvestLog, setHarvestLog] = useState(loadHarvestLog);
+  const [pickingHarvestOrigin, setPickingHarvestOrigin] = useState(false);
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+  const [alerts, setAlerts] = useState(loadAlerts);
+  // Alerts raised in this session that are still shown as toasts
+  const [toastAlerts, setToastAlerts] = useState([]);
+  const [recordDrawerOpen, setRecordDrawerOpen] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(null); // null | "copied" | "failed"
+  const handledRefreshKey = useRef(0);
+  const fetchController = useRef(null);
+  // URL state minus the map view, as last written to history
+  const historyKey = useRef(null);
+
+  // Keyed on the serialized query, so toggling a filter that only applies
+  // locally keeps the same query object and doesn't restart the fetches
+  const queryKey = JSON.stringify(queryFromFilters(filters));
+  const query = useMemo(() => JSON.parse(queryKey), [queryKey]);
+
+  // Fall back to the first tracked species if the selected one was removed
+  const selectedSpecies =
+    trackedSpecies.find((s) => s.id === selectedSpeciesId) || trackedSpecies[0];
+  const activeSpeciesId = selectedSpecies.id;
+
+  // Species on screen: the selected one first, then any others being compared
+  const shownSpecies = useMemo(
+    () =>
+      compareMode
+        ? [
+            selectedSpecies,
+            ...trackedSpecies.filter(
+              (s) => s.id !== selectedSpecies.id && compareSpeciesIds.includes(s.id)
+            ),
+          ]
+        : [selectedSpecies],
+    [compareMode, compareSpeciesIds, selectedSpecies, trackedSpecies]
+  );
+  // Compared species that are still tracked, for the URL
+  const comparedIds = compareMode ? shownSpecies.slice(1).map((s) => s.id) : null;
 
+  // In compare mode the species buttons toggle extra layers; the selected
+  // species stays first and keeps driving the single-species panels
+  const handleSpeciesClick = (id) => {
+    if (compareMode) {
+      if (id === activeSpeciesId) return;
+      setCompareSpeciesIds((prev) =>
+        prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]
+      );
+      return;
+    }
+    setSelectedSpeciesId(id);
+    setSelectedCell(null);
+  };
+
+  const updateAlerts = (update) => {
+    setAlerts((prev) => {
+      const next = update(prev);
+      saveAlerts(next);
+      return next;
+    });
+  };
+
+  const updateWatchlist = (update) => {
+    setWatchlist((prev) => {
+      const next = update(prev);
+      saveWatchlist(next);
+      return next;
+    });
+  };
+
+  // Compare a fresh fetch with the previous one and raise alerts for the
+  // watches on this species. Every species gets a snapshot, so a new watch
+  // already has something to compare against.
+  const checkFreshRecords = useEffectEvent(async (species, fetchedAt) => {
+    const previous = await readGridSnapshot(species.id);
+    const grid = classifyGrid(await computeStoredGrid(species.id, SNAPSHOT_CELL_SIZE), {
+      profiles: classProfiles,
+      regions,
+      speciesId: species.id,
+      model: "count",
+      normalized: false,
+    });
+    const current = takeSnapshot(species.id, grid, {
+      queryKey: JSON.stringify(query),
+      profileKey: profilesKey(classProfiles, species.id),
+      fetchedAt,
+    });
+    await writeGridSnapshot(current);
+
+    const watches = watchlist.filter((w) => w.speciesId === species.id);
+    if (
+      !previous ||
+      previous.queryKey !== current.queryKey ||
+      previous.profileKey !== current.profileKey ||
+      watches.length === 0
+    ) {
+      return;
+    }
+
+    const changes = detectChanges(previous, current, {
+      nativeRange: species.nativeRange,
+    });
+    const raised = watches.flatMap((watch) => {
+      const region = regions.find((r) => r.id === watch.regionId) || null;
+      if (watch.regionId && !region) return [];
+      return alertsForWatch(changes, watch, { species, region, createdAt: fetchedAt });
+    });
+    if (raised.length === 0) return;
+
+    updateAlerts((prev) => [...prev, ...raised]);
+    setToastAlerts((prev) => [...prev, ...raised]);
+    await notifyBrowser(raised);
+  });
+
+  const showAlert = (alert) => {
+    updateAlerts((prev) => prev.map((a) => (a.id === alert.id ? { ...a, read: true } : a)));
+    setToastAlerts([]);
+    if (!compareMode) setSelectedSpeciesId(alert.speciesId);
+    setSelectedCell(null);
+    setMapView(roundView(alert.lat, alert.lng, 7));
+  };
+
+  // Load the shown species: serve cached copies instantly, then stream
+  // fresh pages in when the cache is missing, stale or a refresh was asked for.
+  // Offline, cached copies are all there is; coming back online re-runs this
+  // and refreshes the stale ones.
+  // Switching species or unmounting aborts the fetch; it resumes next time.
+  // A species with an imported GBIF download takes its GBIF records from
+  // there and only fetches the other sources. A failed pipeline worker
+  // loads everything again.
   useEffect(() => {
-    let isMounted = true;
+    if (downloads === null) return undefined;
+    const controller = new AbortController();
+    fetchController.current = controller;
+    const forceRefresh = refreshKey !== handledRefreshKey.current;
+    handledRefreshKey.current = refreshKey;
+
+    async function load(species) {
+      const setVersion = (version) =>
+        setSpeciesVersions((prev) => ({ ...prev, [species.id]: version }));
+      const setStatus = (status) =>
+        setFetchStatus((prev) => ({
+          ...prev,
+          [species.id]: { ...prev[species.id], ...status },
+        }));
+
+      const download = downloads[species.id];
+      const sourceIds = download
+        ? DEFAULT_SOURCE_IDS.filter((id) => id !== "gbif")
+        : DEFAULT_SOURCE_IDS;
+      const setTruncated = (truncated) =>
+        setTruncation((prev) => ({ ...prev, [species.id]: truncated }));
+
+      let hasCached = false;
+      setStatus({ error: null });
 
-    async function load() {
       try {
-        setLoading(true);
-        const data = await fetchAllSpeciesOccurrences();
-        if (!isMounted) return;
-        setSpeciesData(data);
+        const cached = await loadCached(species, { sourceIds, query, download });
+        if (controller.signal.aborted) return;
+        if (cached) {
+          hasCached = true;
+          setVersion(cached.version);
+          setTruncated(cached.truncated ?? []);
+          setDataAsOf((prev) => ({ ...prev, [species.id]: cached.fetchedAt }));
+          if (!forceRefresh && !needsRefresh(cached)) return;
+        }
+        if (!online) {
+          if (!hasCached) {
+            setVersion(0);
+            setStatus({
+              error: "You are offline and this species has no saved data for these filters yet.",
+            });
+          }
+          return;
+        }
+
+        setStatus({ active: true, sources: {} });
+        const result = await loadOccurrences(
+          species,
+          MAX_PER_SPECIES,
+          {
+            sourceIds,
+            query,
+            download,
+            // Fill the map progressively unless a cached copy is on screen.
+            // The download is only merged into the finished records.
+            progressive: !hasCached,
+            signal: controller.signal,
+            onProgress: ({ progress, version }) => {
+              if (version !== null) setVersion(version);
+              setStatus({ sources: progress });
+            },
+          }
+        );
+
+        const fetchedAt = Date.now();
+        setVersion(result.version);
+        setTruncated(result.truncated);
+        setDataAsOf((prev) => ({ ...prev, [species.id]: fetchedAt }));
+        // Alerts are a side job: a failure there leaves the loaded data alone
+        checkFreshRecords(species, fetchedAt).catch((e) =>
+          console.error("Alert check failed", e)
+        );
       } catch (e) {
-        console.error(e);
-        if (isMounted) {
-          setError(
-            "Failed to fetch GBIF data. Check your network connection or CORS settings."
+        if (isAbortError(e)) {
+          // The pipeline worker failed: the reload that follows takes over
+          if (!controller.signal.aborted) return;
+          // Cancelled before the first page: show an empty map, not a spinner
+          setSpeciesVersions((prev) =>
+            species.id in prev ? prev : { ...prev, [species.id]: 0 }
           );
+          return;
         }
+        console.error(e);
+        setStatus({
+          error:
+            "Failed to fetch occurrence data. Check your network connection or CORS settings.",
+        });
       } finally {
-        if (isMounted) setLoading(false);
+        setStatus({ active: false });
       }
     }
 
-    load();
+    shownSpecies.forEach(load);
 
     return () => {
-      isMounted = false;
+      controller.abort();
     };
+  }, [shownSpecies, refreshKey, query, downloads, online, pipelineGeneration]);
+
+  useEffect(() => {
+    readSurveyDatasets().then(setSurveyDatasets);
+    readHabitatLayers().then(setHabitatLayers);
+    readCovariates().then(setCovariates);
+    readDownloads().then(setDownloads);
+  }, []);
+
+  const importDownload = async (download) => {
+    await writeDownload(download);
+    setDownloads((prev) => ({
+      ...prev,
+      [download.speciesId]: { ...download, records: undefined },
+    }));
+    setSelectedCell(null);
+  };
+
+  const removeDownload = async (speciesId) => {
+    try {
+      await deleteDownload(speciesId);
+      setDownloads((prev) => {
+        const next = { ...prev };
+        delete next[speciesId];
+        return next;
+      });
+      setSelectedCell(null);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const importSurvey = async (dataset) => {
+    await writeSurveyDataset(dataset);
+    setSurveyDatasets((prev) => [...prev, dataset]);
+  };
+
+  const importHabitatLayer = async (layer) => {
+    await writeHabitatLayer(layer);
+    setHabitatLayers((prev) => [...prev, layer]);
+  };
+
+  const updateHabitatLayer = async (layer) => {
+    setHabitatLayers((prev) => prev.map((l) => (l.id === layer.id ? layer : l)));
+    try {
+      await writeHabitatLayer(layer);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const removeHabitatLayer = async (id) => {
+    try {
+      await deleteHabitatLayer(id);
+      setHabitatLayers((prev) => prev.filter((l) => l.id !== id));
+      setSelectedCell(null);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const importCovariate = async (dataset) => {
+    await writeCovariate(dataset);
+    setCovariates((prev) => [...prev, dataset]);
+    setActiveCovariateId(dataset.id);
+  };
+
+  const removeCovariate = async (id) => {
+    try {
+      await deleteCovariate(id);
+      setCovariates((prev) => prev.filter((d) => d.id !== id));
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // The chosen dataset, else the latest import
+  const activeCovariate =
+    covariates.find((d) => d.id === activeCovariateId) ?? covariates.at(-1) ?? null;
+
+  const removeSurvey = async (id) => {
+    try {
+      await deleteSurveyDataset(id);
+      setSurveyDatasets((prev) => prev.filter((d) => d.id !== id));
+      setSelectedCell(null);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const updateProfiles = (next) => {
+    setClassProfiles(next);
+    saveProfiles(next);
+  };
+
+  const updateOfflineAreas = (update) => {
+    setOfflineAreas((prev) => {
+      const next = update(prev);
+      saveOfflineAreas(next);
+      return next;
+    });
+  };
+
+  const updateRegions = (update) => {
+    setRegions((prev) => {
+      const next = update(prev);
+      saveRegions(next);
+      return next;
+    });
+  };
+
+  const addRegions = (added) => {
+    updateRegions((prev) => [...prev, ...added]);
+    setSelectedRegionId(added[0].id);
+  };
+
+  const handleRegionDrawn = (vertices) => {
+    const region = createRegion(
+      `Region ${regions.length + 1}`,
+      polygonFromVertices(vertices),
+      "drawn"
+    );
+    addRegions([region]);
+    setDrawingRegion(false);
+  };
+
+  const updateHarvestPlan = (next) => {
+    setHarvestPlan(next);
+    saveHarvestPlan(next);
+  };
+
+  const updateHarvestLog = (update) => {
+    setHarvestLog((prev) => {
+      const next = update(prev);
+      saveHarvestLog(next);
+      return next;
+    });
+  };
+
+  // Source-side filter changes invalidate everything loaded so far;
+  // purely local ones (e.g. coordinate uncertainty) just re-filter.
+  const handleApplyFilters = (next) => {
+    const queryChanged =
+      JSON.stringify(queryFromFilters(next)) !== queryKey;
+    setFilters(next);
+    setDrawingBbox(false);
+    setSelectedCell(null);
+    if (queryChanged) {
+      setSpeciesVersions({});
+      setDataAsOf({});
+    }
+  };
+
+  const periodLabel = describeYearRange(filters);
+
+  // Mirror the shareable state into the URL. Panning and zooming replace
+  // the current history entry; everything else pushes a new one, so
+  // back/forward step through species, filter and cell changes.
+  const urlSearch = buildSearch({
+    speciesId: activeSpeciesId,
+    compareSpeciesIds: comparedIds,
+    view: mapView,
+    filters,
+    binning,
+    resolution,
+    cellId: selectedCell?.id,
+  });
+  const urlHistoryKey = buildSearch({
+    speciesId: activeSpeciesId,
+    compareSpeciesIds: comparedIds,
+    filters,
+    binning,
+    resolution,
+    cellId: selectedCell?.id,
+  });
+
+  useEffect(() => {
+    const previousKey = historyKey.current;
+    historyKey.current = urlHistoryKey;
+    if (urlSearch === window.location.search) return;
+
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (previousKey === null || previousKey === urlHistoryKey) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [urlSearch, urlHistoryKey]);
+
+  const restoreFromUrl = useEffectEvent(() => {
+    const state = readUrlState();
+    setSelectedSpeciesId(state.speciesId ?? DEFAULT_SPECIES_ID);
+    setCompareSpeciesIds(state.compareSpeciesIds ?? null);
+    setBinning(state.binning ?? DEFAULT_BINNING);
+    setResolution(state.resolution ?? DEFAULT_RESOLUTION);
+    setMapView(state.view ?? DEFAULT_VIEW);
+    const nextFilters = state.filters ?? DEFAULT_FILTERS;
+    if (JSON.stringify(nextFilters) !== JSON.stringify(filters)) {
+      handleApplyFilters(nextFilters);
+    }
+    setSelectedCell(state.cellId ? { id: state.cellId } : null);
+  });
+
+  useEffect(() => {
+    window.addEventListener("popstate", restoreFromUrl);
+    return () => window.removeEventListener("popstate", restoreFromUrl);
   }, []);
 
-  const selectedSpecies = SPECIES.find((s) => s.id === selectedSpeciesId);
+  const refreshData = () => setRefreshKey((k) => k + 1);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied("copied");
+    } catch (e) {
+      console.warn("Could not copy link", e);
+      setLinkCopied("failed");
+    }
+    setTimeout(() => setLinkCopied(null), 2000);
+  };
+
+  const handleViewChange = (view) => {
+    // With automatic resolution a zoom can change the cell size, and the
+    // selected cell's id then names a cell of the old grid
+    if (resolveCellSize(resolution, view.zoom) !== resolveCellSize(resolution, mapView.zoom)) {
+      setSelectedCell(null);
+    }
+    setMapView((prev) =>
+      prev.lat === view.lat && prev.lng === view.lng && prev.zoom === view.zoom
+        ? prev
+        : view
+    );
+  };
+
+  const cancelFetch = () => fetchController.current?.abort();
+
+  // Records of the enabled sources after the quality checks and filters,
+  // with the quality report and source counts (see speciesStore.js)
+  const speciesViews = useSpeciesViews(speciesVersions, {
+    sourceIds: enabledSourceIds,
+    filters,
+    habitatLayers,
+  });
+
+  const hasData = speciesViews[activeSpeciesId] !== undefined;
+  const selectedStatus = fetchStatus[activeSpeciesId];
+  const error = selectedStatus?.error ?? null;
+  const loading = !hasData && !error;
+  // Compared species whose fetch failed; the selected one has its own banner
+  const failedCompared = shownSpecies.filter(
+    (s) => s.id !== activeSpeciesId && fetchStatus[s.id]?.error
+  );
+  const refreshing = Boolean(selectedStatus?.active);
+  const selectedProgress = summarizeProgress(
+    selectedStatus?.sources,
+    MAX_PER_SPECIES
+  );
+  const selectedDataAsOf = dataAsOf[activeSpeciesId];
+  const truncatedShown = shownSpecies
+    .map((species) => ({ species, truncated: truncation[species.id] ?? [] }))
+    .filter(({ truncated }) => truncated.length > 0);
+
+  const updateTrackedSpecies = (next) => {
+    setTrackedSpecies(next);
+    saveTrackedSpecies(next);
+  };
+
+  const setNativeRange = (speciesId, nativeRange) =>
+    updateTrackedSpecies(
+      trackedSpecies.map((s) => (s.id === speciesId ? { ...s, nativeRange } : s))
+    );
+
+  const handleRangeDrawn = (vertices) => {
+    setNativeRange(
+      activeSpeciesId,
+      addToRange(selectedSpecies.nativeRange, polygonFromVertices(vertices))
+    );
+    setDrawingRange(false);
+  };
+
+  const activeView = speciesViews[activeSpeciesId];
+  const sourceCounts = activeView?.sourceCounts ?? {};
+  const filteredOccurrences = activeView?.occurrences ?? NO_OCCURRENCES;
+
+  const cellSizeDeg = resolveCellSize(resolution, mapView.zoom);
+
+  // Quality reports of every tracked species loaded so far, over the
+  // enabled sources and before the filters (see quality.js)
+  const qualityBySpecies = useMemo(
+    () =>
+      Object.fromEntries(
+        trackedSpecies
+          .filter((species) => speciesViews[species.id]?.report)
+          .map((species) => [species.id, speciesViews[species.id].report])
+      ),
+    [trackedSpecies, speciesViews]
+  );
+
+  // Survey transects obey the same year / area / quality filters
+  const surveyRecords = useMemo(
+    () =>
+      applyFilters(surveyRecordsForSpecies(surveyDatasets, activeSpeciesId), filters),
+    [surveyDatasets, activeSpeciesId, filters]
+  );
+
+  const habitatMasking = maskNonHabitat && habitatLayers.some((l) => l.useAsHabitat);
+
+  // Weighted survey records gridded along with the records of every tracked
+  // species loaded so far, through the same filters as the selected one's
+  const gridSurveys = useMemo(() => {
+    const weighted = (records) =>
+      mergeSurveys ? weightSurveyRecords(records, surveyRecordsPerDensity) : NO_OCCURRENCES;
+    const bySpecies = { [activeSpeciesId]: weighted(surveyRecords) };
+    trackedSpecies.forEach((species) => {
+      if (species.id === activeSpeciesId || !speciesViews[species.id]) return;
+      bySpecies[species.id] = weighted(
+        applyFilters(surveyRecordsForSpecies(surveyDatasets, species.id), filters)
+      );
+    });
+    return bySpecies;
+  }, [
+    activeSpeciesId,
+    surveyRecords,
+    trackedSpecies,
+    speciesViews,
+    filters,
+    mergeSurveys,
+    surveyDatasets,
+    surveyRecordsPerDensity,
+  ]);
+
+  const gridOccurrences = useMemo(
+    () =>
+      gridSurveys[activeSpeciesId].length > 0
+        ? [...filteredOccurrences, ...gridSurveys[activeSpeciesId]]
+        : filteredOccurrences,
+    [filteredOccurrences, gridSurveys, activeSpeciesId]
+  );
+
+  // Compared species go through the same source / filter / survey pipeline
+  // and grid; risk classes are record-count based for all of them.
+  // Filtered records of every tracked species loaded so far, through the
+  // same source, filter and survey pipeline as the selected species
+  const occurrencesBySpecies = useMemo(() => {
+    const bySpecies = { [activeSpeciesId]: gridOccurrences };
+    Object.entries(gridSurveys).forEach(([speciesId, surveys]) => {
+      if (speciesId === activeSpeciesId) return;
+      bySpecies[speciesId] = [...speciesViews[speciesId].occurrences, ...surveys];
+    });
+    return bySpecies;
+  }, [activeSpeciesId, gridOccurrences, gridSurveys, speciesViews]);
+
+  // Grids are aggregated in the pipeline worker (see pipeline.js), from the
+  // species' view there plus the survey records: the selected species, plus
+  // every compared one in compare mode
+  const gridInputs = useMemo(() => {
+    const input = (species) => ({
+      speciesId: species.id,
+      viewId: speciesViews[species.id]?.viewId ?? null,
+      surveys: gridSurveys[species.id] ?? NO_OCCURRENCES,
+      occurrences: occurrencesBySpecies[species.id] ?? NO_OCCURRENCES,
+      nativeRange: species.nativeRange,
+    });
+    return compareMode
+      ? Object.fromEntries(shownSpecies.map((s) => [s.id, input(s)]))
+      : { [activeSpeciesId]: input(selectedSpecies) };
+  }, [
+    compareMode,
+    shownSpecies,
+    speciesViews,
+    gridSurveys,
+    occurrencesBySpecies,
+    activeSpeciesId,
+    selectedSpecies,
+  ]);
+  const grids = useGridCells(gridInputs, cellSizeDeg, {
+    binning,
+    maskNonHabitat,
+    habitatLayers,
+    habitatMaxDepth,
+  });
+  const baseGrid = grids[activeSpeciesId] || EMPTY_GRID;
+
+  const compareLayers = useMemo(() => {
+    if (!compareMode) return [];
+    return shownSpecies.map((species) => ({
+      species,
+      color: speciesColor(species.id, trackedSpecies),
+      loaded: speciesViews[species.id] !== undefined,
+      // Scores are only computed for the selected species: compare by count
+      grid: classifyGrid(grids[species.id] || EMPTY_GRID, {
+        profiles: classProfiles,
+        regions,
+        speciesId: species.id,
+        model: "count",
+        normalized: normalizeByArea || habitatMasking,
+      }),
+    }));
+  }, [
+    compareMode,
+    shownSpecies,
+    trackedSpecies,
+    speciesViews,
+    grids,
+    classProfiles,
+    regions,
+    normalizeByArea,
+    habitatMasking,
+  ]);
+
+  const coOccurrence = useMemo(() => findCoOccurrence(compareLayers), [compareLayers]);
+  const compareTable = useMemo(
+    () => compareRows(compareLayers, coOccurrence),
+    [compareLayers, coOccurrence]
+  );
+
+  // Sampling effort is only fetched when the score drives the risk classes.
+  // It is counted per tile (see effort.js) once the grid has settled, and
+  // the tiles counted so far are kept across regrids.
+  const effortTileKeyValue = useMemo(
+    () => (riskModel === "score" ? effortTileKey(baseGrid.cells, cellSizeDeg) : ""),
+    [riskModel, baseGrid, cellSizeDeg]
+  );
+  // Only changes with the tiles, not with every regrid
+  const effortTileSet = useMemo(() => effortTiles(effortTileKeyValue), [effortTileKeyValue]);
+  const effortKey = `${effortReferenceId}|${JSON.stringify(query)}`;
+
+  useEffect(() => {
+    if (effortTileSet.tiles.length === 0) return undefined;
+
+    const controller = new AbortController();
+    const key = `${effortReferenceId}|${JSON.stringify(query)}`;
+
+    async function load() {
+      try {
+        await fetchSamplingEffort(effortTileSet.tiles, {
+          referenceId: effortReferenceId,
+          query,
+          signal: controller.signal,
+          onProgress: (byTile, done, total) =>
+            setEffort((prev) => ({
+              key,
+              byTile: new Map([...(prev?.key === key ? prev.byTile : []), ...byTile]),
+              done,
+              total,
+            })),
+        });
+      } catch (e) {
+        if (!isAbortError(e)) console.error(e);
+      }
+    }
+
+    const timer = setTimeout(load, EFFORT_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [effortTileSet, effortReferenceId, query]);
+
+  const effortByCell = useMemo(
+    () =>
+      riskModel === "score" && effort?.key === effortKey
+        ? effortForCells(baseGrid.cells, {
+            sizeDeg: effortTileSet.sizeDeg,
+            byTile: effort.byTile,
+          })
+        : null,
+    [riskModel, effort, effortKey, baseGrid, effortTileSet]
+  );
 
   const gridData = useMemo(() => {
-    const occurrences = speciesData[selectedSpeciesId] || [];
-    return computeGridCells(occurrences, 1, INVASIVENESS_THRESHOLDS);
-  }, [speciesData, selectedSpeciesId]);
+    const scored = scoreGridCells(baseGrid, {
+      effortByCell,
+      effortLabel: effortLabel(effortReferenceId),
+      yearRange: query.yearRange,
+      perHabitatArea: habitatMasking,
+    });
+    const classified = classifyGrid(scored, {
+      profiles: classProfiles,
+      regions,
+      speciesId: activeSpeciesId,
+      model: riskModel,
+      normalized: normalizeByArea || habitatMasking,
+    });
+    return addYearlyBreakdown(classified, query.yearRange);
+  }, [
+    baseGrid,
+    effortByCell,
+    effortReferenceId,
+    query,
+    riskModel,
+    habitatMasking,
+    classProfiles,
+    regions,
+    activeSpeciesId,
+    normalizeByArea,
+  ]);
+
+  const selectedRegion = regions.find((r) => r.id === selectedRegionId) || null;
+  const regionStats = useMemo(
+    () =>
+      selectedRegion &&
+      computeRegionStats(selectedRegion, {
+        primarySpeciesId: activeSpeciesId,
+        occurrencesBySpecies,
+        grid: gridData,
+        yearRange: query.yearRange,
+      }),
+    [selectedRegion, activeSpeciesId, occurrencesBySpecies, gridData, query]
+  );
+
+  const harvestResult = useMemo(
+    () => planHarvest(gridData.cells, harvestPlan),
+    [gridData, harvestPlan]
+  );
+
+  const printRegion = () =>
+    printRegionReport({
+      region: selectedRegion,
+      stats: regionStats,
+      species: selectedSpecies,
+      trackedSpecies,
+      periodLabel,
+      filterSummary: `${periodLabel} · ${formatBbox(filters.bbox)} · ${filters.basisOfRecord.length} record types`,
+    });
+
+  // Re-read the clicked cell from the current grid so it reflects new scores
+  const activeCell = selectedCell
+    ? gridData.cells.find((c) => c.id === selectedCell.id) || null
+    : null;
+  const activeCellRecords = useMemo(
+    () => (activeCell ? cellRecords(activeCell, gridData.occurrences) : []),
+    [activeCell, gridData]
+  );
+
+  // Mean temperature of the selected cell over the period
+  const activeCellCovariate = useMemo(() => {
+    if (!activeCovariate || !activeCell) return null;
+    const sample = createCovariateSampler(activeCovariate);
+    const values = yearsInRange(query.yearRange)
+      .map((year) => sample(activeCell, year))
+      .filter((v) => v !== null);
+    return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+  }, [activeCovariate, activeCell, query]);
+
+  const trendSummary = useMemo(
+    () => summarizeTrends(gridData.cells, query.yearRange),
+    [gridData, query]
+  );
+
+  // Species series with the selected cell's records alongside
+  const trendChartData = useMemo(
+    () =>
+      trendSummary.series.map((p) => ({
+        ...p,
+        cellCount: activeCell ? activeCell.byYear[p.year] || 0 : undefined,
+      })),
+    [trendSummary, activeCell]
+  );
+
+  const toggleSource = (id) => {
+    setEnabledSourceIds((prev) =>
+      prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]
+    );
+    setSelectedCell(null);
+  };
+
+  // The profile explained in the score card: the selected region's, if it
+  // has one, else the species'
+  const activeProfile = profileFor(classProfiles, activeSpeciesId, selectedRegionId);
+  const activeBreaks =
+    gridData.profiles.find((u) => u.profile === activeProfile)?.breaks ??
+    (activeProfile.method === "fixed" ? resolveBreaks(activeProfile, [], riskModel) : null);
+  const riskValueLabel =
+    riskModel === "score"
+      ? "invasiveness score"
+      : habitatMasking
+      ? `reports in ${periodLabel} per ${formatArea(nominalCellAreaKm2(cellSizeDeg))} of habitat`
+      : normalizeByArea
+      ? `reports in ${periodLabel} per ${formatArea(nominalCellAreaKm2(cellSizeDeg))} (the area of a ${cellSizeDeg}° cell at the equator)`
+      : `reports in ${periodLabel}`;
 
   const riskChartData = useMemo(
     () => riskSummaryToChart(gridData?.summary),
     [gridData]
   );
 
-  const culinaryProfile = CULINARY_PROFILES[selectedSpeciesId];
+  const culinaryProfile = selectedSpecies.culinaryProfile;
 
   const highRiskPercent =
     gridData && gridData.summary.cellCount > 0
@@ -134,6 +1122,13 @@ function App() {
         ).toFixed(1)
       : "0.0";
 
+  const { native: nativeRecords, introduced: introducedRecords } =
+    gridData.summary.rangeCounts;
+  const introducedPercent =
+    nativeRecords + introducedRecords > 0
+      ? ((introducedRecords / (nativeRecords + introducedRecords)) * 100).toFixed(1)
+      : null;
+
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 flex flex-col">
       {/* Top nav / title */}
@@ -148,9 +1143,84 @@ function App() {
               countermeasures.
             </p>
           </div>
-          <div className="hidden sm:flex items-center gap-2 text-xs text-slate-400">
-            <span className="h-2 w-2 rounded-full bg-emerald-400 animate-pulse" />
-            GBIF live data
+          {/* Compact status and refresh for small screens */}
+          <div className="sm:hidden flex items-center gap-2 text-xs">
+            {!online && (
+              <span className="px-2.5 py-1 rounded-full border border-amber-500/40 bg-amber-500/10 text-amber-200">
+                Offline
+              </span>
+            )}
+            <button
+              onClick={refreshData}
+              disabled={refreshing || !online}
+              title={
+                selectedDataAsOf
+                  ? `Refresh · data as of ${formatTimestamp(selectedDataAsOf)}`
+                  : "Refresh"
+              }
+              aria-label="Refresh data"
+              className="h-8 w-8 flex items-center justify-center rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-50 disabled:cursor-not-allowed transition"
+            >
+              <span className={refreshing ? "animate-spin" : ""}>↻</span>
+            </button>
+          </div>
+          <div className="hidden sm:flex items-center gap-3 text-xs text-slate-400">
+            <span
+              className="flex items-center gap-2"
+              title={
+                offlineReady
+                  ? "The app and saved data open without a connection"
+                  : "The app isn't cached for offline use yet"
+              }
+            >
+              <span
+                className={`h-2 w-2 rounded-full ${
+                  !online
+                    ? "bg-amber-400"
+                    : refreshing
+                    ? "bg-sky-400 animate-pulse"
+                    : "bg-emerald-400"
+                }`}
+              />
+              {!online && <span className="text-amber-200">Offline ·</span>}
+              {refreshing
+                ? "Refreshing…"
+                : selectedDataAsOf
+                ? `${online ? "Data" : "Saved data"} as of ${formatTimestamp(selectedDataAsOf)}`
+                : "No data yet"}
+            </span>
+            <button
+              onClick={copyLink}
+              title="Copy a link to this species, view, filters and cell"
+              className="px-2.5 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+            >
+              {linkCopied === "copied"
+                ? "Link copied"
+                : linkCopied === "failed"
+                ? "Copy failed"
+                : "Copy link"}
+            </button>
+            <AlertsMenu
+              watchlist={watchlist}
+              onAddWatch={(watch) => updateWatchlist((prev) => [...prev, watch])}
+              onRemoveWatch={(id) => updateWatchlist((prev) => prev.filter((w) => w.id !== id))}
+              alerts={alerts}
+              onShowAlert={showAlert}
+              onMarkAllRead={() =>
+                updateAlerts((prev) => prev.map((a) => ({ ...a, read: true })))
+              }
+              onClearAlerts={() => updateAlerts(() => [])}
+              trackedSpecies={trackedSpecies}
+              regions={regions}
+              selectedSpeciesId={activeSpeciesId}
+            />
+            <button
+              onClick={refreshData}
+              disabled={refreshing || !online}
+              className="px-2.5 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-50 disabled:cursor-not-allowed transition"
+            >
+              Refresh
+            </button>
           </div>
         </div>
       </header>
@@ -171,26 +1241,70 @@ function App() {
                 </p>
               </div>
               <div className="flex flex-wrap gap-2">
-                {SPECIES.map((s) => (
+                {trackedSpecies.map((s) => (
                   <button
                     key={s.id}
-                    onClick={() => {
-                      setSelectedSpeciesId(s.id);
-                      setSelectedCell(null);
-                    }}
+                    onClick={() => handleSpeciesClick(s.id)}
                     className={`px-3 py-1.5 rounded-full text-xs font-medium border transition ${
-                      selectedSpeciesId === s.id
+                      activeSpeciesId === s.id
                         ? "bg-slate-100 text-slate-900 border-slate-100"
                         : "bg-slate-900 text-slate-300 border-slate-700 hover:border-slate-500"
                     }`}
+                    style={
+                      compareMode && comparedIds.includes(s.id)
+                        ? {
+                            borderColor: speciesColor(s.id, trackedSpecies),
+                            color: speciesColor(s.id, trackedSpecies),
+                          }
+                        : undefined
+                    }
                   >
+                    {compareMode && (
+                      <span
+                        className="inline-block h-2 w-2 rounded-full mr-1.5"
+                        style={{
+                          backgroundColor: shownSpecies.includes(s)
+                            ? speciesColor(s.id, trackedSpecies)
+                            : "transparent",
+                          border: `1px solid ${speciesColor(s.id, trackedSpecies)}`,
+                        }}
+                      />
+                    )}
                     {s.commonName}
                   </button>
                 ))}
+                <button
+                  onClick={() => {
+                    setCompareSpeciesIds((prev) => (prev === null ? [] : null));
+                    setSelectedCell(null);
+                  }}
+                  className={`px-3 py-1.5 rounded-full text-xs font-medium border transition ${
+                    compareMode
+                      ? "bg-sky-500/15 text-sky-200 border-sky-500/40"
+                      : "border-slate-600 text-slate-400 hover:border-slate-400 hover:text-slate-200"
+                  }`}
+                >
+                  {compareMode ? "Exit compare" : "Compare"}
+                </button>
+                <button
+                  onClick={() => setManagingSpecies((m) => !m)}
+                  className="px-3 py-1.5 rounded-full text-xs font-medium border border-dashed border-slate-600 text-slate-400 hover:border-slate-400 hover:text-slate-200 transition"
+                >
+                  {managingSpecies ? "Close manager" : "Manage species"}
+                </button>
               </div>
             </div>
 
-            <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+            {managingSpecies && (
+              <SpeciesManager
+                species={trackedSpecies}
+                onChange={updateTrackedSpecies}
+                onReset={() => setTrackedSpecies(resetTrackedSpecies())}
+                onClose={() => setManagingSpecies(false)}
+              />
+            )}
+
+            <div className="mt-3 grid grid-cols-2 md:grid-cols-5 gap-3 text-xs">
               <MetricCard
                 label="Scientific name"
                 value={selectedSpecies?.scientificName}
@@ -200,34 +1314,387 @@ function App() {
                 value={selectedSpecies?.regionHint}
               />
               <MetricCard
-                label="Records (last 5y)"
+                label={`Records (${periodLabel})`}
                 value={gridData?.summary.totalRecords ?? 0}
               />
               <MetricCard
-                label="High-risk cells"
+                label={`${gridData.summary.classCounts[0]?.label ?? "High"}-risk cells`}
                 value={`${gridData?.summary.highCount ?? 0} (${highRiskPercent}%)`}
               />
+              <MetricCard
+                label="Outside native range"
+                value={
+                  introducedPercent === null
+                    ? "No range"
+                    : `${formatCount(introducedRecords)} (${introducedPercent}%)`
+                }
+              />
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-[10px] uppercase tracking-wide text-slate-500">
+                Sources
+              </span>
+              {DATA_SOURCES.map((source) => (
+                <button
+                  key={source.id}
+                  onClick={() => toggleSource(source.id)}
+                  className={`px-2.5 py-1 rounded-full border transition ${
+                    enabledSourceIds.includes(source.id)
+                      ? "bg-sky-500/15 text-sky-200 border-sky-500/40"
+                      : "bg-slate-900 text-slate-500 border-slate-700 hover:border-slate-500"
+                  }`}
+                >
+                  {source.label}{" "}
+                  <span className="font-mono text-[10px]">
+                    {sourceCounts[source.id] ?? 0}
+                  </span>
+                </button>
+              ))}
+            </div>
+
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-[10px] uppercase tracking-wide text-slate-500">
+                Grid
+              </span>
+              <select
+                value={binning}
+                onChange={(e) => {
+                  setBinning(e.target.value);
+                  setSelectedCell(null);
+                }}
+                className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+              >
+                {BINNING_OPTIONS.map((b) => (
+                  <option key={b.id} value={b.id}>
+                    {b.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={resolution}
+                onChange={(e) => {
+                  setResolution(e.target.value);
+                  setSelectedCell(null);
+                }}
+                className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+              >
+                {RESOLUTION_OPTIONS.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.label}
+                  </option>
+                ))}
+              </select>
+              <label
+                className="flex items-center gap-1 text-slate-400"
+                title="Scale square cells to the area they would have at the equator, so cells near the poles aren't undercounted"
+              >
+                <input
+                  type="checkbox"
+                  checked={normalizeByArea}
+                  onChange={(e) => setNormalizeByArea(e.target.checked)}
+                />
+                Normalize by area
+              </label>
+              <span className="text-slate-500">
+                {cellSizeDeg}°
+                {binning === "square"
+                  ? " cells (area shrinks toward the poles)"
+                  : ` cells ≈ ${formatArea(nominalCellAreaKm2(cellSizeDeg))}`}
+              </span>
+              <div className="ml-auto">
+                <ExportMenu
+                  occurrences={gridOccurrences}
+                  cells={gridData.cells}
+                  species={selectedSpecies}
+                  periodLabel={periodLabel}
+                />
+              </div>
             </div>
           </div>
 
+          <FilterPanel
+            filters={filters}
+            onApply={handleApplyFilters}
+            drawingBbox={drawingBbox}
+            onToggleDrawBbox={() => {
+              setDrawingBbox((d) => !d);
+              setDrawingRegion(false);
+              setDrawingRange(false);
+              setPickingHarvestOrigin(false);
+              setDrawingTileArea(false);
+            }}
+          />
+
+          <QualityPanel
+            species={trackedSpecies}
+            reports={qualityBySpecies}
+            activeSpeciesId={activeSpeciesId}
+            excludeFlagged={filters.excludeFlagged}
+            onExcludeFlaggedChange={(excludeFlagged) =>
+              handleApplyFilters({ ...filters, excludeFlagged })
+            }
+          />
+
+          <DownloadPanel
+            species={selectedSpecies}
+            download={downloads?.[activeSpeciesId] ?? null}
+            onImport={importDownload}
+            onRemove={removeDownload}
+          />
+
+          <SurveyPanel
+            datasets={surveyDatasets}
+            trackedSpecies={trackedSpecies}
+            selectedSpecies={selectedSpecies}
+            onImport={importSurvey}
+            onDelete={removeSurvey}
+            showLayer={showSurveyLayer}
+            onShowLayerChange={setShowSurveyLayer}
+            mergeIntoGrid={mergeSurveys}
+            onMergeIntoGridChange={(merge) => {
+              setMergeSurveys(merge);
+              setSelectedCell(null);
+            }}
+            recordsPerDensity={surveyRecordsPerDensity}
+            onRecordsPerDensityChange={setSurveyRecordsPerDensity}
+          />
+
+          <NativeRangePanel
+            key={activeSpeciesId}
+            species={selectedSpecies}
+            rangeCounts={gridData.summary.rangeCounts}
+            onChange={(range) => setNativeRange(activeSpeciesId, range)}
+            showOnMap={showNativeRange}
+            onShowOnMapChange={setShowNativeRange}
+            drawing={drawingRange}
+            onToggleDraw={() => {
+              setDrawingRange((d) => !d);
+              setDrawingBbox(false);
+              setDrawingRegion(false);
+              setPickingHarvestOrigin(false);
+              setDrawingTileArea(false);
+            }}
+          />
+
+          <HabitatPanel
+            layers={habitatLayers}
+            onImport={importHabitatLayer}
+            onUpdate={updateHabitatLayer}
+            onDelete={removeHabitatLayer}
+            maskNonHabitat={maskNonHabitat}
+            onMaskNonHabitatChange={(mask) => {
+              setMaskNonHabitat(mask);
+              setSelectedCell(null);
+            }}
+            maxDepth={habitatMaxDepth}
+            onMaxDepthChange={setHabitatMaxDepth}
+            noHabitatCellCount={baseGrid.summary.noHabitatCellCount}
+            lowHabitatCellCount={baseGrid.summary.lowHabitatCellCount}
+          />
+
+          <CovariatePanel
+            datasets={covariates}
+            activeId={activeCovariate?.id ?? null}
+            onActiveChange={setActiveCovariateId}
+            onImport={importCovariate}
+            onDelete={removeCovariate}
+            showOnMap={showCovariateLayer}
+            onShowOnMapChange={setShowCovariateLayer}
+          />
+
+          <OfflinePanel
+            areas={offlineAreas}
+            onAreaSaved={(area) => updateOfflineAreas((prev) => [...prev, area])}
+            onAreaRemoved={(id) => updateOfflineAreas((prev) => prev.filter((a) => a.id !== id))}
+            regions={regions}
+            filterBbox={filters.bbox}
+            drawnBounds={tileAreaBounds}
+            drawing={drawingTileArea}
+            onToggleDraw={() => {
+              setDrawingTileArea((d) => !d);
+              setDrawingBbox(false);
+              setDrawingRegion(false);
+              setDrawingRange(false);
+              setPickingHarvestOrigin(false);
+            }}
+            online={online}
+            offlineReady={offlineReady}
+          />
+
+          <RegionPanel
+            regions={regions}
+            selectedRegionId={selectedRegion?.id ?? null}
+            onSelect={setSelectedRegionId}
+            onAdd={addRegions}
+            onRename={(id, name) =>
+              updateRegions((prev) => prev.map((r) => (r.id === id ? { ...r, name } : r)))
+            }
+            onDelete={(id) => {
+              updateRegions((prev) => prev.filter((r) => r.id !== id));
+              updateProfiles(classProfiles.filter((p) => p.regionId !== id));
+              if (id === selectedRegionId) setSelectedRegionId(null);
+            }}
+            drawing={drawingRegion}
+            onToggleDraw={() => {
+              setDrawingRegion((d) => !d);
+              setDrawingBbox(false);
+              setDrawingRange(false);
+              setPickingHarvestOrigin(false);
+              setDrawingTileArea(false);
+            }}
+            stats={regionStats}
+            trackedSpecies={trackedSpecies}
+            periodLabel={periodLabel}
+            onPrint={printRegion}
+          />
+
+          {error && hasData && (
+            <div className="bg-red-500/10 border border-red-500/40 rounded-xl px-3 py-2 text-xs text-red-300">
+              {error}
+              {selectedDataAsOf &&
+                ` Showing data from ${formatTimestamp(selectedDataAsOf)}.`}
+            </div>
+          )}
+
+          {failedCompared.length > 0 && (
+            <div className="bg-red-500/10 border border-red-500/40 rounded-xl px-3 py-2 text-xs text-red-300">
+              <ul className="list-disc list-inside">
+                {failedCompared.map((species) => (
+                  <li key={species.id}>
+                    {species.commonName}: {fetchStatus[species.id].error}
+                    {dataAsOf[species.id] &&
+                      ` Showing data from ${formatTimestamp(dataAsOf[species.id])}.`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {truncatedShown.length > 0 && (
+            <div className="bg-amber-500/10 border border-amber-500/40 rounded-xl px-3 py-2 text-xs text-amber-200">
+              Showing a sample, so record totals and risk classes undercount:
+              <ul className="mt-1 list-disc list-inside">
+                {truncatedShown.map(({ species, truncated }) => (
+                  <li key={species.id}>
+                    {species.commonName}:{" "}
+                    {truncated
+                      .map(
+                        (t) =>
+                          `${getSource(t.source)?.label ?? t.source} ${t.fetched.toLocaleString()} of ${t.total.toLocaleString()}`
+                      )
+                      .join(", ")}
+                  </li>
+                ))}
+              </ul>
+              {truncatedShown.some(({ truncated }) => truncated.some((t) => t.source === "gbif")) &&
+                "Import a GBIF download for the complete GBIF records."}
+            </div>
+          )}
+
+          {refreshing && (
+            <div className="bg-slate-900/70 border border-slate-800 rounded-xl px-3 py-2 text-xs text-slate-400">
+              <div className="flex items-center justify-between gap-3">
+                <span>
+                  Loading {selectedSpecies?.commonName}:{" "}
+                  <span className="font-semibold text-slate-200">
+                    {selectedProgress.fetched.toLocaleString()}
+                  </span>
+                  {selectedProgress.expected > 0 &&
+                    ` / ${selectedProgress.expected.toLocaleString()}`}{" "}
+                  records
+                </span>
+                <button
+                  onClick={cancelFetch}
+                  className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+                >
+                  Cancel
+                </button>
+              </div>
+              <div className="mt-1.5 h-1 rounded-full bg-slate-800 overflow-hidden">
+                <div
+                  className="h-full bg-sky-400 transition-all"
+                  style={{
+                    width: `${
+                      selectedProgress.expected > 0
+                        ? (selectedProgress.fetched / selectedProgress.expected) * 100
+                        : 0
+                    }%`,
+                  }}
+                />
+              </div>
+              <div className="mt-1 flex flex-wrap gap-x-3 text-[10px] text-slate-500">
+                {DATA_SOURCES.map((source) => {
+                  const p = selectedStatus?.sources?.[source.id];
+                  if (!p) return null;
+                  return (
+                    <span key={source.id}>
+                      {source.label}: {p.fetched}
+                      {p.total != null && ` / ${Math.min(p.total, MAX_PER_SPECIES)}`}
+                      {p.error ? " (failed)" : p.done ? " ✓" : ""}
+                    </span>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Map */}
           <div className="flex-1 min-h-[380px] md:min-h-[520px]">
             {loading ? (
               <div className="h-full flex items-center justify-center text-slate-400 text-sm">
                 <div className="flex items-center gap-2">
                   <span className="h-3 w-3 rounded-full border-2 border-t-transparent border-sky-400 animate-spin" />
-                  Fetching GBIF occurrences…
+                  Fetching occurrences from GBIF, OBIS and iNaturalist…
                 </div>
               </div>
-            ) : error ? (
+            ) : error && !hasData ? (
               <div className="h-full flex items-center justify-center text-center text-sm text-red-400">
                 {error}
               </div>
             ) : (
               <MapComponent
                 gridData={gridData}
+                occurrences={gridOccurrences}
                 selectedSpecies={selectedSpecies}
                 onCellClick={setSelectedCell}
+                surveyRecords={showSurveyLayer ? surveyRecords : []}
+                periodLabel={periodLabel}
+                bbox={filters.bbox}
+                yearRange={query.yearRange}
+                view={mapView}
+                onViewChange={handleViewChange}
+                compareLayers={compareLayers}
+                coOccurrence={coOccurrence}
+                drawingBbox={drawingBbox || drawingTileArea}
+                onBboxDrawn={(bbox) => {
+                  if (!drawingTileArea) {
+                    handleApplyFilters({ ...filters, bbox });
+                    return;
+                  }
+                  setTileAreaBounds(bbox);
+                  setDrawingTileArea(false);
+                }}
+                habitatLayers={habitatLayers.filter((l) => l.visible)}
+                habitatMaxDepth={habitatMaxDepth}
+                regions={regions}
+                selectedRegionId={selectedRegion?.id}
+                onRegionClick={setSelectedRegionId}
+                drawingRegion={drawingRegion}
+                onRegionDrawn={handleRegionDrawn}
+                nativeRange={showNativeRange ? selectedSpecies.nativeRange : null}
+                drawingRange={drawingRange}
+                onRangeDrawn={handleRangeDrawn}
+                covariate={showCovariateLayer ? activeCovariate : null}
+                harvestPlan={{ origin: harvestPlan.origin, sites: harvestResult.sites }}
+                pickingHarvestOrigin={pickingHarvestOrigin}
+                onHarvestOriginPicked={(origin) => {
+                  updateHarvestPlan({
+                    ...harvestPlan,
+                    origin: { ...origin, name: harvestPlan.origin?.name ?? "" },
+                  });
+                  setPickingHarvestOrigin(false);
+                }}
               />
             )}
           </div>
@@ -235,24 +1702,76 @@ function App() {
 
         {/* Right: Analytics + Eat It panel */}
         <section className="flex flex-col gap-3 md:gap-4">
+          {compareMode && (
+            <CompareCard
+              rows={compareTable}
+              coOccurrenceCount={coOccurrence.length}
+              periodLabel={periodLabel}
+            />
+          )}
+
           {/* Risk distribution chart */}
           <div className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4">
             <h2 className="text-sm font-semibold mb-1.5">
               Invasiveness score
             </h2>
-            <p className="text-xs text-slate-400 mb-3">
-              We flag a grid cell as{" "}
-              <span className="text-orange-400">High Risk</span> when the
-              density of reports in the last 5 years exceeds{" "}
-              <span className="font-semibold">
-                {INVASIVENESS_THRESHOLDS.high}
-              </span>
-              . Medium risk kicks in at{" "}
-              <span className="font-semibold">
-                {INVASIVENESS_THRESHOLDS.medium}
-              </span>
-              .
-            </p>
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+              {[
+                { id: "count", label: "Record count" },
+                { id: "score", label: "Effort-normalized score" },
+              ].map((m) => (
+                <button
+                  key={m.id}
+                  onClick={() => setRiskModel(m.id)}
+                  className={`px-2.5 py-1 rounded-full border transition ${
+                    riskModel === m.id
+                      ? "bg-slate-100 text-slate-900 border-slate-100"
+                      : "bg-slate-900 text-slate-300 border-slate-700 hover:border-slate-500"
+                  }`}
+                >
+                  {m.label}
+                </button>
+              ))}
+              {riskModel === "score" && (
+                <select
+                  value={effortReferenceId}
+                  onChange={(e) => setEffortReferenceId(e.target.value)}
+                  className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+                >
+                  {EFFORT_REFERENCES.map((r) => (
+                    <option key={r.id} value={r.id}>
+                      Effort: GBIF {r.label.toLowerCase()} records
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {riskModel === "score" && (
+              <p className="text-xs text-slate-400 mb-2">
+                Each cell scores 0–100 from its share of all{" "}
+                {effortLabel(effortReferenceId)} records (so busy dive sites
+                aren’t mistaken for barrens), its recent trend and whether it
+                lies outside the native range. Effort only counts GBIF, while
+                the cell counts include every enabled source.
+                {effort?.key === effortKey && effort.done < effort.total && (
+                  <span className="block mt-1 text-slate-500">
+                    Fetching sampling effort: {effort.done} / {effort.total} areas…
+                  </span>
+                )}
+              </p>
+            )}
+            <ClassificationPanel
+              key={activeSpeciesId}
+              species={selectedSpecies}
+              profiles={classProfiles}
+              regions={regions}
+              activeProfile={activeProfile}
+              breaks={activeBreaks}
+              model={riskModel}
+              valueLabel={riskValueLabel}
+              onChange={updateProfiles}
+            />
 
             <div className="h-40">
               <ResponsiveContainer>
@@ -285,49 +1804,188 @@ function App() {
                     name="Cells"
                     fill="#38bdf8"
                     radius={[6, 6, 0, 0]}
-                  />
+                  >
+                    {riskChartData.map((d) => (
+                      <Cell key={d.name} fill={d.color} />
+                    ))}
+                  </Bar>
                 </BarChart>
               </ResponsiveContainer>
             </div>
 
-            {selectedCell && (
+            {activeCell && (
               <div className="mt-3 border-t border-slate-800 pt-2 text-xs">
                 <div className="flex items-center justify-between">
                   <span className="text-slate-400">Selected cell</span>
                   <span
-                    className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${
-                      selectedCell.risk === "High"
-                        ? "bg-orange-500/20 text-orange-300 border border-orange-500/40"
-                        : selectedCell.risk === "Medium"
-                        ? "bg-emerald-500/20 text-emerald-300 border border-emerald-500/40"
-                        : "bg-sky-500/20 text-sky-300 border border-sky-500/40"
-                    }`}
+                    className="px-2 py-0.5 rounded-full text-[10px] font-semibold border"
+                    style={{
+                      color: activeCell.riskColor,
+                      backgroundColor: `${activeCell.riskColor}33`,
+                      borderColor: `${activeCell.riskColor}66`,
+                    }}
                   >
-                    {selectedCell.risk} risk
+                    {activeCell.risk} risk
                   </span>
                 </div>
                 <div className="mt-1 text-slate-300">
                   Reports:{" "}
                   <span className="font-semibold">
-                    {selectedCell.count}
+                    {formatCount(activeCell.count)}
+                  </span>
+                  <span className="text-slate-500">
+                    {" "}
+                    in {formatArea(activeCell.areaKm2)} ·{" "}
+                    {activeCell.normalizedCount.toFixed(1)} per {cellSizeDeg}°
+                    equatorial cell area
+                    {habitatMasking && !activeCell.lowHabitat && " of habitat"}
                   </span>
                 </div>
-                {selectedCell.samples?.length > 0 && (
+                {activeCell.suitableFraction !== null && (
+                  <div className="mt-1 text-slate-400">
+                    Suitable habitat:{" "}
+                    <span className="text-slate-200">
+                      {Math.round(activeCell.suitableFraction * 100)}%
+                    </span>{" "}
+                    ({formatArea(activeCell.habitatAreaKm2)})
+                    {habitatMasking &&
+                      activeCell.lowHabitat &&
+                      " · too little to classify by habitat area"}
+                  </div>
+                )}
+                {activeCellRecords.length > 0 && (
                   <div className="mt-1 text-slate-400">
                     Example record:{" "}
                     <span className="font-mono text-[11px]">
-                      {selectedCell.samples[0].country || "Unknown country"}{" "}
-                      {selectedCell.samples[0].stateProvince &&
-                        `· ${selectedCell.samples[0].stateProvince}`}{" "}
-                      {selectedCell.samples[0].year &&
-                        `· ${selectedCell.samples[0].year}`}
+                      {activeCellRecords[0].country || "Unknown country"}{" "}
+                      {activeCellRecords[0].stateProvince &&
+                        `· ${activeCellRecords[0].stateProvince}`}{" "}
+                      {activeCellRecords[0].year &&
+                        `· ${activeCellRecords[0].year}`}
                     </span>
                   </div>
                 )}
+                {activeCellRecords.length > 0 && (
+                  <div className="mt-1 text-slate-400">
+                    By source:{" "}
+                    <span className="font-mono text-[11px]">
+                      {formatSourceCounts(countBySource(activeCellRecords))}
+                    </span>
+                  </div>
+                )}
+                {activeCellRecords.length > 0 && (
+                  <button
+                    onClick={() => setRecordDrawerOpen(true)}
+                    className="mt-2 px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+                  >
+                    Browse {formatCount(activeCellRecords.length)} records
+                  </button>
+                )}
+                {activeCellCovariate !== null && (
+                  <div className="mt-1 text-slate-400">
+                    Mean {getCovariateKind(activeCovariate.kind).shortLabel}:{" "}
+                    <span className="text-slate-200">
+                      {formatCovariate(activeCellCovariate, activeCovariate.kind)}
+                    </span>{" "}
+                    ({periodLabel})
+                  </div>
+                )}
+                <ScoreBreakdown cell={activeCell} />
               </div>
             )}
           </div>
 
+          {/* Trends */}
+          <div className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4">
+            <h2 className="text-sm font-semibold mb-1.5">Trend {periodLabel}</h2>
+            <div className="grid grid-cols-3 gap-3 text-xs mb-3">
+              <MetricCard
+                label="Growth rate"
+                value={formatGrowthRate(trendSummary.growthRate)}
+              />
+              <MetricCard
+                label="Range expansion"
+                value={`${trendSummary.expandingCount} cells`}
+              />
+              <MetricCard
+                label="Selected cell"
+                value={
+                  activeCell
+                    ? formatGrowthRate(
+                        growthRate(yearlySeries(activeCell.byYear, query.yearRange))
+                      )
+                    : "—"
+                }
+              />
+            </div>
+            <p className="text-xs text-slate-400 mb-2">
+              Range-expansion cells (dashed pink on the map) have no records
+              before the last two years but some since. Bars count cells first
+              colonized in each year.
+            </p>
+
+            <div className="h-40">
+              <ResponsiveContainer>
+                <ComposedChart data={trendChartData} margin={{ top: 4, right: 8 }}>
+                  <XAxis
+                    dataKey="year"
+                    tick={{ fontSize: 11, fill: "#94a3b8" }}
+                    axisLine={{ stroke: "#334155" }}
+                  />
+                  <YAxis
+                    tick={{ fontSize: 11, fill: "#94a3b8" }}
+                    axisLine={{ stroke: "#334155" }}
+                  />
+                  <RechartsTooltip
+                    contentStyle={{
+                      backgroundColor: "#020617",
+                      border: "1px solid #1e293b",
+                      borderRadius: "0.75rem",
+                      fontSize: "12px",
+                    }}
+                  />
+                  <Legend
+                    wrapperStyle={{
+                      fontSize: "11px",
+                      color: "#cbd5f5",
+                    }}
+                  />
+                  <Bar
+                    dataKey="newCells"
+                    name="Newly colonized cells"
+                    fill="#f472b6"
+                    radius={[6, 6, 0, 0]}
+                  />
+                  <Line
+                    dataKey="count"
+                    name="Records"
+                    stroke="#38bdf8"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                  {activeCell && (
+                    <Line
+                      dataKey="cellCount"
+                      name="Selected cell"
+                      stroke="#f97316"
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {activeCovariate && (
+            <CovariateCard
+              dataset={activeCovariate}
+              cells={gridData.cells}
+              yearRange={query.yearRange}
+              periodLabel={periodLabel}
+            />
+          )}
+
           {/* Eat It panel */}
           <div className="bg-slate-900/80 border border-slate-800 rounded-2xl p-3 md:p-4 flex-1 flex flex-col">
             <h2 className="text-sm font-semibold mb-1.5 flex items-center gap-2">
@@ -341,6 +1999,13 @@ function App() {
               pay divers fairly, and turn barrens back into kelp forests.
             </p>
 
+            {!culinaryProfile && (
+              <p className="text-xs text-slate-500 mb-3">
+                No culinary profile for {selectedSpecies.commonName} yet. Add
+                one under “Manage species” → Edit.
+              </p>
+            )}
+
             <div className="grid grid-cols-2 gap-3 text-xs mb-3">
               <MetricCard
                 label="Uni grade"
@@ -380,6 +2045,27 @@ function App() {
               </ul>
             </div>
 
+            <div className="mb-3 pt-3 border-t border-slate-800">
+              <HarvestPlanner
+                plan={harvestPlan}
+                onPlanChange={updateHarvestPlan}
+                result={harvestResult}
+                picking={pickingHarvestOrigin}
+                onTogglePick={() => {
+                  setPickingHarvestOrigin((p) => !p);
+                  setDrawingBbox(false);
+                  setDrawingRegion(false);
+                  setDrawingRange(false);
+                  setDrawingTileArea(false);
+                }}
+                onSiteSelect={setSelectedCell}
+                log={harvestLog}
+                onLog={(entry) => updateHarvestLog((prev) => [...prev, entry])}
+                onDeleteLog={(id) => updateHarvestLog((prev) => prev.filter((e) => e.id !== id))}
+                species={selectedSpecies}
+              />
+            </div>
+
             <div className="mt-auto pt-2 border-t border-slate-800 text-[11px] text-slate-400">
               <span className="font-semibold">Sustainability tip: </span>
               {culinaryProfile?.sustainabilityTip}
@@ -387,6 +2073,149 @@ function App() {
           </div>
         </section>
       </main>
+
+      {recordDrawerOpen && activeCell && (
+        <RecordDrawer
+          key={activeCell.id}
+          cell={activeCell}
+          records={activeCellRecords}
+          species={selectedSpecies}
+          onClose={() => setRecordDrawerOpen(false)}
+        />
+      )}
+
+      <AlertToasts
+        alerts={toastAlerts}
+        onShow={showAlert}
+        onDismiss={() => setToastAlerts([])}
+      />
+    </div>
+  );
+}
+
+// Side-by-side risk chart and metrics for the compared species
+function CompareCard({ rows, coOccurrenceCount, periodLabel }) {
+  const chartData = compareRiskChart(rows);
+
+  return (
+    <div className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4">
+      <h2 className="text-sm font-semibold mb-1.5">Species comparison</h2>
+      <p className="text-xs text-slate-400 mb-3">
+        {rows.length < 2
+          ? "Toggle more species on in the species bar to compare them."
+          : `${coOccurrenceCount} cells hold records of two or more species in ${periodLabel} (outlined white on the map). Risk classes use record counts.`}
+      </p>
+
+      <div className="h-40">
+        <ResponsiveContainer>
+          <BarChart data={chartData} margin={{ top: 4, right: 8 }}>
+            <XAxis
+              dataKey="name"
+              tick={{ fontSize: 11, fill: "#94a3b8" }}
+              axisLine={{ stroke: "#334155" }}
+            />
+            <YAxis
+              tick={{ fontSize: 11, fill: "#94a3b8" }}
+              axisLine={{ stroke: "#334155" }}
+            />
+            <RechartsTooltip
+              contentStyle={{
+                backgroundColor: "#020617",
+                border: "1px solid #1e293b",
+                borderRadius: "0.75rem",
+                fontSize: "12px",
+              }}
+            />
+            <Legend
+              wrapperStyle={{
+                fontSize: "11px",
+                color: "#cbd5f5",
+              }}
+            />
+            {rows.map((r) => (
+              <Bar
+                key={r.species.id}
+                dataKey={r.species.id}
+                name={r.species.commonName}
+                fill={r.color}
+                radius={[4, 4, 0, 0]}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <table className="mt-3 w-full text-xs">
+        <thead>
+          <tr className="text-[10px] uppercase tracking-wide text-slate-500 text-right">
+            <th className="text-left font-normal pb-1">Species</th>
+            <th className="font-normal pb-1">Records</th>
+            <th className="font-normal pb-1">Cells</th>
+            <th className="font-normal pb-1">Top class</th>
+            <th className="font-normal pb-1">Top %</th>
+            <th className="font-normal pb-1">Shared</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.species.id} className="border-t border-slate-800 text-right text-slate-300">
+              <td className="text-left py-1">
+                <span
+                  className="inline-block h-2 w-2 rounded-full mr-1.5"
+                  style={{ backgroundColor: r.color }}
+                />
+                {r.species.commonName}
+              </td>
+              {r.loaded ? (
+                <>
+                  <td>{formatCount(r.totalRecords)}</td>
+                  <td>{r.cellCount}</td>
+                  <td>{r.highCount}</td>
+                  <td>{r.highPercent.toFixed(1)}%</td>
+                  <td>{r.sharedCells}</td>
+                </>
+              ) : (
+                <td colSpan={5} className="text-slate-500">
+                  Loading…
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Score of a cell with one bar per contributing factor
+function ScoreBreakdown({ cell }) {
+  if (cell.score === undefined) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-between text-slate-300">
+        <span>Invasiveness score</span>
+        <span className="font-semibold">{cell.score.toFixed(0)} / 100</span>
+      </div>
+      <ul className="mt-1 space-y-1">
+        {cell.factors.map((f) => (
+          <li key={f.id}>
+            <div className="flex items-center justify-between text-[11px] text-slate-400">
+              <span>{f.label}</span>
+              <span className="font-mono">
+                +{f.contribution.toFixed(0)} / {(f.weight * 100).toFixed(0)}
+              </span>
+            </div>
+            <div className="h-1 rounded-full bg-slate-800 overflow-hidden">
+              <div
+                className="h-full bg-orange-400/80"
+                style={{ width: `${f.value * 100}%` }}
+              />
+            </div>
+            <div className="text-[10px] text-slate-500">{f.detail}</div>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
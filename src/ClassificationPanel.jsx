@@ -0,0 +1,276 @@
+// src/ClassificationPanel.jsx
+import React, { useState } from "react";
+import {
+  CLASS_PALETTE,
+  DEFAULT_PROFILE,
+  MAX_CLASSES,
+  MIN_CLASSES,
+  createProfile,
+  profileFor,
+  tiedBreaks,
+} from "./classification";
+import { formatCount } from "./trends";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+const buttonClass =
+  "px-2.5 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition";
+
+const METHODS = [
+  { id: "fixed", label: "Fixed thresholds" },
+  { id: "quantile", label: "Percentiles of the cells" },
+];
+
+const BOUND_FIELDS = ["count", "score", "percentile"];
+
+// Class field holding the lower bound for a method and risk model
+const boundField = (method, model) => (method === "quantile" ? "percentile" : model);
+
+const formatBound = (value, model) =>
+  model === "score" ? value.toFixed(0) : formatCount(Math.round(value * 10) / 10);
+
+// "High from 30, Medium from 10, Low below" for the profile in use.
+// breaks are the resolved lower bounds (see resolveBreaks), if any cells
+// use the profile. Percentile classes whose bound ties with the one above
+// are empty: say so.
+function ClassBreaks({ profile, breaks, model, valueLabel }) {
+  const quantile = profile.method === "quantile";
+  const bounded = profile.classes.slice(0, -1);
+  const last = profile.classes[profile.classes.length - 1];
+  const tied = quantile && breaks ? tiedBreaks(breaks) : [];
+
+  return (
+    <>
+      <p className="text-xs text-slate-400">
+        {quantile
+          ? `Classes split the cells by percentile of ${valueLabel}: `
+          : `Classes by ${valueLabel}: `}
+        {bounded.map((c, i) => (
+          <span key={i}>
+            <span style={{ color: c.color }}>{c.label}</span> from{" "}
+            <span className="font-semibold">
+              {quantile ? `P${c.percentile}` : formatBound(Number(c[model]) || 0, model)}
+            </span>
+            {quantile && breaks && ` (${formatBound(breaks[i], model)})`},{" "}
+          </span>
+        ))}
+        <span style={{ color: last.color }}>{last.label}</span> below.
+      </p>
+      {tied.length > 0 && (
+        <p className="text-[10px] text-amber-300">
+          {tied.map((i) => bounded[i].label).join(", ")}{" "}
+          {tied.length === 1 ? "is" : "are"} empty: so many cells share one value that
+          the percentile lands on the same value as the class above. Space the
+          percentiles further apart or use fixed thresholds.
+        </p>
+      )}
+    </>
+  );
+}
+
+// Explains the active classification profile of a species and edits its
+// profiles: one species-wide, plus optional ones for regions, which apply
+// to the cells inside them. Keyed by species in App.
+const ClassificationPanel = ({
+  species,
+  profiles,
+  regions,
+  activeProfile,
+  breaks,
+  model,
+  valueLabel,
+  onChange,
+}) => {
+  const [scopeId, setScopeId] = useState(""); // "" = species-wide, else a region id
+
+  const scopeRegion = regions.find((r) => r.id === scopeId) || null;
+  const editing = profiles.find(
+    (p) => p.speciesId === species.id && (p.regionId || "") === (scopeRegion?.id || "")
+  );
+  // Without a profile of its own, the scope inherits one
+  const inherited = profileFor(profiles, species.id, scopeRegion?.id);
+  const field = editing && boundField(editing.method, model);
+  const bounds = editing ? editing.classes.slice(0, -1).map((c) => Number(c[field])) : [];
+  const ordered = bounds.every((b, i) => i === 0 || b < bounds[i - 1]);
+
+  const customize = () => {
+    const name = scopeRegion ? `${species.commonName} in ${scopeRegion.name}` : species.commonName;
+    onChange([
+      ...profiles,
+      createProfile(species.id, { regionId: scopeRegion?.id ?? null, name, base: inherited }),
+    ]);
+  };
+
+  const update = (changes) =>
+    onChange(
+      profiles.map((p) => (p.id === editing.id ? { ...p, ...changes, updatedAt: Date.now() } : p))
+    );
+
+  const updateClass = (index, changes) =>
+    update({ classes: editing.classes.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+
+  // A new class just above the lowest one, halfway to its neighbour's bounds
+  const addClass = () => {
+    const { classes } = editing;
+    const above = classes[classes.length - 2] || {};
+    const used = classes.map((c) => c.color);
+    const added = {
+      label: `Class ${classes.length + 1}`,
+      color: CLASS_PALETTE.find((c) => !used.includes(c)) || CLASS_PALETTE[0],
+      ...Object.fromEntries(
+        BOUND_FIELDS.map((f) => [f, Math.round((Number(above[f]) || 0) / 2)])
+      ),
+    };
+    update({ classes: [...classes.slice(0, -1), added, classes[classes.length - 1]] });
+  };
+
+  return (
+    <div className="flex flex-col gap-2 mb-3">
+      <ClassBreaks
+        profile={activeProfile}
+        breaks={breaks}
+        model={model}
+        valueLabel={valueLabel}
+      />
+      <div className="text-[10px] text-slate-500">Profile: {activeProfile.name}</div>
+
+      <details className="text-xs">
+        <summary className="cursor-pointer select-none text-slate-300">
+          Edit classification profiles
+        </summary>
+
+        <div className="mt-2 flex flex-col gap-2">
+          <label className="flex items-center gap-2 text-slate-400">
+            Applies to
+            <select
+              value={scopeId}
+              onChange={(e) => setScopeId(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All of {species.commonName}</option>
+              {regions.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {species.commonName} in {r.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {!editing ? (
+            <div className="flex items-center justify-between gap-2 text-slate-400">
+              <span>
+                Uses{" "}
+                {inherited === DEFAULT_PROFILE ? "the default classes" : `“${inherited.name}”`}.
+              </span>
+              <button onClick={customize} className={buttonClass}>
+                Customize
+              </button>
+            </div>
+          ) : (
+            <>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => update({ name: e.target.value })}
+                aria-label="Profile name"
+                className={inputClass}
+              />
+              <div className="flex flex-wrap gap-2">
+                {METHODS.map((m) => (
+                  <label key={m.id} className="flex items-center gap-1 text-slate-300">
+                    <input
+                      type="radio"
+                      checked={editing.method === m.id}
+                      onChange={() => update({ method: m.id })}
+                    />
+                    {m.label}
+                  </label>
+                ))}
+              </div>
+
+              <ul className="flex flex-col gap-1">
+                {editing.classes.map((c, i) => {
+                  const isLast = i === editing.classes.length - 1;
+                  return (
+                    <li key={i} className="flex items-center gap-1.5">
+                      <input
+                        type="color"
+                        value={c.color}
+                        onChange={(e) => updateClass(i, { color: e.target.value })}
+                        aria-label={`${c.label} colour`}
+                        className="h-6 w-6 shrink-0 bg-transparent border-0 p-0"
+                      />
+                      <input
+                        type="text"
+                        value={c.label}
+                        onChange={(e) => updateClass(i, { label: e.target.value })}
+                        aria-label="Class name"
+                        className={`${inputClass} w-24`}
+                      />
+                      {isLast ? (
+                        <span className="text-slate-500">below</span>
+                      ) : (
+                        <label className="flex items-center gap-1 text-slate-500">
+                          {field === "percentile" ? "from P" : "from"}
+                          <input
+                            type="number"
+                            min={0}
+                            max={field === "count" ? undefined : 100}
+                            value={c[field] ?? ""}
+                            onChange={(e) =>
+                              updateClass(i, {
+                                [field]: e.target.value === "" ? "" : Number(e.target.value),
+                              })
+                            }
+                            className={`${inputClass} w-16`}
+                          />
+                        </label>
+                      )}
+                      <button
+                        onClick={() =>
+                          update({ classes: editing.classes.filter((_, j) => j !== i) })
+                        }
+                        disabled={editing.classes.length <= MIN_CLASSES}
+                        aria-label={`Remove ${c.label}`}
+                        className="ml-auto text-slate-500 hover:text-red-300 disabled:opacity-40 transition"
+                      >
+                        ×
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+              {!ordered && (
+                <div className="text-amber-300">
+                  Thresholds should decrease from the first class to the last;
+                  classes below an out-of-order threshold stay empty.
+                </div>
+              )}
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={addClass}
+                  disabled={editing.classes.length >= MAX_CLASSES}
+                  className={buttonClass}
+                >
+                  Add class
+                </button>
+                <button
+                  onClick={() => onChange(profiles.filter((p) => p.id !== editing.id))}
+                  className={buttonClass}
+                >
+                  {scopeRegion ? "Remove region profile" : "Reset to default"}
+                </button>
+              </div>
+              <p className="text-[10px] text-slate-500">
+                Fixed thresholds are kept separately for record counts and
+                scores. Profiles are stored in this browser.
+              </p>
+            </>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default ClassificationPanel;
@@ -0,0 +1,199 @@
+// src/CovariateCard.jsx
+import React, { useMemo, useState } from "react";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ResponsiveContainer,
+  Scatter,
+  ScatterChart,
+  Tooltip as RechartsTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { covariateCorrelation, formatCovariate, getCovariateKind } from "./covariates";
+import { formatCount } from "./trends";
+
+const LAGS = [
+  { value: 0, label: "same year" },
+  { value: 1, label: "1 year earlier" },
+  { value: 2, label: "2 years earlier" },
+];
+
+// Scatter points drawn at most; the correlation uses all of them
+const MAX_POINTS = 1500;
+
+const axisProps = {
+  tick: { fontSize: 11, fill: "#94a3b8" },
+  axisLine: { stroke: "#334155" },
+};
+
+const tooltipStyle = {
+  backgroundColor: "#020617",
+  border: "1px solid #1e293b",
+  borderRadius: "0.75rem",
+  fontSize: "12px",
+};
+
+const formatR = (r, n, unit) =>
+  r === null ? `— (${n} ${unit})` : `r = ${r.toFixed(2)} (${n} ${unit})`;
+
+// Record growth against the selected temperature dataset, per cell and year
+// and for the yearly totals (see covariateCorrelation)
+const CovariateCard = ({ dataset, cells, yearRange, periodLabel }) => {
+  const [lag, setLag] = useState(0);
+  const kind = getCovariateKind(dataset.kind);
+
+  const result = useMemo(
+    () => covariateCorrelation(cells, dataset, yearRange, { lag }),
+    [cells, dataset, yearRange, lag]
+  );
+  const scatter = useMemo(() => {
+    const step = Math.ceil(result.points.length / MAX_POINTS);
+    return result.points.filter((_, i) => i % step === 0);
+  }, [result]);
+  const covered = result.yearly.some((y) => y.value !== null);
+
+  return (
+    <div className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4">
+      <h2 className="text-sm font-semibold mb-1.5">
+        {kind.shortLabel} vs. record growth
+      </h2>
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs mb-2">
+        <span className="text-slate-400 truncate">{dataset.name}</span>
+        <label className="flex items-center gap-1 text-slate-400">
+          {kind.shortLabel} from
+          <select
+            value={lag}
+            onChange={(e) => setLag(Number(e.target.value))}
+            className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+          >
+            {LAGS.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!covered ? (
+        <p className="text-xs text-slate-500">
+          {dataset.name} has no data for the grid cells in {periodLabel}
+          {lag > 0 && ` (${lag} year${lag === 1 ? "" : "s"} earlier)`}.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-3 text-xs mb-2">
+            <div className="bg-slate-950/60 border border-slate-800 rounded-xl px-3 py-2">
+              <div className="text-[10px] uppercase tracking-wide text-slate-500">
+                Cells, year on year
+              </div>
+              <div className="text-slate-100 font-semibold">
+                {formatR(result.r, result.points.length, "cell-years")}
+              </div>
+            </div>
+            <div className="bg-slate-950/60 border border-slate-800 rounded-xl px-3 py-2">
+              <div className="text-[10px] uppercase tracking-wide text-slate-500">
+                Yearly totals
+              </div>
+              <div className="text-slate-100 font-semibold">
+                {formatR(result.yearlyR, result.yearlyCount, "years")}
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-slate-400 mb-2">
+            Bars: change in records from the previous year. Line: mean{" "}
+            {kind.shortLabel} over the grid cells. Records also rise with
+            sampling effort, so read correlations as a lead, not a cause.
+          </p>
+
+          <div className="h-40">
+            <ResponsiveContainer>
+              <ComposedChart data={result.yearly} margin={{ top: 4, right: 8 }}>
+                <XAxis dataKey="year" {...axisProps} />
+                <YAxis yAxisId="records" {...axisProps} />
+                <YAxis
+                  yAxisId="covariate"
+                  orientation="right"
+                  {...axisProps}
+                  tickFormatter={(v) => v.toFixed(1)}
+                />
+                <RechartsTooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value, name) =>
+                    name === kind.shortLabel
+                      ? formatCovariate(value, dataset.kind)
+                      : formatCount(value)
+                  }
+                />
+                <Bar
+                  yAxisId="records"
+                  dataKey="change"
+                  name="Record change"
+                  fill="#38bdf8"
+                  radius={[6, 6, 0, 0]}
+                />
+                <Line
+                  yAxisId="covariate"
+                  dataKey="value"
+                  name={kind.shortLabel}
+                  stroke="#f97316"
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="h-44 mt-2">
+            <ResponsiveContainer>
+              <ScatterChart margin={{ top: 4, right: 8, bottom: 12 }}>
+                <CartesianGrid stroke="#1e293b" />
+                <XAxis
+                  type="number"
+                  dataKey="value"
+                  name={kind.shortLabel}
+                  domain={["auto", "auto"]}
+                  tickFormatter={(v) => v.toFixed(1)}
+                  label={{
+                    value: `${kind.shortLabel} (°C)`,
+                    position: "insideBottom",
+                    offset: -8,
+                    fontSize: 10,
+                    fill: "#64748b",
+                  }}
+                  {...axisProps}
+                />
+                <YAxis type="number" dataKey="change" name="Record change" {...axisProps} />
+                <RechartsTooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value, name) =>
+                    name === kind.shortLabel
+                      ? formatCovariate(value, dataset.kind)
+                      : formatCount(value)
+                  }
+                />
+                <Scatter
+                  data={scatter}
+                  fill="#f472b6"
+                  fillOpacity={0.6}
+                  isAnimationActive={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+          {scatter.length < result.points.length && (
+            <div className="text-[10px] text-slate-500">
+              Showing {scatter.length} of {result.points.length} cell-years.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CovariateCard;
@@ -0,0 +1,137 @@
+// src/CovariatePanel.jsx
+import React, { useState } from "react";
+import {
+  COVARIATE_ACCEPT,
+  COVARIATE_KINDS,
+  createCovariateDataset,
+  getCovariateKind,
+} from "./covariates";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+
+const yearSpan = (years) =>
+  years.length === 1 ? String(years[0]) : `${years[0]}–${years[years.length - 1]}`;
+
+const CovariatePanel = ({
+  datasets,
+  activeId,
+  onActiveChange,
+  onImport,
+  onDelete,
+  showOnMap,
+  onShowOnMapChange,
+}) => {
+  const [kindId, setKindId] = useState(COVARIATE_KINDS[0].id);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (files.length === 0) return;
+    setBusy(true);
+    try {
+      const read = await Promise.all(
+        files.map(async (f) => ({ name: f.name, buffer: await f.arrayBuffer() }))
+      );
+      await onImport(await createCovariateDataset(kindId, read));
+      setError(null);
+    } catch (err) {
+      setError(`Could not import ${files[0].name}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Ocean temperature</span>
+        <span className="text-slate-400 truncate">{datasets.length} datasets</span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Outbreaks and range extensions follow ocean warming. Load gridded sea
+          surface temperature or anomaly data to show it on the map for the
+          selected year and to compare it with record growth in the analytics
+          panel. Datasets are stored in this browser only.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={kindId}
+            onChange={(e) => setKindId(e.target.value)}
+            aria-label="Dataset type"
+            className={inputClass}
+          >
+            {COVARIATE_KINDS.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+          <label className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 cursor-pointer transition">
+            {busy ? "Importing…" : "Add NetCDF / GeoTIFF…"}
+            <input
+              type="file"
+              accept={COVARIATE_ACCEPT}
+              multiple
+              onChange={handleFiles}
+              disabled={busy}
+              className="hidden"
+            />
+          </label>
+        </div>
+        <div className="text-[10px] text-slate-500">
+          NetCDF classic files with latitude, longitude and time, or one
+          single-band GeoTIFF per year named with the year (e.g.
+          sst_anomaly_2015.tif) in EPSG:4326. Values are averaged per year;
+          crop large files to your study area first.
+        </div>
+        {error && <div className="text-red-400">{error}</div>}
+
+        {datasets.length > 0 && (
+          <>
+            <ul className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+              {datasets.map((d) => (
+                <li key={d.id} className="flex items-center gap-2 px-2 py-1.5">
+                  <input
+                    type="radio"
+                    checked={d.id === activeId}
+                    onChange={() => onActiveChange(d.id)}
+                    aria-label={`Use ${d.name}`}
+                  />
+                  <span className="flex-1 truncate">
+                    <span className="text-slate-200">{d.name}</span>{" "}
+                    <span className="text-slate-500">
+                      · {getCovariateKind(d.kind).shortLabel} · {yearSpan(d.years)} ·{" "}
+                      {d.grid.cellSize.toFixed(2)}°
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => onDelete(d.id)}
+                    className="text-slate-500 hover:text-red-300 transition"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <label className="flex items-center gap-2 text-slate-300">
+              <input
+                type="checkbox"
+                checked={showOnMap}
+                onChange={(e) => onShowOnMapChange(e.target.checked)}
+              />
+              Show the selected dataset on the map
+            </label>
+          </>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default CovariatePanel;
@@ -0,0 +1,202 @@
+// src/DownloadPanel.jsx
+import React, { useEffect, useRef, useState } from "react";
+import {
+  GBIF_DOWNLOAD_URL,
+  fetchOccurrenceDownload,
+  requestOccurrenceDownload,
+} from "./sources/gbif";
+import { HttpError, isAbortError } from "./sources/http";
+import {
+  createDownload,
+  loadDownloadEndpoint,
+  saveDownloadEndpoint,
+  waitForDownload,
+} from "./downloads";
+import { parseDownload } from "./pipeline";
+import { speciesTaxon } from "./species";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+const buttonClass =
+  "px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition";
+
+function describeError(e) {
+  if (e instanceof HttpError && (e.status === 401 || e.status === 403)) {
+    return "GBIF needs an account to request downloads. Point the endpoint at a proxy that adds your credentials, or paste the key of a download made on gbif.org.";
+  }
+  return e.message;
+}
+
+const DownloadPanel = ({ species, download, onImport, onRemove }) => {
+  const [endpoint, setEndpoint] = useState(() => loadDownloadEndpoint(GBIF_DOWNLOAD_URL));
+  const [downloadKey, setDownloadKey] = useState("");
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+
+  useEffect(() => () => controller.current?.abort(), []);
+
+  const busy = status !== null;
+  const apiEndpoint = endpoint.trim().replace(/\/+$/, "");
+
+  // Runs one import; the species is fixed when it starts
+  const run = async (task) => {
+    const abort = new AbortController();
+    controller.current = abort;
+    setError(null);
+    try {
+      const { fileName, buffer, ...details } = await task(abort.signal);
+      setStatus("Parsing…");
+      const { format, records } = await parseDownload(buffer);
+      if (records.length === 0) throw new Error("No georeferenced records in this file");
+      await onImport(createDownload(species.id, { fileName, format, records, ...details }));
+    } catch (e) {
+      if (!isAbortError(e)) setError(describeError(e));
+    } finally {
+      setStatus(null);
+      controller.current = null;
+    }
+  };
+
+  const fromKey = async (key, signal) => {
+    const result = await waitForDownload(key, {
+      endpoint: apiEndpoint,
+      signal,
+      onStatus: (s) => setStatus(`GBIF download ${key}: ${String(s.status).toLowerCase()}…`),
+    });
+    setStatus("Downloading…");
+    const buffer = await fetchOccurrenceDownload(key, { endpoint: apiEndpoint, signal });
+    return { fileName: `${key}.zip`, buffer, downloadKey: key, doi: result.doi ?? null };
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    run(async () => {
+      setStatus(`Reading ${file.name}…`);
+      return { fileName: file.name, buffer: await file.arrayBuffer() };
+    });
+  };
+
+  const requestDownload = () =>
+    run(async (signal) => {
+      setStatus("Requesting a download from GBIF…");
+      const key = await requestOccurrenceDownload(speciesTaxon(species), {
+        endpoint: apiEndpoint,
+        signal,
+      });
+      setDownloadKey(key);
+      return fromKey(key, signal);
+    });
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">GBIF download</span>
+        <span className="text-slate-400 truncate">
+          {download ? `${download.recordCount.toLocaleString()} records` : "API sample"}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          The GBIF API only gives a capped sample per species. Import a GBIF
+          occurrence download (Darwin Core Archive or simple CSV) to map every
+          record of {species.commonName}. Downloads are stored in this browser
+          only; filters apply to them as usual.
+        </p>
+
+        {download && (
+          <div className="flex items-start justify-between gap-2 border border-slate-800 rounded-lg px-2 py-1.5">
+            <div className="min-w-0">
+              <div className="text-slate-200 truncate">{download.fileName}</div>
+              <div className="text-[10px] text-slate-500">
+                {download.format} · {download.recordCount.toLocaleString()} records ·
+                imported {new Date(download.importedAt).toLocaleDateString()}
+                {download.doi && (
+                  <>
+                    {" · "}
+                    <a
+                      href={`https://doi.org/${download.doi}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="text-sky-300 hover:text-sky-200"
+                    >
+                      cite {download.doi}
+                    </a>
+                  </>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => onRemove(download.speciesId)}
+              className="text-slate-500 hover:text-red-300 transition"
+            >
+              Remove
+            </button>
+          </div>
+        )}
+
+        <label className={`${buttonClass} self-start cursor-pointer`}>
+          {download ? "Replace with a file…" : "Import .zip / .csv…"}
+          <input
+            type="file"
+            accept=".zip,.csv,.txt"
+            onChange={handleFile}
+            disabled={busy}
+            className="hidden"
+          />
+        </label>
+
+        <div className="flex flex-col gap-1.5 pt-2 border-t border-slate-800">
+          <label className="flex flex-col gap-1 text-slate-400">
+            Download API endpoint
+            <input
+              type="url"
+              value={endpoint}
+              onChange={(e) => setEndpoint(e.target.value)}
+              onBlur={() => saveDownloadEndpoint(apiEndpoint)}
+              className={inputClass}
+            />
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={requestDownload} disabled={busy} className={buttonClass}>
+              Request download
+            </button>
+            <span className="text-slate-500">or</span>
+            <input
+              type="text"
+              placeholder="Download key"
+              value={downloadKey}
+              onChange={(e) => setDownloadKey(e.target.value)}
+              className={`${inputClass} w-36 font-mono`}
+            />
+            <button
+              onClick={() => run((signal) => fromKey(downloadKey.trim(), signal))}
+              disabled={busy || downloadKey.trim() === ""}
+              className={buttonClass}
+            >
+              Fetch
+            </button>
+          </div>
+        </div>
+
+        {busy && (
+          <div className="flex items-center justify-between gap-2 text-slate-400">
+            <span>{status}</span>
+            <button
+              onClick={() => controller.current?.abort()}
+              className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        {error && <div className="text-red-400">{error}</div>}
+      </div>
+    </details>
+  );
+};
+
+export default DownloadPanel;
@@ -0,0 +1,102 @@
+// src/ExportMenu.jsx
+import React from "react";
+import {
+  cellsToCsv,
+  cellsToGeoJSON,
+  downloadFile,
+  occurrencesToCsv,
+  occurrencesToGeoJSON,
+  toKml,
+} from "./export";
+
+const GEOJSON_MIME = "application/geo+json";
+const CSV_MIME = "text/csv;charset=utf-8";
+const KML_MIME = "application/vnd.google-earth.kml+xml";
+
+// Exports exactly what is on screen: the selected species, with the active
+// sources and filters already applied by the caller.
+const ExportMenu = ({ occurrences, cells, species, periodLabel }) => {
+  const baseName = `${species.id}_${periodLabel.replace(/[^0-9A-Za-z]+/g, "-")}`;
+  const title = `${species.commonName} (${species.scientificName}), ${periodLabel}`;
+
+  const exports = [
+    {
+      id: "points-geojson",
+      label: "Occurrences · GeoJSON",
+      run: () =>
+        downloadFile(
+          `${baseName}_occurrences.geojson`,
+          JSON.stringify(occurrencesToGeoJSON(occurrences, species)),
+          GEOJSON_MIME
+        ),
+    },
+    {
+      id: "cells-geojson",
+      label: "Risk cells · GeoJSON",
+      run: () =>
+        downloadFile(
+          `${baseName}_cells.geojson`,
+          JSON.stringify(cellsToGeoJSON(cells, species)),
+          GEOJSON_MIME
+        ),
+    },
+    {
+      id: "points-csv",
+      label: "Occurrences · CSV",
+      run: () =>
+        downloadFile(
+          `${baseName}_occurrences.csv`,
+          occurrencesToCsv(occurrences, species),
+          CSV_MIME
+        ),
+    },
+    {
+      id: "cells-csv",
+      label: "Risk cells · CSV",
+      run: () => downloadFile(`${baseName}_cells.csv`, cellsToCsv(cells), CSV_MIME),
+    },
+    {
+      id: "kml",
+      label: "Occurrences + cells · KML",
+      run: () =>
+        downloadFile(
+          `${baseName}.kml`,
+          toKml(occurrences, cells, species, title),
+          KML_MIME
+        ),
+    },
+  ];
+
+  const disabled = occurrences.length === 0;
+
+  return (
+    <details className="relative">
+      <summary
+        className={`list-none cursor-pointer px-2.5 py-1 rounded-full border text-xs transition ${
+          disabled
+            ? "border-slate-800 text-slate-600 pointer-events-none"
+            : "border-slate-700 text-slate-300 hover:border-slate-500"
+        }`}
+      >
+        Export ▾
+      </summary>
+      <div className="absolute right-0 z-[1100] mt-1 w-56 bg-slate-950 border border-slate-700 rounded-xl p-1 shadow-lg shadow-slate-950/60">
+        {exports.map((e) => (
+          <button
+            key={e.id}
+            onClick={e.run}
+            className="w-full text-left px-2.5 py-1.5 rounded-lg text-xs text-slate-300 hover:bg-slate-800"
+          >
+            {e.label}
+          </button>
+        ))}
+        <div className="px-2.5 py-1 text-[10px] text-slate-500">
+          {occurrences.length.toLocaleString()} records · {cells.length} cells,
+          current filters applied
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
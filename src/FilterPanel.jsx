@@ -0,0 +1,234 @@
+// src/FilterPanel.jsx
+import React, { useState } from "react";
+import {
+  BASIS_OF_RECORD_OPTIONS,
+  DEFAULT_FILTERS,
+  describeYearRange,
+  formatBbox,
+  validateFilters,
+} from "./filters";
+
+const BBOX_FIELDS = [
+  { id: "south", label: "S" },
+  { id: "west", label: "W" },
+  { id: "north", label: "N" },
+  { id: "east", label: "E" },
+];
+
+function toNumberOrNull(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Edits a draft copy of the filters; nothing is fetched until "Apply".
+function FilterForm({ filters, onApply, drawingBbox, onToggleDrawBbox }) {
+  const [draft, setDraft] = useState(() => ({
+    ...filters,
+    bboxText: Object.fromEntries(
+      BBOX_FIELDS.map((f) => [f.id, filters.bbox ? String(filters.bbox[f.id]) : ""])
+    ),
+    uncertaintyText:
+      filters.maxCoordinateUncertainty != null
+        ? String(filters.maxCoordinateUncertainty)
+        : "",
+  }));
+  const [error, setError] = useState(null);
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const toggleBasis = (id) =>
+    update({
+      basisOfRecord: draft.basisOfRecord.includes(id)
+        ? draft.basisOfRecord.filter((b) => b !== id)
+        : [...draft.basisOfRecord, id],
+    });
+
+  const buildFilters = () => {
+    const bboxValues = BBOX_FIELDS.map((f) => toNumberOrNull(draft.bboxText[f.id]));
+    const bbox = bboxValues.every((v) => v === null)
+      ? null
+      : Object.fromEntries(BBOX_FIELDS.map((f, i) => [f.id, bboxValues[i] ?? NaN]));
+
+    return {
+      yearFrom: Number(draft.yearFrom),
+      yearTo: Number(draft.yearTo),
+      bbox,
+      basisOfRecord: draft.basisOfRecord,
+      maxCoordinateUncertainty: toNumberOrNull(draft.uncertaintyText),
+      excludeGeospatialIssues: draft.excludeGeospatialIssues,
+      excludeFlagged: draft.excludeFlagged,
+    };
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    const next = buildFilters();
+    const message = validateFilters(next);
+    setError(message);
+    if (!message) onApply(next);
+  };
+
+  return (
+    <form onSubmit={handleApply} className="mt-3 grid gap-3 md:grid-cols-2">
+      <fieldset className="flex flex-col gap-1.5">
+        <legend className="text-[10px] uppercase tracking-wide text-slate-500 mb-1">
+          Years
+        </legend>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            value={draft.yearFrom}
+            onChange={(e) => update({ yearFrom: e.target.value })}
+            className="w-20 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1"
+          />
+          <span className="text-slate-500">to</span>
+          <input
+            type="number"
+            value={draft.yearTo}
+            onChange={(e) => update({ yearTo: e.target.value })}
+            className="w-20 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1"
+          />
+        </div>
+      </fieldset>
+
+      <fieldset className="flex flex-col gap-1.5">
+        <legend className="text-[10px] uppercase tracking-wide text-slate-500 mb-1">
+          Bounding box (degrees)
+        </legend>
+        <div className="flex flex-wrap items-center gap-1.5">
+          {BBOX_FIELDS.map((f) => (
+            <label key={f.id} className="flex items-center gap-1 text-slate-400">
+              {f.label}
+              <input
+                type="number"
+                step="any"
+                value={draft.bboxText[f.id]}
+                onChange={(e) =>
+                  update({ bboxText: { ...draft.bboxText, [f.id]: e.target.value } })
+                }
+                className="w-16 bg-slate-950 border border-slate-700 rounded-lg px-1.5 py-1 text-slate-100"
+              />
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onToggleDrawBbox}
+            className={`px-2 py-0.5 rounded-full border transition ${
+              drawingBbox
+                ? "bg-sky-500/15 text-sky-200 border-sky-500/40"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+          >
+            {drawingBbox ? "Drag on the map…" : "Draw on map"}
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              update({
+                bboxText: Object.fromEntries(BBOX_FIELDS.map((f) => [f.id, ""])),
+              })
+            }
+            className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+          >
+            Clear box
+          </button>
+        </div>
+      </fieldset>
+
+      <fieldset className="flex flex-col gap-1">
+        <legend className="text-[10px] uppercase tracking-wide text-slate-500 mb-1">
+          Basis of record
+        </legend>
+        {BASIS_OF_RECORD_OPTIONS.map((option) => (
+          <label key={option.id} className="flex items-center gap-2 text-slate-300">
+            <input
+              type="checkbox"
+              checked={draft.basisOfRecord.includes(option.id)}
+              onChange={() => toggleBasis(option.id)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="flex flex-col gap-1.5">
+        <legend className="text-[10px] uppercase tracking-wide text-slate-500 mb-1">
+          Data quality
+        </legend>
+        <label className="flex items-center gap-2 text-slate-300">
+          Max coordinate uncertainty
+          <input
+            type="number"
+            min="1"
+            placeholder="any"
+            value={draft.uncertaintyText}
+            onChange={(e) => update({ uncertaintyText: e.target.value })}
+            className="w-20 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1"
+          />
+          m
+        </label>
+        <label className="flex items-center gap-2 text-slate-300">
+          <input
+            type="checkbox"
+            checked={draft.excludeGeospatialIssues}
+            onChange={(e) => update({ excludeGeospatialIssues: e.target.checked })}
+          />
+          Drop records with geospatial issue flags
+        </label>
+        <label className="flex items-center gap-2 text-slate-300">
+          <input
+            type="checkbox"
+            checked={draft.excludeFlagged}
+            onChange={(e) => update({ excludeFlagged: e.target.checked })}
+          />
+          Drop records failing the quality checks
+        </label>
+      </fieldset>
+
+      <div className="md:col-span-2 flex items-center gap-2">
+        <button
+          type="submit"
+          className="px-3 py-1 rounded-full bg-slate-100 text-slate-900 font-medium"
+        >
+          Apply
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setError(null);
+            onApply(DEFAULT_FILTERS);
+          }}
+          className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+        >
+          Reset
+        </button>
+        {error && <span className="text-red-400">{error}</span>}
+      </div>
+    </form>
+  );
+}
+
+const FilterPanel = (props) => {
+  const { filters } = props;
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Filters</span>
+        <span className="text-slate-400 truncate">
+          {describeYearRange(filters)} · {formatBbox(filters.bbox)} ·{" "}
+          {filters.basisOfRecord.length} record types
+        </span>
+      </summary>
+
+      {/* Remount the form when the applied filters change from elsewhere,
+          e.g. a box drawn on the map */}
+      <FilterForm key={JSON.stringify(filters)} {...props} />
+    </details>
+  );
+};
+
+export default FilterPanel;
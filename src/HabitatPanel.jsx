@@ -0,0 +1,159 @@
+// src/HabitatPanel.jsx
+import React, { useState } from "react";
+import { HABITAT_KINDS, createHabitatLayer, getHabitatKind } from "./habitat";
+import { LOW_HABITAT_FRACTION } from "./aggregate";
+
+function HabitatUpload({ kind, onImport }) {
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      await onImport(createHabitatLayer(kind.id, file.name, await file.text()));
+      setError(null);
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex items-center gap-2">
+        <span className="w-28 text-slate-200">{kind.label}</span>
+        <label className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 cursor-pointer transition">
+          {busy ? "Importing…" : `Add ${kind.accept.split(",").join(" / ")}…`}
+          <input
+            type="file"
+            accept={kind.accept}
+            onChange={handleFile}
+            disabled={busy}
+            className="hidden"
+          />
+        </label>
+      </div>
+      <div className="text-[10px] text-slate-500">{kind.hint}</div>
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+const HabitatPanel = ({
+  layers,
+  onImport,
+  onUpdate,
+  onDelete,
+  maskNonHabitat,
+  onMaskNonHabitatChange,
+  maxDepth,
+  onMaxDepthChange,
+  noHabitatCellCount,
+  lowHabitatCellCount,
+}) => {
+  const habitatLayerCount = layers.filter((l) => l.useAsHabitat).length;
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Habitat</span>
+        <span className="text-slate-400 truncate">
+          {layers.length} layers
+          {habitatLayerCount > 0 &&
+            noHabitatCellCount > 0 &&
+            ` · ${noHabitatCellCount} cells without mapped habitat`}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Urchin risk only matters on reef. Load local habitat layers to see
+          them on the map and to estimate the share of each cell that is
+          suitable habitat. Layers are stored in this browser only.
+        </p>
+
+        {HABITAT_KINDS.map((kind) => (
+          <HabitatUpload key={kind.id} kind={kind} onImport={onImport} />
+        ))}
+
+        {layers.length > 0 && (
+          <ul className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {layers.map((l) => (
+              <li key={l.id} className="flex items-center gap-2 px-2 py-1.5">
+                <span
+                  className="w-2 h-2 rounded-full shrink-0"
+                  style={{ backgroundColor: getHabitatKind(l.kind).color }}
+                />
+                <span className="flex-1 truncate">
+                  <span className="text-slate-200">{l.name}</span>{" "}
+                  <span className="text-slate-500">· {getHabitatKind(l.kind).label}</span>
+                </span>
+                <label className="flex items-center gap-1 text-slate-400">
+                  <input
+                    type="checkbox"
+                    checked={l.visible}
+                    onChange={(e) => onUpdate({ ...l, visible: e.target.checked })}
+                  />
+                  Show
+                </label>
+                <label className="flex items-center gap-1 text-slate-400">
+                  <input
+                    type="checkbox"
+                    checked={l.useAsHabitat}
+                    onChange={(e) => onUpdate({ ...l, useAsHabitat: e.target.checked })}
+                  />
+                  Habitat
+                </label>
+                <button
+                  onClick={() => onDelete(l.id)}
+                  className="text-slate-500 hover:text-red-300 transition"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 text-slate-400">
+          <label className="flex items-center gap-1">
+            Reef down to
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={maxDepth}
+              onChange={(e) => onMaxDepthChange(Math.max(1, Number(e.target.value) || 1))}
+              className="w-16 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+            />
+            m
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={maskNonHabitat}
+              disabled={habitatLayerCount === 0}
+              onChange={(e) => onMaskNonHabitatChange(e.target.checked)}
+            />
+            Classify by habitat area
+          </label>
+        </div>
+        {maskNonHabitat && habitatLayerCount > 0 && (
+          <div className="text-[10px] text-slate-500">
+            Cells are classified by records per habitable area. Every cell with
+            records is kept, since the records show habitat the layers may have
+            missed. Cells less than {LOW_HABITAT_FRACTION * 100}% habitat are
+            classified by records per cell area instead
+            {lowHabitatCellCount > 0 && ` (${lowHabitatCellCount} cells here)`}.
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default HabitatPanel;
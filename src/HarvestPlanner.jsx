@@ -0,0 +1,321 @@
+// src/HarvestPlanner.jsx
+import React, { useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, Tooltip as RechartsTooltip } from "recharts";
+import { createHarvestEntry, summarizeHarvests } from "./harvest";
+import { formatCount } from "./trends";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Remounted (via key) whenever the origin changes, e.g. when picked on the map
+function LaunchSiteForm({ origin, onSet, picking, onTogglePick }) {
+  const [lat, setLat] = useState(origin ? String(origin.lat) : "");
+  const [lng, setLng] = useState(origin ? String(origin.lng) : "");
+  const [name, setName] = useState(origin?.name ?? "");
+
+  const valid =
+    lat !== "" &&
+    lng !== "" &&
+    Math.abs(Number(lat)) <= 90 &&
+    Math.abs(Number(lng)) <= 180;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (valid) onSet({ lat: Number(lat), lng: Number(lng), name: name.trim() });
+      }}
+      className="flex flex-wrap items-center gap-2"
+    >
+      <input
+        type="text"
+        placeholder="Port or launch"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className={`${inputClass} w-32`}
+      />
+      <input
+        type="number"
+        step="any"
+        placeholder="Lat"
+        value={lat}
+        onChange={(e) => setLat(e.target.value)}
+        className={`${inputClass} w-20`}
+      />
+      <input
+        type="number"
+        step="any"
+        placeholder="Lng"
+        value={lng}
+        onChange={(e) => setLng(e.target.value)}
+        className={`${inputClass} w-20`}
+      />
+      <button
+        type="submit"
+        disabled={!valid}
+        className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition"
+      >
+        Set
+      </button>
+      <button
+        type="button"
+        onClick={onTogglePick}
+        className={`px-3 py-1 rounded-full border transition ${
+          picking
+            ? "bg-amber-500/15 text-amber-200 border-amber-500/40"
+            : "border-slate-700 text-slate-300 hover:border-slate-500"
+        }`}
+      >
+        {picking ? "Click the map…" : "Pick on map"}
+      </button>
+    </form>
+  );
+}
+
+function HarvestLogForm({ sites, speciesId, onLog }) {
+  const [date, setDate] = useState(today);
+  const [kg, setKg] = useState("");
+  const [siteIndex, setSiteIndex] = useState("");
+
+  const valid = date !== "" && Number(kg) > 0;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!valid) return;
+        onLog(
+          createHarvestEntry({
+            date,
+            kg: Number(kg),
+            speciesId,
+            site: siteIndex === "" ? null : sites[Number(siteIndex)],
+          })
+        );
+        setKg("");
+      }}
+      className="flex flex-wrap items-center gap-2"
+    >
+      <input
+        type="date"
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        className={inputClass}
+      />
+      <input
+        type="number"
+        min="0"
+        step="any"
+        placeholder="kg"
+        value={kg}
+        onChange={(e) => setKg(e.target.value)}
+        className={`${inputClass} w-20`}
+      />
+      <select
+        value={siteIndex}
+        onChange={(e) => setSiteIndex(e.target.value)}
+        className={inputClass}
+      >
+        <option value="">No planned site</option>
+        {sites.map((s, i) => (
+          <option key={s.cell.id} value={i}>
+            Site {i + 1}
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={!valid}
+        className="px-3 py-1 rounded-full bg-slate-100 text-slate-900 font-medium disabled:opacity-40"
+      >
+        Log harvest
+      </button>
+    </form>
+  );
+}
+
+const HarvestPlanner = ({
+  plan,
+  onPlanChange,
+  result,
+  picking,
+  onTogglePick,
+  onSiteSelect,
+  log,
+  onLog,
+  onDeleteLog,
+  species,
+}) => {
+  const speciesLog = log.filter((e) => e.speciesId === species.id);
+  const summary = summarizeHarvests(speciesLog);
+  const { origin } = plan;
+
+  return (
+    <div className="flex flex-col gap-3 text-xs">
+      <div>
+        <h3 className="text-xs font-semibold text-slate-200 mb-1">Harvest planner</h3>
+        <p className="text-slate-400 mb-2">
+          Rank nearby cells of the highest risk class by invasiveness score
+          and distance, then dive them in route order.
+        </p>
+        <LaunchSiteForm
+          key={origin ? `${origin.lat},${origin.lng},${origin.name}` : "none"}
+          origin={origin}
+          onSet={(next) => onPlanChange({ ...plan, origin: next })}
+          picking={picking}
+          onTogglePick={onTogglePick}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-slate-400">
+        <label className="flex items-center gap-1">
+          Within
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={plan.maxDistanceKm}
+            onChange={(e) =>
+              onPlanChange({ ...plan, maxDistanceKm: Math.max(1, Number(e.target.value) || 1) })
+            }
+            className={`${inputClass} w-16`}
+          />
+          km
+        </label>
+        <label className="flex items-center gap-1">
+          Up to
+          <input
+            type="number"
+            min="1"
+            max="25"
+            step="1"
+            value={plan.siteCount}
+            onChange={(e) =>
+              onPlanChange({
+                ...plan,
+                siteCount: Math.min(25, Math.max(1, Number(e.target.value) || 1)),
+              })
+            }
+            className={`${inputClass} w-14`}
+          />
+          sites
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={plan.includeMedium}
+            onChange={(e) => onPlanChange({ ...plan, includeMedium: e.target.checked })}
+          />
+          Include the next risk class
+        </label>
+      </div>
+
+      {origin && result.sites.length === 0 && (
+        <p className="text-slate-500">
+          No cells in the {plan.includeMedium ? "top two risk classes" : "top risk class"} within{" "}
+          {plan.maxDistanceKm} km of {origin.name || "the launch site"}.
+        </p>
+      )}
+
+      {result.sites.length > 0 && (
+        <div>
+          <ol className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {result.sites.map((s, i) => (
+              <li key={s.cell.id}>
+                <button
+                  onClick={() => onSiteSelect(s.cell)}
+                  className="w-full flex items-center gap-2 px-2 py-1.5 text-left hover:bg-slate-800/50 transition"
+                >
+                  <span className="w-5 h-5 rounded-full bg-amber-400 text-slate-950 font-semibold flex items-center justify-center shrink-0">
+                    {i + 1}
+                  </span>
+                  <span className="flex-1 font-mono text-[11px] text-slate-300">
+                    {s.cell.lat.toFixed(2)}, {s.cell.lng.toFixed(2)}
+                  </span>
+                  <span className="text-slate-400">
+                    {s.cell.risk} · score {Math.round(s.cell.score ?? 0)}
+                  </span>
+                  <span className="w-20 text-right text-slate-300">
+                    {s.distanceKm.toFixed(0)} km
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ol>
+          <div className="mt-1 text-[10px] text-slate-500">
+            {result.candidateCount} candidate cells · round trip{" "}
+            {result.routeKm.toFixed(0)} km in straight lines
+          </div>
+        </div>
+      )}
+
+      <div className="pt-2 border-t border-slate-800 flex flex-col gap-2">
+        <div className="flex items-baseline justify-between">
+          <h3 className="text-xs font-semibold text-slate-200">Harvest log</h3>
+          <span className="text-slate-400">
+            {formatCount(summary.totalKg)} kg of {species.commonName} in{" "}
+            {summary.tripCount} {summary.tripCount === 1 ? "harvest" : "harvests"}
+          </span>
+        </div>
+
+        <HarvestLogForm
+          sites={result.sites}
+          speciesId={species.id}
+          onLog={onLog}
+        />
+
+        {summary.byMonth.length > 0 && (
+          <div className="h-24">
+            <ResponsiveContainer>
+              <BarChart data={summary.byMonth} margin={{ top: 4, right: 4, left: 4 }}>
+                <XAxis
+                  dataKey="month"
+                  tick={{ fontSize: 10, fill: "#94a3b8" }}
+                  axisLine={{ stroke: "#334155" }}
+                />
+                <RechartsTooltip
+                  formatter={(value) => [`${formatCount(value)} kg`, "Removed"]}
+                  contentStyle={{
+                    backgroundColor: "#020617",
+                    border: "1px solid #1e293b",
+                    borderRadius: "0.75rem",
+                    fontSize: "12px",
+                  }}
+                />
+                <Bar dataKey="kg" fill="#34d399" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {speciesLog.length > 0 && (
+          <ul className="max-h-32 overflow-y-auto divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {[...speciesLog]
+              .sort((a, b) => b.date.localeCompare(a.date))
+              .map((e) => (
+                <li key={e.id} className="flex items-center gap-2 px-2 py-1">
+                  <span className="text-slate-300">{e.date}</span>
+                  <span className="flex-1 text-slate-200">{formatCount(e.kg)} kg</span>
+                  {e.lat !== null && (
+                    <span className="font-mono text-[11px] text-slate-500">
+                      {e.lat.toFixed(2)}, {e.lng.toFixed(2)}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => onDeleteLog(e.id)}
+                    className="text-slate-500 hover:text-red-300 transition"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HarvestPlanner;
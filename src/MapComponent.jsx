@@ -1,50 +1,449 @@
 // src/MapComponent.jsx
-import React from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
   MapContainer,
   TileLayer,
   CircleMarker,
+  Polygon,
+  Polyline,
+  Rectangle,
   Tooltip,
+  useMap,
+  useMapEvents,
 } from "react-leaflet";
+import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { countAtYear, formatCount, yearsInRange } from "./trends";
+import {
+  ClusterLayer,
+  CompareLayer,
+  CovariateLayer,
+  HabitatLayers,
+  HarvestRouteLayer,
+  HeatmapLayer,
+  MapLegend,
+} from "./MapLayers";
+import { DEFAULT_VIEW, roundView } from "./urlState";
+import { regionPositions } from "./regions";
+import { geometryPolygons } from "./geo";
+import { NATIVE_RANGE_COLOR } from "./nativeRange";
+import { covariateYearFor } from "./covariates";
+import { TILE_SUBDOMAINS, TILE_URL } from "./offline";
+
+const TIMELINE_STEP_MS = 900;
+
+const clampLng = (lng) => Math.max(-180, Math.min(180, lng));
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+const RENDER_MODES = [
+  { id: "cells", label: "Cells" },
+  { id: "heat", label: "Heatmap" },
+  { id: "clusters", label: "Records" },
+];
+
+// Survey markers grow with density up to this many urchins per m²
+const SURVEY_DENSITY_CAP = 20;
+
+// Year slider with play/pause; year === null means "all years"
+function TimeSlider({ yearRange, year, onYearChange, cumulative, onCumulativeChange }) {
+  const [playing, setPlaying] = useState(false);
+  const [yearFrom, yearTo] = yearRange;
+
+  // Step through the years, looping back to the start
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      onYearChange((y) => (y === null || y >= yearTo ? yearFrom : y + 1));
+    }, TIMELINE_STEP_MS);
+    return () => clearInterval(timer);
+  }, [playing, yearFrom, yearTo, onYearChange]);
+
+  const years = yearsInRange(yearRange);
+  if (years.length < 2) return null;
+
+  return (
+    <div className="absolute bottom-3 left-3 right-3 z-[1000] bg-slate-950/85 border border-slate-700 rounded-xl px-3 py-2 text-xs text-slate-300 flex items-center gap-3">
+      <button
+        onClick={() => {
+          if (!playing && year === null) onYearChange(yearFrom);
+          setPlaying(!playing);
+        }}
+        className="w-14 px-2 py-0.5 rounded-full border border-slate-600 hover:border-slate-400 transition"
+      >
+        {playing ? "Pause" : "Play"}
+      </button>
+      <input
+        type="range"
+        min={yearFrom}
+        max={yearTo}
+        step={1}
+        value={year ?? yearTo}
+        onChange={(e) => {
+          setPlaying(false);
+          onYearChange(Number(e.target.value));
+        }}
+        className="flex-1 accent-sky-400"
+      />
+      <span className="w-12 text-right font-semibold text-slate-100">
+        {year ?? "All"}
+      </span>
+      <label className="flex items-center gap-1 text-slate-400">
+        <input
+          type="checkbox"
+          checked={cumulative}
+          onChange={(e) => onCumulativeChange(e.target.checked)}
+        />
+        Cumulative
+      </label>
+      <button
+        onClick={() => {
+          setPlaying(false);
+          onYearChange(null);
+        }}
+        disabled={year === null}
+        className="px-2 py-0.5 rounded-full border border-slate-600 hover:border-slate-400 disabled:opacity-40 transition"
+      >
+        All years
+      </button>
+    </div>
+  );
+}
+
+// Reports the map view after every move and follows `view` when it is
+// changed from outside (e.g. browser back/forward)
+function ViewSync({ view, onViewChange }) {
+  const map = useMap();
+
+  useMapEvents({
+    moveend() {
+      const center = map.wrapLatLng(map.getCenter());
+      onViewChange?.(roundView(center.lat, center.lng, map.getZoom()));
+    },
+  });
+
+  useEffect(() => {
+    const center = map.wrapLatLng(map.getCenter());
+    const current = roundView(center.lat, center.lng, map.getZoom());
+    if (
+      current.lat !== view.lat ||
+      current.lng !== view.lng ||
+      current.zoom !== view.zoom
+    ) {
+      map.setView([view.lat, view.lng], view.zoom);
+    }
+  }, [map, view]);
+
+  return null;
+}
+
+// Drag out a bounding box while `active`; map panning is paused meanwhile
+function BboxDrawer({ active, onDrawn }) {
+  const map = useMap();
+  const [corners, setCorners] = useState(null);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    map.dragging.disable();
+    map.getContainer().classList.add("cursor-crosshair");
+    return () => {
+      map.dragging.enable();
+      map.getContainer().classList.remove("cursor-crosshair");
+    };
+  }, [active, map]);
+
+  useMapEvents({
+    mousedown(e) {
+      if (active) setCorners({ start: e.latlng, end: e.latlng });
+    },
+    mousemove(e) {
+      if (active && corners) setCorners({ ...corners, end: e.latlng });
+    },
+    mouseup(e) {
+      if (!active || !corners) return;
+      const bounds = L.latLngBounds(corners.start, e.latlng);
+      setCorners(null);
+      if (bounds.getNorth() === bounds.getSouth()) return; // just a click
+      onDrawn({
+        south: round3(bounds.getSouth()),
+        west: round3(clampLng(bounds.getWest())),
+        north: round3(bounds.getNorth()),
+        east: round3(clampLng(bounds.getEast())),
+      });
+    },
+  });
+
+  if (!corners) return null;
+  return (
+    <Rectangle
+      bounds={[corners.start, corners.end]}
+      pathOptions={{ color: "#38bdf8", weight: 1, dashArray: "4 4" }}
+    />
+  );
+}
+
+// Clicks within this many pixels of the first corner close the polygon
+const CLOSE_RING_PX = 10;
+
+// Click out a polygon; double-click or click the first corner to finish.
+// Mounted only while drawing, so every drawing starts from scratch.
+function RegionDrawer({ onDrawn }) {
+  const map = useMap();
+  const [vertices, setVertices] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  useEffect(() => {
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add("cursor-crosshair");
+    return () => {
+      map.doubleClickZoom.enable();
+      map.getContainer().classList.remove("cursor-crosshair");
+    };
+  }, [map]);
+
+  const pixelDistance = (a, b) =>
+    map.latLngToContainerPoint(a).distanceTo(map.latLngToContainerPoint(b));
+
+  const finish = (points) => {
+    // A double-click also lands two clicks on (nearly) the same spot
+    const distinct = points.filter(
+      (p, i) => i === 0 || pixelDistance(p, points[i - 1]) > 3
+    );
+    if (distinct.length < 3) return;
+    setVertices([]);
+    onDrawn(distinct.map(([lat, lng]) => [round3(lat), round3(clampLng(lng))]));
+  };
+
+  useMapEvents({
+    click(e) {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (vertices.length >= 3 && pixelDistance(point, vertices[0]) < CLOSE_RING_PX) {
+        finish(vertices);
+      } else {
+        setVertices([...vertices, point]);
+      }
+    },
+    dblclick() {
+      finish(vertices);
+    },
+    mousemove(e) {
+      setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  if (vertices.length === 0) return null;
+  return (
+    <>
+      <Polyline
+        positions={cursor ? [...vertices, cursor] : vertices}
+        pathOptions={{ color: "#fbbf24", weight: 2, dashArray: "4 4", interactive: false }}
+      />
+      {vertices.map((v, i) => (
+        <CircleMarker
+          key={i}
+          center={v}
+          radius={i === 0 ? 5 : 3}
+          pathOptions={{ color: "#fbbf24", fillOpacity: 1, weight: 1, interactive: false }}
+        />
+      ))}
+    </>
+  );
+}
+
+// Pick a single point with the next map click
+function PointPicker({ onPick }) {
+  const map = useMap();
+
+  useEffect(() => {
+    map.getContainer().classList.add("cursor-crosshair");
+    return () => map.getContainer().classList.remove("cursor-crosshair");
+  }, [map]);
+
+  useMapEvents({
+    click(e) {
+      onPick({ lat: round3(e.latlng.lat), lng: round3(clampLng(e.latlng.lng)) });
+    },
+  });
 
-const MapComponent = ({ gridData, selectedSpecies, onCellClick }) => {
+  return null;
+}
+
+const MapComponent = ({
+  gridData,
+  occurrences = [],
+  selectedSpecies,
+  onCellClick,
+  surveyRecords = [],
+  periodLabel = "the last 5 years",
+  bbox,
+  drawingBbox = false,
+  onBboxDrawn,
+  yearRange,
+  view = DEFAULT_VIEW,
+  onViewChange,
+  compareLayers = [],
+  coOccurrence = [],
+  habitatLayers = [],
+  habitatMaxDepth,
+  harvestPlan,
+  pickingHarvestOrigin = false,
+  onHarvestOriginPicked,
+  regions = [],
+  selectedRegionId,
+  onRegionClick,
+  drawingRegion = false,
+  onRegionDrawn,
+  nativeRange = null,
+  drawingRange = false,
+  onRangeDrawn,
+  covariate = null,
+}) => {
   const cells = gridData?.cells || [];
+  const [timelineYear, setTimelineYear] = useState(null);
+  const [cumulative, setCumulative] = useState(false);
+  // "cells": one circle per grid cell; "heat" / "clusters": individual records
+  const [renderMode, setRenderMode] = useState("cells");
+  // Species comparison replaces the render modes and the time slider
+  const comparing = compareLayers.length > 0;
+  const activeMode = comparing ? "compare" : renderMode;
+
+  // Ignore a remembered year that the current filters no longer cover
+  const shownYear =
+    yearRange && timelineYear !== null &&
+    timelineYear >= yearRange[0] && timelineYear <= yearRange[1]
+      ? timelineYear
+      : null;
+
+  // Records the time slider currently shows
+  const shownOccurrences = useMemo(
+    () =>
+      shownYear === null
+        ? occurrences
+        : occurrences.filter((o) =>
+            cumulative ? o.year <= shownYear : o.year === shownYear
+          ),
+    [occurrences, shownYear, cumulative]
+  );
 
-  const points = cells.map((cell) => ({
-    id: cell.id,
-    lat: cell.lat,
-    lng: cell.lng,
-    intensity: cell.count,
-    risk: cell.risk,
-  }));
+  const points = cells
+    .map((cell) => ({
+      id: cell.id,
+      lat: cell.lat,
+      lng: cell.lng,
+      intensity: countAtYear(cell, shownYear, cumulative),
+      risk: cell.risk,
+      riskColor: cell.riskColor,
+      expanding: cell.expanding,
+      firstYear: cell.firstYear,
+      suitableFraction: cell.suitableFraction,
+      rangeCounts: cell.rangeCounts,
+    }))
+    .filter((p) => p.intensity > 0);
+
+  const rangePositions = useMemo(
+    () =>
+      nativeRange
+        ? geometryPolygons(nativeRange).map((rings) =>
+            rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]))
+          )
+        : [],
+    [nativeRange]
+  );
+
+  // Temperature of the slider year, else of the end of the period
+  const covariateYear = covariate
+    ? covariateYearFor(covariate, shownYear ?? yearRange?.[1])
+    : null;
 
   const maxIntensity =
     points.length > 0 ? Math.max(...points.map((p) => p.intensity)) : 1;
 
   return (
-    <div className="h-full w-full">
+    <div className="relative h-full w-full">
       <MapContainer
-        center={[20, 0]}
-        zoom={2}
+        center={[view.lat, view.lng]}
+        zoom={view.zoom}
         className="h-full w-full rounded-2xl overflow-hidden border border-slate-700 bg-slate-900/70"
         minZoom={2}
       >
         <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          url={TILE_URL}
+          subdomains={TILE_SUBDOMAINS}
           attribution="&copy; OpenStreetMap contributors"
         />
 
-        {/* “Poor-man’s heatmap”: circles sized & colored by intensity */}
-        {points.map((p) => {
+        {covariate && <CovariateLayer dataset={covariate} year={covariateYear} />}
+        <HabitatLayers layers={habitatLayers} maxDepth={habitatMaxDepth} />
+
+        {bbox && (
+          <Rectangle
+            bounds={[
+              [bbox.south, bbox.west],
+              [bbox.north, bbox.east],
+            ]}
+            pathOptions={{
+              color: "#94a3b8",
+              weight: 1,
+              dashArray: "6 4",
+              fill: false,
+              interactive: false,
+            }}
+          />
+        )}
+
+        {rangePositions.length > 0 && (
+          <Polygon
+            positions={rangePositions}
+            pathOptions={{
+              color: NATIVE_RANGE_COLOR,
+              weight: 1,
+              dashArray: "4 4",
+              fillOpacity: 0.06,
+              interactive: false,
+            }}
+          />
+        )}
+
+        {regions.map((region) => {
+          const selected = region.id === selectedRegionId;
+          return (
+            <Polygon
+              key={region.id}
+              positions={regionPositions(region)}
+              pathOptions={{
+                color: "#fbbf24",
+                weight: selected ? 2.5 : 1,
+                fillOpacity: selected ? 0.08 : 0.02,
+                // Let clicks through to the map while drawing
+                interactive: !drawingRegion && !drawingBbox && !drawingRange,
+              }}
+              eventHandlers={{ click: () => onRegionClick?.(region.id) }}
+            >
+              <Tooltip sticky>{region.name}</Tooltip>
+            </Polygon>
+          );
+        })}
+
+        <BboxDrawer active={drawingBbox} onDrawn={onBboxDrawn} />
+        {drawingRegion && <RegionDrawer onDrawn={onRegionDrawn} />}
+        {drawingRange && <RegionDrawer onDrawn={onRangeDrawn} />}
+        {pickingHarvestOrigin && <PointPicker onPick={onHarvestOriginPicked} />}
+        <ViewSync view={view} onViewChange={onViewChange} />
+
+        {activeMode === "compare" && (
+          <CompareLayer
+            layers={compareLayers}
+            coOccurrence={coOccurrence}
+            onCellClick={onCellClick}
+          />
+        )}
+        {activeMode === "heat" && <HeatmapLayer occurrences={shownOccurrences} />}
+        {activeMode === "clusters" && <ClusterLayer occurrences={shownOccurrences} />}
+
+        {/* Grid cells: circles sized & colored by intensity */}
+        {activeMode === "cells" && points.map((p) => {
           const normalized = p.intensity / maxIntensity;
 
-          const color =
-            p.risk === "High"
-              ? "#f97316" // orange
-              : p.risk === "Medium"
-              ? "#22c55e" // green
-              : "#38bdf8"; // blue
+          const color = p.riskColor;
 
           const radius = 3 + normalized * 9;
           const fillOpacity = 0.25 + normalized * 0.6;
@@ -55,10 +454,12 @@ const MapComponent = ({ gridData, selectedSpecies, onCellClick }) => {
               center={[p.lat, p.lng]}
               radius={radius}
               pathOptions={{
-                color,
+                // Newly colonized cells get a dashed pink ring
+                color: p.expanding ? "#f472b6" : color,
                 fillColor: color,
                 fillOpacity,
-                weight: 0.5,
+                weight: p.expanding ? 2 : 0.5,
+                dashArray: p.expanding ? "3 3" : undefined,
               }}
               eventHandlers={{
                 click: () => {
@@ -72,22 +473,111 @@ const MapComponent = ({ gridData, selectedSpecies, onCellClick }) => {
                   <div className="font-semibold">
                     {selectedSpecies?.commonName}
                   </div>
-                  <div>Reports: {p.intensity}</div>
+                  <div>
+                    Reports{shownYear !== null &&
+                      ` (${cumulative ? "to " : ""}${shownYear})`}
+                    : {formatCount(p.intensity)}
+                  </div>
                   <div>Risk: {p.risk}</div>
+                  {p.rangeCounts.introduced > 0 && (
+                    <div>
+                      Outside native range: {formatCount(p.rangeCounts.introduced)} of{" "}
+                      {formatCount(p.rangeCounts.native + p.rangeCounts.introduced)}
+                    </div>
+                  )}
+                  {p.suitableFraction !== null && (
+                    <div>Habitat: {Math.round(p.suitableFraction * 100)}% of cell</div>
+                  )}
+                  {p.expanding && (
+                    <div className="text-pink-500">
+                      Range expansion: first record {p.firstYear}
+                    </div>
+                  )}
                 </div>
               </Tooltip>
             </CircleMarker>
           );
         })}
+
+        {/* Field survey transects, drawn on top of the grid */}
+        {surveyRecords.map((r) => (
+          <CircleMarker
+            key={r.key}
+            center={[r.lat, r.lng]}
+            radius={2 + (Math.min(r.density, SURVEY_DENSITY_CAP) / SURVEY_DENSITY_CAP) * 6}
+            pathOptions={{
+              color: "#c4b5fd",
+              fillColor: "#8b5cf6",
+              fillOpacity: r.density > 0 ? 0.8 : 0,
+              weight: 1,
+            }}
+          >
+            <Tooltip direction="top">
+              <div>
+                <div className="font-semibold">
+                  Survey{r.transectId && ` · transect ${r.transectId}`}
+                </div>
+                <div>{r.eventDate}</div>
+                <div>{formatCount(r.density)} urchins/m²</div>
+              </div>
+            </Tooltip>
+          </CircleMarker>
+        ))}
+
+        {harvestPlan && (
+          <HarvestRouteLayer
+            origin={harvestPlan.origin}
+            sites={harvestPlan.sites}
+            onSiteClick={onCellClick}
+          />
+        )}
       </MapContainer>
 
-      {points.length === 0 && (
+      <div className="absolute top-3 right-3 z-[1000] flex flex-col items-end gap-2">
+        {!comparing && (
+          <div className="flex bg-slate-950/85 border border-slate-700 rounded-full p-0.5 text-[11px]">
+            {RENDER_MODES.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => setRenderMode(m.id)}
+                className={`px-2.5 py-0.5 rounded-full transition ${
+                  renderMode === m.id
+                    ? "bg-slate-100 text-slate-900"
+                    : "text-slate-300 hover:text-slate-100"
+                }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        )}
+        <MapLegend
+          mode={activeMode}
+          compareLayers={compareLayers}
+          habitatLayers={habitatLayers}
+          riskClasses={gridData?.summary.classCounts}
+          nativeRange={rangePositions.length > 0}
+          covariate={covariate && { dataset: covariate, year: covariateYear }}
+        />
+      </div>
+
+      {yearRange && cells.length > 0 && !comparing && (
+        <TimeSlider
+          yearRange={yearRange}
+          year={shownYear}
+          onYearChange={setTimelineYear}
+          cumulative={cumulative}
+          onCumulativeChange={setCumulative}
+        />
+      )}
+
+      {cells.length === 0 && (
         <div className="mt-2 text-xs text-slate-400">
-          No recent GBIF reports found for{" "}
+          No recent occurrence reports found for{" "}
           <span className="font-semibold">
             {selectedSpecies?.scientificName}
           </span>{" "}
-          in the last 5 years.
+          in {periodLabel}.
         </div>
       )}
     </div>
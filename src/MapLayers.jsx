@@ -0,0 +1,583 @@
+// src/MapLayers.jsx
+// Occurrence-level map layers: a canvas kernel-density heatmap and
+// zoom-aware marker clusters. Both stay responsive with tens of thousands of
+// records: the heatmap bins points to pixels before drawing and clusters are
+// precomputed by supercluster, so only what is on screen is rendered.
+// Also the species-comparison, habitat, temperature and harvest-route
+// overlays, and the legend.
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  CircleMarker,
+  GeoJSON,
+  ImageOverlay,
+  Marker,
+  Pane,
+  Polygon,
+  Polyline,
+  Popup,
+  Tooltip,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
+import L from "leaflet";
+import simpleheat from "simpleheat";
+import Supercluster from "supercluster";
+import { covariateImageUrl, covariateScale, formatCovariate, getCovariateKind } from "./covariates";
+import { getHabitatKind, rasterBounds, rasterImageUrl } from "./habitat";
+import { NATIVE_RANGE_COLOR } from "./nativeRange";
+import { DATA_SOURCES, getSource } from "./sources";
+import { SURVEY_SOURCE_ID } from "./surveys";
+import { formatCount } from "./trends";
+
+// Low → high density; also drives the legend
+const HEAT_GRADIENT = {
+  0.2: "#1e3a8a",
+  0.4: "#0ea5e9",
+  0.6: "#22c55e",
+  0.8: "#facc15",
+  1.0: "#f97316",
+};
+const HEAT_RADIUS = 16;
+const HEAT_BLUR = 14;
+
+const SOURCE_COLORS = {
+  gbif: "#38bdf8",
+  obis: "#22c55e",
+  inaturalist: "#facc15",
+  [SURVEY_SOURCE_ID]: "#8b5cf6",
+};
+
+// Cluster bubbles by size: [min count, diameter px, classes]
+const CLUSTER_SIZES = [
+  [100, 44, "bg-orange-500/80 border-orange-300"],
+  [10, 36, "bg-emerald-500/80 border-emerald-300"],
+  [0, 28, "bg-sky-500/80 border-sky-300"],
+];
+
+const weightOf = (o) => o.weight ?? 1;
+
+// ---- Heatmap ----
+
+// Canvas overlay redrawn for the current view after every move / zoom
+const HeatCanvasLayer = L.Layer.extend({
+  initialize(points) {
+    this._points = points;
+  },
+
+  setPoints(points) {
+    this._points = points;
+    if (this._map) this._redraw();
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.pointerEvents = "none";
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    this._heat = simpleheat(this._canvas).gradient(HEAT_GRADIENT);
+    map.on("moveend resize", this._reset, this);
+    this._reset();
+  },
+
+  onRemove(map) {
+    map.off("moveend resize", this._reset, this);
+    this._canvas.remove();
+  },
+
+  _reset() {
+    const size = this._map.getSize();
+    L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+    this._canvas.width = size.x;
+    this._canvas.height = size.y;
+    this._heat.resize();
+    this._redraw();
+  },
+
+  // Sum weights per pixel bin so the cost depends on the screen, not the
+  // number of records; intensities are relative to the densest bin in view
+  _redraw() {
+    const map = this._map;
+    const bounds = map.getBounds().pad(0.25);
+    const binSize = HEAT_RADIUS / 2;
+    const bins = new Map();
+
+    this._points.forEach((o) => {
+      if (!bounds.contains([o.lat, o.lng])) return;
+      const p = map.latLngToContainerPoint([o.lat, o.lng]);
+      const key = `${Math.floor(p.x / binSize)}:${Math.floor(p.y / binSize)}`;
+      const bin = bins.get(key) || { x: 0, y: 0, w: 0 };
+      // Weighted centroid keeps hotspots where the records are
+      bin.x += p.x * weightOf(o);
+      bin.y += p.y * weightOf(o);
+      bin.w += weightOf(o);
+      bins.set(key, bin);
+    });
+
+    const data = [];
+    let max = 0;
+    bins.forEach((b) => {
+      if (b.w <= 0) return;
+      data.push([b.x / b.w, b.y / b.w, b.w]);
+      max = Math.max(max, b.w);
+    });
+
+    this._heat
+      .radius(HEAT_RADIUS, HEAT_BLUR)
+      .max(max || 1)
+      .data(data)
+      .draw(0.05);
+  },
+});
+
+export function HeatmapLayer({ occurrences }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = new HeatCanvasLayer([]);
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current?.setPoints(occurrences);
+  }, [occurrences]);
+
+  return null;
+}
+
+// ---- Clusters ----
+
+// Padded so markers just off screen are ready when panning
+function viewOf(map) {
+  const b = map.getBounds().pad(0.2);
+  return {
+    bbox: [
+      Math.max(-180, b.getWest()),
+      Math.max(-90, b.getSouth()),
+      Math.min(180, b.getEast()),
+      Math.min(90, b.getNorth()),
+    ],
+    zoom: Math.round(map.getZoom()),
+  };
+}
+
+function clusterIcon({ point_count: count, point_count_abbreviated: label }) {
+  const [, size, classes] = CLUSTER_SIZES.find(([min]) => count >= min);
+  return L.divIcon({
+    html: `<div class="flex h-full w-full items-center justify-center rounded-full border-2 text-[11px] font-semibold text-slate-950 ${classes}">${label}</div>`,
+    className: "",
+    iconSize: [size, size],
+  });
+}
+
+function OccurrencePopup({ occurrence: o }) {
+  const source = getSource(o.source);
+  const sources = o.sources || [o.source];
+
+  return (
+    <div className="text-xs">
+      <div className="font-semibold">
+        {o.eventDate || o.year || "Undated"}
+        {o.country && ` · ${o.country}`}
+      </div>
+      {o.stateProvince && <div>{o.stateProvince}</div>}
+      {o.source === SURVEY_SOURCE_ID ? (
+        <div>
+          Field survey{o.transectId && `, transect ${o.transectId}`}:{" "}
+          {formatCount(o.density)} urchins/m²
+        </div>
+      ) : (
+        <>
+          <div>
+            {o.basisOfRecord?.toLowerCase().replace(/_/g, " ")}
+            {sources.length > 1 && ` · also in ${sources.slice(1).join(", ")}`}
+          </div>
+          {source && (
+            <a href={source.recordUrl(o.key)} target="_blank" rel="noreferrer">
+              View {source.label} record {o.key} ↗
+            </a>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export function ClusterLayer({ occurrences }) {
+  const map = useMap();
+  const [view, setView] = useState(() => viewOf(map));
+
+  useMapEvents({
+    moveend: () => setView(viewOf(map)),
+  });
+
+  const index = useMemo(() => {
+    const cluster = new Supercluster({ radius: 60, maxZoom: 16 });
+    cluster.load(
+      occurrences.map((o, i) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [o.lng, o.lat] },
+        properties: { index: i },
+      }))
+    );
+    return cluster;
+  }, [occurrences]);
+
+  const features = index.getClusters(view.bbox, view.zoom);
+
+  return features.map((f) => {
+    const [lng, lat] = f.geometry.coordinates;
+
+    if (f.properties.cluster) {
+      return (
+        <Marker
+          key={`cluster-${f.id}`}
+          position={[lat, lng]}
+          icon={clusterIcon(f.properties)}
+          eventHandlers={{
+            click: () =>
+              map.flyTo([lat, lng], index.getClusterExpansionZoom(f.id)),
+          }}
+        />
+      );
+    }
+
+    const o = occurrences[f.properties.index];
+    const color = SOURCE_COLORS[o.source] || "#e2e8f0";
+    return (
+      <CircleMarker
+        key={`${o.source}-${o.key}`}
+        center={[lat, lng]}
+        radius={5}
+        pathOptions={{ color, fillColor: color, fillOpacity: 0.8, weight: 1 }}
+      >
+        <Popup>
+          <OccurrencePopup occurrence={o} />
+        </Popup>
+      </CircleMarker>
+    );
+  });
+}
+
+// ---- Species comparison ----
+
+// One coloured circle layer per species, sized relative to that species'
+// busiest cell, with co-occurrence cells outlined on top
+export function CompareLayer({ layers, coOccurrence, onCellClick }) {
+  const names = Object.fromEntries(layers.map((l) => [l.species.id, l.species.commonName]));
+
+  return (
+    <>
+      {layers.map(({ species, color, grid }) => {
+        const max = Math.max(1, ...grid.cells.map((c) => c.count));
+        return grid.cells.map((cell) => {
+          const normalized = cell.count / max;
+          return (
+            <CircleMarker
+              key={`${species.id}-${cell.id}`}
+              center={[cell.lat, cell.lng]}
+              radius={3 + normalized * 9}
+              pathOptions={{
+                color,
+                fillColor: color,
+                fillOpacity: 0.2 + normalized * 0.4,
+                weight: 1,
+              }}
+            >
+              <Tooltip direction="top" sticky>
+                <div className="font-semibold">{species.commonName}</div>
+                <div>
+                  Reports: {formatCount(cell.count)} · {cell.risk} risk
+                </div>
+              </Tooltip>
+            </CircleMarker>
+          );
+        });
+      })}
+
+      {coOccurrence.map((cell) => (
+        <Polygon
+          key={`shared-${cell.id}`}
+          positions={cell.ring.map(([lng, lat]) => [lat, lng])}
+          pathOptions={{ color: "#f8fafc", weight: 2, fillOpacity: 0.05 }}
+          eventHandlers={{ click: () => onCellClick?.({ id: cell.id }) }}
+        >
+          <Tooltip direction="top" sticky>
+            <div className="font-semibold">{cell.species.length} species</div>
+            {cell.species.map((s) => (
+              <div key={s.speciesId}>
+                {names[s.speciesId]}: {formatCount(s.count)} ({s.risk})
+              </div>
+            ))}
+          </Tooltip>
+        </Polygon>
+      ))}
+    </>
+  );
+}
+
+// ---- Habitat ----
+
+function RasterOverlay({ raster, maxDepth }) {
+  const url = useMemo(() => rasterImageUrl(raster, maxDepth), [raster, maxDepth]);
+  if (!url) return null;
+  const { south, west, north, east } = rasterBounds(raster);
+  return (
+    <ImageOverlay
+      url={url}
+      bounds={[
+        [south, west],
+        [north, east],
+      ]}
+      opacity={0.8}
+    />
+  );
+}
+
+// Imported habitat layers in their own pane, below the occurrence layers
+export function HabitatLayers({ layers, maxDepth }) {
+  if (layers.length === 0) return null;
+  return (
+    <Pane name="habitat" style={{ zIndex: 350 }}>
+      {layers.map((layer) =>
+        layer.raster ? (
+          <RasterOverlay key={layer.id} raster={layer.raster} maxDepth={maxDepth} />
+        ) : (
+          <GeoJSON
+            key={layer.id}
+            data={layer.geometry}
+            interactive={false}
+            style={{
+              color: getHabitatKind(layer.kind).color,
+              weight: 1,
+              fillOpacity: layer.kind === "coastline" ? 0.35 : 0.25,
+            }}
+          />
+        )
+      )}
+    </Pane>
+  );
+}
+
+// ---- Ocean temperature ----
+
+// One year of a covariate dataset (see covariates.js), below the habitat pane
+export function CovariateLayer({ dataset, year }) {
+  const url = useMemo(() => covariateImageUrl(dataset, year), [dataset, year]);
+  if (!url) return null;
+  const { south, west, north, east } = rasterBounds(dataset.grid);
+  return (
+    <Pane name="covariate" style={{ zIndex: 340 }}>
+      <ImageOverlay
+        url={url}
+        bounds={[
+          [south, west],
+          [north, east],
+        ]}
+        opacity={0.75}
+      />
+    </Pane>
+  );
+}
+
+// ---- Harvest route ----
+
+function siteIcon(number) {
+  return L.divIcon({
+    html: `<div class="flex h-full w-full items-center justify-center rounded-full border-2 border-slate-950 bg-amber-400 text-[11px] font-semibold text-slate-950">${number}</div>`,
+    className: "",
+    iconSize: [22, 22],
+  });
+}
+
+// Launch site, numbered harvest sites and the straight-line route between
+export function HarvestRouteLayer({ origin, sites, onSiteClick }) {
+  if (!origin) return null;
+  const path = [origin, ...sites.map((s) => s.cell), origin].map((p) => [p.lat, p.lng]);
+
+  return (
+    <>
+      {sites.length > 0 && (
+        <Polyline
+          positions={path}
+          pathOptions={{ color: "#fbbf24", weight: 2, dashArray: "6 4", interactive: false }}
+        />
+      )}
+      <CircleMarker
+        center={[origin.lat, origin.lng]}
+        radius={6}
+        pathOptions={{ color: "#020617", fillColor: "#f8fafc", fillOpacity: 1, weight: 2 }}
+      >
+        <Tooltip direction="top">{origin.name || "Launch site"}</Tooltip>
+      </CircleMarker>
+      {sites.map((s, i) => (
+        <Marker
+          key={s.cell.id}
+          position={[s.cell.lat, s.cell.lng]}
+          icon={siteIcon(i + 1)}
+          eventHandlers={{ click: () => onSiteClick?.(s.cell) }}
+        >
+          <Tooltip direction="top">
+            <div className="font-semibold">Harvest site {i + 1}</div>
+            <div>
+              {s.cell.risk} risk · score {Math.round(s.cell.score ?? 0)}
+            </div>
+            <div>
+              {s.distanceKm.toFixed(0)} km from {origin.name || "launch"} · leg{" "}
+              {s.legKm.toFixed(0)} km
+            </div>
+          </Tooltip>
+        </Marker>
+      ))}
+    </>
+  );
+}
+
+// ---- Legend ----
+
+const Swatch = ({ color, dashed = false, className = "h-2.5 w-2.5" }) => (
+  <span
+    className={`inline-block rounded-full ${className}`}
+    style={
+      dashed
+        ? { border: `2px dashed ${color}` }
+        : { backgroundColor: color }
+    }
+  />
+);
+
+function CovariateKey({ dataset, year }) {
+  const { min, max, stops } = covariateScale(dataset);
+  return (
+    <div className="flex flex-col gap-0.5">
+      <span>
+        {getCovariateKind(dataset.kind).shortLabel} {year}
+      </span>
+      <div
+        className="h-2 w-32 rounded-full"
+        style={{ background: `linear-gradient(to right, ${stops.join(", ")})` }}
+      />
+      <div className="flex justify-between text-slate-500">
+        <span>{formatCovariate(min, dataset.kind)}</span>
+        <span>{formatCovariate(max, dataset.kind)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Key for whichever render mode is active; riskClasses are the grid's
+// classCounts (see classification.js). nativeRange adds the range shading,
+// covariate ({ dataset, year }) the temperature scale.
+export function MapLegend({
+  mode,
+  compareLayers = [],
+  habitatLayers = [],
+  riskClasses = [],
+  nativeRange = false,
+  covariate = null,
+}) {
+  let body;
+
+  if (mode === "compare") {
+    body = (
+      <>
+        {compareLayers.map(({ species, color }) => (
+          <div key={species.id} className="flex items-center gap-1.5">
+            <Swatch color={color} />
+            {species.commonName}
+          </div>
+        ))}
+        <div className="flex items-center gap-1.5">
+          <span className="inline-block h-2.5 w-2.5 border-2 border-slate-50" />
+          Species co-occur
+        </div>
+        <div className="text-slate-500">Size: reports per cell, per species</div>
+      </>
+    );
+  } else if (mode === "heat") {
+    const stops = Object.entries(HEAT_GRADIENT)
+      .map(([at, color]) => `${color} ${at * 100}%`)
+      .join(", ");
+    body = (
+      <>
+        <div
+          className="h-2 w-32 rounded-full"
+          style={{ background: `linear-gradient(to right, transparent, ${stops})` }}
+        />
+        <div className="flex justify-between text-slate-500">
+          <span>fewer</span>
+          <span>more records</span>
+        </div>
+        <div className="text-slate-500">Density relative to the current view</div>
+      </>
+    );
+  } else if (mode === "clusters") {
+    body = (
+      <>
+        {[...CLUSTER_SIZES].reverse().map(([min, , classes], i, all) => (
+          <div key={min} className="flex items-center gap-1.5">
+            <span className={`inline-block h-2.5 w-2.5 rounded-full border ${classes}`} />
+            {all[i + 1] ? `${min || 1}–${all[i + 1][0] - 1}` : `${min}+`} records
+          </div>
+        ))}
+        {[...DATA_SOURCES, { id: SURVEY_SOURCE_ID, label: "Field survey" }].map((s) => (
+          <div key={s.id} className="flex items-center gap-1.5">
+            <Swatch color={SOURCE_COLORS[s.id]} />
+            {s.label}
+          </div>
+        ))}
+        <div className="text-slate-500">Click a cluster to zoom in</div>
+      </>
+    );
+  } else {
+    body = (
+      <>
+        {riskClasses.map((c) => (
+          <div key={c.label} className="flex items-center gap-1.5">
+            <Swatch color={c.color} />
+            {c.label} risk
+          </div>
+        ))}
+        <div className="flex items-center gap-1.5">
+          <Swatch color="#f472b6" dashed />
+          Range expansion
+        </div>
+        <div className="text-slate-500">Size and opacity: reports per cell</div>
+      </>
+    );
+  }
+
+  const habitatKinds = [...new Set(habitatLayers.map((l) => l.kind))].map(getHabitatKind);
+
+  return (
+    <div className="bg-slate-950/85 border border-slate-700 rounded-xl px-2.5 py-2 text-[10px] text-slate-300 flex flex-col gap-1">
+      {body}
+      {nativeRange && (
+        <div className="flex items-center gap-1.5">
+          <span
+            className="inline-block h-2.5 w-2.5 rounded-sm"
+            style={{
+              border: `1px dashed ${NATIVE_RANGE_COLOR}`,
+              backgroundColor: `${NATIVE_RANGE_COLOR}33`,
+            }}
+          />
+          Native range
+        </div>
+      )}
+      {covariate && <CovariateKey {...covariate} />}
+      {habitatKinds.map((kind) => (
+        <div key={kind.id} className="flex items-center gap-1.5">
+          <span
+            className="inline-block h-2.5 w-2.5 rounded-sm"
+            style={{ backgroundColor: kind.color }}
+          />
+          {kind.id === "bathymetry" ? "Reef depths" : kind.label}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+// src/NativeRangePanel.jsx
+import React, { useState } from "react";
+import { formatArea } from "./grid";
+import { geometryAreaKm2 } from "./geo";
+import { RANGE_STATUSES, defaultNativeRange, nativeRangeFromGeoJSON } from "./nativeRange";
+import { formatCount } from "./trends";
+
+const buttonClass =
+  "px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition";
+
+const NativeRangePanel = ({
+  species,
+  rangeCounts,
+  onChange,
+  showOnMap,
+  onShowOnMapChange,
+  drawing,
+  onToggleDraw,
+}) => {
+  const [error, setError] = useState(null);
+  const range = species.nativeRange || null;
+  const builtIn = defaultNativeRange(species.id);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onChange(nativeRangeFromGeoJSON(await file.text()));
+      setError(null);
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Native range</span>
+        <span className="text-slate-400 truncate">
+          {range ? formatArea(geometryAreaKm2(range)) : "Not set"}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Records inside the native range of {species.commonName} are native
+          (overabundance); records outside it are introduced (introduction or
+          range extension). Without a range every record is unknown.
+        </p>
+
+        <ul className="flex flex-col gap-1">
+          {RANGE_STATUSES.map((status) => (
+            <li key={status.id} className="flex items-center justify-between">
+              <span className="flex items-center gap-1.5 text-slate-300">
+                <span
+                  className="inline-block h-2.5 w-2.5 rounded-full"
+                  style={{ backgroundColor: status.color }}
+                />
+                {status.label}
+              </span>
+              <span className="font-mono text-slate-200">
+                {formatCount(rangeCounts?.[status.id] ?? 0)}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <label className="flex items-center gap-2 text-slate-300">
+          <input
+            type="checkbox"
+            checked={showOnMap}
+            onChange={(e) => onShowOnMapChange(e.target.checked)}
+            disabled={!range}
+          />
+          Shade on map
+        </label>
+
+        <div className="flex flex-wrap gap-2">
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import GeoJSON…
+            <input
+              type="file"
+              accept=".geojson,.json"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </label>
+          <button onClick={onToggleDraw} className={buttonClass}>
+            {drawing ? "Cancel drawing" : "Draw area"}
+          </button>
+          <button onClick={() => onChange(null)} disabled={!range} className={buttonClass}>
+            Clear
+          </button>
+          {builtIn && (
+            <button
+              onClick={() => onChange(builtIn)}
+              disabled={JSON.stringify(range) === JSON.stringify(builtIn)}
+              className={buttonClass}
+            >
+              Reset to built-in
+            </button>
+          )}
+        </div>
+        <div className="text-[10px] text-slate-500">
+          Importing replaces the range with every polygon in the file. Drawn
+          areas are added to it: click the corners, then double-click or click
+          the first corner to finish. Ranges are saved with the species.
+        </div>
+        {error && <div className="text-red-400">{error}</div>}
+      </div>
+    </details>
+  );
+};
+
+export default NativeRangePanel;
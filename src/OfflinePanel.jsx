@@ -0,0 +1,251 @@
+// src/OfflinePanel.jsx
+import React, { useRef, useState } from "react";
+import { geometryBounds } from "./geo";
+import {
+  MAX_OFFLINE_ZOOM,
+  MAX_TILES_PER_AREA,
+  TILE_DOWNLOADS_ALLOWED,
+  countAreaTiles,
+  createOfflineArea,
+  deleteAreaTiles,
+  downloadAreaTiles,
+  estimateTileMegabytes,
+} from "./offline";
+import { formatCount } from "./trends";
+import { isAbortError } from "./sources/http";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200";
+const buttonClass =
+  "px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition";
+
+const ZOOMS = Array.from({ length: MAX_OFFLINE_ZOOM + 1 }, (_, z) => z);
+
+const formatMegabytes = (mb) => (mb < 10 ? `${mb.toFixed(1)} MB` : `${Math.round(mb)} MB`);
+
+// Areas the basemap can be saved for: a box drawn for this panel, the
+// filter box and every saved region
+function areaChoices(drawnBounds, filterBbox, regions) {
+  return [
+    drawnBounds && { id: "drawn", name: "Drawn area", bounds: drawnBounds },
+    filterBbox && { id: "filter", name: "Filter box", bounds: filterBbox },
+    ...regions.map((r) => ({ id: r.id, name: r.name, bounds: geometryBounds(r.geometry) })),
+  ].filter((choice) => choice?.bounds);
+}
+
+const OfflinePanel = ({
+  areas,
+  onAreaSaved,
+  onAreaRemoved,
+  regions,
+  filterBbox,
+  drawnBounds,
+  drawing,
+  onToggleDraw,
+  online,
+  offlineReady,
+}) => {
+  const choices = areaChoices(drawnBounds, filterBbox, regions);
+  const [choiceId, setChoiceId] = useState(null);
+  const [minZoom, setMinZoom] = useState(8);
+  const [maxZoom, setMaxZoom] = useState(13);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [message, setMessage] = useState(null);
+  const controller = useRef(null);
+
+  // A freshly drawn box is the obvious choice until another one is picked
+  const choice =
+    choices.find((c) => c.id === choiceId) ||
+    choices.find((c) => c.id === "drawn") ||
+    choices[0] ||
+    null;
+  const tileCount = choice ? countAreaTiles(choice.bounds, minZoom, maxZoom) : 0;
+  const tooMany = tileCount > MAX_TILES_PER_AREA;
+
+  const download = async () => {
+    const area = createOfflineArea(choice.name, choice.bounds, minZoom, maxZoom);
+    controller.current = new AbortController();
+    setMessage(null);
+    setProgress({ done: 0, total: area.tileCount });
+    try {
+      const failed = await downloadAreaTiles(area, {
+        signal: controller.current.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      onAreaSaved({ ...area, downloadedAt: Date.now() });
+      if (failed > 0) {
+        setMessage(`${formatCount(failed)} tiles could not be downloaded and will be missing offline.`);
+      }
+    } catch (e) {
+      if (isAbortError(e)) {
+        await deleteAreaTiles(area, areas);
+        setMessage("Download cancelled.");
+      } else {
+        console.error(e);
+        setMessage(`Download failed: ${e.message}`);
+      }
+    } finally {
+      setProgress(null);
+      controller.current = null;
+    }
+  };
+
+  const remove = async (area) => {
+    const others = areas.filter((a) => a.id !== area.id);
+    try {
+      await deleteAreaTiles(area, others);
+    } catch (e) {
+      console.error(e);
+    }
+    onAreaRemoved(area.id);
+  };
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Offline maps</span>
+        <span className="text-slate-400 truncate">
+          {areas.length} areas · {offlineReady ? "app available offline" : "app not cached"}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Save the basemap for your dive areas before heading out. Loaded
+          occurrence data is kept in this browser and shown without a
+          connection.{" "}
+          {offlineReady
+            ? "The app itself opens offline."
+            : "The app opens offline once it has been loaded over HTTPS; install it from the browser menu."}
+        </p>
+
+        {areas.length > 0 && (
+          <ul className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {areas.map((area) => (
+              <li key={area.id} className="flex items-center gap-2 px-2 py-1.5">
+                <span className="flex-1 truncate">
+                  <span className="text-slate-200">{area.name}</span>{" "}
+                  <span className="text-slate-500">
+                    · zoom {area.minZoom}–{area.maxZoom} · {formatCount(area.tileCount)} tiles
+                    · {new Date(area.downloadedAt).toLocaleDateString()}
+                  </span>
+                </span>
+                <button
+                  onClick={() => remove(area)}
+                  disabled={progress !== null}
+                  className="text-slate-500 hover:text-red-300 disabled:opacity-40 transition"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {TILE_DOWNLOADS_ALLOWED ? (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <button onClick={onToggleDraw} disabled={progress !== null} className={buttonClass}>
+                {drawing ? "Drag on the map…" : "Draw area"}
+              </button>
+              {choices.length > 0 && (
+                <select
+                  value={choice.id}
+                  onChange={(e) => setChoiceId(e.target.value)}
+                  aria-label="Area to save"
+                  className={inputClass}
+                >
+                  {choices.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {choice && (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-slate-300">
+                  Zoom
+                  <select
+                    value={minZoom}
+                    onChange={(e) => setMinZoom(Number(e.target.value))}
+                    aria-label="Lowest zoom"
+                    className={inputClass}
+                  >
+                    {ZOOMS.filter((z) => z <= maxZoom).map((z) => (
+                      <option key={z} value={z}>
+                        {z}
+                      </option>
+                    ))}
+                  </select>
+                  to
+                  <select
+                    value={maxZoom}
+                    onChange={(e) => setMaxZoom(Number(e.target.value))}
+                    aria-label="Highest zoom"
+                    className={inputClass}
+                  >
+                    {ZOOMS.filter((z) => z >= minZoom).map((z) => (
+                      <option key={z} value={z}>
+                        {z}
+                      </option>
+                    ))}
+                  </select>
+                  <span className={tooMany ? "text-red-400" : "text-slate-500"}>
+                    {formatCount(tileCount)} tiles, about{" "}
+                    {formatMegabytes(estimateTileMegabytes(tileCount))}
+                  </span>
+                </div>
+                {tooMany && (
+                  <div className="text-red-400">
+                    At most {formatCount(MAX_TILES_PER_AREA)} tiles per area: pick a
+                    smaller area or a lower highest zoom.
+                  </div>
+                )}
+
+                {progress ? (
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                      <div
+                        className="h-full bg-sky-400"
+                        style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }}
+                      />
+                    </div>
+                    <span className="text-slate-400 font-mono">
+                      {formatCount(progress.done)}/{formatCount(progress.total)}
+                    </span>
+                    <button onClick={() => controller.current?.abort()} className={buttonClass}>
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={download}
+                    disabled={!online || tooMany}
+                    className={`${buttonClass} self-start`}
+                  >
+                    Save {choice.name} for offline use
+                  </button>
+                )}
+              </>
+            )}
+            {!online && !progress && (
+              <div className="text-slate-500">Connect to the internet to save new areas.</div>
+            )}
+          </>
+        ) : (
+          <div className="text-slate-500">
+            Saving the basemap needs a tile provider that allows offline use. The
+            default OpenStreetMap tiles don’t: their usage policy forbids bulk
+            downloads. Build the app with VITE_TILE_URL set to such a provider.
+          </div>
+        )}
+        {message && <div className="text-slate-400">{message}</div>}
+      </div>
+    </details>
+  );
+};
+
+export default OfflinePanel;
@@ -0,0 +1,120 @@
+// src/QualityPanel.jsx
+import React from "react";
+import { QUALITY_CHECKS } from "./quality";
+import { formatCount } from "./trends";
+
+const percent = (n, total) => (total > 0 ? `${Math.round((n / total) * 100)}%` : "—");
+
+// Flagged record counts per check for every loaded species (see
+// checkRecordQuality); reports maps species id -> result
+const QualityPanel = ({
+  species,
+  reports,
+  activeSpeciesId,
+  excludeFlagged,
+  onExcludeFlaggedChange,
+}) => {
+  const loaded = species.filter((s) => reports[s.id]);
+  const active = reports[activeSpeciesId];
+  const landChecked = loaded.some((s) => reports[s.id].landChecked);
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Data quality</span>
+        <span className="text-slate-400 truncate">
+          {active
+            ? `${formatCount(active.flagged)} of ${formatCount(active.total)} records flagged`
+            : "No records loaded"}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Records are checked for positions and dates that are likely errors.
+          Flagged records stay on the map and in exports until you leave them
+          out of the grid.
+        </p>
+
+        {loaded.length === 0 ? (
+          <p className="text-slate-500">Load a species to see its report.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-[10px] uppercase tracking-wide text-slate-500">
+                  <th className="font-normal py-1 pr-2">Check</th>
+                  {loaded.map((s) => (
+                    <th
+                      key={s.id}
+                      title={s.scientificName}
+                      className={`font-normal py-1 px-1 text-right ${
+                        s.id === activeSpeciesId ? "text-slate-300" : ""
+                      }`}
+                    >
+                      {s.commonName}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800">
+                {QUALITY_CHECKS.map((check) => (
+                  <tr key={check.id}>
+                    <td className="py-1 pr-2 text-slate-300" title={check.description}>
+                      {check.label}
+                    </td>
+                    {loaded.map((s) => {
+                      const n = reports[s.id].counts[check.id];
+                      return (
+                        <td
+                          key={s.id}
+                          className={`py-1 px-1 text-right font-mono ${
+                            n > 0 ? "text-amber-300" : "text-slate-600"
+                          }`}
+                        >
+                          {check.id === "land" && !reports[s.id].landChecked
+                            ? "off"
+                            : formatCount(n)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr className="text-slate-100">
+                  <td className="py-1 pr-2 font-semibold">Flagged records</td>
+                  {loaded.map((s) => (
+                    <td key={s.id} className="py-1 px-1 text-right font-mono">
+                      {formatCount(reports[s.id].flagged)}{" "}
+                      <span className="text-slate-500">
+                        ({percent(reports[s.id].flagged, reports[s.id].total)})
+                      </span>
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {loaded.length > 0 && !landChecked && (
+          <div className="text-[10px] text-amber-300/80">
+            The on-land check is off: no land mask ships with the app, so
+            records on land are not flagged until you add a Land / coastline
+            habitat layer.
+          </div>
+        )}
+
+        <label className="flex items-center gap-2 text-slate-300">
+          <input
+            type="checkbox"
+            checked={excludeFlagged}
+            onChange={(e) => onExcludeFlaggedChange(e.target.checked)}
+          />
+          Leave flagged records out of the risk grid
+        </label>
+      </div>
+    </details>
+  );
+};
+
+export default QualityPanel;
@@ -0,0 +1,324 @@
+// src/RecordDrawer.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { contributingDatasets, fetchDatasetCitation, formatLicense } from "./citations";
+import { RANGE_STATUSES, createRangeTester } from "./nativeRange";
+import { describeQualityFlags } from "./quality";
+import { getSource } from "./sources";
+import { SURVEY_SOURCE_ID } from "./surveys";
+
+const PAGE_SIZE = 20;
+
+const byDate = (r) => r.eventDate || (r.year ? String(r.year) : "");
+const compareMissingLast = (a, b, compare) => {
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1;
+  if (b == null || b === "") return -1;
+  return compare(a, b);
+};
+
+const SORTS = [
+  {
+    id: "newest",
+    label: "Newest first",
+    compare: (a, b) => compareMissingLast(byDate(a), byDate(b), (x, y) => y.localeCompare(x)),
+  },
+  {
+    id: "oldest",
+    label: "Oldest first",
+    compare: (a, b) => compareMissingLast(byDate(a), byDate(b), (x, y) => x.localeCompare(y)),
+  },
+  {
+    id: "precision",
+    label: "Most precise",
+    compare: (a, b) =>
+      compareMissingLast(a.coordinateUncertainty, b.coordinateUncertainty, (x, y) => x - y),
+  },
+  {
+    id: "source",
+    label: "Source",
+    compare: (a, b) => sourceLabel(a.source).localeCompare(sourceLabel(b.source)),
+  },
+  {
+    id: "recorder",
+    label: "Recorder",
+    compare: (a, b) => compareMissingLast(a.recordedBy, b.recordedBy, (x, y) => x.localeCompare(y)),
+  },
+];
+
+function sourceLabel(id) {
+  return id === SURVEY_SOURCE_ID ? "Survey" : getSource(id)?.label ?? id;
+}
+
+// "HUMAN_OBSERVATION" -> "Human observation"
+function formatBasis(basis) {
+  if (!basis) return null;
+  const text = basis.toLowerCase().replace(/_/g, " ");
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+// rangeStatus: "native" | "introduced" | "unknown" (see nativeRange.js)
+function RecordRow({ record, rangeStatus }) {
+  const source = getSource(record.source);
+  const range = RANGE_STATUSES.find((s) => s.id === rangeStatus);
+  const image = record.media?.[0];
+  const license = formatLicense(record.license);
+  const details = [
+    formatBasis(record.basisOfRecord),
+    record.recordedBy,
+    record.coordinateUncertainty != null &&
+      `± ${Math.round(record.coordinateUncertainty).toLocaleString()} m`,
+  ].filter(Boolean);
+
+  return (
+    <li className="flex gap-2 py-2 border-b border-slate-800">
+      {image ? (
+        <a href={image.url} target="_blank" rel="noreferrer" className="shrink-0">
+          <img
+            src={image.thumbnail}
+            alt={image.creator ? `Photo by ${image.creator}` : "Record photo"}
+            title={[image.creator, formatLicense(image.license)].filter(Boolean).join(" · ")}
+            loading="lazy"
+            className="w-14 h-14 rounded-lg object-cover bg-slate-800"
+          />
+        </a>
+      ) : (
+        <div className="shrink-0 w-14 h-14 rounded-lg bg-slate-800/60 flex items-center justify-center text-[10px] text-slate-600">
+          No photo
+        </div>
+      )}
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-slate-200 font-mono text-[11px]">
+            {record.eventDate?.slice(0, 10) || record.year || "Undated"}
+          </span>
+          <span className="text-[10px] text-slate-500">
+            {rangeStatus !== "unknown" && (
+              <span style={{ color: range.color }}>{range.label} · </span>
+            )}
+            {sourceLabel(record.source)}
+          </span>
+        </div>
+        {record.qualityFlags && (
+          <div className="text-[10px] text-amber-300">
+            Flagged: {describeQualityFlags(record.qualityFlags)}
+          </div>
+        )}
+        {record.source === SURVEY_SOURCE_ID ? (
+          <div className="text-slate-400">
+            Field survey{record.transectId && `, transect ${record.transectId}`}:{" "}
+            {record.density} urchins/m²
+          </div>
+        ) : (
+          <>
+            {details.length > 0 && <div className="text-slate-400 truncate">{details.join(" · ")}</div>}
+            <div className="text-[10px] text-slate-500 truncate">
+              {[record.datasetName, license].filter(Boolean).join(" · ")}
+            </div>
+          </>
+        )}
+        {source && (
+          <a
+            href={source.recordUrl(record.key)}
+            target="_blank"
+            rel="noreferrer"
+            className="text-[10px] text-sky-300 hover:text-sky-200"
+          >
+            View record ↗
+          </a>
+        )}
+      </div>
+    </li>
+  );
+}
+
+// Citations load in the background; each dataset shows its own failure
+function Citations({ datasets }) {
+  const [citations, setCitations] = useState({}); // dataset id -> text | Error
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    datasets.forEach((dataset) => {
+      fetchDatasetCitation(dataset, { signal: controller.signal }).then(
+        (text) => setCitations((prev) => ({ ...prev, [dataset.id]: text })),
+        (e) => {
+          if (!controller.signal.aborted) {
+            setCitations((prev) => ({ ...prev, [dataset.id]: e }));
+          }
+        }
+      );
+    });
+    return () => controller.abort();
+  }, [datasets]);
+
+  const loaded = datasets.map((d) => citations[d.id]).filter((c) => typeof c === "string");
+
+  const copyCitations = async () => {
+    try {
+      await navigator.clipboard.writeText(loaded.join("\n\n"));
+      setCopied(true);
+    } catch (e) {
+      console.warn("Could not copy citations", e);
+    }
+  };
+
+  if (datasets.length === 0) return null;
+
+  return (
+    <section className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-slate-100">
+          Cite {datasets.length} dataset{datasets.length === 1 ? "" : "s"}
+        </h3>
+        <button
+          onClick={copyCitations}
+          disabled={loaded.length === 0}
+          className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition"
+        >
+          {copied ? "Copied" : "Copy citations"}
+        </button>
+      </div>
+      <ol className="flex flex-col gap-2">
+        {datasets.map((dataset) => {
+          const citation = citations[dataset.id];
+          const source = getSource(dataset.source);
+          return (
+            <li key={dataset.id} className="text-slate-300">
+              <div className="text-[10px] text-slate-500">
+                {source.label}
+                {dataset.datasetName && ` · ${dataset.datasetName}`} ·{" "}
+                {dataset.count.toLocaleString()} record
+                {dataset.count === 1 ? "" : "s"} in this cell ·{" "}
+                <a
+                  href={source.datasetUrl(dataset.datasetKey)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-sky-300 hover:text-sky-200"
+                >
+                  dataset ↗
+                </a>
+              </div>
+              {citation === undefined ? (
+                <span className="text-slate-500">Loading citation…</span>
+              ) : typeof citation === "string" ? (
+                <span className="select-text">{citation}</span>
+              ) : (
+                <span className="text-red-400">
+                  {dataset.datasetName || dataset.datasetKey}: citation unavailable (
+                  {citation.message})
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
+
+// Every record of the selected cell, with provenance and citations. Keyed
+// by cell in App, so sorting and paging start over for each cell.
+const RecordDrawer = ({ cell, records, species, onClose }) => {
+  const [sortId, setSortId] = useState("newest");
+  const [page, setPage] = useState(0);
+
+  const sorted = useMemo(() => {
+    const { compare } = SORTS.find((s) => s.id === sortId);
+    return [...records].sort(compare);
+  }, [records, sortId]);
+  const datasets = useMemo(() => contributingDatasets(records), [records]);
+  const statusOf = useMemo(() => createRangeTester(species.nativeRange), [species]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+  const start = page * PAGE_SIZE;
+  const pageRecords = sorted.slice(start, start + PAGE_SIZE);
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-[1100] w-full sm:w-[28rem] bg-slate-950 border-l border-slate-700 shadow-lg shadow-slate-950/60 flex flex-col text-xs">
+      <header className="flex items-start justify-between gap-3 p-3 md:p-4 border-b border-slate-800">
+        <div className="min-w-0">
+          <h2 className="text-sm font-semibold text-slate-100">
+            {records.length.toLocaleString()} record{records.length === 1 ? "" : "s"} in
+            this cell
+          </h2>
+          <div className="text-slate-400 truncate">
+            {species.commonName} · {cell.lat.toFixed(2)}°, {cell.lng.toFixed(2)}° · {cell.risk}{" "}
+            risk
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+        >
+          Close
+        </button>
+      </header>
+
+      <div className="flex-1 overflow-y-auto p-3 md:p-4 flex flex-col gap-4">
+        <section>
+          <div className="flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 text-slate-400">
+              Sort
+              <select
+                value={sortId}
+                onChange={(e) => {
+                  setSortId(e.target.value);
+                  setPage(0);
+                }}
+                className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+              >
+                {SORTS.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="flex items-center gap-2 text-slate-400">
+              <span>
+                {sorted.length === 0 ? 0 : start + 1}–{start + pageRecords.length} of{" "}
+                {sorted.length.toLocaleString()}
+              </span>
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                aria-label="Previous page"
+                className="px-2 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition"
+              >
+                ‹
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pageCount - 1}
+                aria-label="Next page"
+                className="px-2 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-40 transition"
+              >
+                ›
+              </button>
+            </div>
+          </div>
+          <ul className="mt-1">
+            {pageRecords.map((r) => (
+              <RecordRow
+                key={`${r.source}:${r.key}`}
+                record={r}
+                rangeStatus={statusOf(r.lat, r.lng)}
+              />
+            ))}
+          </ul>
+        </section>
+
+        <Citations datasets={datasets} />
+      </div>
+    </aside>
+  );
+};
+
+export default RecordDrawer;
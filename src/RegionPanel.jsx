@@ -0,0 +1,210 @@
+// src/RegionPanel.jsx
+import React, { useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, Tooltip as RechartsTooltip } from "recharts";
+import { formatArea } from "./grid";
+import { regionsFromGeoJSON } from "./regions";
+import { formatCount, formatGrowthRate } from "./trends";
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-slate-950/60 border border-slate-800 rounded-xl px-2.5 py-2">
+      <div className="text-[10px] uppercase tracking-wide text-slate-500">{label}</div>
+      <div className="text-xs font-semibold text-slate-100 truncate">{value ?? "—"}</div>
+    </div>
+  );
+}
+
+function RegionStats({ stats, trackedSpecies, periodLabel }) {
+  const speciesName = (id) => trackedSpecies.find((s) => s.id === id)?.commonName || id;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Stat label="Area" value={formatArea(stats.areaKm2)} />
+        <Stat label={`Records (${periodLabel})`} value={formatCount(stats.totalRecords)} />
+        <Stat label="Growth rate" value={formatGrowthRate(stats.growthRate)} />
+        <Stat
+          label={`Risk cells ${stats.riskCounts.map((c) => c.label).join(" / ")}`}
+          value={stats.riskCounts.map((c) => c.count).join(" / ") || "—"}
+        />
+      </div>
+
+      <div className="h-24">
+        <ResponsiveContainer>
+          <BarChart data={stats.series} margin={{ top: 4, right: 4, left: 4 }}>
+            <XAxis
+              dataKey="year"
+              tick={{ fontSize: 10, fill: "#94a3b8" }}
+              axisLine={{ stroke: "#334155" }}
+            />
+            <RechartsTooltip
+              contentStyle={{
+                backgroundColor: "#020617",
+                border: "1px solid #1e293b",
+                borderRadius: "0.75rem",
+                fontSize: "12px",
+              }}
+            />
+            <Bar dataKey="count" name="Records" fill="#38bdf8" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div>
+        <div className="text-[10px] uppercase tracking-wide text-slate-500 mb-0.5">
+          Species mix
+        </div>
+        <ul className="space-y-0.5">
+          {stats.speciesMix.map((s) => (
+            <li key={s.speciesId} className="flex justify-between text-slate-300">
+              <span>{speciesName(s.speciesId)}</span>
+              <span className="font-mono">{formatCount(s.count)}</span>
+            </li>
+          ))}
+        </ul>
+        {stats.speciesMix.length < trackedSpecies.length && (
+          <div className="text-[10px] text-slate-500 mt-0.5">
+            Only species loaded so far are counted; switch more on in Compare
+            mode to include them.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const RegionPanel = ({
+  regions,
+  selectedRegionId,
+  onSelect,
+  onAdd,
+  onRename,
+  onDelete,
+  drawing,
+  onToggleDraw,
+  stats,
+  trackedSpecies,
+  periodLabel,
+  onPrint,
+}) => {
+  const [error, setError] = useState(null);
+  const [printBlocked, setPrintBlocked] = useState(false);
+  const selectedRegion = regions.find((r) => r.id === selectedRegionId);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onAdd(regionsFromGeoJSON(await file.text(), file.name));
+      setError(null);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Regions</span>
+        <span className="text-slate-400 truncate">
+          {selectedRegion ? selectedRegion.name : `${regions.length} saved`}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={onToggleDraw}
+            className={`px-3 py-1 rounded-full border transition ${
+              drawing
+                ? "bg-amber-500/15 text-amber-200 border-amber-500/40"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+          >
+            {drawing ? "Cancel drawing" : "Draw region"}
+          </button>
+          <label className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 cursor-pointer transition">
+            Upload GeoJSON…
+            <input
+              type="file"
+              accept=".json,.geojson"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </label>
+          {drawing && (
+            <span className="text-slate-400">
+              Click to add corners; double-click or click the first corner to
+              finish.
+            </span>
+          )}
+        </div>
+
+        {error && <div className="text-red-400">{error}</div>}
+
+        {regions.length > 0 && (
+          <ul className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {regions.map((r) => (
+              <li key={r.id} className="flex items-center gap-2 px-2 py-1.5">
+                <input
+                  type="radio"
+                  name="region"
+                  checked={r.id === selectedRegionId}
+                  onChange={() => onSelect(r.id)}
+                />
+                {r.id === selectedRegionId ? (
+                  <input
+                    type="text"
+                    value={r.name}
+                    onChange={(e) => onRename(r.id, e.target.value)}
+                    className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-2 py-0.5 text-slate-200"
+                  />
+                ) : (
+                  <button
+                    onClick={() => onSelect(r.id)}
+                    className="flex-1 text-left text-slate-300 truncate"
+                  >
+                    {r.name}
+                  </button>
+                )}
+                <span className="text-slate-500">{r.origin}</span>
+                <button
+                  onClick={() => onDelete(r.id)}
+                  className="text-slate-500 hover:text-red-300 transition"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {selectedRegion && stats && (
+          <>
+            <RegionStats
+              stats={stats}
+              trackedSpecies={trackedSpecies}
+              periodLabel={periodLabel}
+            />
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPrintBlocked(!onPrint())}
+                className="px-3 py-1 rounded-full bg-slate-100 text-slate-900 font-medium"
+              >
+                Printable summary
+              </button>
+              {printBlocked && (
+                <span className="text-amber-300">
+                  Allow pop-ups to open the printable summary.
+                </span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default RegionPanel;
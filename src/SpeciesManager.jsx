@@ -0,0 +1,335 @@
+// src/SpeciesManager.jsx
+import React, { useState } from "react";
+import { matchTaxon } from "./sources/gbif";
+import { speciesFromMatch } from "./species";
+
+const PROFILE_FIELDS = [
+  { id: "uniGrade", label: "Uni grade" },
+  { id: "flavor", label: "Flavor profile" },
+  { id: "texture", label: "Texture" },
+  { id: "notes", label: "Chef’s notes", multiline: true },
+  { id: "suggestedDishes", label: "Dishes (one per line)", multiline: true },
+  { id: "sustainabilityTip", label: "Sustainability tip", multiline: true },
+];
+
+const inputClass =
+  "w-full bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-100";
+
+// Only keep a culinary profile if something was filled in
+function buildProfile(fields) {
+  const filled = Object.entries(fields).filter(([, v]) => v.trim() !== "");
+  if (filled.length === 0) return null;
+
+  const profile = Object.fromEntries(filled.map(([k, v]) => [k, v.trim()]));
+  if (profile.suggestedDishes) {
+    profile.suggestedDishes = profile.suggestedDishes
+      .split("\n")
+      .map((d) => d.trim())
+      .filter(Boolean);
+  }
+  return profile;
+}
+
+// Inverse of buildProfile, for editing a saved profile
+function profileToFields(profile) {
+  return Object.fromEntries(
+    PROFILE_FIELDS.map((f) => {
+      const value = profile?.[f.id];
+      return [f.id, Array.isArray(value) ? value.join("\n") : value ?? ""];
+    })
+  );
+}
+
+const emptyProfileFields = () => profileToFields(null);
+
+const ProfileFieldInputs = ({ fields, onChange }) => (
+  <div className="mt-2 grid gap-2">
+    {PROFILE_FIELDS.map((f) => {
+      const Field = f.multiline ? "textarea" : "input";
+      return (
+        <Field
+          key={f.id}
+          value={fields[f.id]}
+          onChange={(e) => onChange({ ...fields, [f.id]: e.target.value })}
+          placeholder={f.label}
+          rows={f.multiline ? 2 : undefined}
+          className={inputClass}
+        />
+      );
+    })}
+  </div>
+);
+
+// Common name, region hint and culinary profile of a tracked species. The
+// taxon itself can't change; remove the species and add the right one.
+const SpeciesEditor = ({ species, onSave, onCancel }) => {
+  const [commonName, setCommonName] = useState(species.commonName);
+  const [regionHint, setRegionHint] = useState(species.regionHint ?? "");
+  const [profileFields, setProfileFields] = useState(() =>
+    profileToFields(species.culinaryProfile)
+  );
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave({
+      ...species,
+      commonName: commonName.trim() || species.scientificName,
+      // null rather than undefined, so a cleared field stays cleared for
+      // built-in species when the saved list is merged with the defaults
+      regionHint: regionHint.trim() || null,
+      culinaryProfile: buildProfile(profileFields),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSave} className="flex flex-col gap-2 pt-1">
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          value={commonName}
+          onChange={(e) => setCommonName(e.target.value)}
+          placeholder="Common name"
+          className={inputClass}
+        />
+        <input
+          value={regionHint}
+          onChange={(e) => setRegionHint(e.target.value)}
+          placeholder="Region hint, e.g. Eastern Mediterranean"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <span className="text-slate-400">Culinary profile</span>
+        <ProfileFieldInputs fields={profileFields} onChange={setProfileFields} />
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-1 rounded-full bg-emerald-400 text-slate-900 font-medium"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+function isTracked(species, match) {
+  return species.some(
+    (s) =>
+      (s.taxonKey && s.taxonKey === match.taxonKey) ||
+      s.scientificName.toLowerCase() === match.scientificName.toLowerCase()
+  );
+}
+
+const SpeciesManager = ({ species, onChange, onReset, onClose }) => {
+  const [name, setName] = useState("");
+  const [matches, setMatches] = useState(null);
+  const [chosen, setChosen] = useState(null);
+  const [commonName, setCommonName] = useState("");
+  const [regionHint, setRegionHint] = useState("");
+  const [profileFields, setProfileFields] = useState(emptyProfileFields);
+  const [editingId, setEditingId] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setSearching(true);
+    setError(null);
+    setChosen(null);
+    try {
+      const { best, alternatives } = await matchTaxon(name.trim());
+      const all = [best, ...alternatives].filter(Boolean);
+      setMatches(all);
+      setChosen(best);
+      if (all.length === 0) setError(`No GBIF backbone match for “${name}”.`);
+    } catch (err) {
+      console.error(err);
+      setError("GBIF species lookup failed. Check your network connection.");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleAdd = () => {
+    if (!chosen) return;
+    if (isTracked(species, chosen)) {
+      setError(`${chosen.scientificName} is already tracked.`);
+      return;
+    }
+
+    onChange([
+      ...species,
+      speciesFromMatch(chosen, {
+        commonName,
+        regionHint,
+        culinaryProfile: buildProfile(profileFields),
+      }),
+    ]);
+
+    setName("");
+    setMatches(null);
+    setChosen(null);
+    setCommonName("");
+    setRegionHint("");
+    setProfileFields(emptyProfileFields());
+    setError(null);
+  };
+
+  return (
+    <div className="mt-3 border-t border-slate-800 pt-3 text-xs flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs font-semibold text-slate-200">Tracked species</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={onReset}
+            className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={onClose}
+            className="px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+
+      <ul className="flex flex-col gap-1">
+        {species.map((s) =>
+          s.id === editingId ? (
+            <li
+              key={s.id}
+              className="bg-slate-950/60 border border-slate-700 rounded-lg px-2 py-1.5"
+            >
+              <span className="italic text-slate-400">{s.scientificName}</span>
+              <SpeciesEditor
+                species={s}
+                onSave={(updated) => {
+                  onChange(species.map((x) => (x.id === s.id ? updated : x)));
+                  setEditingId(null);
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            </li>
+          ) : (
+            <li
+              key={s.id}
+              className="flex items-center justify-between gap-2 bg-slate-950/60 border border-slate-800 rounded-lg px-2 py-1"
+            >
+              <span className="truncate">
+                <span className="font-semibold text-slate-100">{s.commonName}</span>{" "}
+                <span className="italic text-slate-400">{s.scientificName}</span>
+                {s.regionHint && (
+                  <span className="text-slate-500"> · {s.regionHint}</span>
+                )}
+              </span>
+              <span className="flex shrink-0 gap-3">
+                <button
+                  onClick={() => setEditingId(s.id)}
+                  className="text-slate-300 hover:text-slate-100"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => onChange(species.filter((x) => x.id !== s.id))}
+                  disabled={species.length <= 1}
+                  className="text-red-300 hover:text-red-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          )
+        )}
+      </ul>
+
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scientific name, e.g. Diadema setosum"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          className="px-3 py-1 rounded-full bg-slate-100 text-slate-900 font-medium disabled:opacity-50"
+        >
+          {searching ? "Searching…" : "Look up"}
+        </button>
+      </form>
+
+      {matches?.length > 0 && (
+        <div className="flex flex-col gap-2">
+          <div className="flex flex-col gap-1">
+            {matches.map((m) => (
+              <label
+                key={`${m.taxonKey}-${m.matchedName}`}
+                className="flex items-center gap-2 text-slate-300"
+              >
+                <input
+                  type="radio"
+                  name="taxon-match"
+                  checked={chosen === m}
+                  onChange={() => setChosen(m)}
+                />
+                <span className="italic">{m.scientificName}</span>
+                <span className="text-slate-500">
+                  {m.rank?.toLowerCase()} · {m.status?.toLowerCase()} ·{" "}
+                  {m.matchType?.toLowerCase()} match ({m.confidence}%) · key{" "}
+                  {m.taxonKey}
+                  {m.matchedName !== m.scientificName && ` · via ${m.matchedName}`}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              value={commonName}
+              onChange={(e) => setCommonName(e.target.value)}
+              placeholder="Common name"
+              className={inputClass}
+            />
+            <input
+              value={regionHint}
+              onChange={(e) => setRegionHint(e.target.value)}
+              placeholder="Region hint, e.g. Eastern Mediterranean"
+              className={inputClass}
+            />
+          </div>
+
+          <details>
+            <summary className="cursor-pointer text-slate-400">
+              Culinary profile (optional)
+            </summary>
+            <ProfileFieldInputs fields={profileFields} onChange={setProfileFields} />
+          </details>
+
+          <button
+            onClick={handleAdd}
+            disabled={!chosen}
+            className="self-start px-3 py-1 rounded-full bg-emerald-400 text-slate-900 font-medium disabled:opacity-50"
+          >
+            Track species
+          </button>
+        </div>
+      )}
+
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+};
+
+export default SpeciesManager;
@@ -0,0 +1,285 @@
+// src/SurveyPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  SURVEY_FIELDS,
+  guessColumnMapping,
+  mapSurveyRows,
+  parseSurveyFile,
+  surveyRecordsForSpecies,
+  validateMapping,
+} from "./surveys";
+
+// Errors listed before "and N more"
+const MAX_LISTED_ERRORS = 20;
+
+// Picks a file, maps its columns and previews row errors before saving
+function SurveyImport({ trackedSpecies, selectedSpecies, onImport }) {
+  const [upload, setUpload] = useState(null); // { id, fileName, parsed }
+  const [mapping, setMapping] = useState({});
+  const [speciesId, setSpeciesId] = useState(selectedSpecies.id);
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    try {
+      const parsed = parseSurveyFile(file.name, await file.text());
+      setUpload({ id: `survey-${Date.now()}`, fileName: file.name, parsed });
+      setMapping(guessColumnMapping(parsed.headers));
+      setSpeciesId(selectedSpecies.id);
+      setName(file.name.replace(/\.[^.]+$/, ""));
+    } catch (err) {
+      setUpload(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const mappingError = upload ? validateMapping(mapping) : null;
+
+  const preview = useMemo(
+    () =>
+      upload && !mappingError
+        ? mapSurveyRows(upload.parsed.rows, mapping, {
+            datasetId: upload.id,
+            speciesId,
+            trackedSpecies,
+          })
+        : null,
+    [upload, mapping, mappingError, speciesId, trackedSpecies]
+  );
+
+  const handleImport = async () => {
+    setSaving(true);
+    try {
+      await onImport({
+        id: upload.id,
+        name: name.trim() || upload.fileName,
+        fileName: upload.fileName,
+        speciesId,
+        importedAt: Date.now(),
+        records: preview.records,
+        rejectedCount: preview.errors.length,
+      });
+      setUpload(null);
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the survey in this browser’s storage.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="flex items-center gap-2 text-slate-400">
+        <span className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 cursor-pointer transition">
+          Choose CSV / GeoJSON…
+        </span>
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,.json,.geojson"
+          onChange={handleFile}
+          className="hidden"
+        />
+        {upload && (
+          <span className="truncate">
+            {upload.fileName} · {upload.parsed.rows.length} rows
+          </span>
+        )}
+      </label>
+
+      {upload && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {SURVEY_FIELDS.map((field) => (
+              <label key={field.id} className="flex flex-col gap-0.5">
+                <span className="text-[10px] uppercase tracking-wide text-slate-500">
+                  {field.label}
+                  {field.required && " *"}
+                </span>
+                <select
+                  value={mapping[field.id] || ""}
+                  onChange={(e) =>
+                    setMapping((prev) => ({ ...prev, [field.id]: e.target.value || undefined }))
+                  }
+                  className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+                >
+                  <option value="">—</option>
+                  {upload.parsed.headers.map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Dataset name"
+              className="flex-1 min-w-[8rem] bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+            />
+            <select
+              value={speciesId}
+              onChange={(e) => setSpeciesId(e.target.value)}
+              title={mapping.species ? "Used for rows without a species value" : undefined}
+              className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+            >
+              {trackedSpecies.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.commonName}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleImport}
+              disabled={!preview || preview.records.length === 0 || saving}
+              className="px-3 py-1 rounded-full bg-slate-100 text-slate-900 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {preview ? `Import ${preview.records.length} rows` : "Import"}
+            </button>
+            <button
+              onClick={() => setUpload(null)}
+              className="px-3 py-1 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500 transition"
+            >
+              Cancel
+            </button>
+          </div>
+
+          {mappingError && <div className="text-amber-300">{mappingError}</div>}
+
+          {preview?.errors.length > 0 && (
+            <div className="border border-red-500/30 bg-red-500/5 rounded-lg px-2 py-1.5">
+              <div className="text-red-300">
+                {preview.errors.length} of {upload.parsed.rows.length} rows will be
+                skipped:
+              </div>
+              <ul className="mt-1 max-h-32 overflow-y-auto font-mono text-[10px] text-red-300/80">
+                {preview.errors.slice(0, MAX_LISTED_ERRORS).map((e) => (
+                  <li key={e.line}>
+                    {e.line}: {e.message}
+                  </li>
+                ))}
+                {preview.errors.length > MAX_LISTED_ERRORS && (
+                  <li>…and {preview.errors.length - MAX_LISTED_ERRORS} more</li>
+                )}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+const SurveyPanel = ({
+  datasets,
+  trackedSpecies,
+  selectedSpecies,
+  onImport,
+  onDelete,
+  showLayer,
+  onShowLayerChange,
+  mergeIntoGrid,
+  onMergeIntoGridChange,
+  recordsPerDensity,
+  onRecordsPerDensityChange,
+}) => {
+  const speciesRecordCount = surveyRecordsForSpecies(datasets, selectedSpecies.id).length;
+  const speciesName = (id) => trackedSpecies.find((s) => s.id === id)?.commonName || id;
+
+  return (
+    <details className="bg-slate-900/70 border border-slate-800 rounded-2xl p-3 md:p-4 text-xs">
+      <summary className="cursor-pointer select-none flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-slate-100">Field surveys</span>
+        <span className="text-slate-400 truncate">
+          {datasets.length} datasets · {speciesRecordCount} transects for{" "}
+          {selectedSpecies.commonName}
+          {mergeIntoGrid && " · merged into grid"}
+        </span>
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-slate-400">
+          Import dive counts that never reach GBIF. Each row needs coordinates,
+          a date and a density in urchins per m²; transect IDs are kept for
+          reference. Surveys are stored in this browser only.
+        </p>
+
+        <SurveyImport
+          trackedSpecies={trackedSpecies}
+          selectedSpecies={selectedSpecies}
+          onImport={onImport}
+        />
+
+        {datasets.length > 0 && (
+          <ul className="divide-y divide-slate-800 border border-slate-800 rounded-lg">
+            {datasets.map((d) => (
+              <li key={d.id} className="flex items-center justify-between gap-2 px-2 py-1.5">
+                <span className="truncate">
+                  <span className="text-slate-200">{d.name}</span>{" "}
+                  <span className="text-slate-500">
+                    · {speciesName(d.speciesId)} · {d.records.length} rows
+                    {d.rejectedCount > 0 && ` (${d.rejectedCount} skipped)`} ·{" "}
+                    {new Date(d.importedAt).toLocaleDateString()}
+                  </span>
+                </span>
+                <button
+                  onClick={() => onDelete(d.id)}
+                  className="text-slate-500 hover:text-red-300 transition"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 text-slate-400">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={showLayer}
+              onChange={(e) => onShowLayerChange(e.target.checked)}
+            />
+            Show survey layer
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={mergeIntoGrid}
+              onChange={(e) => onMergeIntoGridChange(e.target.checked)}
+            />
+            Merge into grid
+          </label>
+          <label className="flex items-center gap-1">
+            1 urchin/m² counts as
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={recordsPerDensity}
+              disabled={!mergeIntoGrid}
+              onChange={(e) => onRecordsPerDensityChange(Math.max(0, Number(e.target.value) || 0))}
+              className="w-16 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200 disabled:opacity-50"
+            />
+            records
+          </label>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default SurveyPanel;
@@ -0,0 +1,147 @@
+// src/aggregate.js
+// Grid aggregation over compact, column-oriented records. Runs inside the
+// pipeline worker (see pipeline.worker.js) and, where workers are not
+// available, on the main thread.
+//
+// Cells carry aggregates (count, per-year and per-range-status counts) and
+// the indices of their records in the input list instead of copies of the
+// records, so a grid of 100k+ records stays small and cheap to post between
+// threads.
+import { createBinner, nominalCellAreaKm2 } from "./grid";
+import { createRangeTester, emptyRangeCounts } from "./nativeRange";
+
+// Cells with a smaller share of habitat are flagged lowHabitat and not
+// normalized by habitat area: one sample point of habitat out of 144 would
+// multiply a cell's records by 144.
+export const LOW_HABITAT_FRACTION = 0.05;
+
+// Typed-array columns of the fields the grid needs. year 0 means unknown.
+export function packOccurrences(occurrences) {
+  const n = occurrences.length;
+  const columns = {
+    lat: new Float64Array(n),
+    lng: new Float64Array(n),
+    year: new Int16Array(n),
+    weight: new Float64Array(n),
+  };
+  occurrences.forEach((o, i) => {
+    columns.lat[i] = o.lat;
+    columns.lng[i] = o.lng;
+    columns.year[i] = typeof o.year === "number" ? o.year : 0;
+    columns.weight[i] = o.weight ?? 1;
+  });
+  return columns;
+}
+
+export function gridBuffers(grid) {
+  return grid.cells.map((c) => c.recordIndices.buffer);
+}
+
+// Group packed records into grid cells. Risk classes are assigned later,
+// on the main thread (see classification.js).
+// Records may carry a `weight` (e.g. density-weighted survey transects,
+// see surveys.js); everything else counts once.
+//
+// options.binning picks the cell shape (see grid.js). Every cell has its
+// normalizedCount: records scaled to the area of a cell of the same size at
+// the equator, so square cells are comparable across latitudes. Equal-area
+// and hex cells already have that area.
+//
+// options.habitat is a sampler from habitat.js; each cell then reports its
+// suitableFraction and habitatAreaKm2. With options.maskNonHabitat,
+// normalizedCount is records per habitable area, except in lowHabitat cells
+// (below LOW_HABITAT_FRACTION), which keep records per cell area. No cell is
+// dropped: every record is evidence of habitat the sampler may have missed.
+// The summary counts the lowHabitat cells, and those where the sampler found
+// no habitat at all.
+//
+// options.nativeRange is the species' native range (see nativeRange.js).
+// Cells and the summary split their records by range status in
+// rangeCounts: { native, introduced, unknown }.
+export function aggregateColumns(
+  columns,
+  cellSizeDeg = 1,
+  {
+    binning = "square",
+    habitat = null,
+    maskNonHabitat = false,
+    nativeRange = null,
+  } = {}
+) {
+  const binner = createBinner(binning, cellSizeDeg);
+  const nominalAreaKm2 = nominalCellAreaKm2(cellSizeDeg);
+  const statusOf = createRangeTester(nativeRange);
+  const grid = new Map();
+  const { lat, lng, year, weight } = columns;
+
+  for (let i = 0; i < lat.length; i += 1) {
+    const key = binner.cellId(lat[i], lng[i]);
+
+    let cell = grid.get(key);
+    if (!cell) {
+      cell = { count: 0, byYear: {}, rangeCounts: emptyRangeCounts(), indices: [] };
+      grid.set(key, cell);
+    }
+
+    cell.count += weight[i];
+    cell.rangeCounts[statusOf(lat[i], lng[i])] += weight[i];
+    cell.indices.push(i);
+    if (year[i]) cell.byYear[year[i]] = (cell.byYear[year[i]] || 0) + weight[i];
+  }
+
+  const cells = [];
+  let noHabitatCellCount = 0;
+  let lowHabitatCellCount = 0;
+  const rangeCounts = emptyRangeCounts();
+  const masking = Boolean(habitat && maskNonHabitat);
+
+  for (const [id, cell] of grid.entries()) {
+    const shape = binner.describe(id);
+    const suitableFraction = habitat ? habitat(shape) : null;
+    const lowHabitat = suitableFraction !== null && suitableFraction < LOW_HABITAT_FRACTION;
+    if (suitableFraction === 0) noHabitatCellCount += 1;
+    if (lowHabitat) lowHabitatCellCount += 1;
+
+    const habitatAreaKm2 =
+      suitableFraction === null ? shape.areaKm2 : shape.areaKm2 * suitableFraction;
+    const divisorKm2 = masking && !lowHabitat ? habitatAreaKm2 : shape.areaKm2;
+    const normalizedCount = (cell.count * nominalAreaKm2) / divisorKm2;
+    Object.keys(rangeCounts).forEach((status) => {
+      rangeCounts[status] += cell.rangeCounts[status];
+    });
+
+    cells.push({
+      id,
+      ...shape,
+      count: cell.count,
+      normalizedCount,
+      suitableFraction,
+      habitatAreaKm2,
+      lowHabitat,
+      byYear: cell.byYear,
+      rangeCounts: cell.rangeCounts,
+      recordIndices: Uint32Array.from(cell.indices),
+    });
+  }
+
+  return {
+    cells,
+    summary: {
+      totalRecords: lat.length,
+      cellCount: cells.length,
+      noHabitatCellCount,
+      lowHabitatCellCount,
+      rangeCounts,
+    },
+  };
+}
+
+// Main-thread convenience for small inputs (and the no-worker fallback)
+export function computeGridCells(occurrences, cellSizeDeg, options) {
+  return aggregateColumns(packOccurrences(occurrences), cellSizeDeg, options);
+}
+
+// The records of a cell, from the occurrence list the grid was computed from
+export function cellRecords(cell, occurrences) {
+  return Array.from(cell.recordIndices, (i) => occurrences[i]);
+}
@@ -0,0 +1,155 @@
+// src/alerts.js
+// Change alerts for watched species and regions. After every fresh fetch the
+// species' records are gridded on a fixed 1° grid and compared with the
+// snapshot stored after the previous fetch. Watchlist and alert history live
+// in localStorage; snapshots in IndexedDB (see cache.js).
+import { isPointInGeometry } from "./geo";
+import { readList, writeJson } from "./storage";
+
+const WATCHLIST_KEY = "urchin-tracker.watchlist";
+const ALERTS_KEY = "urchin-tracker.alerts";
+
+// Oldest alerts are dropped beyond this
+const MAX_ALERTS = 200;
+
+// Fixed grid, so snapshots stay comparable whatever the current map zoom
+export const SNAPSHOT_CELL_SIZE = 1;
+
+// A "sharp jump": at least this many times the previous count, and at least
+// minIncrease more records
+export const JUMP_THRESHOLD = { ratio: 2, minIncrease: 10 };
+
+export const ALERT_TYPES = {
+  high: "Crossed into the top risk class",
+  "outside-range": "New cell outside known range",
+  jump: "Record count jump",
+};
+
+export const loadWatchlist = () => readList(WATCHLIST_KEY);
+export const saveWatchlist = (watchlist) => writeJson(WATCHLIST_KEY, watchlist);
+export const loadAlerts = () => readList(ALERTS_KEY);
+export const saveAlerts = (alerts) => writeJson(ALERTS_KEY, alerts.slice(-MAX_ALERTS));
+
+// regionId null means "anywhere"
+export function createWatch(speciesId, regionId = null) {
+  return {
+    id: `watch-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    speciesId,
+    regionId,
+    createdAt: Date.now(),
+  };
+}
+
+// Compact per-cell counts and risk classes of freshly fetched records,
+// from their classified grid at SNAPSHOT_CELL_SIZE. queryKey identifies the
+// source-side query and profileKey the classification (see
+// classification.js); snapshots taken under different ones are not
+// compared.
+export function takeSnapshot(speciesId, { cells }, { queryKey, profileKey, fetchedAt }) {
+  return {
+    speciesId,
+    queryKey,
+    profileKey,
+    fetchedAt,
+    cells: Object.fromEntries(
+      cells.map((c) => [
+        c.id,
+        { lat: c.lat, lng: c.lng, count: c.count, risk: c.risk, riskLevel: c.riskLevel },
+      ])
+    ),
+  };
+}
+
+// Cells that changed between two snapshots:
+// [{ type, cellId, lat, lng, count, previousCount }]
+export function detectChanges(previous, current, { nativeRange = null } = {}) {
+  const changes = [];
+
+  Object.entries(current.cells).forEach(([cellId, cell]) => {
+    const before = previous.cells[cellId];
+    const previousCount = before?.count ?? 0;
+    const base = { cellId, lat: cell.lat, lng: cell.lng, count: cell.count, previousCount };
+
+    // Newly in the highest risk class
+    if (cell.riskLevel === 0 && before?.riskLevel !== 0) {
+      changes.push({ type: "high", risk: cell.risk, ...base });
+    }
+    // Known range: the native range plus every cell occupied before
+    if (!before && !(nativeRange && isPointInGeometry(cell.lat, cell.lng, nativeRange))) {
+      changes.push({ type: "outside-range", ...base });
+    }
+    if (
+      before &&
+      cell.count >= previousCount * JUMP_THRESHOLD.ratio &&
+      cell.count - previousCount >= JUMP_THRESHOLD.minIncrease
+    ) {
+      changes.push({ type: "jump", ...base });
+    }
+  });
+
+  return changes;
+}
+
+function describeChange(change, species, region) {
+  const where = `${change.lat.toFixed(1)}, ${change.lng.toFixed(1)}${region ? ` in ${region.name}` : ""}`;
+  switch (change.type) {
+    case "high":
+      return `${species.commonName}: cell at ${where} is now ${change.risk} risk (${change.count} records)`;
+    case "outside-range":
+      return `${species.commonName}: first records at ${where}, outside the known range`;
+    default:
+      return `${species.commonName}: records at ${where} jumped from ${change.previousCount} to ${change.count}`;
+  }
+}
+
+// Alerts for one watch entry, limited to its region when it has one
+export function alertsForWatch(changes, watch, { species, region, createdAt = Date.now() }) {
+  return changes
+    .filter(
+      (c) => !region || isPointInGeometry(c.lat, c.lng, region.geometry)
+    )
+    .map((c) => ({
+      ...c,
+      id: `alert-${createdAt}-${watch.id}-${c.type}-${c.cellId}`,
+      watchId: watch.id,
+      speciesId: species.id,
+      regionId: region?.id ?? null,
+      message: describeChange(c, species, region),
+      createdAt,
+      read: false,
+    }));
+}
+
+export function browserNotificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+// One browser notification per batch, if the user allowed them. Once the
+// service worker controls the page it has to show them: Chrome for Android
+// throws on the Notification constructor there.
+export async function notifyBrowser(alerts) {
+  if (
+    alerts.length === 0 ||
+    !browserNotificationsSupported() ||
+    Notification.permission !== "granted"
+  ) {
+    return;
+  }
+  const title =
+    alerts.length === 1 ? "Urchin tracker alert" : `${alerts.length} urchin tracker alerts`;
+  const options = {
+    body: alerts.slice(0, 3).map((a) => a.message).join("\n"),
+    tag: "urchin-tracker-alerts",
+  };
+
+  if (navigator.serviceWorker?.controller) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, options);
+    return;
+  }
+  try {
+    new Notification(title, options);
+  } catch (e) {
+    console.warn("Could not show a browser notification", e);
+  }
+}
@@ -1,178 +1,145 @@
 // src/api.js
+import { DEFAULT_SOURCE_IDS, fetchFromSources, truncatedSources } from "./sources";
+import { DEFAULT_FILTERS, queryFromFilters } from "./filters";
+import { mergeDownload } from "./downloads";
+import { DEFAULT_SPECIES, speciesTaxon } from "./species";
+import {
+  clearFetchProgress,
+  isStale,
+  occurrenceCacheKey,
+  readCachedOccurrences,
+  readFetchProgress,
+  writeCachedOccurrences,
+  writeFetchProgress,
+} from "./cache";
+
+export const MAX_PER_SPECIES = 2000;  // Safety cap (per source) so we don't overload the browser
+
+const DEFAULT_QUERY = queryFromFilters(DEFAULT_FILTERS);
+
+// Part of every cache key. Bump it when normalized records gain fields, so
+// copies cached before are refetched instead of shown without them.
+// 2: datasetKey, recordedBy, license and media
+const RECORD_SCHEMA_VERSION = 2;
+
+// Accepts a species / { scientificName, taxonKey } or a bare scientific name
+function toTaxon(taxon) {
+  return typeof taxon === "string" ? { scientificName: taxon } : speciesTaxon(taxon);
+}
 
-// ---- Species configuration ----
-
-export const SPECIES = [
-  {
-    id: "purple",
-    scientificName: "Strongylocentrotus purpuratus",
-    commonName: "Purple Sea Urchin",
-    regionHint: "US West Coast",
-  },
-  {
-    id: "longspined",
-    scientificName: "Centrostephanus rodgersii",
-    commonName: "Long-spined Sea Urchin",
-    regionHint: "Australia / Tasmania",
-  },
-  {
-    id: "green",
-    scientificName: "Strongylocentrotus droebachiensis",
-    commonName: "Green Sea Urchin",
-    regionHint: "North Atlantic",
-  },
-];
-
-// Base GBIF endpoint
-const GBIF_BASE_URL = "https://api.gbif.org/v1/occurrence/search";
-
-// Use a public CORS proxy so the browser can talk to GBIF
-const CORS_PROXY = "https://corsproxy.io/?";
-
-const YEARS_BACK = 5;
-const PAGE_LIMIT = 300;        // GBIF max per page is 300
-const MAX_PER_SPECIES = 2000;  // Safety cap so we don't overload the browser
-
-// ---- Helpers ----
-
-function buildGbifUrl(scientificName, offset = 0) {
-  const currentYear = new Date().getFullYear();
-  const startYear = currentYear - YEARS_BACK;
-
-  const params = new URLSearchParams({
-    scientificName,
-    hasCoordinate: "true",
-    year: `${startYear},${currentYear}`, // last N years
-    limit: PAGE_LIMIT.toString(),
-    offset: offset.toString(),
+function speciesCacheKey(
+  taxon,
+  { sourceIds, query, maxRecords = MAX_PER_SPECIES }
+) {
+  return occurrenceCacheKey(taxon.scientificName, {
+    taxonKey: taxon.taxonKey ?? "",
+    schema: RECORD_SCHEMA_VERSION,
+    sourceIds,
+    maxRecords,
+    ...query,
   });
-
-  return `${GBIF_BASE_URL}?${params.toString()}`;
 }
 
-// Fetch a single species’ occurrences from GBIF
+// Fetch a single species’ occurrences from every enabled data source,
+// normalized and de-duplicated across sources.
+//
+// Pages are streamed to onProgress({ records, progress }) as they arrive.
+// Every page is checkpointed, so a fetch that fails or is aborted resumes
+// from the last successful page next time instead of starting over.
+// The finished result is written to the offline cache.
+//
+// Resolves to { records, truncated }, where truncated lists the sources
+// that matched more records than maxRecords (see truncatedSources).
+//
+// `query` is the source-side part of the filters (see queryFromFilters).
+// `download` ({ speciesId, importedAt } of an imported GBIF download) is
+// merged into the finished records; partial results and the cache hold
+// the fetched records only.
 export async function fetchOccurrencesForSpecies(
-  scientificName,
-  maxRecords = MAX_PER_SPECIES
+  species,
+  maxRecords = MAX_PER_SPECIES,
+  {
+    sourceIds = DEFAULT_SOURCE_IDS,
+    query = DEFAULT_QUERY,
+    download = null,
+    signal,
+    onProgress,
+  } = {}
 ) {
-  let all = [];
-  let offset = 0;
-
-  while (all.length < maxRecords) {
-    const url = buildGbifUrl(scientificName, offset);
-    const proxiedUrl = CORS_PROXY + encodeURIComponent(url);
-
-    const res = await fetch(proxiedUrl);
-
-    if (!res.ok) {
-      throw new Error(`GBIF request failed (${res.status}): ${res.statusText}`);
-    }
-
-    const data = await res.json();
-    const pageResults = Array.isArray(data.results) ? data.results : [];
+  const taxon = toTaxon(species);
+  const cacheKey = speciesCacheKey(taxon, {
+    sourceIds,
+    query,
+    maxRecords,
+  });
 
-    const cleaned = pageResults
-      .filter(
-        (r) =>
-          typeof r.decimalLatitude === "number" &&
-          typeof r.decimalLongitude === "number"
-      )
-      .map((r) => ({
-        key: r.key,
-        lat: r.decimalLatitude,
-        lng: r.decimalLongitude,
-        year: r.year,
-        country: r.country,
-        stateProvince: r.stateProvince,
-      }));
+  const saved = await readFetchProgress(cacheKey);
+  const checkpoint =
+    saved && !isStale(saved.startedAt)
+      ? saved
+      : { startedAt: Date.now(), sources: {} };
+
+  const { records, progress, complete } = await fetchFromSources(taxon, {
+    sourceIds,
+    maxRecords,
+    query,
+    signal,
+    resume: checkpoint.sources,
+    onProgress,
+    onCheckpoint: (sourceId, state) => {
+      checkpoint.sources = { ...checkpoint.sources, [sourceId]: state };
+      writeFetchProgress(cacheKey, checkpoint);
+    },
+  });
 
-    all = all.concat(cleaned);
+  const truncated = truncatedSources(progress);
+  await writeCachedOccurrences(cacheKey, records, { complete, truncated });
+  if (complete) await clearFetchProgress(cacheKey);
 
-    if (data.endOfRecords || pageResults.length === 0) break;
-    offset += PAGE_LIMIT;
-  }
+  return {
+    records: download ? await mergeDownload(records, download) : records,
+    truncated,
+  };
+}
 
-  return all.slice(0, maxRecords);
+// Cached occurrences for one species: { records, fetchedAt, complete,
+// truncated } or null. `download` is merged in as by
+// fetchOccurrencesForSpecies.
+export async function readCachedSpeciesOccurrences(
+  species,
+  { sourceIds = DEFAULT_SOURCE_IDS, query = DEFAULT_QUERY, download = null } = {}
+) {
+  const cached = await readCachedOccurrences(
+    speciesCacheKey(toTaxon(species), { sourceIds, query })
+  );
+  if (!cached || !download) return cached;
+  return { ...cached, records: await mergeDownload(cached.records, download) };
 }
 
-// Fetch all configured species in parallel
-export async function fetchAllSpeciesOccurrences() {
+// Fetch all given species in parallel.
+// onProgress(speciesId, { records, progress }) streams pages per species.
+export async function fetchAllSpeciesOccurrences({
+  species = DEFAULT_SPECIES,
+  sourceIds = DEFAULT_SOURCE_IDS,
+  query = DEFAULT_QUERY,
+  signal,
+  onProgress,
+} = {}) {
   const entries = await Promise.all(
-    SPECIES.map(async (s) => {
-      const occurrences = await fetchOccurrencesForSpecies(s.scientificName);
-      return [s.id, occurrences];
+    species.map(async (s) => {
+      const { records } = await fetchOccurrencesForSpecies(
+        s,
+        MAX_PER_SPECIES,
+        {
+          sourceIds,
+          query,
+          signal,
+          onProgress: onProgress && ((snapshot) => onProgress(s.id, snapshot)),
+        }
+      );
+      return [s.id, records];
     })
   );
 
   return Object.fromEntries(entries);
 }
-
-// ---- Invasiveness / grid aggregation ----
-
-// Group occurrences into lat/lng grid cells and classify risk by count
-export function computeGridCells(
-  occurrences,
-  cellSizeDeg = 1,
-  thresholds = { high: 30, medium: 10 }
-) {
-  const { high, medium } = thresholds;
-  const grid = new Map();
-
-  occurrences.forEach((o) => {
-    const latIdx = Math.floor(o.lat / cellSizeDeg);
-    const lngIdx = Math.floor(o.lng / cellSizeDeg);
-    const key = `${latIdx}_${lngIdx}`;
-
-    const cell = grid.get(key) || {
-      latIdx,
-      lngIdx,
-      count: 0,
-      samples: [],
-    };
-
-    cell.count += 1;
-    cell.samples.push(o);
-    grid.set(key, cell);
-  });
-
-  const cells = [];
-  let highCount = 0;
-  let medCount = 0;
-  let lowCount = 0;
-
-  for (const [id, cell] of grid.entries()) {
-    let risk = "Low";
-    if (cell.count >= high) {
-      risk = "High";
-      highCount += 1;
-    } else if (cell.count >= medium) {
-      risk = "Medium";
-      medCount += 1;
-    } else {
-      lowCount += 1;
-    }
-
-    const latCenter = (cell.latIdx + 0.5) * cellSizeDeg;
-    const lngCenter = (cell.lngIdx + 0.5) * cellSizeDeg;
-
-    cells.push({
-      id,
-      lat: latCenter,
-      lng: lngCenter,
-      count: cell.count,
-      risk,
-      samples: cell.samples,
-    });
-  }
-
-  return {
-    cells,
-    summary: {
-      totalRecords: occurrences.length,
-      cellCount: cells.length,
-      highCount,
-      medCount,
-      lowCount,
-    },
-  };
-}
@@ -0,0 +1,351 @@
+// src/cache.js
+// Tiny IndexedDB wrapper for persisting fetched occurrences (and imported
+// field surveys, habitat layers, GBIF downloads and covariates) between visits.
+
+const DB_NAME = "urchin-tracker";
+const DB_VERSION = 9;
+const OCCURRENCE_STORE = "occurrences";
+// Checkpoints of interrupted fetches, so the next attempt can resume
+const PROGRESS_STORE = "fetchProgress";
+// Sampling-effort record counts per grid cell
+const EFFORT_STORE = "samplingEffort";
+// Imported field survey datasets, keyed by dataset id
+const SURVEY_STORE = "surveys";
+// Imported habitat layers (kelp, coastline, bathymetry), keyed by layer id
+const HABITAT_STORE = "habitatLayers";
+// Last grid snapshot per species, for change alerts (see alerts.js)
+const SNAPSHOT_STORE = "gridSnapshots";
+// Imported GBIF occurrence downloads, one per species (see downloads.js).
+// Their records are kept apart, so listing the downloads doesn't read them.
+const DOWNLOAD_STORE = "downloads";
+const DOWNLOAD_RECORDS_STORE = "downloadRecords";
+// Imported SST / anomaly datasets, keyed by dataset id (see covariates.js)
+const COVARIATE_STORE = "covariates";
+
+// Cached data older than this is still shown, but refreshed in the background.
+// Override with VITE_CACHE_MAX_AGE_HOURS.
+export const CACHE_MAX_AGE_MS =
+  (Number(import.meta.env.VITE_CACHE_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = ({ oldVersion }) => {
+        const db = req.result;
+        [
+          OCCURRENCE_STORE,
+          PROGRESS_STORE,
+          EFFORT_STORE,
+          SURVEY_STORE,
+          HABITAT_STORE,
+          SNAPSHOT_STORE,
+          DOWNLOAD_STORE,
+          DOWNLOAD_RECORDS_STORE,
+          COVARIATE_STORE,
+        ].forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+        // Downloads stored their records inline before version 9
+        if (oldVersion > 0 && oldVersion < 9) moveDownloadRecords(req.transaction);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed (e.g. blocked by the browser)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+}
+
+function moveDownloadRecords(tx) {
+  const records = tx.objectStore(DOWNLOAD_RECORDS_STORE);
+  tx.objectStore(DOWNLOAD_STORE).openCursor().onsuccess = ({ target }) => {
+    const cursor = target.result;
+    if (!cursor) return;
+    const { records: downloaded, ...download } = cursor.value;
+    records.put(downloaded ?? [], cursor.key);
+    cursor.update(download);
+    cursor.continue();
+  };
+}
+
+function runRequest(storeName, mode, makeRequest) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// Like runRequest, for writes spanning several stores
+function runTransaction(storeNames, mode, write) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        write(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// Stable cache key for a species + query parameters
+export function occurrenceCacheKey(scientificName, params = {}) {
+  const normalized = Object.keys(params)
+    .sort()
+    .map((k) => {
+      const v = params[k];
+      if (Array.isArray(v)) return `${k}=${[...v].sort().join(",")}`;
+      if (v && typeof v === "object") return `${k}=${JSON.stringify(v)}`;
+      return `${k}=${v}`;
+    })
+    .join("&");
+  return `${scientificName}?${normalized}`;
+}
+
+// Resolves to { records, fetchedAt, complete, truncated } or null. Cache errors are never fatal.
+export async function readCachedOccurrences(key) {
+  try {
+    const entry = await runRequest(OCCURRENCE_STORE, "readonly", (store) =>
+      store.get(key)
+    );
+    return entry || null;
+  } catch (e) {
+    console.warn("Occurrence cache read failed", e);
+    return null;
+  }
+}
+
+// `complete` is false when some source failed part-way; such entries are
+// served but always treated as stale. `truncated` lists the sources that
+// had more records than were downloaded (see truncatedSources).
+export async function writeCachedOccurrences(
+  key,
+  records,
+  { fetchedAt = Date.now(), complete = true, truncated = [] } = {}
+) {
+  try {
+    await runRequest(OCCURRENCE_STORE, "readwrite", (store) =>
+      store.put({ records, fetchedAt, complete, truncated }, key)
+    );
+  } catch (e) {
+    console.warn("Occurrence cache write failed", e);
+  }
+}
+
+export async function clearOccurrenceCache() {
+  try {
+    await runRequest(OCCURRENCE_STORE, "readwrite", (store) => store.clear());
+    await runRequest(PROGRESS_STORE, "readwrite", (store) => store.clear());
+  } catch (e) {
+    console.warn("Occurrence cache clear failed", e);
+  }
+}
+
+// Resolves to { startedAt, sources: { [sourceId]: resumeState } } or null
+export async function readFetchProgress(key) {
+  try {
+    const entry = await runRequest(PROGRESS_STORE, "readonly", (store) =>
+      store.get(key)
+    );
+    return entry || null;
+  } catch (e) {
+    console.warn("Fetch progress read failed", e);
+    return null;
+  }
+}
+
+export async function writeFetchProgress(key, progress) {
+  try {
+    await runRequest(PROGRESS_STORE, "readwrite", (store) =>
+      store.put(progress, key)
+    );
+  } catch (e) {
+    console.warn("Fetch progress write failed", e);
+  }
+}
+
+export async function clearFetchProgress(key) {
+  try {
+    await runRequest(PROGRESS_STORE, "readwrite", (store) => store.delete(key));
+  } catch (e) {
+    console.warn("Fetch progress clear failed", e);
+  }
+}
+
+// Resolves to { count, fetchedAt } or null
+export async function readEffortCount(key) {
+  try {
+    const entry = await runRequest(EFFORT_STORE, "readonly", (store) =>
+      store.get(key)
+    );
+    return entry || null;
+  } catch (e) {
+    console.warn("Sampling effort read failed", e);
+    return null;
+  }
+}
+
+export async function writeEffortCount(key, count) {
+  try {
+    await runRequest(EFFORT_STORE, "readwrite", (store) =>
+      store.put({ count, fetchedAt: Date.now() }, key)
+    );
+  } catch (e) {
+    console.warn("Sampling effort write failed", e);
+  }
+}
+
+// Resolves to every stored survey dataset, oldest import first
+export async function readSurveyDatasets() {
+  try {
+    const datasets = await runRequest(SURVEY_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    return datasets.sort((a, b) => a.importedAt - b.importedAt);
+  } catch (e) {
+    console.warn("Survey read failed", e);
+    return [];
+  }
+}
+
+// Unlike the caches above, surveys exist nowhere else: let failures surface
+export function writeSurveyDataset(dataset) {
+  return runRequest(SURVEY_STORE, "readwrite", (store) =>
+    store.put(dataset, dataset.id)
+  );
+}
+
+export function deleteSurveyDataset(id) {
+  return runRequest(SURVEY_STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function readHabitatLayers() {
+  try {
+    const layers = await runRequest(HABITAT_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    return layers.sort((a, b) => a.importedAt - b.importedAt);
+  } catch (e) {
+    console.warn("Habitat layer read failed", e);
+    return [];
+  }
+}
+
+export function writeHabitatLayer(layer) {
+  return runRequest(HABITAT_STORE, "readwrite", (store) => store.put(layer, layer.id));
+}
+
+export function deleteHabitatLayer(id) {
+  return runRequest(HABITAT_STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function readCovariates() {
+  try {
+    const datasets = await runRequest(COVARIATE_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    return datasets.sort((a, b) => a.importedAt - b.importedAt);
+  } catch (e) {
+    console.warn("Covariate read failed", e);
+    return [];
+  }
+}
+
+export function writeCovariate(dataset) {
+  return runRequest(COVARIATE_STORE, "readwrite", (store) => store.put(dataset, dataset.id));
+}
+
+export function deleteCovariate(id) {
+  return runRequest(COVARIATE_STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function readGridSnapshot(speciesId) {
+  try {
+    const snapshot = await runRequest(SNAPSHOT_STORE, "readonly", (store) =>
+      store.get(speciesId)
+    );
+    return snapshot || null;
+  } catch (e) {
+    console.warn("Snapshot read failed", e);
+    return null;
+  }
+}
+
+export async function writeGridSnapshot(snapshot) {
+  try {
+    await runRequest(SNAPSHOT_STORE, "readwrite", (store) =>
+      store.put(snapshot, snapshot.speciesId)
+    );
+  } catch (e) {
+    console.warn("Snapshot write failed", e);
+  }
+}
+
+// Resolves to { [speciesId]: download } without the records, which only
+// the pipeline reads (readDownloadRecords)
+export async function readDownloads() {
+  try {
+    const downloads = await runRequest(DOWNLOAD_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    return Object.fromEntries(downloads.map((d) => [d.speciesId, d]));
+  } catch (e) {
+    console.warn("Download read failed", e);
+    return {};
+  }
+}
+
+// The records of a species' download, or null
+export async function readDownloadRecords(speciesId) {
+  try {
+    const records = await runRequest(DOWNLOAD_RECORDS_STORE, "readonly", (store) =>
+      store.get(speciesId)
+    );
+    return records ?? null;
+  } catch (e) {
+    console.warn("Download read failed", e);
+    return null;
+  }
+}
+
+// Downloads can take GBIF a while to prepare: let failures surface
+export function writeDownload({ records, ...download }) {
+  return runTransaction([DOWNLOAD_STORE, DOWNLOAD_RECORDS_STORE], "readwrite", (tx) => {
+    tx.objectStore(DOWNLOAD_STORE).put(download, download.speciesId);
+    tx.objectStore(DOWNLOAD_RECORDS_STORE).put(records, download.speciesId);
+  });
+}
+
+export function deleteDownload(speciesId) {
+  return runTransaction([DOWNLOAD_STORE, DOWNLOAD_RECORDS_STORE], "readwrite", (tx) => {
+    tx.objectStore(DOWNLOAD_STORE).delete(speciesId);
+    tx.objectStore(DOWNLOAD_RECORDS_STORE).delete(speciesId);
+  });
+}
+
+export function isStale(fetchedAt, maxAgeMs = CACHE_MAX_AGE_MS) {
+  return !fetchedAt || Date.now() - fetchedAt > maxAgeMs;
+}
+
+// Whether a cached entry should be refetched
+export function needsRefresh(entry, maxAgeMs = CACHE_MAX_AGE_MS) {
+  return !entry || entry.complete === false || isStale(entry.fetchedAt, maxAgeMs);
+}
@@ -0,0 +1,60 @@
+// src/citations.js
+// Provenance helpers for the record drawer: which datasets a set of records
+// comes from, their recommended citations, and readable licence names.
+import { getSource } from "./sources";
+
+// Citations don't change while the app is open: one request per dataset
+const citationRequests = new Map();
+
+const datasetId = (r) => `${r.source}:${r.datasetKey}`;
+
+// Datasets behind `records`, most records first:
+// [{ id, source, datasetKey, datasetName, count }]
+// Field surveys are our own data and are not cited; records without a
+// datasetKey have no dataset to cite.
+export function contributingDatasets(records) {
+  const byId = new Map();
+  records.forEach((r) => {
+    if (!getSource(r.source)?.fetchCitation || !r.datasetKey) return;
+    const id = datasetId(r);
+    const entry = byId.get(id) || {
+      id,
+      source: r.source,
+      datasetKey: r.datasetKey,
+      datasetName: r.datasetName ?? null,
+      count: 0,
+    };
+    entry.count += 1;
+    byId.set(id, entry);
+  });
+  return [...byId.values()].sort((a, b) => b.count - a.count);
+}
+
+// Resolves to the dataset's citation text. Failed requests are forgotten,
+// so they can be retried.
+export function fetchDatasetCitation(dataset, { signal } = {}) {
+  if (!citationRequests.has(dataset.id)) {
+    const request = getSource(dataset.source).fetchCitation(dataset.datasetKey, { signal });
+    request.catch(() => citationRequests.delete(dataset.id));
+    citationRequests.set(dataset.id, request);
+  }
+  return citationRequests.get(dataset.id);
+}
+
+// Creative Commons URLs and codes in their usual short form:
+// "http://creativecommons.org/licenses/by-nc/4.0/legalcode" -> "CC BY-NC 4.0",
+// "CC_BY_4_0" -> "CC BY 4.0", "CC-BY-NC" -> "CC BY-NC"
+export function formatLicense(license) {
+  if (!license) return null;
+  const text = String(license);
+
+  if (/publicdomain\/zero|^cc[-_ ]?0/i.test(text)) return "CC0";
+  const url = /creativecommons\.org\/licenses\/([a-z-]+)\/([\d.]+)/i.exec(text);
+  if (url) return `CC ${url[1].toUpperCase()} ${url[2]}`;
+  const code = /^cc[-_ ]((?:by|nc|nd|sa)(?:[-_ ](?:by|nc|nd|sa))*)(?:[-_ ](\d)[-_.](\d))?$/i.exec(text);
+  if (code) {
+    const version = code[2] ? ` ${code[2]}.${code[3]}` : "";
+    return `CC ${code[1].toUpperCase().replace(/[_ ]/g, "-")}${version}`;
+  }
+  return text;
+}
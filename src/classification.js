@@ -0,0 +1,223 @@
+// src/classification.js
+// Classification profiles: how grid cells are split into risk classes.
+// A profile belongs to one species, optionally narrowed to a region, and has
+// two or more classes from highest to lowest risk. Class boundaries are
+// either fixed (per risk model: record count or invasiveness score) or
+// percentiles of the cells the profile applies to. Persisted in localStorage.
+import { isPointInGeometry } from "./geo";
+import { readList, writeJson } from "./storage";
+
+const STORAGE_KEY = "urchin-tracker.classificationProfiles";
+
+export const MIN_CLASSES = 2;
+export const MAX_CLASSES = 6;
+
+// Offered for classes added in the editor, highest risk first
+export const CLASS_PALETTE = ["#ef4444", "#f97316", "#facc15", "#22c55e", "#38bdf8", "#818cf8"];
+
+// The original global classes. Every class but the last has a lower bound
+// for each method: `count` (records, or records per reference area when
+// normalized), `score` (0–100) and `percentile` (0–100).
+export const DEFAULT_CLASSES = [
+  { label: "High", color: "#f97316", count: 30, score: 60, percentile: 90 },
+  { label: "Medium", color: "#22c55e", count: 10, score: 35, percentile: 60 },
+  { label: "Low", color: "#38bdf8" },
+];
+
+// Used for species without a profile of their own
+export const DEFAULT_PROFILE = {
+  id: "default",
+  name: "Default",
+  speciesId: null,
+  regionId: null,
+  method: "fixed", // "fixed" | "quantile"
+  classes: DEFAULT_CLASSES,
+};
+
+export function loadProfiles() {
+  return readList(STORAGE_KEY);
+}
+
+export function saveProfiles(profiles) {
+  writeJson(STORAGE_KEY, profiles);
+}
+
+// A new profile for a species (and region), starting from `base`
+export function createProfile(speciesId, { regionId = null, name, base = DEFAULT_PROFILE }) {
+  return {
+    id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    speciesId,
+    regionId,
+    method: base.method,
+    classes: base.classes.map((c) => ({ ...c })),
+    updatedAt: Date.now(),
+  };
+}
+
+// The profile edited and explained for a species: its profile for the
+// selected region, else its species-wide one, else the default
+export function profileFor(profiles, speciesId, regionId = null) {
+  const own = profiles.filter((p) => p.speciesId === speciesId);
+  return (
+    (regionId && own.find((p) => p.regionId === regionId)) ||
+    own.find((p) => !p.regionId) ||
+    DEFAULT_PROFILE
+  );
+}
+
+// Identifies the classification of a species, so alert snapshots taken
+// under a different one aren't compared
+export function profilesKey(profiles, speciesId) {
+  return JSON.stringify(
+    profiles
+      .filter((p) => p.speciesId === speciesId)
+      .map(({ id, regionId, method, classes }) => ({ id, regionId, method, classes }))
+  );
+}
+
+// The value classes are drawn on: the score for the score model, else the
+// record count, per nominal cell area when normalized (see aggregate.js)
+export function riskValue(cell, { model = "count", normalized = false } = {}) {
+  if (model === "score") return cell.score ?? 0;
+  return normalized ? cell.normalizedCount : cell.count;
+}
+
+// Linear interpolation between closest ranks; `sorted` is ascending
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Index of the first value in `sorted` that is >= (or, with `strict`, >)
+// the given one
+function firstIndex(sorted, value, strict = false) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value || (strict && sorted[mid] === value)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Percentile p as a class lower bound. Many cells often share a value
+// (most hold a single record), and a percentile landing on it would put
+// every one of them in the class. The bound is then moved to the next
+// value up when that leaves the class closer to its share of the cells.
+function percentileBreak(sorted, p) {
+  const value = percentile(sorted, p);
+  const target = sorted.length * (1 - p / 100);
+  const atOrAbove = sorted.length - firstIndex(sorted, value);
+  const nextIndex = firstIndex(sorted, value, true);
+  const above = sorted.length - nextIndex;
+  if (nextIndex === sorted.length || Math.abs(atOrAbove - target) <= Math.abs(above - target)) {
+    return value;
+  }
+  return sorted[nextIndex];
+}
+
+// Lower bound of every class but the last, for the given cell values
+export function resolveBreaks(profile, values, model = "count") {
+  const bounded = profile.classes.slice(0, -1);
+  if (profile.method !== "quantile") return bounded.map((c) => Number(c[model]) || 0);
+  const sorted = [...values].sort((a, b) => a - b);
+  return bounded.map((c) => percentileBreak(sorted, Number(c.percentile) || 0));
+}
+
+// Indices (into the breaks) of the classes whose lower bound equals the
+// one of the class above, which leaves them empty. Percentiles can tie
+// when most cells share a value.
+export function tiedBreaks(breaks) {
+  return breaks.flatMap((b, i) => (i > 0 && b === breaks[i - 1] ? [i] : []));
+}
+
+// Cells per class, highest risk first: [{ label, color, level, count }]
+// Classes of different profiles that share a label are counted together.
+// `profiles` adds their empty classes too.
+export function countClasses(cells, profiles = []) {
+  const byLabel = new Map();
+  profiles.forEach((p) => {
+    p.classes.forEach((c, level) => {
+      if (!byLabel.has(c.label)) {
+        byLabel.set(c.label, { label: c.label, color: c.color, level, count: 0 });
+      }
+    });
+  });
+  cells.forEach((c) => {
+    const entry = byLabel.get(c.risk) || {
+      label: c.risk,
+      color: c.riskColor,
+      level: c.riskLevel,
+      count: 0,
+    };
+    entry.count += 1;
+    byLabel.set(c.risk, entry);
+  });
+  return [...byLabel.values()].sort((a, b) => a.level - b.level);
+}
+
+// Adds { risk, riskLevel, riskColor } to every cell (riskLevel 0 is the
+// highest class) and { classCounts, highCount } to the summary, where
+// highCount is the number of cells in their profile's highest class.
+// Cells inside a region with a profile of its own use that profile; the
+// others use the species profile. `profiles` lists each profile actually
+// used with its resolved breaks and cell count.
+export function classifyGrid(gridData, { profiles, regions, speciesId, model, normalized }) {
+  const own = profiles.filter((p) => p.speciesId === speciesId);
+  const base = own.find((p) => !p.regionId) || DEFAULT_PROFILE;
+  const regional = own
+    .map((profile) => ({ profile, region: regions.find((r) => r.id === profile.regionId) }))
+    .filter((r) => r.region);
+
+  const profileOf = (cell) =>
+    regional.find((r) => isPointInGeometry(cell.lat, cell.lng, r.region.geometry))?.profile ||
+    base;
+
+  const groups = new Map(); // profile -> cells
+  gridData.cells.forEach((cell) => {
+    const profile = profileOf(cell);
+    if (!groups.has(profile)) groups.set(profile, []);
+    groups.get(profile).push(cell);
+  });
+
+  const used = [...groups.entries()].map(([profile, cells]) => {
+    const values = cells.map((c) => riskValue(c, { model, normalized }));
+    return { profile, breaks: resolveBreaks(profile, values, model), cells, values };
+  });
+
+  const classified = new Map();
+  used.forEach(({ profile, breaks, cells, values }) => {
+    cells.forEach((cell, i) => {
+      const found = breaks.findIndex((b) => values[i] >= b);
+      const level = found === -1 ? breaks.length : found;
+      const cls = profile.classes[level];
+      classified.set(cell.id, {
+        ...cell,
+        risk: cls.label,
+        riskLevel: level,
+        riskColor: cls.color,
+      });
+    });
+  });
+
+  const cells = gridData.cells.map((c) => classified.get(c.id));
+  return {
+    ...gridData,
+    cells,
+    summary: {
+      ...gridData.summary,
+      classCounts: countClasses(cells, used.map((u) => u.profile)),
+      highCount: cells.filter((c) => c.riskLevel === 0).length,
+    },
+    profiles: used.map(({ profile, breaks, cells: profileCells }) => ({
+      profile,
+      breaks,
+      cellCount: profileCells.length,
+    })),
+  };
+}
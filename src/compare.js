@@ -0,0 +1,79 @@
+// src/compare.js
+// Multi-species comparison: per-species layer colours, cells where several
+// species co-occur, and the rows of the side-by-side metrics table.
+
+const SPECIES_PALETTE = [
+  "#f97316",
+  "#38bdf8",
+  "#a3e635",
+  "#f472b6",
+  "#facc15",
+  "#c084fc",
+  "#2dd4bf",
+  "#f87171",
+];
+
+// Colour by position in the tracked list, so a species keeps its colour
+// while others are toggled on and off
+export function speciesColor(speciesId, trackedSpecies) {
+  const index = trackedSpecies.findIndex((s) => s.id === speciesId);
+  return SPECIES_PALETTE[Math.max(0, index) % SPECIES_PALETTE.length];
+}
+
+// Cells holding records of two or more of the compared species:
+// [{ id, lat, lng, ring, species: [{ speciesId, count, risk }] }]
+// `layers` is [{ species, grid }] with grids from computeGridCells.
+export function findCoOccurrence(layers) {
+  const byCell = new Map();
+
+  layers.forEach(({ species, grid }) => {
+    grid.cells.forEach((cell) => {
+      const entry = byCell.get(cell.id) || {
+        id: cell.id,
+        lat: cell.lat,
+        lng: cell.lng,
+        ring: cell.ring,
+        species: [],
+      };
+      entry.species.push({ speciesId: species.id, count: cell.count, risk: cell.risk });
+      byCell.set(cell.id, entry);
+    });
+  });
+
+  return [...byCell.values()].filter((c) => c.species.length > 1);
+}
+
+// One row per compared species for the metrics table
+export function compareRows(layers, coOccurrence) {
+  return layers.map(({ species, color, grid, loaded }) => {
+    const { totalRecords, cellCount, highCount = 0, classCounts = [] } = grid.summary;
+    return {
+      species,
+      color,
+      loaded,
+      totalRecords,
+      cellCount,
+      highCount,
+      classCounts,
+      highPercent: cellCount > 0 ? (highCount / cellCount) * 100 : 0,
+      sharedCells: coOccurrence.filter((c) =>
+        c.species.some((s) => s.speciesId === species.id)
+      ).length,
+    };
+  });
+}
+
+// Grouped bar data: [{ name: "High", [speciesId]: cells, ... }, ...], one
+// entry per class label across the species' profiles, highest risk first
+export function compareRiskChart(rows) {
+  const classes = rows
+    .flatMap((r) => r.classCounts)
+    .sort((a, b) => a.level - b.level)
+    .map((c) => c.label);
+  return [...new Set(classes)].map((name) => ({
+    name,
+    ...Object.fromEntries(
+      rows.map((r) => [r.species.id, r.classCounts.find((c) => c.label === name)?.count ?? 0])
+    ),
+  }));
+}
@@ -0,0 +1,465 @@
+// src/covariates.js
+// Environmental covariates: gridded sea surface temperature (SST) or SST
+// anomaly from local NetCDF or GeoTIFF files. Every time step is averaged
+// into one raster per year, in the layout of habitat.js rasters (rows north
+// to south, square cells), so grid cells can be sampled per year and set
+// against record growth. Plain data, like habitat.js.
+import { isPointInGeometry } from "./geo";
+import { readGeoTiff } from "./geotiff";
+import { rasterValue } from "./habitat";
+import { dimensionLength, readNetcdfHeader, readVariable } from "./netcdf";
+import { yearsInRange } from "./trends";
+
+export const COVARIATE_KINDS = [
+  {
+    id: "sst",
+    label: "Sea surface temperature",
+    shortLabel: "SST",
+    // Preferred NetCDF variable names
+    variables: /^(sst|analysed_sst|tos|sea_surface_temperature|temp)/i,
+    stops: ["#1e3a8a", "#0ea5e9", "#fde047", "#f97316", "#b91c1c"],
+  },
+  {
+    id: "anomaly",
+    label: "SST anomaly (marine heatwaves)",
+    shortLabel: "SST anomaly",
+    variables: /anom/i,
+    stops: ["#1d4ed8", "#93c5fd", "#f8fafc", "#fca5a5", "#b91c1c"],
+  },
+];
+
+export const COVARIATE_ACCEPT = ".nc,.nc3,.cdf,.tif,.tiff";
+
+// Sample points per side of each grid cell
+const SAMPLES_PER_SIDE = 4;
+
+const LAT_NAMES = /^(lat|latitude|y)$/i;
+const LON_NAMES = /^(lon|long|longitude|x)$/i;
+const TIME_UNITS = /^(day|hour|minute|second)s? since (.+)$/i;
+const UNIT_MS = { day: 86400000, hour: 3600000, minute: 60000, second: 1000 };
+
+export function getCovariateKind(id) {
+  return COVARIATE_KINDS.find((k) => k.id === id);
+}
+
+// "oisst_anomaly_2015.tif" -> 2015
+function yearFromFileName(name) {
+  const match = /(?:^|\D)((?:18|19|20)\d{2})(?!\d)/.exec(name);
+  return match ? Number(match[1]) : null;
+}
+
+// Column and row order that turns a grid of cell-centre coordinates into
+// north-up rows and longitudes within -180..180 (0..360 grids are rotated)
+function gridLayout(lons, lats, fileName) {
+  const cellSize = Math.abs(lons[1] - lons[0]);
+  const latStep = Math.abs(lats[1] - lats[0]);
+  if (!(cellSize > 0) || Math.abs(latStep - cellSize) > cellSize * 0.01) {
+    throw new Error(
+      `${fileName}: only grids with equal latitude and longitude spacing are supported.`
+    );
+  }
+
+  const wrapped = Array.from(lons, (lng) => (lng > 180 ? lng - 360 : lng));
+  const colOrder = wrapped.map((_, i) => i).sort((a, b) => wrapped[a] - wrapped[b]);
+  const rowOrder = Array.from(lats, (_, i) => i).sort((a, b) => lats[b] - lats[a]);
+  const regular = (order, coords) =>
+    order.every(
+      (c, i) => i === 0 || Math.abs(coords[c] - coords[order[i - 1]] - cellSize) < cellSize * 0.01
+    );
+  if (!regular(colOrder, wrapped)) {
+    throw new Error(`${fileName}: longitudes must be evenly spaced and not cross 180°.`);
+  }
+  if (!regular([...rowOrder].reverse(), lats)) {
+    throw new Error(`${fileName}: latitudes must be evenly spaced.`);
+  }
+
+  return {
+    grid: {
+      ncols: lons.length,
+      nrows: lats.length,
+      west: wrapped[colOrder[0]] - cellSize / 2,
+      south: lats[rowOrder[rowOrder.length - 1]] - cellSize / 2,
+      cellSize,
+    },
+    // Source values (rows x cols, any orientation) -> Float32Array in grid order
+    reorder(values) {
+      const out = new Float32Array(lons.length * lats.length);
+      rowOrder.forEach((srcRow, row) => {
+        colOrder.forEach((srcCol, col) => {
+          out[row * lons.length + col] = values[srcRow * lons.length + srcCol];
+        });
+      });
+      return out;
+    },
+  };
+}
+
+function numberAttribute(attributes, name) {
+  const value = attributes[name];
+  return Array.isArray(value) ? value[0] : null;
+}
+
+// The first variable gridded on latitude and longitude, preferring names
+// that suit the kind
+function pickVariable(header, latDim, lonDim, kind) {
+  const candidates = header.variables.filter((v) => {
+    const dims = v.dimensions;
+    const n = dims.length;
+    return (
+      n >= 2 &&
+      dims[n - 2] === latDim &&
+      dims[n - 1] === lonDim &&
+      // Leading dimensions besides time (e.g. a depth level) must be single
+      dims.slice(1, -2).every((d) => dimensionLength(header, d) === 1) &&
+      !LAT_NAMES.test(v.name) &&
+      !LON_NAMES.test(v.name)
+    );
+  });
+  return (
+    candidates.find((v) => kind.variables.test(v.name) && !/err|mask|ice/i.test(v.name)) ||
+    candidates[0]
+  );
+}
+
+// Year of every step along a NetCDF time axis, or null without a usable one
+function netcdfYears(buffer, header, dim) {
+  const variable = header.variables.find(
+    (v) => v.dimensions.length === 1 && v.dimensions[0] === dim
+  );
+  const match = TIME_UNITS.exec(variable?.attributes.units ?? "");
+  if (!match) return null;
+  let [date, time = "00:00:00"] = match[2].trim().split(/[ T]/);
+  // "1981-1-1" -> "1981-01-01"
+  date = date
+    .split("-")
+    .map((part, i) => (i === 0 ? part.padStart(4, "0") : part.padStart(2, "0")))
+    .join("-");
+  const base = Date.parse(`${date}T${time.replace(/Z$/, "")}Z`);
+  if (Number.isNaN(base)) return null;
+  const unit = UNIT_MS[match[1].toLowerCase()];
+  return Array.from(readVariable(buffer, header, variable), (t) =>
+    new Date(base + t * unit).getUTCFullYear()
+  );
+}
+
+// { grid, variable, units, steps: () => iterator of { year, values } }
+function readNetcdfCovariate(buffer, fileName, kind) {
+  const header = readNetcdfHeader(buffer);
+  const findDim = (names, units) =>
+    header.dimensions.findIndex(
+      (d) =>
+        names.test(d.name) ||
+        header.variables.some((v) => v.name === d.name && units.test(v.attributes.units ?? ""))
+    );
+  const latDim = findDim(LAT_NAMES, /^degrees?_?n/i);
+  const lonDim = findDim(LON_NAMES, /^degrees?_?e/i);
+  if (latDim === -1 || lonDim === -1) {
+    throw new Error(`${fileName}: no latitude/longitude dimensions found.`);
+  }
+  const variable = pickVariable(header, latDim, lonDim, kind);
+  if (!variable) throw new Error(`${fileName}: no variable gridded on latitude and longitude.`);
+
+  const coordinate = (dim) => {
+    const v = header.variables.find(
+      (c) => c.dimensions.length === 1 && c.dimensions[0] === dim
+    );
+    if (!v || dimensionLength(header, dim) < 2) {
+      throw new Error(`${fileName}: missing ${header.dimensions[dim].name} coordinates.`);
+    }
+    return readVariable(buffer, header, v);
+  };
+  const layout = gridLayout(coordinate(lonDim), coordinate(latDim), fileName);
+
+  const timed = variable.dimensions.length > 2;
+  const stepCount = timed ? dimensionLength(header, variable.dimensions[0]) : 1;
+  const years =
+    (timed && netcdfYears(buffer, header, variable.dimensions[0])) ||
+    (stepCount === 1 && yearFromFileName(fileName) !== null
+      ? [yearFromFileName(fileName)]
+      : null);
+  if (!years) {
+    throw new Error(
+      `${fileName}: could not read the time axis (units like "days since 1981-01-01").`
+    );
+  }
+
+  const { attributes } = variable;
+  const scale = numberAttribute(attributes, "scale_factor") ?? 1;
+  const offset = numberAttribute(attributes, "add_offset") ?? 0;
+  const fills = ["_FillValue", "missing_value"]
+    .map((name) => numberAttribute(attributes, name))
+    .filter((v) => v !== null);
+  const units = typeof attributes.units === "string" ? attributes.units : "";
+  // Anomalies are differences, the same in kelvin and °C
+  const kelvin = kind.id === "sst" && /^k(elvin)?$/i.test(units.trim()) ? 273.15 : 0;
+
+  return {
+    grid: layout.grid,
+    variable: variable.name,
+    *steps() {
+      for (let t = 0; t < stepCount; t += 1) {
+        const raw = readVariable(buffer, header, variable, timed ? t : null);
+        for (let i = 0; i < raw.length; i += 1) {
+          raw[i] = fills.includes(raw[i]) ? NaN : raw[i] * scale + offset - kelvin;
+        }
+        yield { year: years[t], values: layout.reorder(raw) };
+      }
+    },
+  };
+}
+
+async function readGeoTiffCovariate(buffer, fileName) {
+  const year = yearFromFileName(fileName);
+  if (year === null) {
+    throw new Error(`${fileName}: name each GeoTIFF with its year, e.g. sst_anomaly_2015.tif.`);
+  }
+  const tiff = await readGeoTiff(buffer);
+  const lons = Array.from(
+    { length: tiff.ncols },
+    (_, i) => tiff.west + (i + 0.5) * tiff.cellWidth
+  );
+  const lats = Array.from(
+    { length: tiff.nrows },
+    (_, i) => tiff.north - (i + 0.5) * tiff.cellHeight
+  );
+  const layout = gridLayout(lons, lats, fileName);
+  const noData = tiff.noData === null ? null : Math.fround(tiff.noData);
+  const values = tiff.values.map((v) => (v === noData ? NaN : v));
+
+  return {
+    grid: layout.grid,
+    variable: "band 1",
+    *steps() {
+      yield { year, values: layout.reorder(values) };
+    },
+  };
+}
+
+const sameGrid = (a, b) =>
+  a.ncols === b.ncols &&
+  a.nrows === b.nrows &&
+  Math.abs(a.west - b.west) < a.cellSize / 100 &&
+  Math.abs(a.south - b.south) < a.cellSize / 100 &&
+  Math.abs(a.cellSize - b.cellSize) < a.cellSize / 100;
+
+// A covariate dataset from one NetCDF file (usually with a time axis) or
+// one or more GeoTIFFs named by year. files: [{ name, buffer }]
+export async function createCovariateDataset(kindId, files) {
+  const kind = getCovariateKind(kindId);
+  const sums = new Map(); // year -> { sum, count }
+  let grid = null;
+  let variable = null;
+
+  for (const file of files) {
+    const magic = String.fromCharCode(...new Uint8Array(file.buffer, 0, 4));
+    const source = /^(II|MM)/.test(magic)
+      ? await readGeoTiffCovariate(file.buffer, file.name)
+      : readNetcdfCovariate(file.buffer, file.name, kind);
+    if (grid && !sameGrid(grid, source.grid)) {
+      throw new Error(`${file.name} is on a different grid than ${files[0].name}.`);
+    }
+    grid = source.grid;
+    variable = source.variable;
+
+    for (const { year, values } of source.steps()) {
+      if (!sums.has(year)) {
+        sums.set(year, {
+          sum: new Float64Array(values.length),
+          count: new Uint16Array(values.length),
+        });
+      }
+      const acc = sums.get(year);
+      values.forEach((v, i) => {
+        if (Number.isNaN(v)) return;
+        acc.sum[i] += v;
+        acc.count[i] += 1;
+      });
+    }
+  }
+
+  const years = [...sums.keys()].sort((a, b) => a - b);
+  let min = Infinity;
+  let max = -Infinity;
+  const frames = years.map((year) => {
+    const { sum, count } = sums.get(year);
+    return Float32Array.from(sum, (s, i) => {
+      if (count[i] === 0) return NaN;
+      const mean = s / count[i];
+      min = Math.min(min, mean);
+      max = Math.max(max, mean);
+      return mean;
+    });
+  });
+  if (min > max) throw new Error("The file has no valid values.");
+
+  const baseName = files[0].name.replace(/\.[^.]+$/, "");
+  return {
+    id: `covariate-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    kind: kind.id,
+    name: files.length === 1 ? baseName : `${baseName} and ${files.length - 1} more`,
+    fileNames: files.map((f) => f.name),
+    variable,
+    importedAt: Date.now(),
+    grid,
+    years,
+    frames,
+    range: { min, max },
+  };
+}
+
+// The dataset year shown for `year`: that year, else the nearest one
+export function covariateYearFor(dataset, year) {
+  if (year === null || year === undefined) return dataset.years[dataset.years.length - 1];
+  return dataset.years.reduce((best, y) =>
+    Math.abs(y - year) < Math.abs(best - year) ? y : best
+  );
+}
+
+// Colour scale: anomalies are centred on zero
+export function covariateScale(dataset) {
+  const { stops } = getCovariateKind(dataset.kind);
+  const { min, max } = dataset.range;
+  if (dataset.kind === "anomaly") {
+    const limit = Math.max(Math.abs(min), Math.abs(max), 0.5);
+    return { min: -limit, max: limit, stops };
+  }
+  return { min, max: max > min ? max : min + 1, stops };
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+function scaleColor(value, { min, max, stops }) {
+  const t = Math.min(1, Math.max(0, (value - min) / (max - min))) * (stops.length - 1);
+  const i = Math.min(Math.floor(t), stops.length - 2);
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  return a.map((c, k) => Math.round(c + (b[k] - c) * (t - i)));
+}
+
+// PNG data URL of one year, or null where canvas is unavailable
+export function covariateImageUrl(dataset, year) {
+  const frame = dataset.frames[dataset.years.indexOf(year)];
+  if (!frame) return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = dataset.grid.ncols;
+  canvas.height = dataset.grid.nrows;
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx) return null;
+
+  const scale = covariateScale(dataset);
+  const image = ctx.createImageData(canvas.width, canvas.height);
+  frame.forEach((value, i) => {
+    if (Number.isNaN(value)) return;
+    image.data.set([...scaleColor(value, scale), 170], i * 4);
+  });
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
+
+export function formatCovariate(value, kind) {
+  if (value === null || value === undefined) return "—";
+  const sign = kind === "anomaly" && value > 0 ? "+" : "";
+  return `${sign}${value.toFixed(1)} °C`;
+}
+
+// (cell, year) => mean covariate value over the cell, or null without data.
+// Sample points come from a small grid inside each cell.
+export function createCovariateSampler(dataset) {
+  const rasters = new Map(
+    dataset.years.map((year, i) => [year, { ...dataset.grid, values: dataset.frames[i] }])
+  );
+  const pointsByCell = new Map();
+
+  const cellPoints = (cell) => {
+    if (pointsByCell.has(cell.id)) return pointsByCell.get(cell.id);
+    const { south, west, north, east } = cell.bounds;
+    const outline = { type: "Polygon", coordinates: [cell.ring] };
+    const points = [];
+    for (let i = 0; i < SAMPLES_PER_SIDE; i += 1) {
+      const lat = south + ((i + 0.5) / SAMPLES_PER_SIDE) * (north - south);
+      for (let j = 0; j < SAMPLES_PER_SIDE; j += 1) {
+        const lng = west + ((j + 0.5) / SAMPLES_PER_SIDE) * (east - west);
+        if (isPointInGeometry(lat, lng, outline)) points.push([lat, lng]);
+      }
+    }
+    pointsByCell.set(cell.id, points);
+    return points;
+  };
+
+  return (cell, year) => {
+    const raster = rasters.get(year);
+    if (!raster) return null;
+    let sum = 0;
+    let n = 0;
+    cellPoints(cell).forEach(([lat, lng]) => {
+      const value = rasterValue(raster, lat, lng);
+      if (value === null) return;
+      sum += value;
+      n += 1;
+    });
+    return n > 0 ? sum / n : null;
+  };
+}
+
+// Pearson correlation of [x, y] pairs, or null for fewer than 3 or no spread
+function pearson(pairs) {
+  const n = pairs.length;
+  if (n < 3) return null;
+  const meanX = pairs.reduce((s, [x]) => s + x, 0) / n;
+  const meanY = pairs.reduce((s, [, y]) => s + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (y - meanY) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Record growth against the covariate, for the analytics panel. Growth is
+// the change in records from the previous year; the covariate is taken
+// `lag` years earlier than the growth (warming often shows in records a
+// year or two later).
+//
+// points: { cellId, year, value, change } per cell and year, skipping cells
+//         without records in either year
+// yearly: { year, records, change, value } with value the mean over cells
+// r / yearlyR: Pearson correlation of change and value for each
+export function covariateCorrelation(cells, dataset, yearRange, { lag = 0 } = {}) {
+  const sample = createCovariateSampler(dataset);
+  const years = yearsInRange(yearRange);
+  const points = [];
+
+  const totals = years.map((year) => cells.reduce((s, c) => s + (c.byYear?.[year] || 0), 0));
+  const yearly = years.map((year, i) => {
+    const values = cells.map((c) => sample(c, year - lag)).filter((v) => v !== null);
+    return {
+      year,
+      records: totals[i],
+      change: i === 0 ? null : totals[i] - totals[i - 1],
+      value: values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null,
+    };
+  });
+
+  cells.forEach((cell) => {
+    years.slice(1).forEach((year) => {
+      const now = cell.byYear?.[year] || 0;
+      const before = cell.byYear?.[year - 1] || 0;
+      if (now === 0 && before === 0) return;
+      const value = sample(cell, year - lag);
+      if (value === null) return;
+      points.push({ cellId: cell.id, year, value, change: now - before });
+    });
+  });
+
+  const paired = yearly.filter((y) => y.change !== null && y.value !== null);
+  return {
+    points,
+    yearly,
+    r: pearson(points.map((p) => [p.value, p.change])),
+    yearlyR: pearson(paired.map((y) => [y.value, y.change])),
+    yearlyCount: paired.length,
+  };
+}
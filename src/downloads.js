@@ -0,0 +1,203 @@
+// src/downloads.js
+// Complete GBIF datasets from the occurrence download service. The search
+// API behind the regular fetch is capped (MAX_PER_SPECIES, plus GBIF's own
+// offset limit), so large species are only a sample; an imported download
+// replaces the GBIF part of a species' records with every record GBIF has.
+//
+// Downloads are SIMPLE_CSV or Darwin Core Archive zips, or a bare .csv /
+// .txt taken out of one. They're parsed in the pipeline worker and stored
+// in IndexedDB (see cache.js).
+import { readDownloadRecords } from "./cache";
+import { mergeSourceRecords } from "./sources";
+import { normalizeGbifRecord, occurrenceDownloadStatus } from "./sources/gbif";
+import { sleep, withRetry } from "./sources/http";
+import { readString, writeString } from "./storage";
+import { parseCsv } from "./surveys";
+import { listZipEntries, readZipText, zipEntryStream } from "./zip";
+
+const ENDPOINT_KEY = "urchin-tracker.gbifDownloadEndpoint";
+
+// GBIF takes minutes to prepare a download; no point asking more often
+export const DOWNLOAD_POLL_MS = 15000;
+
+const WAITING_STATUSES = ["PREPARING", "RUNNING", "SUSPENDED"];
+
+export function loadDownloadEndpoint(fallback) {
+  return readString(ENDPOINT_KEY) || fallback;
+}
+
+export function saveDownloadEndpoint(endpoint) {
+  writeString(ENDPOINT_KEY, endpoint);
+}
+
+// Check on a download until it is ready; onStatus gets every response.
+// Rejects when GBIF gives up on it.
+export async function waitForDownload(key, { endpoint, signal, onStatus }) {
+  for (;;) {
+    const status = await withRetry(
+      () => occurrenceDownloadStatus(key, { endpoint, signal }),
+      { signal }
+    );
+    onStatus?.(status);
+    if (status.status === "SUCCEEDED") return status;
+    if (!WAITING_STATUSES.includes(status.status)) {
+      throw new Error(`GBIF download ${key} ${String(status.status).toLowerCase()}`);
+    }
+    await sleep(DOWNLOAD_POLL_MS, signal);
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+// Maps a row onto the search API's record shape, so normalizeGbifRecord
+// applies unchanged. Column names are the same Darwin Core terms in both
+// download formats; SIMPLE_CSV only has countryCode.
+function rowReader(headers) {
+  const index = Object.fromEntries(headers.map((h, i) => [h.trim(), i]));
+  if (index.decimalLatitude === undefined || index.decimalLongitude === undefined) {
+    throw new Error(
+      "No decimalLatitude / decimalLongitude columns: is this a GBIF occurrence download?"
+    );
+  }
+
+  return (values) => {
+    const get = (name) => (index[name] === undefined ? undefined : values[index[name]]);
+    return normalizeGbifRecord({
+      key: toNumber(get("gbifID")),
+      decimalLatitude: toNumber(get("decimalLatitude")),
+      decimalLongitude: toNumber(get("decimalLongitude")),
+      year: toNumber(get("year")),
+      country: get("country") || get("countryCode") || undefined,
+      stateProvince: get("stateProvince") || undefined,
+      occurrenceID: get("occurrenceID") || undefined,
+      eventDate: get("eventDate") || undefined,
+      basisOfRecord: get("basisOfRecord") || undefined,
+      coordinateUncertaintyInMeters: toNumber(get("coordinateUncertaintyInMeters")),
+      datasetKey: get("datasetKey") || undefined,
+      datasetName: get("datasetName") || undefined,
+      recordedBy: get("recordedBy") || undefined,
+      license: get("license") || undefined,
+      issues: (get("issue") || "").split(";").filter(Boolean),
+    });
+  };
+}
+
+async function* textLines(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let rest = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const lines = (rest + value).split("\n");
+    rest = lines.pop();
+    yield* lines;
+  }
+  if (rest) yield rest;
+}
+
+// GBIF writes tab-separated tables without quoting, which can be read line
+// by line without holding the whole (often huge) file as one string. Other
+// tables go through the survey CSV parser.
+async function parseTable(stream) {
+  const lines = textLines(stream);
+  const first = await lines.next();
+  const header = (first.value || "").replace(/^\uFEFF/, "").replace(/\r$/, "");
+
+  if (!header.includes("\t")) {
+    let text = header;
+    for await (const line of lines) text += `\n${line}`;
+    const [headers = [], ...rows] = parseCsv(text);
+    const read = rowReader(headers);
+    return rows.map(read).filter(Boolean);
+  }
+
+  const read = rowReader(header.split("\t"));
+  const records = [];
+  for await (const raw of lines) {
+    const line = raw.replace(/\r$/, "");
+    if (!line) continue;
+    const record = read(line.split("\t"));
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+function bufferStream(buffer) {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(new Uint8Array(buffer));
+      controller.close();
+    },
+  });
+}
+
+// Resolves to { format, records } with records normalized like the GBIF
+// adapter's. format is "DWCA", "SIMPLE_CSV" or "CSV".
+export async function parseGbifDownload(buffer) {
+  const magic = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  if (!(magic[0] === 0x50 && magic[1] === 0x4b)) {
+    return { format: "CSV", records: await parseTable(bufferStream(buffer)) };
+  }
+
+  const entries = listZipEntries(buffer);
+  const meta = entries.find((e) => e.name === "meta.xml");
+  if (meta) {
+    const xml = await readZipText(buffer, meta);
+    const location =
+      /<core[\s\S]*?<location>([^<]+)<\/location>/.exec(xml)?.[1].trim() || "occurrence.txt";
+    const core = entries.find((e) => e.name === location);
+    if (!core) throw new Error(`${location} is missing from the archive`);
+    return { format: "DWCA", records: await parseTable(zipEntryStream(buffer, core)) };
+  }
+
+  const table = entries.find((e) => /\.(csv|txt)$/i.test(e.name));
+  if (!table) throw new Error("No occurrence table in the archive");
+  return { format: "SIMPLE_CSV", records: await parseTable(zipEntryStream(buffer, table)) };
+}
+
+export function createDownload(
+  speciesId,
+  { fileName, format, records, downloadKey = null, doi = null }
+) {
+  return {
+    speciesId,
+    fileName,
+    format,
+    downloadKey,
+    doi,
+    importedAt: Date.now(),
+    recordCount: records.length,
+    records,
+  };
+}
+
+// API records fetched without GBIF plus a download's GBIF records,
+// de-duplicated across sources as usual
+function withDownloadedRecords(records, download) {
+  const bySource = { gbif: download.records };
+  records.forEach((r) => {
+    if (r.source === "gbif") return;
+    if (!bySource[r.source]) bySource[r.source] = [];
+    bySource[r.source].push(r);
+  });
+  return mergeSourceRecords(bySource);
+}
+
+// speciesId -> { importedAt, records } of the downloads merged so far
+const importedRecords = new Map();
+
+// withDownloadedRecords for a stored download, given by its speciesId and
+// importedAt. Runs in the pipeline, which reads each import's records from
+// IndexedDB once.
+export async function mergeDownload(records, { speciesId, importedAt }) {
+  let download = importedRecords.get(speciesId);
+  if (download?.importedAt !== importedAt) {
+    download = { importedAt, records: (await readDownloadRecords(speciesId)) ?? [] };
+    importedRecords.set(speciesId, download);
+  }
+  return withDownloadedRecords(records, download);
+}
@@ -0,0 +1,165 @@
+// src/effort.js
+// Sampling effort per grid cell: how many records of a reference group
+// (all echinoderms, or all taxa) GBIF holds for the same area and period.
+// Used by scoring.js to tell abundant urchins apart from popular dive sites.
+// Only GBIF is counted, while cell counts merge every enabled source, so
+// the effort is labeled as GBIF's (see effortLabel).
+import { countOccurrences } from "./sources/gbif";
+import { isAbortError } from "./sources/http";
+import { occurrenceCacheKey, isStale, readEffortCount, writeEffortCount } from "./cache";
+
+export const EFFORT_REFERENCES = [
+  {
+    id: "echinodermata",
+    label: "Echinoderm",
+    taxon: { scientificName: "Echinodermata" },
+  },
+  { id: "all", label: "All-taxa", taxon: null },
+];
+
+// Effort barely moves from day to day
+const EFFORT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const CONCURRENCY = 4;
+// Effort is counted over square tiles of a fixed lattice rather than per
+// grid cell, so regridding or refiltering reuses the tiles counted before.
+// The finest size that covers the cells in at most MAX_TILES tiles is used.
+const TILE_SIZES_DEG = [0.25, 0.5, 1, 2, 5, 10, 30];
+const MAX_TILES = 60;
+
+export function getEffortReference(id) {
+  return EFFORT_REFERENCES.find((r) => r.id === id) || EFFORT_REFERENCES[0];
+}
+
+// How the score names the effort, e.g. "GBIF echinoderm"
+export function effortLabel(referenceId) {
+  return `GBIF ${getEffortReference(referenceId).label.toLowerCase()}`;
+}
+
+// [row, col] ranges of the sizeDeg tiles a cell's bounds overlap
+function tileRange({ south, west, north, east }, sizeDeg) {
+  return {
+    rows: [Math.floor(south / sizeDeg), Math.ceil(north / sizeDeg) - 1],
+    cols: [Math.floor(west / sizeDeg), Math.ceil(east / sizeDeg) - 1],
+  };
+}
+
+function tileIdsOf(cell, sizeDeg) {
+  const { rows, cols } = tileRange(cell.bounds, sizeDeg);
+  const ids = [];
+  for (let row = rows[0]; row <= rows[1]; row += 1) {
+    for (let col = cols[0]; col <= cols[1]; col += 1) ids.push(`${row}_${col}`);
+  }
+  return ids;
+}
+
+// Stable key of the effort tiles covering `cells`, the same across regrids
+// that land on the same tiles. Pass it to effortTiles.
+export function effortTileKey(cells, cellSizeDeg) {
+  if (cells.length === 0) return "";
+  const sizes = TILE_SIZES_DEG.filter((size) => size >= cellSizeDeg);
+  for (const sizeDeg of sizes.length > 0 ? sizes : TILE_SIZES_DEG.slice(-1)) {
+    const ids = new Set(cells.flatMap((cell) => tileIdsOf(cell, sizeDeg)));
+    if (ids.size <= MAX_TILES || sizeDeg === TILE_SIZES_DEG.at(-1)) {
+      return `${sizeDeg}|${[...ids].sort().join(",")}`;
+    }
+  }
+  return "";
+}
+
+// { sizeDeg, tiles: [{ id, bounds }] } of an effortTileKey
+export function effortTiles(key) {
+  if (!key) return { sizeDeg: null, tiles: [] };
+  const [size, ids] = key.split("|");
+  const sizeDeg = Number(size);
+  const tiles = ids.split(",").map((id) => {
+    const [row, col] = id.split("_").map(Number);
+    return {
+      id,
+      bounds: {
+        south: row * sizeDeg,
+        west: col * sizeDeg,
+        north: (row + 1) * sizeDeg,
+        east: (col + 1) * sizeDeg,
+      },
+    };
+  });
+  return { sizeDeg, tiles };
+}
+
+// Map cellId -> effort of the cells whose tiles are all counted. A tile's
+// count is spread evenly over it, so each cell gets the share of every tile
+// its bounds overlap.
+export function effortForCells(cells, { sizeDeg, byTile }) {
+  const result = new Map();
+  if (!sizeDeg || !byTile) return result;
+  cells.forEach((cell) => {
+    const { south, west, north, east } = cell.bounds;
+    let effort = 0;
+    for (const id of tileIdsOf(cell, sizeDeg)) {
+      const count = byTile.get(id);
+      if (count === undefined) return;
+      const [row, col] = id.split("_").map(Number);
+      const height = Math.min(north, (row + 1) * sizeDeg) - Math.max(south, row * sizeDeg);
+      const width = Math.min(east, (col + 1) * sizeDeg) - Math.max(west, col * sizeDeg);
+      effort += (count * Math.max(0, height) * Math.max(0, width)) / (sizeDeg * sizeDeg);
+    }
+    result.set(cell.id, Math.round(effort));
+  });
+  return result;
+}
+
+// Resolves to Map tileId -> count of the reference group's GBIF records in
+// the query's period. Tiles whose count couldn't be fetched are left out
+// (scoring then falls back to raw abundance for their cells).
+// onProgress(map, done, total) fires as tiles complete.
+export async function fetchSamplingEffort(
+  tiles,
+  { referenceId, query, signal, onProgress } = {}
+) {
+  const reference = getEffortReference(referenceId);
+  const effortQuery = {
+    yearRange: query.yearRange,
+    basisOfRecord: query.basisOfRecord,
+    excludeGeospatialIssues: query.excludeGeospatialIssues,
+  };
+  const results = new Map();
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < tiles.length) {
+      const tile = tiles[next];
+      next += 1;
+      signal?.throwIfAborted();
+
+      const key = occurrenceCacheKey(`effort:${reference.id}`, {
+        ...effortQuery,
+        bbox: tile.bounds,
+      });
+
+      try {
+        const cached = await readEffortCount(key);
+        if (cached && !isStale(cached.fetchedAt, EFFORT_MAX_AGE_MS)) {
+          results.set(tile.id, cached.count);
+        } else {
+          const count = await countOccurrences(
+            reference.taxon,
+            { ...effortQuery, bbox: tile.bounds },
+            { signal }
+          );
+          results.set(tile.id, count);
+          writeEffortCount(key, count);
+        }
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        console.warn(`Sampling effort unavailable for tile ${tile.id}`, e);
+      }
+
+      done += 1;
+      onProgress?.(new Map(results), done, tiles.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  return results;
+}
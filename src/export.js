@@ -0,0 +1,243 @@
+// src/export.js
+// Serialize the current occurrences and risk cells for GIS tools (GeoJSON),
+// spreadsheets / citation (CSV) and divers' mapping apps (KML).
+import { createRangeTester } from "./nativeRange";
+import { getSource } from "./sources";
+
+const OCCURRENCE_COLUMNS = [
+  "scientificName",
+  "source",
+  "sources",
+  "key",
+  "gbifKey",
+  "occurrenceId",
+  "lat",
+  "lng",
+  "year",
+  "eventDate",
+  "country",
+  "stateProvince",
+  "basisOfRecord",
+  "coordinateUncertainty",
+  "datasetKey",
+  "datasetName",
+  "recordedBy",
+  "license",
+  "rangeStatus",
+  "qualityFlags",
+  "recordUrl",
+];
+
+const CELL_COLUMNS = [
+  "id",
+  "lat",
+  "lng",
+  "count",
+  "normalizedCount",
+  "areaKm2",
+  "suitableFraction",
+  "lowHabitat",
+  "risk",
+  "score",
+  "nativeRecords",
+  "introducedRecords",
+  "expanding",
+  "firstYear",
+];
+
+// "#f97316" -> "a01673f9": KML colours are aabbggrr
+function kmlColor(hex, alpha = "a0") {
+  const [, r, g, b] = /^#?(..)(..)(..)$/.exec(hex) || [null, "ff", "ff", "ff"];
+  return `${alpha}${b}${g}${r}`;
+}
+
+// statusOf: (lat, lng) -> native range status (see nativeRange.js)
+function occurrenceRow(o, species, statusOf) {
+  const sources = o.sources || [o.source];
+  return {
+    scientificName: species.scientificName,
+    source: o.source,
+    sources: sources.join(";"),
+    key: o.key,
+    // GBIF keys are what GBIF asks to be cited; merged records keep theirs
+    gbifKey: o.source === "gbif" ? o.key : "",
+    occurrenceId: o.occurrenceId,
+    lat: o.lat,
+    lng: o.lng,
+    year: o.year,
+    eventDate: o.eventDate,
+    country: o.country,
+    stateProvince: o.stateProvince,
+    basisOfRecord: o.basisOfRecord,
+    coordinateUncertainty: o.coordinateUncertainty,
+    datasetKey: o.datasetKey,
+    datasetName: o.datasetName,
+    recordedBy: o.recordedBy,
+    license: o.license,
+    rangeStatus: statusOf(o.lat, o.lng),
+    qualityFlags: (o.qualityFlags || []).join(";"),
+    recordUrl: getSource(o.source)?.recordUrl(o.key),
+  };
+}
+
+function cellRow(c) {
+  return {
+    id: c.id,
+    lat: c.lat,
+    lng: c.lng,
+    count: c.count,
+    normalizedCount: c.normalizedCount,
+    areaKm2: c.areaKm2,
+    suitableFraction: c.suitableFraction,
+    lowHabitat: c.lowHabitat,
+    risk: c.risk,
+    score: c.score,
+    nativeRecords: c.rangeCounts?.native,
+    introducedRecords: c.rangeCounts?.introduced,
+    expanding: c.expanding,
+    firstYear: c.firstYear,
+  };
+}
+
+// Drop undefined / null so GeoJSON properties stay tidy
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== "")
+  );
+}
+
+function roundNumbers(row, digits = 3) {
+  return Object.fromEntries(
+    Object.entries(row).map(([k, v]) => [
+      k,
+      typeof v === "number" && !Number.isInteger(v) ? Number(v.toFixed(digits)) : v,
+    ])
+  );
+}
+
+// ---- GeoJSON ----
+
+export function occurrencesToGeoJSON(occurrences, species) {
+  const statusOf = createRangeTester(species.nativeRange);
+  return {
+    type: "FeatureCollection",
+    features: occurrences.map((o) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [o.lng, o.lat] },
+      properties: compact(occurrenceRow(o, species, statusOf)),
+    })),
+  };
+}
+
+export function cellsToGeoJSON(cells, species) {
+  return {
+    type: "FeatureCollection",
+    features: cells.map((c) => ({
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: [c.ring] },
+      properties: compact({
+        scientificName: species.scientificName,
+        ...roundNumbers(cellRow(c)),
+      }),
+    })),
+  };
+}
+
+// ---- CSV ----
+
+// Spreadsheets run text starting with one of these as a formula; free-text
+// fields (recorder, dataset name) come straight from the sources
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvValue(v) {
+  if (v === undefined || v === null) return "";
+  let s = String(v);
+  if (typeof v === "string" && FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => csvValue(row[c])).join(",")),
+  ].join("\n");
+}
+
+export function occurrencesToCsv(occurrences, species) {
+  const statusOf = createRangeTester(species.nativeRange);
+  return toCsv(
+    occurrences.map((o) => occurrenceRow(o, species, statusOf)),
+    OCCURRENCE_COLUMNS
+  );
+}
+
+export function cellsToCsv(cells) {
+  return toCsv(
+    cells.map((c) => roundNumbers(cellRow(c))),
+    CELL_COLUMNS
+  );
+}
+
+// ---- KML ----
+
+function xmlEscape(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function kmlData(row) {
+  return Object.entries(compact(row))
+    .map(
+      ([k, v]) => `<Data name="${xmlEscape(k)}"><value>${xmlEscape(v)}</value></Data>`
+    )
+    .join("");
+}
+
+// One document with an occurrence folder and a risk-cell folder
+export function toKml(occurrences, cells, species, title) {
+  const statusOf = createRangeTester(species.nativeRange);
+  // One style per risk class colour (see classification.js)
+  const styles = [...new Set(cells.map((c) => c.riskColor))]
+    .map(
+      (color) =>
+        `<Style id="risk-${color.replace("#", "")}"><LineStyle><color>${kmlColor(color, "ff")}</color><width>1</width></LineStyle><PolyStyle><color>${kmlColor(color)}</color></PolyStyle></Style>`
+    )
+    .join("");
+
+  const points = occurrences
+    .map((o) => {
+      const row = occurrenceRow(o, species, statusOf);
+      const name = [o.year, o.country].filter(Boolean).join(" · ") || String(o.key);
+      return `<Placemark><name>${xmlEscape(name)}</name><ExtendedData>${kmlData(row)}</ExtendedData><Point><coordinates>${o.lng},${o.lat}</coordinates></Point></Placemark>`;
+    })
+    .join("");
+
+  const polygons = cells
+    .map((c) => {
+      const coords = c.ring.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+      return `<Placemark><name>${xmlEscape(`${c.risk} risk · ${c.count} records`)}</name><styleUrl>#risk-${c.riskColor.replace("#", "")}</styleUrl><ExtendedData>${kmlData(roundNumbers(cellRow(c)))}</ExtendedData><Polygon><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${xmlEscape(title)}</name>${styles}<Folder><name>Occurrences</name>${points}</Folder><Folder><name>Risk cells</name>${polygons}</Folder></Document></kml>
+`;
+}
+
+// ---- Download ----
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
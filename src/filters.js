@@ -0,0 +1,131 @@
+// src/filters.js
+// User-configurable occurrence filters. Most of them are sent to the source
+// APIs (see queryFromFilters); applyFilters re-checks everything locally so
+// sources that can't filter server-side behave the same.
+import { recentYearRange } from "./sources/http";
+
+export const BASIS_OF_RECORD_OPTIONS = [
+  { id: "HUMAN_OBSERVATION", label: "Human observation" },
+  { id: "MACHINE_OBSERVATION", label: "Machine observation" },
+  { id: "PRESERVED_SPECIMEN", label: "Preserved specimen" },
+  { id: "MATERIAL_SAMPLE", label: "Material sample" },
+  { id: "OCCURRENCE", label: "Unspecified occurrence" },
+  { id: "FOSSIL_SPECIMEN", label: "Fossil specimen" },
+];
+
+const [defaultYearFrom, defaultYearTo] = recentYearRange();
+
+export const DEFAULT_FILTERS = {
+  yearFrom: defaultYearFrom,
+  yearTo: defaultYearTo,
+  bbox: null, // { south, west, north, east } in degrees
+  // Museum and fossil specimens say little about current urchin pressure
+  basisOfRecord: ["HUMAN_OBSERVATION", "MACHINE_OBSERVATION", "OCCURRENCE"],
+  maxCoordinateUncertainty: null, // metres; records without a value are kept
+  excludeGeospatialIssues: true,
+  excludeFlagged: false, // records flagged by the quality check (quality.js)
+};
+
+// Source-side query: everything except the purely local filters.
+// This is also part of the cache key, so changing it triggers a refetch.
+export function queryFromFilters(filters) {
+  return {
+    yearRange: [filters.yearFrom, filters.yearTo],
+    bbox: filters.bbox,
+    basisOfRecord: filters.basisOfRecord,
+    excludeGeospatialIssues: filters.excludeGeospatialIssues,
+  };
+}
+
+export function isInBbox(lat, lng, bbox) {
+  if (!bbox) return true;
+  return (
+    lat >= bbox.south &&
+    lat <= bbox.north &&
+    lng >= bbox.west &&
+    lng <= bbox.east
+  );
+}
+
+// Basis-of-record labels differ slightly between sources ("HumanObservation")
+export function normalizeBasisOfRecord(basis) {
+  if (!basis) return null;
+  return String(basis)
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .toUpperCase();
+}
+
+export function applyFilters(occurrences, filters) {
+  return occurrences.filter((o) => {
+    if (typeof o.year === "number") {
+      if (o.year < filters.yearFrom || o.year > filters.yearTo) return false;
+    }
+    if (!isInBbox(o.lat, o.lng, filters.bbox)) return false;
+
+    const basis = normalizeBasisOfRecord(o.basisOfRecord);
+    if (basis && !filters.basisOfRecord.includes(basis)) return false;
+
+    if (
+      filters.maxCoordinateUncertainty != null &&
+      typeof o.coordinateUncertainty === "number" &&
+      o.coordinateUncertainty > filters.maxCoordinateUncertainty
+    ) {
+      return false;
+    }
+
+    if (filters.excludeGeospatialIssues && o.issues?.length > 0) return false;
+    if (filters.excludeFlagged && o.qualityFlags?.length > 0) return false;
+
+    return true;
+  });
+}
+
+// Returns an error message, or null when the filters are usable
+export function validateFilters(filters) {
+  const currentYear = new Date().getFullYear();
+
+  if (!Number.isInteger(filters.yearFrom) || !Number.isInteger(filters.yearTo)) {
+    return "Years must be whole numbers.";
+  }
+  if (filters.yearFrom > filters.yearTo) {
+    return "Start year must not be after end year.";
+  }
+  if (filters.yearTo > currentYear) {
+    return `End year can't be later than ${currentYear}.`;
+  }
+  if (filters.basisOfRecord.length === 0) {
+    return "Select at least one basis of record.";
+  }
+  if (filters.bbox) {
+    const { south, west, north, east } = filters.bbox;
+    if ([south, west, north, east].some((v) => !Number.isFinite(v))) {
+      return "Bounding box needs numeric south, west, north and east values.";
+    }
+    if (south < -90 || north > 90 || west < -180 || east > 180) {
+      return "Bounding box is outside valid latitude/longitude ranges.";
+    }
+    if (south >= north || west >= east) {
+      return "Bounding box must have south < north and west < east (boxes across the antimeridian aren't supported).";
+    }
+  }
+  if (
+    filters.maxCoordinateUncertainty != null &&
+    !(filters.maxCoordinateUncertainty > 0)
+  ) {
+    return "Coordinate uncertainty threshold must be a positive number of metres.";
+  }
+  return null;
+}
+
+// "2020–2025", or a single year
+export function describeYearRange(filters) {
+  return filters.yearFrom === filters.yearTo
+    ? `${filters.yearFrom}`
+    : `${filters.yearFrom}–${filters.yearTo}`;
+}
+
+export function formatBbox(bbox) {
+  if (!bbox) return "Worldwide";
+  const f = (v) => v.toFixed(2);
+  return `${f(bbox.south)}, ${f(bbox.west)} → ${f(bbox.north)}, ${f(bbox.east)}`;
+}
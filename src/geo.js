@@ -0,0 +1,138 @@
+// src/geo.js
+// Small geometry helpers for GeoJSON polygons in [lng, lat] order.
+
+// Ray casting against one linear ring
+function isInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// First ring is the outline, the rest are holes
+function isInPolygonRings(lat, lng, rings) {
+  if (!rings.length || !isInRing(lat, lng, rings[0])) return false;
+  return !rings.slice(1).some((hole) => isInRing(lat, lng, hole));
+}
+
+// Accepts a Polygon / MultiPolygon geometry, a Feature or a FeatureCollection
+export function isPointInGeometry(lat, lng, geojson) {
+  if (!geojson) return false;
+
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return geojson.features.some((f) => isPointInGeometry(lat, lng, f));
+    case "Feature":
+      return isPointInGeometry(lat, lng, geojson.geometry);
+    case "Polygon":
+      return isInPolygonRings(lat, lng, geojson.coordinates);
+    case "MultiPolygon":
+      return geojson.coordinates.some((rings) => isInPolygonRings(lat, lng, rings));
+    default:
+      return false;
+  }
+}
+
+// Closed GeoJSON ring for a { south, west, north, east } box
+export function bboxToRing({ south, west, north, east }) {
+  return [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+  ];
+}
+
+// [[ring, ...holes], ...] for a Polygon / MultiPolygon / Feature(Collection)
+export function geometryPolygons(geojson) {
+  if (!geojson) return [];
+
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return geojson.features.flatMap((f) => geometryPolygons(f));
+    case "Feature":
+      return geometryPolygons(geojson.geometry);
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    default:
+      return [];
+  }
+}
+
+// The Polygon / MultiPolygon features of an uploaded GeoJSON file; a bare
+// geometry counts as one feature. Throws when there are none.
+export function polygonFeatures(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+
+  const features =
+    doc.type === "FeatureCollection"
+      ? doc.features
+      : doc.type === "Feature"
+      ? [doc]
+      : [{ type: "Feature", properties: {}, geometry: doc }];
+
+  const polygons = features.filter((f) =>
+    ["Polygon", "MultiPolygon"].includes(f?.geometry?.type)
+  );
+  if (polygons.length === 0) {
+    throw new Error("No Polygon or MultiPolygon features found.");
+  }
+  return polygons;
+}
+
+// { south, west, north, east } around every outer ring, or null
+export function geometryBounds(geojson) {
+  const points = geometryPolygons(geojson).flatMap((rings) => rings[0] || []);
+  if (points.length === 0) return null;
+  return {
+    south: Math.min(...points.map(([, lat]) => lat)),
+    west: Math.min(...points.map(([lng]) => lng)),
+    north: Math.max(...points.map(([, lat]) => lat)),
+    east: Math.max(...points.map(([lng]) => lng)),
+  };
+}
+
+const EARTH_RADIUS_KM = 6371.0088;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Spherical area of one ring (Chamberlain & Duquette), always positive
+function ringAreaKm2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    sum += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_KM ** 2) / 2);
+}
+
+export function geometryAreaKm2(geojson) {
+  return geometryPolygons(geojson).reduce(
+    (total, [outer, ...holes]) =>
+      total + ringAreaKm2(outer) - holes.reduce((s, h) => s + ringAreaKm2(h), 0),
+    0
+  );
+}
+
+// Great-circle distance between two points
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
@@ -0,0 +1,245 @@
+// src/geotiff.js
+// Minimal GeoTIFF reader for single-band rasters in geographic coordinates
+// (EPSG:4326), as exported by GDAL or QGIS. Reads the first band of the
+// first image, from strips or tiles, uncompressed or compressed with LZW or
+// Deflate (inflated with the browser's DecompressionStream). BigTIFF and
+// projected rasters are not supported.
+
+const TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planarConfiguration: 284,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  geoKeys: 34735,
+  noData: 42113,
+};
+
+// TIFF field type -> [byte size, DataView getter]
+const FIELD_TYPES = {
+  1: [1, "getUint8"],
+  2: [1, "getUint8"], // ASCII
+  3: [2, "getUint16"],
+  4: [4, "getUint32"],
+  6: [1, "getInt8"],
+  7: [1, "getUint8"],
+  8: [2, "getInt16"],
+  9: [4, "getInt32"],
+  11: [4, "getFloat32"],
+  12: [8, "getFloat64"],
+};
+
+const GEO_KEY_MODEL_TYPE = 1024;
+const GEO_KEY_RASTER_TYPE = 1025;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+
+// (sampleFormat, bitsPerSample) -> typed array for one sample
+function sampleArray(format, bits) {
+  const arrays = {
+    "1:8": Uint8Array,
+    "1:16": Uint16Array,
+    "1:32": Uint32Array,
+    "2:8": Int8Array,
+    "2:16": Int16Array,
+    "2:32": Int32Array,
+    "3:32": Float32Array,
+    "3:64": Float64Array,
+  };
+  const array = arrays[`${format}:${bits}`];
+  if (!array) throw new Error(`Unsupported ${bits}-bit sample format ${format}.`);
+  return array;
+}
+
+function readIfd(view, offset, little) {
+  const decoder = new TextDecoder();
+  const fields = {};
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i += 1) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    if (!FIELD_TYPES[type]) continue;
+    const [size, getter] = FIELD_TYPES[type];
+    const start = size * n <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    fields[tag] =
+      type === 2
+        ? decoder.decode(new Uint8Array(view.buffer, start, n)).replace(/\0+$/, "")
+        : Array.from({ length: n }, (_, j) => view[getter](start + j * size, little));
+  }
+  return fields;
+}
+
+// TIFF LZW: MSB-first codes of 9 to 12 bits, widening one code early
+function decodeLzw(input) {
+  const CLEAR = 256;
+  const END = 257;
+  let table = [];
+  let codeLength = 9;
+  const reset = () => {
+    table = Array.from({ length: 258 }, (_, i) => Uint8Array.of(i));
+    codeLength = 9;
+  };
+  const concat = (a, byte) => {
+    const next = new Uint8Array(a.length + 1);
+    next.set(a);
+    next[a.length] = byte;
+    return next;
+  };
+
+  let output = new Uint8Array(input.length * 3);
+  let length = 0;
+  const write = (bytes) => {
+    if (length + bytes.length > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, length + bytes.length));
+      grown.set(output.subarray(0, length));
+      output = grown;
+    }
+    output.set(bytes, length);
+    length += bytes.length;
+  };
+
+  let bit = 0;
+  const totalBits = input.length * 8;
+  const readCode = () => {
+    if (bit + codeLength > totalBits) return END;
+    let code = 0;
+    for (let i = 0; i < codeLength; i += 1, bit += 1) {
+      code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return code;
+  };
+
+  reset();
+  let previous = null;
+  for (let code = readCode(); code !== END; code = readCode()) {
+    if (code === CLEAR) {
+      reset();
+      previous = null;
+      continue;
+    }
+    let entry;
+    if (code < table.length) entry = table[code];
+    else if (code === table.length && previous) entry = concat(previous, previous[0]);
+    else throw new Error("Corrupt LZW data in GeoTIFF.");
+    write(entry);
+    if (previous) table.push(concat(previous, entry[0]));
+    previous = entry;
+    if (table.length + 1 >= 1 << codeLength && codeLength < 12) codeLength += 1;
+  }
+  return output.subarray(0, length);
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decompress(bytes, compression) {
+  if (compression === 1) return bytes;
+  if (compression === 5) return decodeLzw(bytes);
+  if (compression === 8 || compression === 32946) return inflate(bytes);
+  throw new Error(
+    `Unsupported GeoTIFF compression ${compression}; re-export uncompressed or with LZW/Deflate.`
+  );
+}
+
+// { ncols, nrows, west, north, cellWidth, cellHeight, noData, values } with
+// rows north to south. values is a Float32Array of the first band.
+export async function readGeoTiff(buffer) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error("Not a TIFF file.");
+  const little = order === 0x4949;
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error("BigTIFF files are not supported.");
+  if (magic !== 42) throw new Error("Not a TIFF file.");
+
+  const fields = readIfd(view, view.getUint32(4, little), little);
+  const first = (tag, fallback) => fields[tag]?.[0] ?? fallback;
+  const ncols = first(TAGS.width);
+  const nrows = first(TAGS.height);
+  const samples = first(TAGS.samplesPerPixel, 1);
+  const bits = first(TAGS.bitsPerSample, 8);
+  const format = first(TAGS.sampleFormat, 1);
+  const compression = first(TAGS.compression, 1);
+  const predictor = first(TAGS.predictor, 1);
+  const planar = first(TAGS.planarConfiguration, 1);
+  const Sample = sampleArray(format, bits);
+  const bytesPerSample = bits / 8;
+  if (predictor === 3) throw new Error("Floating-point predictor is not supported.");
+
+  const geoKeys = fields[TAGS.geoKeys] || [];
+  const geoKey = (id) => {
+    for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+      if (geoKeys[i] === id) return geoKeys[i + 3];
+    }
+    return null;
+  };
+  const modelType = geoKey(GEO_KEY_MODEL_TYPE);
+  if (modelType !== null && modelType !== MODEL_TYPE_GEOGRAPHIC) {
+    throw new Error("Only GeoTIFFs in geographic coordinates (EPSG:4326) are supported.");
+  }
+  const scale = fields[TAGS.pixelScale];
+  const tiepoint = fields[TAGS.tiepoint];
+  if (!scale || !tiepoint) throw new Error("GeoTIFF has no pixel scale or tie point.");
+  const [cellWidth, cellHeight] = scale;
+  // Tie points of "pixel is point" rasters are pixel centres
+  const shift = geoKey(GEO_KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT ? 0.5 : 0;
+  const west = tiepoint[3] - (tiepoint[0] + shift) * cellWidth;
+  const north = tiepoint[4] + (tiepoint[1] + shift) * cellHeight;
+
+  const tiled = fields[TAGS.tileOffsets] !== undefined;
+  const blockWidth = tiled ? first(TAGS.tileWidth) : ncols;
+  const blockHeight = tiled ? first(TAGS.tileLength) : first(TAGS.rowsPerStrip, nrows);
+  const offsets = fields[tiled ? TAGS.tileOffsets : TAGS.stripOffsets];
+  const byteCounts = fields[tiled ? TAGS.tileByteCounts : TAGS.stripByteCounts];
+  const across = Math.ceil(ncols / blockWidth);
+  const down = Math.ceil(nrows / blockHeight);
+  // Interleaved pixels carry every band; separate planes start with band 1
+  const stride = planar === 1 ? samples : 1;
+
+  const values = new Float32Array(ncols * nrows);
+  for (let b = 0; b < across * down; b += 1) {
+    const bytes = await decompress(
+      new Uint8Array(buffer, offsets[b], byteCounts[b]),
+      compression
+    );
+    const blockView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const getter = `get${Sample.name.replace("Array", "")}`;
+    const rowLength = blockWidth * stride;
+    const row = new Sample(rowLength);
+    const top = Math.floor(b / across) * blockHeight;
+    const left = (b % across) * blockWidth;
+
+    for (let y = 0; y < blockHeight && top + y < nrows; y += 1) {
+      for (let i = 0; i < rowLength; i += 1) {
+        const at = (y * rowLength + i) * bytesPerSample;
+        row[i] = at + bytesPerSample <= bytes.length ? blockView[getter](at, little) : 0;
+      }
+      // Horizontal differencing: each sample is stored as a delta
+      if (predictor === 2) {
+        for (let i = stride; i < rowLength; i += 1) row[i] += row[i - stride];
+      }
+      for (let x = 0; x < blockWidth && left + x < ncols; x += 1) {
+        values[(top + y) * ncols + left + x] = row[x * stride];
+      }
+    }
+  }
+
+  const noData = fields[TAGS.noData] !== undefined ? Number(fields[TAGS.noData]) : null;
+  return { ncols, nrows, west, north, cellWidth, cellHeight, noData, values };
+}
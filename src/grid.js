@@ -0,0 +1,199 @@
+// src/grid.js
+// Spatial binning strategies for computeGridCells.
+//
+// Every binner maps a point to a cell id and can describe that cell:
+// its centre, outline ring ([lng, lat] pairs, GeoJSON order), bounding box
+// and true area. `size` is in degrees; for the equal-area binners it means
+// "the area of a size° × size° cell at the equator".
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+// Area of a size° × size° cell at the equator. Normalized counts are
+// "records per nominal cell" at the current resolution, so they only correct
+// for latitude and the class thresholds mean the same as for raw counts.
+export function nominalCellAreaKm2(size) {
+  return (size * KM_PER_DEGREE) ** 2;
+}
+
+export const BINNING_OPTIONS = [
+  { id: "square", label: "Square (lat/lng)" },
+  { id: "equal-area", label: "Equal-area" },
+  { id: "hex", label: "Hexagons" },
+];
+
+export const RESOLUTION_OPTIONS = [
+  { id: "auto", label: "Auto (zoom)", size: null },
+  { id: "2", label: "2°", size: 2 },
+  { id: "1", label: "1°", size: 1 },
+  { id: "0.5", label: "0.5°", size: 0.5 },
+  { id: "0.25", label: "0.25°", size: 0.25 },
+  { id: "0.1", label: "0.1°", size: 0.1 },
+];
+
+// Roughly 4–8 cells across the visible map, whatever the zoom
+export function cellSizeForZoom(zoom) {
+  const sizes = [4, 2, 1, 0.5, 0.25, 0.1, 0.05];
+  const target = 8 / 2 ** zoom;
+  return sizes.find((s) => s <= target) ?? sizes[sizes.length - 1];
+}
+
+export function resolveCellSize(resolutionId, zoom) {
+  const option = RESOLUTION_OPTIONS.find((r) => r.id === resolutionId);
+  return option?.size ?? cellSizeForZoom(zoom);
+}
+
+// Exact area of a lat/lng rectangle on the sphere
+function rectangleAreaKm2(south, west, north, east) {
+  return (
+    EARTH_RADIUS_KM ** 2 *
+    toRad(east - west) *
+    Math.abs(Math.sin(toRad(north)) - Math.sin(toRad(south)))
+  );
+}
+
+function ringBounds(ring) {
+  const lngs = ring.map((p) => p[0]);
+  const lats = ring.map((p) => p[1]);
+  return {
+    south: Math.min(...lats),
+    west: Math.min(...lngs),
+    north: Math.max(...lats),
+    east: Math.max(...lngs),
+  };
+}
+
+function rectangleCell(south, west, north, east) {
+  return {
+    lat: (south + north) / 2,
+    lng: (west + east) / 2,
+    bounds: { south, west, north, east },
+    ring: [
+      [west, south],
+      [east, south],
+      [east, north],
+      [west, north],
+      [west, south],
+    ],
+    areaKm2: rectangleAreaKm2(south, west, north, east),
+  };
+}
+
+// Plain lat/lng floor binning: cells shrink towards the poles
+function squareBinner(size) {
+  return {
+    cellId(lat, lng) {
+      return `${Math.floor(lat / size)}_${Math.floor(lng / size)}`;
+    },
+    describe(id) {
+      const [latIdx, lngIdx] = id.split("_").map(Number);
+      return rectangleCell(
+        latIdx * size,
+        lngIdx * size,
+        (latIdx + 1) * size,
+        (lngIdx + 1) * size
+      );
+    },
+  };
+}
+
+// Latitude bands of fixed height whose cells widen by 1/cos(lat), so every
+// cell covers about the same area. Each band is split into a whole number
+// of columns so cells tile the globe without slivers.
+function equalAreaBinner(size) {
+  const columnsInBand = (latIdx) => {
+    const midLat = Math.min(89.999, Math.abs((latIdx + 0.5) * size));
+    const width = size / Math.cos(toRad(midLat));
+    return Math.max(1, Math.round(360 / width));
+  };
+
+  return {
+    cellId(lat, lng) {
+      const latIdx = Math.floor(lat / size);
+      const columns = columnsInBand(latIdx);
+      const lngIdx = Math.min(columns - 1, Math.floor(((lng + 180) / 360) * columns));
+      return `ea_${latIdx}_${lngIdx}`;
+    },
+    describe(id) {
+      const [, latIdx, lngIdx] = id.split("_").map(Number);
+      const width = 360 / columnsInBand(latIdx);
+      return rectangleCell(
+        Math.max(-90, latIdx * size),
+        -180 + lngIdx * width,
+        Math.min(90, (latIdx + 1) * size),
+        -180 + (lngIdx + 1) * width
+      );
+    },
+  };
+}
+
+// Pointy-top hexagons laid out in the Lambert cylindrical equal-area
+// projection (x = Rλ, y = R·sinφ), so every hexagon has the same true area.
+function hexBinner(size) {
+  const areaKm2 = nominalCellAreaKm2(size);
+  const side = Math.sqrt((2 * areaKm2) / (3 * Math.sqrt(3)));
+  const project = (lat, lng) => [
+    EARTH_RADIUS_KM * toRad(lng),
+    EARTH_RADIUS_KM * Math.sin(toRad(lat)),
+  ];
+  const unproject = (x, y) => [
+    toDeg(Math.asin(Math.max(-1, Math.min(1, y / EARTH_RADIUS_KM)))),
+    Math.max(-180, Math.min(180, toDeg(x / EARTH_RADIUS_KM))),
+  ];
+  const centre = (q, r) => [
+    side * Math.sqrt(3) * (q + r / 2),
+    side * 1.5 * r,
+  ];
+
+  return {
+    cellId(lat, lng) {
+      const [x, y] = project(lat, lng);
+      // Fractional axial coordinates, then cube rounding
+      const qf = ((Math.sqrt(3) / 3) * x - y / 3) / side;
+      const rf = ((2 / 3) * y) / side;
+      const sf = -qf - rf;
+      let q = Math.round(qf);
+      let r = Math.round(rf);
+      const s = Math.round(sf);
+      const dq = Math.abs(q - qf);
+      const dr = Math.abs(r - rf);
+      const ds = Math.abs(s - sf);
+      if (dq > dr && dq > ds) q = -r - s;
+      else if (dr > ds) r = -q - s;
+      return `hex_${q}_${r}`;
+    },
+    describe(id) {
+      const [, q, r] = id.split("_").map(Number);
+      const [cx, cy] = centre(q, r);
+      const ring = [];
+      for (let i = 0; i <= 6; i += 1) {
+        const angle = toRad(60 * (i % 6) - 30);
+        const [lat, lng] = unproject(
+          cx + side * Math.cos(angle),
+          cy + side * Math.sin(angle)
+        );
+        ring.push([lng, lat]);
+      }
+      const [lat, lng] = unproject(cx, cy);
+      return { lat, lng, bounds: ringBounds(ring), ring, areaKm2 };
+    },
+  };
+}
+
+export function createBinner(binning = "square", size = 1) {
+  switch (binning) {
+    case "equal-area":
+      return equalAreaBinner(size);
+    case "hex":
+      return hexBinner(size);
+    default:
+      return squareBinner(size);
+  }
+}
+
+export function formatArea(km2) {
+  if (km2 >= 1000) return `${Math.round(km2).toLocaleString()} km²`;
+  return `${km2.toFixed(0)} km²`;
+}
@@ -0,0 +1,278 @@
+// src/habitat.js
+// Local habitat layers (kelp canopy, land/coastline, bathymetry) used as map
+// overlays and to estimate how much of each grid cell is urchin habitat.
+//
+// Vector layers are GeoJSON polygons; the bathymetry layer is an ESRI ASCII
+// grid (.asc) of elevation in metres, negative below sea level, as exported
+// by GEBCO or ETOPO. Everything here is plain data so it can also run off
+// the main thread.
+import { geometryBounds, geometryPolygons, isPointInGeometry } from "./geo";
+import { isInBbox } from "./filters";
+
+export const HABITAT_KINDS = [
+  {
+    id: "kelp",
+    label: "Kelp canopy",
+    format: "vector",
+    accept: ".json,.geojson",
+    hint: "Kelp extent polygons; habitat lies inside them.",
+    color: "#4ade80",
+  },
+  {
+    id: "coastline",
+    label: "Land / coastline",
+    format: "vector",
+    accept: ".json,.geojson",
+    hint: "Land polygons; habitat lies outside them.",
+    color: "#a8a29e",
+  },
+  {
+    id: "bathymetry",
+    label: "Bathymetry",
+    format: "raster",
+    accept: ".asc",
+    hint: "ESRI ASCII grid of elevation (m, negative below sea level); habitat is sea floor down to the depth limit.",
+    color: "#2dd4bf",
+  },
+];
+
+export const DEFAULT_MAX_DEPTH_M = 40;
+
+// Points per side of the grid sampled inside each cell
+const SAMPLES_PER_SIDE = 12;
+
+export function getHabitatKind(id) {
+  return HABITAT_KINDS.find((k) => k.id === id);
+}
+
+// ESRI ASCII grid: a short "key value" header, then rows north to south
+export function parseAsciiGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while (i < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = Number(tokens[i + 1]);
+    i += 2;
+  }
+
+  const { ncols, nrows, cellsize } = header;
+  if (!(ncols > 0 && nrows > 0 && cellsize > 0)) {
+    throw new Error("Missing ncols, nrows or cellsize in the grid header.");
+  }
+  const west = header.xllcorner ?? header.xllcenter - cellsize / 2;
+  const south = header.yllcorner ?? header.yllcenter - cellsize / 2;
+  if (!Number.isFinite(west) || !Number.isFinite(south)) {
+    throw new Error("Missing xllcorner/yllcorner in the grid header.");
+  }
+
+  const values = new Float32Array(tokens.slice(i).map(Number));
+  if (values.length !== ncols * nrows) {
+    throw new Error(`Expected ${ncols * nrows} values, found ${values.length}.`);
+  }
+
+  return {
+    ncols,
+    nrows,
+    west,
+    south,
+    cellSize: cellsize,
+    noData: header.nodata_value ?? -9999,
+    values,
+  };
+}
+
+export function rasterBounds(raster) {
+  return {
+    south: raster.south,
+    west: raster.west,
+    north: raster.south + raster.nrows * raster.cellSize,
+    east: raster.west + raster.ncols * raster.cellSize,
+  };
+}
+
+// Raster value at a point, or null outside the grid or on no-data cells
+export function rasterValue(raster, lat, lng) {
+  const col = Math.floor((lng - raster.west) / raster.cellSize);
+  const row = raster.nrows - 1 - Math.floor((lat - raster.south) / raster.cellSize);
+  if (col < 0 || col >= raster.ncols || row < 0 || row >= raster.nrows) return null;
+  const value = raster.values[row * raster.ncols + col];
+  return Number.isNaN(value) || value === raster.noData ? null : value;
+}
+
+function parsePolygons(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+  const polygons = geometryPolygons(doc);
+  if (polygons.length === 0) {
+    throw new Error("No Polygon or MultiPolygon features found.");
+  }
+  return { type: "MultiPolygon", coordinates: polygons };
+}
+
+export function createHabitatLayer(kindId, fileName, text) {
+  const kind = getHabitatKind(kindId);
+  const data =
+    kind.format === "raster"
+      ? { raster: parseAsciiGrid(text) }
+      : { geometry: parsePolygons(text) };
+
+  return {
+    id: `habitat-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    kind: kind.id,
+    name: fileName.replace(/\.[^.]+$/, ""),
+    fileName,
+    importedAt: Date.now(),
+    visible: true,
+    useAsHabitat: true,
+    ...data,
+  };
+}
+
+export function habitatLayerBounds(layer) {
+  return layer.raster ? rasterBounds(layer.raster) : geometryBounds(layer.geometry);
+}
+
+// (lat, lng) => boolean inside any polygon; each polygon's bounding box is
+// checked first
+function polygonTest(geometry) {
+  const polygons = geometryPolygons(geometry).map((rings) => ({
+    geometry: { type: "Polygon", coordinates: rings },
+    bounds: geometryBounds({ type: "Polygon", coordinates: rings }),
+  }));
+  return (lat, lng) =>
+    polygons.some(
+      (p) => isInBbox(lat, lng, p.bounds) && isPointInGeometry(lat, lng, p.geometry)
+    );
+}
+
+// (lat, lng) => boolean for one layer
+function habitatTest(layer, maxDepth) {
+  if (layer.raster) {
+    return (lat, lng) => {
+      const elevation = rasterValue(layer.raster, lat, lng);
+      // No data: don't rule anything out
+      return elevation === null || (elevation <= 0 && elevation >= -maxDepth);
+    };
+  }
+
+  const inside = polygonTest(layer.geometry);
+  return layer.kind === "coastline" ? (lat, lng) => !inside(lat, lng) : inside;
+}
+
+// (lat, lng) => true on land under any loaded land / coastline layer, used
+// or not as habitat; null when there is none (see quality.js)
+export function createLandTest(layers) {
+  const tests = layers
+    .filter((l) => l.kind === "coastline")
+    .map((l) => polygonTest(l.geometry));
+  if (tests.length === 0) return null;
+  return (lat, lng) => tests.some((inside) => inside(lat, lng));
+}
+
+// Identifies a land test: the ids of the land / coastline layers, or null
+// when there is none
+export function landKey(layers) {
+  const ids = layers.filter((l) => l.kind === "coastline").map((l) => l.id);
+  return ids.length > 0 ? ids.join(",") : null;
+}
+
+// Keeps the land test of the latest { key, layers }, like createSamplerCache
+export function createLandTestCache() {
+  let current = { key: null, test: null };
+  return (request) => {
+    if (!request) return null;
+    if (request.key !== current.key) {
+      current = { key: request.key, test: createLandTest(request.layers) };
+    }
+    return current.test;
+  };
+}
+
+// Returns shape => fraction (0..1) of a grid cell that is habitat under
+// every layer marked useAsHabitat, or null when no layer is. The fraction
+// is estimated from a regular grid of points, so habitat strips narrower
+// than the point spacing can be missed in coarse cells.
+export function createHabitatSampler(layers, { maxDepth = DEFAULT_MAX_DEPTH_M } = {}) {
+  const tests = layers.filter((l) => l.useAsHabitat).map((l) => habitatTest(l, maxDepth));
+  if (tests.length === 0) return null;
+
+  const cache = new Map();
+  return (shape) => {
+    const { south, west, north, east } = shape.bounds;
+    const key = `${south},${west},${north},${east}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const outline = { type: "Polygon", coordinates: [shape.ring] };
+    let total = 0;
+    let habitable = 0;
+    for (let i = 0; i < SAMPLES_PER_SIDE; i += 1) {
+      const lat = south + ((i + 0.5) / SAMPLES_PER_SIDE) * (north - south);
+      for (let j = 0; j < SAMPLES_PER_SIDE; j += 1) {
+        const lng = west + ((j + 0.5) / SAMPLES_PER_SIDE) * (east - west);
+        if (!isPointInGeometry(lat, lng, outline)) continue;
+        total += 1;
+        if (tests.every((test) => test(lat, lng))) habitable += 1;
+      }
+    }
+
+    const fraction = total > 0 ? habitable / total : 0;
+    cache.set(key, fraction);
+    return fraction;
+  };
+}
+
+// Identifies a sampler: only the layers used as habitat and the depth limit
+// matter. null when no layer is used as habitat.
+export function habitatKey(layers, maxDepth = DEFAULT_MAX_DEPTH_M) {
+  const ids = layers.filter((l) => l.useAsHabitat).map((l) => l.id);
+  return ids.length > 0 ? `${ids.join(",")}@${maxDepth}` : null;
+}
+
+// Keeps the sampler of the latest { key, layers, maxDepth }, so repeated
+// grids (zooming, filtering) reuse the fractions already sampled. layers
+// may be left out while the key stays the same.
+export function createSamplerCache() {
+  let current = { key: null, sampler: null };
+  return (request) => {
+    if (!request) return null;
+    if (request.key !== current.key) {
+      current = {
+        key: request.key,
+        sampler: createHabitatSampler(request.layers, { maxDepth: request.maxDepth }),
+      };
+    }
+    return current.sampler;
+  };
+}
+
+// Colour ramp for the bathymetry overlay: habitat depths in teal, deeper
+// water in darkening blue, land left transparent
+function depthColor(elevation, maxDepth) {
+  if (elevation > 0) return null;
+  const depth = -elevation;
+  if (depth <= maxDepth) return [45, 212, 191, 150];
+  const t = Math.min(1, Math.log10(depth / maxDepth) / 2);
+  return [Math.round(56 - 40 * t), Math.round(130 - 90 * t), Math.round(220 - 100 * t), 110];
+}
+
+// PNG data URL of the bathymetry raster, or null where canvas is unavailable
+export function rasterImageUrl(raster, maxDepth = DEFAULT_MAX_DEPTH_M) {
+  const canvas = document.createElement("canvas");
+  canvas.width = raster.ncols;
+  canvas.height = raster.nrows;
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx) return null;
+
+  const image = ctx.createImageData(raster.ncols, raster.nrows);
+  raster.values.forEach((value, i) => {
+    if (Number.isNaN(value) || value === raster.noData) return;
+    const color = depthColor(value, maxDepth);
+    if (color) image.data.set(color, i * 4);
+  });
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
@@ -0,0 +1,126 @@
+// src/harvest.js
+// Harvest planning: rank high-risk cells near a port or launch site, order
+// them into a dive route, and keep a log of completed harvests. Plan
+// settings and the log are persisted in localStorage.
+import { haversineKm } from "./geo";
+import { readJson, readList, writeJson } from "./storage";
+
+const PLAN_KEY = "urchin-tracker.harvestPlan";
+const LOG_KEY = "urchin-tracker.harvests";
+
+export const DEFAULT_HARVEST_PLAN = {
+  origin: null, // { lat, lng, name }
+  maxDistanceKm: 50,
+  includeMedium: false,
+  siteCount: 8,
+};
+
+// How much the invasiveness score vs. closeness to the origin weighs when
+// ranking sites; both parts are 0..1
+export const HARVEST_WEIGHTS = { score: 0.7, access: 0.3 };
+
+export function loadHarvestPlan() {
+  return { ...DEFAULT_HARVEST_PLAN, ...readJson(PLAN_KEY) };
+}
+
+export function saveHarvestPlan(plan) {
+  writeJson(PLAN_KEY, plan);
+}
+
+export function loadHarvestLog() {
+  return readList(LOG_KEY);
+}
+
+export function saveHarvestLog(entries) {
+  writeJson(LOG_KEY, entries);
+}
+
+export function createHarvestEntry({ date, kg, speciesId, site }) {
+  return {
+    id: `harvest-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    date, // YYYY-MM-DD
+    kg,
+    speciesId,
+    cellId: site?.cell.id ?? null,
+    lat: site?.cell.lat ?? null,
+    lng: site?.cell.lng ?? null,
+    createdAt: Date.now(),
+  };
+}
+
+// Greedy nearest-neighbour tour from the origin; good enough for a handful
+// of sites and easy to follow on a chart
+function routeOrder(origin, sites) {
+  const remaining = [...sites];
+  const route = [];
+  let from = origin;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    let nearestKm = Infinity;
+    remaining.forEach((s, i) => {
+      const km = haversineKm(from.lat, from.lng, s.cell.lat, s.cell.lng);
+      if (km < nearestKm) {
+        nearest = i;
+        nearestKm = km;
+      }
+    });
+    const [next] = remaining.splice(nearest, 1);
+    route.push({ ...next, legKm: nearestKm });
+    from = next.cell;
+  }
+  return route;
+}
+
+// The best `siteCount` cells of the highest risk class (optionally also the
+// next one, see classification.js) within maxDistanceKm of the origin, in
+// route order:
+// { sites: [{ cell, distanceKm, legKm, priority }], routeKm, candidateCount }
+// Distances are straight lines, so they ignore headlands and islands.
+export function planHarvest(
+  cells,
+  { origin, maxDistanceKm, includeMedium, siteCount },
+  weights = HARVEST_WEIGHTS
+) {
+  if (!origin) return { sites: [], routeKm: 0, candidateCount: 0 };
+
+  const maxLevel = includeMedium ? 1 : 0;
+  const candidates = cells
+    .filter((c) => c.riskLevel <= maxLevel)
+    .map((cell) => ({
+      cell,
+      distanceKm: haversineKm(origin.lat, origin.lng, cell.lat, cell.lng),
+    }))
+    .filter((s) => s.distanceKm <= maxDistanceKm)
+    .map((s) => ({
+      ...s,
+      priority:
+        weights.score * ((s.cell.score ?? 50) / 100) +
+        weights.access * (1 - s.distanceKm / Math.max(maxDistanceKm, 1e-6)),
+    }))
+    .sort((a, b) => b.priority - a.priority);
+
+  const sites = routeOrder(origin, candidates.slice(0, siteCount));
+  const last = sites[sites.length - 1];
+  const routeKm =
+    sites.reduce((sum, s) => sum + s.legKm, 0) +
+    (last ? haversineKm(last.cell.lat, last.cell.lng, origin.lat, origin.lng) : 0);
+
+  return { sites, routeKm, candidateCount: candidates.length };
+}
+
+// Totals plus kg per month ("2026-03"), oldest first
+export function summarizeHarvests(entries) {
+  const byMonth = {};
+  entries.forEach((e) => {
+    const month = e.date.slice(0, 7);
+    byMonth[month] = (byMonth[month] || 0) + e.kg;
+  });
+
+  return {
+    totalKg: entries.reduce((sum, e) => sum + e.kg, 0),
+    tripCount: entries.length,
+    byMonth: Object.keys(byMonth)
+      .sort()
+      .map((month) => ({ month, kg: byMonth[month] })),
+  };
+}
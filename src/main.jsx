@@ -1,6 +1,7 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./offline";
 import "./index.css";
 import "leaflet/dist/leaflet.css";
 
@@ -9,3 +10,5 @@ ReactDOM.createRoot(document.getElementById("root")).render(
     <App />
   </React.StrictMode>
 );
+
+registerServiceWorker();
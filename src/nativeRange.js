@@ -0,0 +1,68 @@
+// src/nativeRange.js
+// Native ranges tell overabundance from introduction: records inside a
+// species' native range are "native", records outside it "introduced"
+// (a true introduction or range extension), and everything is "unknown"
+// for species without a range. Ranges are GeoJSON (Multi)Polygons stored
+// on the tracked species (see species.js).
+import { geometryBounds, geometryPolygons, isPointInGeometry, polygonFeatures } from "./geo";
+import { DEFAULT_SPECIES } from "./species";
+
+export const RANGE_STATUSES = [
+  { id: "introduced", label: "Introduced", color: "#f472b6" },
+  { id: "native", label: "Native", color: "#34d399" },
+  { id: "unknown", label: "Unknown", color: "#94a3b8" },
+];
+
+export const NATIVE_RANGE_COLOR = "#34d399";
+
+// (lat, lng) -> range status. Points outside the range's bounding box skip
+// the polygon test, which matters for detailed uploaded ranges.
+export function createRangeTester(nativeRange) {
+  if (!nativeRange) return () => "unknown";
+  const bounds = geometryBounds(nativeRange);
+  return (lat, lng) => {
+    if (
+      !bounds ||
+      lat < bounds.south ||
+      lat > bounds.north ||
+      lng < bounds.west ||
+      lng > bounds.east
+    ) {
+      return "introduced";
+    }
+    return isPointInGeometry(lat, lng, nativeRange) ? "native" : "introduced";
+  };
+}
+
+export function emptyRangeCounts() {
+  return { native: 0, introduced: 0, unknown: 0 };
+}
+
+// Share of the records with a known status that lie outside the native
+// range, or null when none is known
+export function introducedShare({ native, introduced }) {
+  const known = native + introduced;
+  return known > 0 ? introduced / known : null;
+}
+
+// Every polygon of an uploaded GeoJSON file, merged into one range
+export function nativeRangeFromGeoJSON(text) {
+  return {
+    type: "MultiPolygon",
+    coordinates: polygonFeatures(text).flatMap((f) => geometryPolygons(f)),
+  };
+}
+
+// The range with a drawn Polygon added to it
+export function addToRange(nativeRange, polygon) {
+  if (!nativeRange) return polygon;
+  return {
+    type: "MultiPolygon",
+    coordinates: [...geometryPolygons(nativeRange), polygon.coordinates],
+  };
+}
+
+// The built-in range of a default species, if any
+export function defaultNativeRange(speciesId) {
+  return DEFAULT_SPECIES.find((s) => s.id === speciesId)?.nativeRange ?? null;
+}
@@ -0,0 +1,178 @@
+// src/netcdf.js
+// Minimal reader for NetCDF classic files (CDF-1 and the 64-bit offset
+// CDF-2), as written by most SST products or by `nccopy -k classic`.
+// Lists dimensions, attributes and variables and reads variable data,
+// including record variables along the unlimited dimension. NetCDF-4 files
+// are HDF5 inside and are not supported.
+
+const NC_DIMENSION = 0x0a;
+const NC_VARIABLE = 0x0b;
+const NC_ATTRIBUTE = 0x0c;
+const STREAMING = 0xffffffff;
+
+// nc_type -> [byte size, DataView getter]; all data is big-endian
+const TYPES = {
+  1: [1, "getInt8"], // byte
+  2: [1, "getUint8"], // char
+  3: [2, "getInt16"], // short
+  4: [4, "getInt32"], // int
+  5: [4, "getFloat32"], // float
+  6: [8, "getFloat64"], // double
+};
+
+const pad4 = (n) => (n + 3) & ~3;
+
+function typeOf(type) {
+  const t = TYPES[type];
+  if (!t) throw new Error(`Unsupported NetCDF data type ${type}.`);
+  return t;
+}
+
+// Sequential reader over the header
+function headerReader(view, version) {
+  let p = 4;
+  const decoder = new TextDecoder();
+  const r = {
+    u32() {
+      const v = view.getUint32(p);
+      p += 4;
+      return v;
+    },
+    offset() {
+      if (version === 1) return r.u32();
+      const v = Number(view.getBigUint64(p));
+      p += 8;
+      return v;
+    },
+    name() {
+      const length = r.u32();
+      const text = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + p, length));
+      p += pad4(length);
+      return text;
+    },
+    values(type, count) {
+      const [size, getter] = typeOf(type);
+      let result;
+      if (type === 2) {
+        result = decoder
+          .decode(new Uint8Array(view.buffer, view.byteOffset + p, count))
+          .replace(/\0+$/, "");
+      } else {
+        result = Array.from({ length: count }, (_, i) => view[getter](p + i * size));
+      }
+      p += pad4(count * size);
+      return result;
+    },
+    list(tag, readItem) {
+      const found = r.u32();
+      const count = r.u32();
+      if (found === 0 && count === 0) return [];
+      if (found !== tag) throw new Error("Corrupt NetCDF header.");
+      return Array.from({ length: count }, readItem);
+    },
+    attributes() {
+      const entries = r.list(NC_ATTRIBUTE, () => {
+        const name = r.name();
+        const type = r.u32();
+        return [name, r.values(type, r.u32())];
+      });
+      return Object.fromEntries(entries);
+    },
+  };
+  return r;
+}
+
+// { dimensions: [{ name, length, unlimited }], attributes,
+//   variables: [{ name, dimensions: [index], attributes, type, size, begin }],
+//   recordCount, recordSize }
+export function readNetcdfHeader(buffer) {
+  const view = new DataView(buffer);
+  const magic = new Uint8Array(buffer, 0, 4);
+  if (magic[0] === 0x89 && magic[1] === 0x48 && magic[2] === 0x44 && magic[3] === 0x46) {
+    throw new Error(
+      "This is a NetCDF-4 (HDF5) file. Convert it with `nccopy -k classic in.nc out.nc`."
+    );
+  }
+  if (String.fromCharCode(magic[0], magic[1], magic[2]) !== "CDF") {
+    throw new Error("Not a NetCDF file.");
+  }
+  const version = magic[3];
+  if (version !== 1 && version !== 2) {
+    throw new Error("Only NetCDF classic and 64-bit offset files are supported.");
+  }
+
+  const r = headerReader(view, version);
+  let recordCount = r.u32();
+  const dimensions = r.list(NC_DIMENSION, () => {
+    const name = r.name();
+    const length = r.u32();
+    return { name, length, unlimited: length === 0 };
+  });
+  const attributes = r.attributes();
+  const variables = r.list(NC_VARIABLE, () => {
+    const name = r.name();
+    const dims = Array.from({ length: r.u32() }, () => r.u32());
+    return {
+      name,
+      dimensions: dims,
+      attributes: r.attributes(),
+      type: r.u32(),
+      size: r.u32(),
+      begin: r.offset(),
+    };
+  });
+
+  const isRecord = (v) => v.dimensions.length > 0 && dimensions[v.dimensions[0]].unlimited;
+  const records = variables.filter(isRecord);
+  variables.forEach((v) => {
+    v.record = isRecord(v);
+  });
+  // A lone record variable isn't padded to 4 bytes per record
+  const recordSize =
+    records.length === 1
+      ? records[0].dimensions
+          .slice(1)
+          .reduce((n, d) => n * dimensions[d].length, typeOf(records[0].type)[0])
+      : records.reduce((n, v) => n + v.size, 0);
+  if (recordCount === STREAMING && records.length > 0) {
+    const first = Math.min(...records.map((v) => v.begin));
+    recordCount = Math.floor((buffer.byteLength - first) / recordSize);
+  }
+
+  return { dimensions, attributes, variables, recordCount, recordSize };
+}
+
+// Length of a variable's dimension, resolving the unlimited one
+export function dimensionLength(header, index) {
+  const dim = header.dimensions[index];
+  return dim.unlimited ? header.recordCount : dim.length;
+}
+
+// Values of a variable as a Float64Array. For variables with more than one
+// dimension, `step` selects one index of the first dimension (e.g. a time
+// step) and only that slice is read.
+export function readVariable(buffer, header, variable, step = null) {
+  const view = new DataView(buffer);
+  const [size, getter] = typeOf(variable.type);
+  const lengths = variable.dimensions.map((d) => dimensionLength(header, d));
+  const sliced = step !== null;
+  const count = lengths.slice(sliced ? 1 : 0).reduce((n, l) => n * l, 1);
+
+  const values = new Float64Array(count);
+  const read = (start, offset, n) => {
+    for (let i = 0; i < n; i += 1) values[offset + i] = view[getter](start + i * size);
+  };
+
+  if (!variable.record) {
+    read(variable.begin + (sliced ? step * count * size : 0), 0, count);
+  } else if (sliced) {
+    read(variable.begin + step * header.recordSize, 0, count);
+  } else {
+    // One slice per record
+    const perRecord = count / header.recordCount;
+    for (let rec = 0; rec < header.recordCount; rec += 1) {
+      read(variable.begin + rec * header.recordSize, rec * perRecord, perRecord);
+    }
+  }
+  return values;
+}
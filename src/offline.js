@@ -0,0 +1,202 @@
+// src/offline.js
+// Offline use on boats and remote coastline. Production builds register a
+// service worker (src/sw.js) that caches the app shell and serves basemap
+// tiles from a cache this module fills for user-chosen areas and zoom
+// levels. Occurrence data needs nothing extra: the last fetch of every
+// species is kept in IndexedDB (see cache.js). Downloaded areas are listed
+// in localStorage.
+import { useSyncExternalStore } from "react";
+import { readList, writeJson } from "./storage";
+
+export const TILE_URL =
+  import.meta.env.VITE_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const TILE_SUBDOMAINS = ["a", "b", "c"];
+
+// Saving an area downloads its tiles in bulk, which OpenStreetMap's tile
+// usage policy forbids. It takes a VITE_TILE_URL naming a provider that
+// allows offline use.
+export const TILE_DOWNLOADS_ALLOWED =
+  Boolean(import.meta.env.VITE_TILE_URL) && !/tile\.openstreetmap\.org/i.test(TILE_URL);
+
+// Same name as TILE_CACHE in sw.js
+const TILE_CACHE = "urchin-tiles";
+const AREAS_KEY = "urchin-tracker.offlineAreas";
+
+export const MAX_OFFLINE_ZOOM = 16;
+// Keeps one download polite to the tile server and within browser storage
+export const MAX_TILES_PER_AREA = 3000;
+// Typical size of a basemap tile, for the estimate shown before downloading
+const TILE_SIZE_KB = 20;
+const DOWNLOAD_CONCURRENCY = 4;
+// Web Mercator stops here
+const MAX_LATITUDE = 85.0511;
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((e) => console.warn("Service worker registration failed", e));
+  });
+}
+
+function subscribeOnline(callback) {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+}
+
+// navigator.onLine, updated as the connection comes and goes. It can't
+// tell a weak signal from a working one, so fetches may still fail.
+export function useOnline() {
+  return useSyncExternalStore(subscribeOnline, () => navigator.onLine);
+}
+
+function subscribeController(callback) {
+  navigator.serviceWorker?.addEventListener("controllerchange", callback);
+  return () => navigator.serviceWorker?.removeEventListener("controllerchange", callback);
+}
+
+// True once a service worker controls the page, i.e. the app shell is
+// cached and the app opens without a connection
+export function useOfflineReady() {
+  return useSyncExternalStore(subscribeController, () =>
+    Boolean(navigator.serviceWorker?.controller)
+  );
+}
+
+export function loadOfflineAreas() {
+  return readList(AREAS_KEY);
+}
+
+export function saveOfflineAreas(areas) {
+  writeJson(AREAS_KEY, areas);
+}
+
+export function createOfflineArea(name, bounds, minZoom, maxZoom) {
+  return {
+    id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    bounds, // { south, west, north, east }
+    minZoom,
+    maxZoom,
+    tileCount: countAreaTiles(bounds, minZoom, maxZoom),
+    downloadedAt: null,
+  };
+}
+
+const clampLat = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+function tileX(lng, zoom) {
+  const n = 2 ** zoom;
+  return Math.min(n - 1, Math.max(0, Math.floor(((lng + 180) / 360) * n)));
+}
+
+function tileY(lat, zoom) {
+  const n = 2 ** zoom;
+  const rad = (clampLat(lat) * Math.PI) / 180;
+  const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n;
+  return Math.min(n - 1, Math.max(0, Math.floor(y)));
+}
+
+// Tile index ranges covering the bounds at one zoom level
+function tileRange({ south, west, north, east }, zoom) {
+  return {
+    xMin: tileX(west, zoom),
+    xMax: tileX(east, zoom),
+    yMin: tileY(north, zoom),
+    yMax: tileY(south, zoom),
+  };
+}
+
+export function countAreaTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const { xMin, xMax, yMin, yMax } = tileRange(bounds, z);
+    count += (xMax - xMin + 1) * (yMax - yMin + 1);
+  }
+  return count;
+}
+
+export function estimateTileMegabytes(count) {
+  return (count * TILE_SIZE_KB) / 1024;
+}
+
+// The URL Leaflet requests for a tile, including its choice of subdomain
+export function tileUrl(z, x, y) {
+  const s = TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length];
+  return TILE_URL.replace("{s}", s)
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{r}", "");
+}
+
+function areaTileUrls({ bounds, minZoom, maxZoom }) {
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const { xMin, xMax, yMin, yMax } = tileRange(bounds, z);
+    for (let x = xMin; x <= xMax; x += 1) {
+      for (let y = yMin; y <= yMax; y += 1) urls.push(tileUrl(z, x, y));
+    }
+  }
+  return urls;
+}
+
+function openTileCache() {
+  if (typeof caches === "undefined") {
+    return Promise.reject(new Error("Offline maps need the app to be served over HTTPS."));
+  }
+  return caches.open(TILE_CACHE);
+}
+
+// Fetch the area's tiles into the tile cache, skipping those already there.
+// onProgress(done, total) follows every tile. Resolves to the number of
+// tiles that failed to download.
+export async function downloadAreaTiles(area, { signal, onProgress } = {}) {
+  if (!TILE_DOWNLOADS_ALLOWED) {
+    throw new Error("The basemap's tile provider does not allow offline downloads");
+  }
+  const cache = await openTileCache();
+  const urls = areaTileUrls(area);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  async function worker() {
+    while (next < urls.length) {
+      signal?.throwIfAborted();
+      const url = urls[next];
+      next += 1;
+      if (!(await cache.match(url))) {
+        try {
+          const response = await fetch(url, { mode: "cors", signal });
+          if (response.ok) await cache.put(url, response);
+          else failed += 1;
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          failed += 1;
+        }
+      }
+      done += 1;
+      onProgress?.(done, urls.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return failed;
+}
+
+// Remove an area's tiles, keeping those another area still covers
+export async function deleteAreaTiles(area, otherAreas) {
+  const cache = await openTileCache();
+  const kept = new Set(otherAreas.flatMap(areaTileUrls));
+  await Promise.all(
+    areaTileUrls(area)
+      .filter((url) => !kept.has(url))
+      .map((url) => cache.delete(url))
+  );
+}
@@ -0,0 +1,355 @@
+// src/pipeline.js
+// Main-thread client of the data pipeline worker (pipeline.worker.js).
+// Fetching, download parsing, the species' records and their filtered
+// views, and grid aggregation live there so large species (100k+ records)
+// don't block the UI; without module workers (old browsers, tests) or when
+// the worker fails, everything runs in-thread instead.
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { MAX_PER_SPECIES } from "./api";
+import { computeGridCells } from "./aggregate";
+import { parseGbifDownload } from "./downloads";
+import { createLandTestCache, createSamplerCache, habitatKey, landKey } from "./habitat";
+import { HttpError, isAbortError } from "./sources/http";
+import {
+  loadCachedSpecies,
+  loadSpecies,
+  speciesView,
+  storedRecords,
+  viewOccurrences,
+} from "./speciesStore";
+
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+// Bumped when the worker fails, taking the loaded species' records with it
+let generation = 0;
+const generationListeners = new Set();
+// Habitat and land layers are only posted when the layer set changes
+let sentHabitatKey = null;
+let sentLandKey = null;
+// request id -> { resolve, reject, onProgress, inThread }. inThread is only
+// set for requests that don't depend on the records held by the worker.
+const pending = new Map();
+const localSampler = createSamplerCache();
+const localLandTest = createLandTestCache();
+
+// View of a species with nothing loaded (see speciesView)
+const EMPTY_VIEW = { viewId: null, occurrences: [], report: null, sourceCounts: {} };
+
+function toError({ name, message, status }) {
+  if (name === "HttpError") return new HttpError(message, status);
+  return Object.assign(new Error(message), { name });
+}
+
+function handleMessage({ data }) {
+  const request = pending.get(data.id);
+  if (!request) return; // aborted meanwhile
+
+  if (data.type === "progress") {
+    request.onProgress?.({ progress: data.progress, version: data.version });
+    return;
+  }
+  pending.delete(data.id);
+  if (data.type === "error") request.reject(toError(data.error));
+  else request.resolve(data.result);
+}
+
+// The worker could not start (e.g. blocked by a content security policy) or
+// crashed: stop using it and run in-thread from now on. The species' records
+// went with it, so requests that need them are aborted and the generation
+// bumped for the UI to load the species again (see usePipelineGeneration).
+function handleFailure(e) {
+  console.warn("Pipeline worker failed, running in-thread", e);
+  worker?.terminate();
+  worker = null;
+  workerFailed = true;
+  const queued = [...pending.values()];
+  pending.clear();
+  queued.forEach((r) => {
+    if (r.inThread) r.inThread().then(r.resolve, r.reject);
+    else r.reject(new DOMException("Pipeline worker failed", "AbortError"));
+  });
+  generation += 1;
+  generationListeners.forEach((listener) => listener());
+}
+
+function getWorker() {
+  if (workerFailed || typeof Worker === "undefined") return null;
+  if (!worker) {
+    worker = new Worker(new URL("./pipeline.worker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = handleMessage;
+    worker.onerror = handleFailure;
+    sentHabitatKey = null;
+    sentLandKey = null;
+  }
+  return worker;
+}
+
+function send(target, message, transfer, { onProgress, inThread } = {}) {
+  const id = nextId;
+  nextId += 1;
+  const promise = new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress, inThread });
+  });
+  target.postMessage({ ...message, id }, transfer);
+  return { id, promise };
+}
+
+function subscribeGeneration(callback) {
+  generationListeners.add(callback);
+  return () => generationListeners.delete(callback);
+}
+
+// Counts worker failures. Whenever it changes, the records loaded so far
+// are gone and the species have to be loaded again.
+export function usePipelineGeneration() {
+  return useSyncExternalStore(subscribeGeneration, () => generation);
+}
+
+// computeGridCells (see aggregate.js) over a species' view (see
+// speciesView) plus `surveys`, in the worker holding the view's records.
+// Habitat is given as layers plus depth limit rather than a sampler.
+// Resolves to the grid, whose cells' recordIndices point into the view's
+// occurrences followed by the surveys (see cellRecords), or to null once a
+// newer view of the species replaced viewId.
+export async function computeSpeciesGrid(
+  speciesId,
+  { viewId, surveys },
+  cellSizeDeg,
+  { habitatLayers = [], habitatMaxDepth, ...options } = {}
+) {
+  const key = habitatKey(habitatLayers, habitatMaxDepth);
+  const habitat = key && { key, layers: habitatLayers, maxDepth: habitatMaxDepth };
+
+  const target = getWorker();
+  if (!target) {
+    const occurrences = viewOccurrences(speciesId, viewId);
+    if (!occurrences) return null;
+    return computeGridCells([...occurrences, ...surveys], cellSizeDeg, {
+      ...options,
+      habitat: localSampler(habitat),
+    });
+  }
+
+  const message = {
+    type: "grid",
+    speciesId,
+    viewId,
+    surveys,
+    cellSizeDeg,
+    options,
+    habitat: habitat && key === sentHabitatKey ? { ...habitat, layers: undefined } : habitat,
+  };
+  sentHabitatKey = key;
+  return send(target, message, []).promise;
+}
+
+// Grid of every stored record of a species (see speciesStore.js), for
+// alert snapshots
+export async function computeStoredGrid(speciesId, cellSizeDeg) {
+  const inThread = async () => computeGridCells(storedRecords(speciesId), cellSizeDeg);
+  const target = getWorker();
+  if (!target) return inThread();
+  return send(target, { type: "storedGrid", speciesId, cellSizeDeg }, []).promise;
+}
+
+// loadCachedSpecies (see speciesStore.js) in the worker
+export function loadCached(species, { sourceIds, query, download } = {}) {
+  const inThread = () => loadCachedSpecies(species, { sourceIds, query, download });
+  const target = getWorker();
+  if (!target) return inThread();
+  return send(target, { type: "cached", species, sourceIds, query, download }, []).promise;
+}
+
+// loadSpecies (see speciesStore.js) in the worker; same arguments and
+// result. onProgress gets the source progress at most every half second,
+// and whenever a partial result was stored.
+export function loadOccurrences(
+  species,
+  maxRecords = MAX_PER_SPECIES,
+  { sourceIds, query, download, progressive, signal, onProgress } = {}
+) {
+  const inThread = () =>
+    loadSpecies(species, maxRecords, {
+      sourceIds,
+      query,
+      download,
+      progressive,
+      signal,
+      onProgress,
+    });
+
+  const target = getWorker();
+  if (!target) return inThread();
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  const { id, promise } = send(
+    target,
+    { type: "fetch", species, maxRecords, sourceIds, query, download, progressive },
+    [],
+    { onProgress }
+  );
+  signal?.addEventListener(
+    "abort",
+    () => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      target.postMessage({ type: "abort", id });
+      request.reject(signal.reason);
+    },
+    { once: true }
+  );
+  return promise;
+}
+
+// parseGbifDownload (see downloads.js) in the worker. The buffer is copied
+// rather than transferred, so it can still be parsed in-thread if the
+// worker fails.
+export function parseDownload(buffer) {
+  const inThread = () => parseGbifDownload(buffer);
+  const target = getWorker();
+  if (!target) return inThread();
+  return send(target, { type: "download", buffer }, [], { inThread }).promise;
+}
+
+// speciesView (see speciesStore.js) in the worker. The land / coastline
+// layers among habitatLayers feed the quality checks.
+export function computeSpeciesView(speciesId, { sourceIds, filters, habitatLayers }) {
+  const key = landKey(habitatLayers);
+  const land = key && { key, layers: habitatLayers.filter((l) => l.kind === "coastline") };
+  const inThread = async () =>
+    speciesView(speciesId, { sourceIds, filters, landTest: localLandTest(land) });
+
+  const target = getWorker();
+  if (!target) return inThread();
+  const message = {
+    type: "view",
+    speciesId,
+    sourceIds,
+    filters,
+    land: land && key === sentLandKey ? { key } : land,
+  };
+  sentLandKey = key;
+  return send(target, message, []).promise;
+}
+
+// Views of the species in `versions` ({ [speciesId]: version of its stored
+// records, 0 when none }), kept up to date as versions and options change.
+// Only views whose inputs changed are recomputed; a species' previous view
+// stays in place until the new one arrives.
+export function useSpeciesViews(versions, { sourceIds, filters, habitatLayers }) {
+  const [views, setViews] = useState({});
+  const [viewedVersions, setViewedVersions] = useState(versions);
+  // speciesId -> inputs of the latest view asked for
+  const requested = useRef({});
+
+  // Species no longer loaded (e.g. after a query change) drop their view at
+  // once rather than show it again when they are reloaded
+  if (versions !== viewedVersions) {
+    setViewedVersions(versions);
+    if (Object.keys(views).some((speciesId) => !(speciesId in versions))) {
+      setViews((prev) =>
+        Object.fromEntries(Object.entries(prev).filter(([speciesId]) => speciesId in versions))
+      );
+    }
+  }
+
+  useEffect(() => {
+    Object.keys(requested.current).forEach((speciesId) => {
+      if (!versions[speciesId]) delete requested.current[speciesId];
+    });
+
+    const land = landKey(habitatLayers);
+    Object.entries(versions).forEach(([speciesId, version]) => {
+      if (version === 0) return;
+      const last = requested.current[speciesId];
+      if (
+        last &&
+        last.version === version &&
+        last.sourceIds === sourceIds &&
+        last.filters === filters &&
+        last.land === land
+      ) {
+        return;
+      }
+      const request = { version, sourceIds, filters, land };
+      requested.current[speciesId] = request;
+
+      computeSpeciesView(speciesId, { sourceIds, filters, habitatLayers })
+        .then((view) => {
+          if (requested.current[speciesId] !== request) return; // superseded
+          setViews((prev) => ({ ...prev, [speciesId]: view }));
+        })
+        .catch((e) => {
+          if (!isAbortError(e)) console.error("Species view failed", e);
+        });
+    });
+  }, [versions, sourceIds, filters, habitatLayers]);
+
+  return useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(versions).flatMap(([speciesId, version]) => {
+          if (version === 0) return [[speciesId, EMPTY_VIEW]];
+          return views[speciesId] ? [[speciesId, views[speciesId]]] : [];
+        })
+      ),
+    [versions, views]
+  );
+}
+
+// Grids for every { [key]: { speciesId, viewId, surveys, occurrences,
+// nativeRange } } entry, computed in the worker from the species' view
+// viewId plus surveys (see computeSpeciesGrid). Each grid carries
+// `occurrences`, the main thread's copy of what its cells' recordIndices
+// point into. The previous grids stay in place until the new ones arrive,
+// and while a grid asked for an outdated view.
+export function useGridCells(
+  inputsByKey,
+  cellSizeDeg,
+  { binning, maskNonHabitat, habitatLayers, habitatMaxDepth }
+) {
+  const [grids, setGrids] = useState({});
+
+  useEffect(() => {
+    let current = true;
+    const options = { binning, maskNonHabitat, habitatLayers, habitatMaxDepth };
+
+    Promise.all(
+      Object.entries(inputsByKey).map(
+        async ([key, { speciesId, viewId, surveys, occurrences, nativeRange }]) => {
+          const grid = await computeSpeciesGrid(speciesId, { viewId, surveys }, cellSizeDeg, {
+            ...options,
+            nativeRange,
+          });
+          return [key, grid && { ...grid, occurrences }];
+        }
+      )
+    )
+      .then((results) => {
+        if (!current) return;
+        setGrids((prev) =>
+          Object.fromEntries(results.map(([key, grid]) => [key, grid ?? prev[key]]))
+        );
+      })
+      .catch((e) => {
+        if (!isAbortError(e)) console.error("Grid aggregation failed", e);
+      });
+
+    return () => {
+      current = false;
+    };
+  }, [
+    inputsByKey,
+    cellSizeDeg,
+    binning,
+    maskNonHabitat,
+    habitatLayers,
+    habitatMaxDepth,
+  ]);
+
+  return grids;
+}
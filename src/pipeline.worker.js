@@ -0,0 +1,142 @@
+// src/pipeline.worker.js
+// Off-main-thread half of the data pipeline: fetching, normalizing and
+// de-duplicating occurrences (api.js), parsing and merging GBIF downloads
+// (downloads.js), the loaded species' records and their filtered views
+// (speciesStore.js) and grid aggregation (aggregate.js).
+// Messages are { type, id, ... }; see pipeline.js for the client side.
+import { computeGridCells, gridBuffers } from "./aggregate";
+import { parseGbifDownload } from "./downloads";
+import { createLandTestCache, createSamplerCache } from "./habitat";
+import {
+  loadCachedSpecies,
+  loadSpecies,
+  speciesView,
+  storedRecords,
+  viewOccurrences,
+} from "./speciesStore";
+
+// Fetch progress is posted at most this often, unless a partial result
+// was stored
+const PROGRESS_INTERVAL_MS = 500;
+
+const fetches = new Map(); // request id -> AbortController
+const habitatSampler = createSamplerCache();
+const landTest = createLandTestCache();
+
+function postError(id, e) {
+  self.postMessage({
+    type: "error",
+    id,
+    error: { name: e?.name, message: e?.message ?? String(e), status: e?.status },
+  });
+}
+
+// Grid of a species' view plus survey records; null when a newer view
+// replaced the one asked for
+function runGrid({ id, speciesId, viewId, surveys, cellSizeDeg, options, habitat }) {
+  try {
+    const occurrences = viewOccurrences(speciesId, viewId);
+    if (!occurrences) {
+      self.postMessage({ type: "grid", id, result: null });
+      return;
+    }
+    const grid = computeGridCells([...occurrences, ...surveys], cellSizeDeg, {
+      ...options,
+      habitat: habitatSampler(habitat),
+    });
+    self.postMessage({ type: "grid", id, result: grid }, gridBuffers(grid));
+  } catch (e) {
+    postError(id, e);
+  }
+}
+
+// Grid of a species' stored records, e.g. for alert snapshots
+function runStoredGrid({ id, speciesId, cellSizeDeg }) {
+  try {
+    const grid = computeGridCells(storedRecords(speciesId), cellSizeDeg);
+    self.postMessage({ type: "grid", id, result: grid }, gridBuffers(grid));
+  } catch (e) {
+    postError(id, e);
+  }
+}
+
+function runView({ id, speciesId, sourceIds, filters, land }) {
+  try {
+    const result = speciesView(speciesId, { sourceIds, filters, landTest: landTest(land) });
+    self.postMessage({ type: "view", id, result });
+  } catch (e) {
+    postError(id, e);
+  }
+}
+
+async function runLoadCached({ id, species, sourceIds, query, download }) {
+  try {
+    const result = await loadCachedSpecies(species, { sourceIds, query, download });
+    self.postMessage({ type: "cached", id, result });
+  } catch (e) {
+    postError(id, e);
+  }
+}
+
+async function runFetch({ id, species, maxRecords, sourceIds, query, download, progressive }) {
+  const controller = new AbortController();
+  fetches.set(id, controller);
+  let lastPost = 0;
+
+  try {
+    const result = await loadSpecies(species, maxRecords, {
+      sourceIds,
+      query,
+      download,
+      progressive,
+      signal: controller.signal,
+      onProgress: ({ progress, version }) => {
+        const now = Date.now();
+        if (version === null && now - lastPost < PROGRESS_INTERVAL_MS) return;
+        lastPost = now;
+        self.postMessage({ type: "progress", id, progress, version });
+      },
+    });
+    self.postMessage({ type: "records", id, result });
+  } catch (e) {
+    postError(id, e);
+  } finally {
+    fetches.delete(id);
+  }
+}
+
+async function runParseDownload({ id, buffer }) {
+  try {
+    self.postMessage({ type: "download", id, result: await parseGbifDownload(buffer) });
+  } catch (e) {
+    postError(id, e);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "grid":
+      runGrid(data);
+      break;
+    case "storedGrid":
+      runStoredGrid(data);
+      break;
+    case "view":
+      runView(data);
+      break;
+    case "cached":
+      runLoadCached(data);
+      break;
+    case "fetch":
+      runFetch(data);
+      break;
+    case "download":
+      runParseDownload(data);
+      break;
+    case "abort":
+      fetches.get(data.id)?.abort();
+      break;
+    default:
+      console.warn(`Unknown pipeline message "${data.type}"`);
+  }
+};
@@ -0,0 +1,282 @@
+// src/quality.js
+// Quality control for occurrence records. Sources only guarantee numeric
+// coordinates, so records at 0,0, at a country centroid, on land or with
+// latitude and longitude swapped all reach the risk grid. checkRecordQuality
+// flags them (record.qualityFlags) for the data quality report; the
+// excludeFlagged filter then leaves them out of the grid (see filters.js).
+import { haversineKm } from "./geo";
+import { recordFingerprint } from "./sources";
+
+export const QUALITY_CHECKS = [
+  {
+    id: "zero",
+    label: "Zero coordinates",
+    description: "Latitude and longitude are both 0.",
+  },
+  {
+    id: "invalid",
+    label: "Invalid coordinates",
+    description: "Latitude or longitude is outside the valid range.",
+  },
+  {
+    id: "swapped",
+    label: "Swapped coordinates",
+    description:
+      "The position is only valid, or only near the other records, the other way round; or GBIF presumes it swapped.",
+  },
+  {
+    id: "centroid",
+    label: "Country centroid",
+    description:
+      "Within 5 km of a country's centroid, where records georeferenced only to a country are placed.",
+  },
+  {
+    id: "land",
+    label: "On land",
+    description: "Inside a land / coastline habitat layer.",
+  },
+  {
+    id: "outlier",
+    label: "Distant outlier",
+    description: "More than 1,000 km from every other record location.",
+  },
+  {
+    id: "duplicate",
+    label: "Duplicate",
+    description:
+      "Same place (~10 m) and day as an earlier record from any source, or the same year when there is no event date.",
+  },
+  {
+    id: "futureYear",
+    label: "Future year",
+    description: "Recorded after the current year.",
+  },
+  {
+    id: "missingYear",
+    label: "No year",
+    description: "No year recorded.",
+  },
+];
+
+const CENTROID_RADIUS_KM = 5;
+const OUTLIER_DISTANCE_KM = 1000;
+// Too few locations to tell an outlier from a sparse species
+const OUTLIER_MIN_LOCATIONS = 10;
+const KM_PER_DEGREE_LAT = 111.2;
+
+// [ISO code, lat, lng] of country centroids used by common gazetteers,
+// mostly coastal countries
+const COUNTRY_CENTROIDS = [
+  ["AE", 23.424076, 53.847818],
+  ["AO", -11.202692, 17.873887],
+  ["AR", -38.416097, -63.616672],
+  ["AU", -25.274398, 133.775136],
+  ["BD", 23.684994, 90.356331],
+  ["BE", 50.503887, 4.469936],
+  ["BH", 25.930414, 50.637772],
+  ["BR", -14.235004, -51.92528],
+  ["BS", 25.03428, -77.39628],
+  ["BZ", 17.189877, -88.49765],
+  ["CA", 56.130366, -106.346771],
+  ["CL", -35.675147, -71.542969],
+  ["CN", 35.86166, 104.195397],
+  ["CO", 4.570868, -74.297333],
+  ["CR", 9.748917, -83.753428],
+  ["CU", 21.521757, -77.781167],
+  ["CY", 35.126413, 33.429859],
+  ["DE", 51.165691, 10.451526],
+  ["DJ", 11.825138, 42.590275],
+  ["DK", 56.26392, 9.501785],
+  ["DO", 18.735693, -70.162651],
+  ["DZ", 28.033886, 1.659626],
+  ["EC", -1.831239, -78.183406],
+  ["EG", 26.820553, 30.802498],
+  ["ER", 15.179384, 39.782334],
+  ["ES", 40.463667, -3.74922],
+  ["FJ", -16.578193, 179.414413],
+  ["FR", 46.227638, 2.213749],
+  ["GB", 55.378051, -3.435973],
+  ["GR", 39.074208, 21.824312],
+  ["HK", 22.396428, 114.109497],
+  ["HR", 45.1, 15.2],
+  ["ID", -0.789275, 113.921327],
+  ["IE", 53.41291, -8.24389],
+  ["IL", 31.046051, 34.851612],
+  ["IN", 20.593684, 78.96288],
+  ["IR", 32.427908, 53.688046],
+  ["IS", 64.963051, -19.020835],
+  ["IT", 41.87194, 12.56738],
+  ["JM", 18.109581, -77.297508],
+  ["JO", 30.585164, 36.238414],
+  ["JP", 36.204824, 138.252924],
+  ["KE", -0.023559, 37.906193],
+  ["KR", 35.907757, 127.766922],
+  ["KW", 29.31166, 47.481766],
+  ["LB", 33.854721, 35.862285],
+  ["LK", 7.873054, 80.771797],
+  ["LY", 26.3351, 17.228331],
+  ["MA", 31.791702, -7.09262],
+  ["MG", -18.766947, 46.869107],
+  ["MT", 35.937496, 14.375416],
+  ["MU", -20.348404, 57.552152],
+  ["MV", 3.202778, 73.22068],
+  ["MX", 23.634501, -102.552784],
+  ["MY", 4.210484, 101.975766],
+  ["MZ", -18.665695, 35.529562],
+  ["NA", -22.95764, 18.49041],
+  ["NC", -20.904305, 165.618042],
+  ["NL", 52.132633, 5.291266],
+  ["NO", 60.472024, 8.468946],
+  ["NZ", -40.900557, 174.885971],
+  ["OM", 21.512583, 55.923255],
+  ["PA", 8.537981, -80.782127],
+  ["PE", -9.189967, -75.015152],
+  ["PF", -17.679742, -149.406843],
+  ["PG", -6.314993, 143.95555],
+  ["PH", 12.879721, 121.774017],
+  ["PK", 30.375321, 69.345116],
+  ["PT", 39.399872, -8.224454],
+  ["QA", 25.354826, 51.183884],
+  ["RU", 61.52401, 105.318756],
+  ["SA", 23.885942, 45.079162],
+  ["SC", -4.679574, 55.491977],
+  ["SD", 12.862807, 30.217636],
+  ["SG", 1.352083, 103.819836],
+  ["SO", 5.152149, 46.199616],
+  ["SY", 34.802075, 38.996815],
+  ["TH", 15.870032, 100.992541],
+  ["TN", 33.886917, 9.537499],
+  ["TR", 38.963745, 35.243322],
+  ["TW", 23.69781, 120.960515],
+  ["TZ", -6.369028, 34.888822],
+  ["US", 37.09024, -95.712891],
+  ["UY", -32.522779, -55.765835],
+  ["VE", 6.42375, -66.58973],
+  ["VN", 14.058324, 108.277199],
+  ["YE", 15.552727, 48.516388],
+  ["ZA", -30.559482, 22.937506],
+];
+
+export function getQualityCheck(id) {
+  return QUALITY_CHECKS.find((c) => c.id === id);
+}
+
+export function emptyQualityCounts() {
+  return Object.fromEntries(QUALITY_CHECKS.map((c) => [c.id, 0]));
+}
+
+const isValidPosition = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+function isNearCentroid(lat, lng) {
+  const maxDegrees = CENTROID_RADIUS_KM / KM_PER_DEGREE_LAT;
+  return COUNTRY_CENTROIDS.some(
+    ([, cLat, cLng]) =>
+      Math.abs(lat - cLat) <= maxDegrees &&
+      haversineKm(lat, lng, cLat, cLng) <= CENTROID_RADIUS_KM
+  );
+}
+
+// (lat, lng, self?) => true when a location other than `self` lies within
+// OUTLIER_DISTANCE_KM. Locations are sorted by latitude, so only a band of
+// them is compared.
+function createNeighbourTest(locations) {
+  const sorted = [...locations].sort((a, b) => a.lat - b.lat);
+  const band = OUTLIER_DISTANCE_KM / KM_PER_DEGREE_LAT;
+  const firstAtOrAbove = (lat) => {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid].lat < lat - band) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  return (lat, lng, self = null) => {
+    for (let i = firstAtOrAbove(lat); i < sorted.length; i += 1) {
+      const other = sorted[i];
+      if (other.lat > lat + band) return false;
+      if (other === self) continue;
+      if (haversineKm(lat, lng, other.lat, other.lng) <= OUTLIER_DISTANCE_KM) return true;
+    }
+    return false;
+  };
+}
+
+// Flags suspect records. Returns { records, total, flagged, counts,
+// landChecked }: records in the same order, with qualityFlags (check ids)
+// on flagged ones; counts per check id. landTest is (lat, lng) => boolean
+// (see createLandTest in habitat.js); without it nothing is flagged as on
+// land.
+export function checkRecordQuality(records, { landTest = null, currentYear } = {}) {
+  const thisYear = currentYear ?? new Date().getFullYear();
+  const flagsOf = records.map(() => []);
+  const fingerprints = new Set();
+  // Locations of records with a plausible position, for the outlier test
+  const locations = new Map();
+
+  records.forEach((r, i) => {
+    const flags = flagsOf[i];
+    const { lat, lng } = r;
+
+    if ((lat === 0 && lng === 0) || r.issues?.includes("ZERO_COORDINATE")) {
+      flags.push("zero");
+    } else if (!isValidPosition(lat, lng)) {
+      flags.push(isValidPosition(lng, lat) ? "swapped" : "invalid");
+    } else if (r.issues?.includes("PRESUMED_SWAPPED_COORDINATE")) {
+      flags.push("swapped");
+    } else {
+      if (isNearCentroid(lat, lng)) flags.push("centroid");
+      if (landTest?.(lat, lng)) flags.push("land");
+      const key = `${lat.toFixed(4)}_${lng.toFixed(4)}`;
+      if (!locations.has(key)) locations.set(key, { lat, lng, indices: [] });
+      locations.get(key).indices.push(i);
+    }
+
+    if (typeof r.year !== "number") flags.push("missingYear");
+    else if (r.year > thisYear) flags.push("futureYear");
+
+    const fingerprint = recordFingerprint(r);
+    if (fingerprint) {
+      if (fingerprints.has(fingerprint)) flags.push("duplicate");
+      else fingerprints.add(fingerprint);
+    }
+  });
+
+  // Isolated locations are outliers, unless swapping latitude and longitude
+  // puts them among the other records
+  if (locations.size >= OUTLIER_MIN_LOCATIONS) {
+    const hasNeighbour = createNeighbourTest([...locations.values()]);
+    locations.forEach((location) => {
+      const { lat, lng, indices } = location;
+      if (hasNeighbour(lat, lng, location)) return;
+      const flag =
+        isValidPosition(lng, lat) && hasNeighbour(lng, lat, location) ? "swapped" : "outlier";
+      indices.forEach((i) => flagsOf[i].push(flag));
+    });
+  }
+
+  const counts = emptyQualityCounts();
+  let flagged = 0;
+  const checked = records.map((r, i) => {
+    if (flagsOf[i].length === 0) return r;
+    flagged += 1;
+    flagsOf[i].forEach((id) => {
+      counts[id] += 1;
+    });
+    return { ...r, qualityFlags: flagsOf[i] };
+  });
+
+  return {
+    records: checked,
+    total: records.length,
+    flagged,
+    counts,
+    landChecked: landTest !== null,
+  };
+}
+
+// "Duplicate, On land"
+export function describeQualityFlags(flags = []) {
+  return flags.map((id) => getQualityCheck(id)?.label ?? id).join(", ");
+}
@@ -0,0 +1,151 @@
+// src/regionReport.js
+// Printable one-page summary of a region: a standalone HTML document opened
+// in a new window, so it prints the same regardless of the app layout.
+import { formatArea } from "./grid";
+import { formatCount, formatGrowthRate } from "./trends";
+import { regionPositions } from "./regions";
+
+function escapeHtml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Region outline in an equirectangular frame, longitudes shrunk by cos(lat)
+function outlineSvg(region, bounds, width = 240, height = 180) {
+  const midLat = (bounds.south + bounds.north) / 2;
+  const xScale = Math.cos((midLat * Math.PI) / 180);
+  const spanX = Math.max((bounds.east - bounds.west) * xScale, 1e-6);
+  const spanY = Math.max(bounds.north - bounds.south, 1e-6);
+  const scale = Math.min((width - 20) / spanX, (height - 20) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  const paths = regionPositions(region)
+    .map(
+      (ring) =>
+        `<path d="${ring
+          .map(([lat, lng], i) => {
+            const x = offsetX + (lng - bounds.west) * xScale * scale;
+            const y = offsetY + (bounds.north - lat) * scale;
+            return `${i === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`;
+          })
+          .join(" ")} Z" fill="#fde68a" fill-opacity="0.5" stroke="#b45309" stroke-width="1.5"/>`
+    )
+    .join("");
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${paths}</svg>`;
+}
+
+function trendSvg(series, width = 300, height = 120) {
+  if (series.length === 0) return "";
+  const max = Math.max(1, ...series.map((p) => p.count));
+  const barWidth = (width - 10) / series.length;
+  const bars = series
+    .map((p, i) => {
+      const h = ((height - 24) * p.count) / max;
+      const x = 5 + i * barWidth;
+      return `<rect x="${(x + 2).toFixed(1)}" y="${(height - 16 - h).toFixed(1)}" width="${(barWidth - 4).toFixed(1)}" height="${h.toFixed(1)}" fill="#0ea5e9"/>
+<text x="${(x + barWidth / 2).toFixed(1)}" y="${height - 4}" font-size="9" text-anchor="middle">${p.year}</text>
+<text x="${(x + barWidth / 2).toFixed(1)}" y="${(height - 19 - h).toFixed(1)}" font-size="9" text-anchor="middle">${escapeHtml(formatCount(p.count))}</text>`;
+    })
+    .join("");
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${bars}</svg>`;
+}
+
+export function buildRegionReportHtml({
+  region,
+  stats,
+  species,
+  trackedSpecies,
+  periodLabel,
+  filterSummary,
+  generatedAt = Date.now(),
+}) {
+  const speciesName = (id) => trackedSpecies.find((s) => s.id === id)?.commonName || id;
+  const { south, west, north, east } = stats.bounds;
+
+  const riskRows = stats.riskCounts
+    .map(
+      ({ label, color, count }) =>
+        `<tr><td><span class="dot" style="background:${escapeHtml(color)}"></span>${escapeHtml(label)}</td><td>${count}</td></tr>`
+    )
+    .join("");
+
+  const mixRows = stats.speciesMix
+    .map(
+      (s) =>
+        `<tr><td>${escapeHtml(speciesName(s.speciesId))}</td><td>${escapeHtml(formatCount(s.count))}</td></tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8">
+<title>${escapeHtml(region.name)}: urchin summary</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { font-family: system-ui, sans-serif; color: #0f172a; font-size: 12px; margin: 0; }
+  h1 { font-size: 20px; margin: 0 0 2px; }
+  h2 { font-size: 13px; margin: 14px 0 4px; border-bottom: 1px solid #cbd5e1; padding-bottom: 2px; }
+  .muted { color: #64748b; }
+  .grid { display: flex; gap: 16px; align-items: flex-start; }
+  .metrics { display: grid; grid-template-columns: repeat(2, 1fr); gap: 6px 16px; flex: 1; }
+  .metric b { display: block; font-size: 15px; }
+  table { border-collapse: collapse; width: 100%; }
+  td { padding: 2px 4px; border-bottom: 1px solid #e2e8f0; }
+  td:last-child { text-align: right; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 6px; }
+  footer { margin-top: 18px; font-size: 10px; color: #64748b; }
+</style></head>
+<body>
+  <h1>${escapeHtml(region.name)}</h1>
+  <div class="muted">${escapeHtml(species.commonName)} (<i>${escapeHtml(species.scientificName)}</i>) · ${escapeHtml(periodLabel)} · generated ${escapeHtml(new Date(generatedAt).toLocaleString())}</div>
+
+  <div class="grid">
+    <div>
+      <h2>Boundary</h2>
+      ${outlineSvg(region, stats.bounds)}
+      <div class="muted">${south.toFixed(3)}°–${north.toFixed(3)}° lat, ${west.toFixed(3)}°–${east.toFixed(3)}° lng</div>
+    </div>
+    <div style="flex:1">
+      <h2>Summary</h2>
+      <div class="metrics">
+        <div class="metric">Area<b>${escapeHtml(formatArea(stats.areaKm2))}</b></div>
+        <div class="metric">Records<b>${escapeHtml(formatCount(stats.totalRecords))}</b></div>
+        <div class="metric">Growth rate<b>${escapeHtml(formatGrowthRate(stats.growthRate))}</b></div>
+        <div class="metric">Range-expansion cells<b>${stats.expandingCount}</b></div>
+      </div>
+      <h2>Risk breakdown</h2>
+      <table>${riskRows}</table>
+      <div class="muted">${stats.cellCount} grid cells holding the region's records</div>
+    </div>
+  </div>
+
+  <h2>Records per year</h2>
+  ${trendSvg(stats.series)}
+
+  <h2>Species mix</h2>
+  <table>${mixRows}</table>
+  <div class="muted">Tracked species loaded in this session; the same filters apply to all.</div>
+
+  <footer>
+    Filters: ${escapeHtml(filterSummary)}.<br>
+    Occurrence data: GBIF.org, OBIS and iNaturalist, plus any imported field surveys.
+    Counts reflect reporting effort as well as urchin abundance.
+  </footer>
+</body></html>`;
+}
+
+// Opens the report and the print dialog. Returns false when a popup blocker
+// stopped the window from opening.
+export function printRegionReport(options) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.write(buildRegionReportHtml(options));
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
@@ -0,0 +1,115 @@
+// src/regions.js
+// Regions of interest (marine reserves, coastline stretches): drawn on the
+// map or uploaded as GeoJSON, persisted in localStorage, and summarized from
+// the same filtered occurrences and grid cells as the rest of the app.
+import { countClasses } from "./classification";
+import { isInBbox } from "./filters";
+import {
+  geometryAreaKm2,
+  geometryBounds,
+  geometryPolygons,
+  isPointInGeometry,
+  polygonFeatures,
+} from "./geo";
+import { readList, writeJson } from "./storage";
+import { growthRate, yearlySeries } from "./trends";
+
+const STORAGE_KEY = "urchin-tracker.regions";
+
+export function loadRegions() {
+  return readList(STORAGE_KEY);
+}
+
+export function saveRegions(regions) {
+  writeJson(STORAGE_KEY, regions);
+}
+
+export function createRegion(name, geometry, origin) {
+  return {
+    id: `region-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    geometry,
+    origin, // "drawn" | "uploaded"
+    createdAt: Date.now(),
+  };
+}
+
+// A closed Polygon geometry from the [lat, lng] vertices clicked on the map
+export function polygonFromVertices(vertices) {
+  const ring = vertices.map(([lat, lng]) => [lng, lat]);
+  return { type: "Polygon", coordinates: [[...ring, ring[0]]] };
+}
+
+const NAME_PROPERTIES = ["name", "NAME", "Name", "title", "WDPA_NAME", "ORIG_NAME", "site_name"];
+
+// One region per (Multi)Polygon feature of an uploaded boundary file
+export function regionsFromGeoJSON(text, fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  return polygonFeatures(text).map((f, i, all) => {
+    const named = NAME_PROPERTIES.map((k) => f.properties?.[k]).find(Boolean);
+    const name = named || (all.length > 1 ? `${baseName} ${i + 1}` : baseName);
+    return createRegion(String(name), f.geometry, "uploaded");
+  });
+}
+
+// Area, records, risk mix, trend and species mix for one region.
+//
+// occurrencesBySpecies holds the filtered records of every loaded species,
+// for the species mix. grid is the current grid of the primary species;
+// its cells' recordIndices point into grid.occurrences, which also give
+// the primary species' count and trend, so survey and download records
+// merged into the grid are counted alike. A cell counts when it holds any
+// of the region's records, so a reserve smaller than one cell still gets
+// its cell.
+export function computeRegionStats(
+  region,
+  { primarySpeciesId, occurrencesBySpecies, grid, yearRange }
+) {
+  const bounds = geometryBounds(region.geometry);
+  const inRegion = (lat, lng) =>
+    isInBbox(lat, lng, bounds) && isPointInGeometry(lat, lng, region.geometry);
+  const regionWeight = (occurrences) =>
+    occurrences
+      .filter((o) => inRegion(o.lat, o.lng))
+      .reduce((sum, o) => sum + (o.weight ?? 1), 0);
+
+  // 1 for each of the grid's records inside the region, by index
+  const insideRegion = new Uint8Array(grid.occurrences.length);
+  const byYear = {};
+  let totalRecords = 0;
+  grid.occurrences.forEach((o, i) => {
+    if (!inRegion(o.lat, o.lng)) return;
+    insideRegion[i] = 1;
+    totalRecords += o.weight ?? 1;
+    if (typeof o.year === "number") byYear[o.year] = (byYear[o.year] || 0) + (o.weight ?? 1);
+  });
+  const series = yearlySeries(byYear, yearRange);
+
+  const speciesMix = Object.entries(occurrencesBySpecies)
+    .map(([speciesId, occurrences]) => ({
+      speciesId,
+      count: speciesId === primarySpeciesId ? totalRecords : regionWeight(occurrences),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const regionCells = grid.cells.filter((c) => c.recordIndices.some((i) => insideRegion[i]));
+
+  return {
+    areaKm2: geometryAreaKm2(region.geometry),
+    bounds,
+    totalRecords,
+    cellCount: regionCells.length,
+    riskCounts: countClasses(regionCells),
+    expandingCount: regionCells.filter((c) => c.expanding).length,
+    series,
+    growthRate: growthRate(series),
+    speciesMix,
+  };
+}
+
+// Outer rings as [lat, lng] positions for Leaflet
+export function regionPositions(region) {
+  return geometryPolygons(region.geometry).map(([outer]) =>
+    outer.map(([lng, lat]) => [lat, lng])
+  );
+}
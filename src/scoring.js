@@ -0,0 +1,163 @@
+// src/scoring.js
+// Marine-aware invasiveness score for grid cells.
+//
+// Raw counts mostly measure where people look (dive sites, research
+// stations), so each cell is scored from three factors:
+//   - abundance: the species' share of all reference-group records in the
+//     cell (sampling effort), relative to the median cell
+//   - trend: record rate in the recent half of the period vs the earlier half
+//   - range: the share of the cell's records outside the species' native
+//     range (see nativeRange.js)
+// Each factor is 0..1; the score is their weighted sum on a 0..100 scale.
+import { formatArea } from "./grid";
+import { emptyRangeCounts, introducedShare } from "./nativeRange";
+import { formatCount } from "./trends";
+
+export const SCORE_WEIGHTS = { abundance: 0.5, trend: 0.3, range: 0.2 };
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Species share of sampling effort, or null when effort is unknown
+function effortShare(cell, effortByCell) {
+  const effort = effortByCell?.get(cell.id);
+  if (effort === undefined || effort === null) return null;
+  return cell.count / Math.max(effort, cell.count, 1);
+}
+
+function trendFactor(byYear, [yearFrom, yearTo]) {
+  const span = yearTo - yearFrom + 1;
+  if (span < 2) {
+    return { value: 0.5, detail: "Single-year period: no trend" };
+  }
+
+  const splitYear = yearFrom + Math.floor(span / 2);
+  let earlier = 0;
+  let recent = 0;
+  Object.entries(byYear).forEach(([year, count]) => {
+    if (Number(year) >= splitYear) recent += count;
+    else earlier += count;
+  });
+
+  // Per-year rates with +1 smoothing so single records don't dominate
+  const earlierRate = (earlier + 1) / (splitYear - yearFrom);
+  const recentRate = (recent + 1) / (yearTo - splitYear + 1);
+  const growth = recentRate / earlierRate;
+
+  return {
+    value: clamp01(0.5 + Math.log2(growth) / 4),
+    detail: `${formatCount(earlier)} records ${yearFrom}–${splitYear - 1} vs ${formatCount(recent)} in ${splitYear}–${yearTo} (×${growth.toFixed(1)} per year)`,
+  };
+}
+
+// From the range status of the cell's records (see nativeRange.js)
+function rangeFactor(cell) {
+  const share = introducedShare(cell.rangeCounts || emptyRangeCounts());
+  if (share === null) {
+    return { value: 0.5, status: "unknown", detail: "No native range defined" };
+  }
+  const status = share >= 0.5 ? "introduced" : "native";
+  if (share === 0) {
+    return {
+      value: 0,
+      status,
+      detail: "Inside native range: overabundance, not introduction",
+    };
+  }
+  if (share === 1) {
+    return {
+      value: 1,
+      status,
+      detail: "Outside native range: likely introduction or range extension",
+    };
+  }
+  const { native, introduced } = cell.rangeCounts;
+  return {
+    value: share,
+    status,
+    detail: `${formatCount(introduced)} of ${formatCount(native + introduced)} records outside the native range`,
+  };
+}
+
+// Adds { score, factors, rangeStatus } to every cell of a computeGridCells
+// result. With the score risk model, cells are classified by this score
+// instead of their counts (see classification.js).
+//
+// effortByCell: Map cellId -> reference-group record count (optional)
+// yearRange:    [yearFrom, yearTo] of the filtered period
+// perHabitatArea: without effort data, compare records per habitable area
+//               (normalizedCount of a grid normalized by habitat area) instead of counts
+export function scoreGridCells(
+  gridData,
+  {
+    effortByCell = null,
+    effortLabel = "reference",
+    yearRange,
+    perHabitatArea = false,
+    weights = SCORE_WEIGHTS,
+  } = {}
+) {
+  const shares = new Map();
+  gridData.cells.forEach((cell) => {
+    shares.set(cell.id, effortShare(cell, effortByCell));
+  });
+
+  const knownShares = [...shares.values()].filter((v) => v !== null);
+  const medianShare = median(knownShares);
+  const amount = (c) => (perHabitatArea ? c.normalizedCount : c.count);
+  const medianAmount = median(gridData.cells.map(amount));
+
+  const cells = gridData.cells.map((cell) => {
+    const share = shares.get(cell.id);
+    const effort = effortByCell?.get(cell.id);
+
+    const relative =
+      share !== null && medianShare > 0
+        ? share / medianShare
+        : amount(cell) / Math.max(medianAmount, perHabitatArea ? Number.EPSILON : 1);
+
+    const abundance = {
+      id: "abundance",
+      label: share !== null ? "Effort-normalized abundance" : "Raw abundance",
+      value: relative / (relative + 1),
+      weight: weights.abundance,
+      detail:
+        share !== null
+          ? `${formatCount(cell.count)} of ${formatCount(Math.max(effort, cell.count))} ${effortLabel} records (${(share * 100).toFixed(1)}%), ×${relative.toFixed(1)} the median cell`
+          : perHabitatArea
+          ? `${formatCount(cell.count)} records on ${formatArea(cell.habitatAreaKm2)} of habitat, ×${relative.toFixed(1)} the median cell's density (sampling effort unknown)`
+          : `${formatCount(cell.count)} records, ×${relative.toFixed(1)} the median cell (sampling effort unknown)`,
+    };
+
+    const trend = {
+      id: "trend",
+      label: "Recency trend",
+      weight: weights.trend,
+      ...trendFactor(cell.byYear || {}, yearRange),
+    };
+
+    const { status: rangeStatus, ...range } = rangeFactor(cell);
+    const rangeEntry = {
+      id: "range",
+      label: "Native vs. introduced range",
+      weight: weights.range,
+      ...range,
+    };
+
+    const factors = [abundance, trend, rangeEntry].map((f) => ({
+      ...f,
+      contribution: f.value * f.weight * 100,
+    }));
+    const score = factors.reduce((sum, f) => sum + f.contribution, 0);
+
+    return { ...cell, score, factors, rangeStatus };
+  });
+
+  return { ...gridData, cells };
+}
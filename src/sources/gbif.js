@@ -0,0 +1,271 @@
+// src/sources/gbif.js
+import {
+  CORS_PROXY,
+  HttpError,
+  fetchJson,
+  isCoordinate,
+  recentYearRange,
+  withRetry,
+} from "./http";
+
+export const GBIF_API_URL =
+  import.meta.env.VITE_GBIF_API_URL || "https://api.gbif.org/v1";
+
+const PAGE_LIMIT = 300; // GBIF max per page is 300
+
+// GBIF issue flags that make a record's position suspect
+const GEOSPATIAL_ISSUES = new Set([
+  "ZERO_COORDINATE",
+  "COORDINATE_INVALID",
+  "COORDINATE_OUT_OF_RANGE",
+  "COUNTRY_COORDINATE_MISMATCH",
+  "PRESUMED_SWAPPED_COORDINATE",
+  "PRESUMED_NEGATED_LATITUDE",
+  "PRESUMED_NEGATED_LONGITUDE",
+]);
+
+// A null taxon searches all taxa
+function buildGbifUrl(baseUrl, taxon, query, offset = 0, limit = PAGE_LIMIT) {
+  const [startYear, endYear] = query.yearRange || recentYearRange();
+
+  const params = new URLSearchParams({
+    hasCoordinate: "true",
+    year: `${startYear},${endYear}`,
+    limit: limit.toString(),
+    offset: offset.toString(),
+  });
+
+  // A taxonKey also matches records filed under synonyms
+  if (taxon?.taxonKey) params.set("taxonKey", taxon.taxonKey.toString());
+  else if (taxon?.scientificName) params.set("scientificName", taxon.scientificName);
+
+  if (query.bbox) {
+    const { south, west, north, east } = query.bbox;
+    params.set("decimalLatitude", `${south},${north}`);
+    params.set("decimalLongitude", `${west},${east}`);
+  }
+  // Repeated parameter = OR
+  (query.basisOfRecord || []).forEach((b) => params.append("basisOfRecord", b));
+  if (query.excludeGeospatialIssues) params.set("hasGeospatialIssue", "false");
+
+  return `${baseUrl}/occurrence/search?${params.toString()}`;
+}
+
+// Still images only; GBIF also lists sound and video
+function gbifMedia(media = []) {
+  return media
+    .filter((m) => m.type === "StillImage" && m.identifier)
+    .map((m) => ({
+      url: m.identifier,
+      thumbnail: m.identifier,
+      license: m.license,
+      creator: m.creator || m.rightsHolder,
+    }));
+}
+
+export function normalizeGbifRecord(r) {
+  if (!isCoordinate(r.decimalLatitude, r.decimalLongitude)) return null;
+
+  return {
+    key: r.key,
+    lat: r.decimalLatitude,
+    lng: r.decimalLongitude,
+    year: r.year,
+    country: r.country,
+    stateProvince: r.stateProvince,
+    occurrenceId: r.occurrenceID,
+    eventDate: r.eventDate,
+    basisOfRecord: r.basisOfRecord,
+    coordinateUncertainty: r.coordinateUncertaintyInMeters,
+    datasetKey: r.datasetKey,
+    datasetName: r.datasetName,
+    recordedBy: r.recordedBy,
+    license: r.license,
+    media: gbifMedia(r.media),
+    // Only geospatial issues matter for the risk grid
+    issues: (r.issues || []).filter((i) => GEOSPATIAL_ISSUES.has(i)),
+    source: "gbif",
+  };
+}
+
+// Fetch one page; the cursor is the GBIF offset
+async function fetchPage(
+  taxon,
+  cursor,
+  { query = {}, baseUrl = GBIF_API_URL, proxy = CORS_PROXY, signal } = {}
+) {
+  const offset = cursor ?? 0;
+  const url = buildGbifUrl(baseUrl, taxon, query, offset);
+  const data = await fetchJson(url, { proxy, label: "GBIF", signal });
+  const pageResults = Array.isArray(data.results) ? data.results : [];
+
+  return {
+    records: pageResults.map(normalizeGbifRecord).filter(Boolean),
+    total: data.count,
+    nextCursor:
+      data.endOfRecords || pageResults.length === 0 ? null : offset + PAGE_LIMIT,
+  };
+}
+
+// Number of matching GBIF records, without downloading any. A higher taxon
+// (e.g. { scientificName: "Echinodermata" }) includes all its children.
+export async function countOccurrences(
+  taxon,
+  query = {},
+  { baseUrl = GBIF_API_URL, proxy = CORS_PROXY, signal } = {}
+) {
+  const url = buildGbifUrl(baseUrl, taxon, query, 0, 0);
+  const data = await withRetry(
+    () => fetchJson(url, { proxy, label: "GBIF count", signal }),
+    { signal }
+  );
+  return data.count;
+}
+
+// "Diadema setosum (Leske, 1778)" -> "Diadema setosum"
+function stripAuthorship(name) {
+  const match = /^[A-Z][a-z-]+(?: [a-z-]+){0,2}/.exec(name);
+  return match ? match[0] : name;
+}
+
+// Resolve a name against the GBIF backbone. Resolves to the best match plus
+// alternatives, each { taxonKey, scientificName, matchedName, rank,
+// status, matchType, confidence }. Synonyms resolve to their accepted taxon.
+export async function matchTaxon(
+  name,
+  { baseUrl = GBIF_API_URL, proxy = CORS_PROXY, signal } = {}
+) {
+  const params = new URLSearchParams({ name, verbose: "true" });
+  const data = await fetchJson(`${baseUrl}/species/match?${params.toString()}`, {
+    proxy,
+    label: "GBIF species match",
+    signal,
+  });
+
+  const toMatch = (m) =>
+    m.usageKey
+      ? {
+          taxonKey: m.acceptedUsageKey ?? m.usageKey,
+          // Canonical (authorship-free) name of the accepted taxon, which is
+          // what OBIS and iNaturalist are queried with
+          scientificName:
+            m.acceptedUsageKey && m.accepted
+              ? stripAuthorship(m.accepted)
+              : m.canonicalName,
+          matchedName: m.scientificName,
+          rank: m.rank,
+          status: m.status,
+          matchType: m.matchType,
+          confidence: m.confidence,
+        }
+      : null;
+
+  return {
+    best: data.matchType === "NONE" ? null : toMatch(data),
+    alternatives: (data.alternatives || []).map(toMatch).filter(Boolean),
+  };
+}
+
+// ---- Occurrence downloads ----
+// Asynchronous, uncapped downloads. Requesting one needs a GBIF account, so
+// requests go to a configurable endpoint: a proxy that adds the credentials
+// and forwards to the GBIF API. Checking on and fetching a finished download
+// work against the public API too.
+
+export const GBIF_DOWNLOAD_URL = import.meta.env.VITE_GBIF_DOWNLOAD_URL || GBIF_API_URL;
+
+// Every georeferenced record of the taxon; the app's filters apply locally
+function downloadPredicate(taxon) {
+  return {
+    type: "and",
+    predicates: [
+      taxon.taxonKey
+        ? { type: "equals", key: "TAXON_KEY", value: String(taxon.taxonKey) }
+        : { type: "equals", key: "SCIENTIFIC_NAME", value: taxon.scientificName },
+      { type: "equals", key: "HAS_COORDINATE", value: "true" },
+    ],
+  };
+}
+
+async function downloadApi(endpoint, path, { signal, ...init } = {}) {
+  const url = `${endpoint}${path}`;
+  // The public API goes through the CORS proxy like every other GBIF call
+  const requestUrl =
+    endpoint === GBIF_API_URL && CORS_PROXY ? CORS_PROXY + encodeURIComponent(url) : url;
+  const res = await fetch(requestUrl, { ...init, signal });
+  if (!res.ok) {
+    throw new HttpError(
+      `GBIF download request failed (${res.status}): ${res.statusText}`,
+      res.status
+    );
+  }
+  return res;
+}
+
+// Resolves to the new download's key
+export async function requestOccurrenceDownload(
+  taxon,
+  { endpoint = GBIF_DOWNLOAD_URL, signal } = {}
+) {
+  const res = await downloadApi(endpoint, "/occurrence/download/request", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ format: "SIMPLE_CSV", predicate: downloadPredicate(taxon) }),
+    signal,
+  });
+  return (await res.text()).trim();
+}
+
+// { key, status, totalRecords, size, doi, ... }. status is PREPARING,
+// RUNNING or SUSPENDED while waiting, then SUCCEEDED, FAILED, KILLED,
+// CANCELLED or FILE_ERASED.
+export async function occurrenceDownloadStatus(
+  key,
+  { endpoint = GBIF_DOWNLOAD_URL, signal } = {}
+) {
+  const res = await downloadApi(
+    endpoint,
+    `/occurrence/download/${encodeURIComponent(key)}`,
+    { signal }
+  );
+  return res.json();
+}
+
+// The zip file of a finished download
+export async function fetchOccurrenceDownload(
+  key,
+  { endpoint = GBIF_DOWNLOAD_URL, signal } = {}
+) {
+  const res = await downloadApi(
+    endpoint,
+    `/occurrence/download/request/${encodeURIComponent(key)}.zip`,
+    { signal }
+  );
+  return res.arrayBuffer();
+}
+
+// GBIF's recommended citation for a dataset, which already says when it
+// was accessed
+async function fetchCitation(
+  datasetKey,
+  { baseUrl = GBIF_API_URL, proxy = CORS_PROXY, signal } = {}
+) {
+  const data = await fetchJson(`${baseUrl}/dataset/${encodeURIComponent(datasetKey)}`, {
+    proxy,
+    label: "GBIF dataset",
+    signal,
+  });
+  return (
+    data.citation?.text ||
+    `${data.title}. Occurrence dataset${data.doi ? ` https://doi.org/${data.doi}` : ""} accessed via GBIF.org.`
+  );
+}
+
+export default {
+  id: "gbif",
+  label: "GBIF",
+  recordUrl: (key) => `https://www.gbif.org/occurrence/${key}`,
+  datasetUrl: (datasetKey) => `https://www.gbif.org/dataset/${datasetKey}`,
+  fetchPage,
+  fetchCitation,
+};
@@ -0,0 +1,125 @@
+// src/sources/http.js
+// Shared helpers for the occurrence source adapters.
+
+// Public CORS proxy for endpoints that don't send CORS headers (GBIF).
+// Set VITE_CORS_PROXY="" to talk to local fixture servers directly.
+export const CORS_PROXY =
+  import.meta.env.VITE_CORS_PROXY ?? "https://corsproxy.io/?";
+
+export const YEARS_BACK = 5;
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+export class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// Fetch a JSON document, optionally through a CORS proxy
+export async function fetchJson(url, { proxy = "", label = "Source", signal } = {}) {
+  const requestUrl = proxy ? proxy + encodeURIComponent(url) : url;
+  const res = await fetch(requestUrl, { signal });
+
+  if (!res.ok) {
+    throw new HttpError(
+      `${label} request failed (${res.status}): ${res.statusText}`,
+      res.status
+    );
+  }
+
+  return res.json();
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+// Resolves after `ms`, or rejects straight away if the signal aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+// Network errors, rate limiting and server errors are worth another try;
+// other 4xx responses won't get better by waiting.
+function isRetryable(e) {
+  if (isAbortError(e)) return false;
+  if (e instanceof HttpError) return e.status === 429 || e.status >= 500;
+  return true;
+}
+
+// Run fn, retrying with exponential backoff (plus jitter) on transient failures
+export async function withRetry(
+  fn,
+  { retries = MAX_RETRIES, baseDelayMs = RETRY_BASE_DELAY_MS, signal } = {}
+) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      const delay = baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Walk a cursor-paginated source page by page.
+//
+// fetchPage(cursor, signal) resolves to { records, total, nextCursor }, with a
+// null nextCursor on the last page. onPage is called after every page with the
+// records so far and the cursor to continue from, which is everything needed
+// to pick up again later via `resume`.
+export async function paginate(
+  fetchPage,
+  { maxRecords = Infinity, signal, resume, onPage } = {}
+) {
+  let records = resume?.records ? [...resume.records] : [];
+  let cursor = resume ? resume.cursor : null;
+  let total = resume?.total ?? null;
+
+  while (records.length < maxRecords) {
+    signal?.throwIfAborted();
+
+    const page = await withRetry(() => fetchPage(cursor, signal), { signal });
+
+    records = records.concat(page.records);
+    total = page.total ?? total;
+    cursor = page.nextCursor ?? null;
+
+    const done = cursor === null || records.length >= maxRecords;
+    onPage?.({ records: records.slice(0, maxRecords), cursor, total, done });
+    if (done) break;
+  }
+
+  return records.slice(0, maxRecords);
+}
+
+// [startYear, endYear] covering the last N years (inclusive)
+export function recentYearRange(yearsBack = YEARS_BACK) {
+  const currentYear = new Date().getFullYear();
+  return [currentYear - yearsBack, currentYear];
+}
+
+export function isCoordinate(lat, lng) {
+  return (
+    typeof lat === "number" &&
+    typeof lng === "number" &&
+    Number.isFinite(lat) &&
+    Number.isFinite(lng)
+  );
+}
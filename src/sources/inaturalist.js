@@ -0,0 +1,116 @@
+// src/sources/inaturalist.js
+import { fetchJson, isCoordinate, recentYearRange } from "./http";
+
+// iNaturalist sends CORS headers, so no proxy by default
+const INAT_API_URL =
+  import.meta.env.VITE_INAT_API_URL || "https://api.inaturalist.org/v1";
+
+const PER_PAGE = 200; // iNaturalist max per page is 200
+
+function buildInatUrl(baseUrl, scientificName, query, idAbove = 0) {
+  const [startYear, endYear] = query.yearRange || recentYearRange();
+
+  const params = new URLSearchParams({
+    taxon_name: scientificName,
+    geo: "true",
+    quality_grade: "research",
+    d1: `${startYear}-01-01`,
+    d2: `${endYear}-12-31`,
+    per_page: PER_PAGE.toString(),
+    order_by: "id",
+    order: "asc",
+    // Keyset paging avoids iNaturalist's 10k page*per_page ceiling
+    id_above: idAbove.toString(),
+  });
+
+  if (query.bbox) {
+    params.set("swlat", query.bbox.south);
+    params.set("swlng", query.bbox.west);
+    params.set("nelat", query.bbox.north);
+    params.set("nelng", query.bbox.east);
+  }
+  // Obscured observations are randomized within a ~20 km cell
+  if (query.excludeGeospatialIssues) {
+    params.set("geoprivacy", "open");
+    params.set("taxon_geoprivacy", "open");
+  }
+
+  return `${baseUrl}/observations?${params.toString()}`;
+}
+
+// "cc-by-nc" -> "CC-BY-NC"; null means all rights reserved
+const inatLicense = (code) => (code ? code.toUpperCase() : "All rights reserved");
+
+// Photo URLs come in the "square" (75 px) size; "medium" is 500 px
+function inatMedia(photos = []) {
+  return photos
+    .filter((p) => p.url)
+    .map((p) => ({
+      url: p.url.replace("/square.", "/medium."),
+      thumbnail: p.url,
+      license: inatLicense(p.license_code),
+      creator: p.attribution,
+    }));
+}
+
+export function normalizeInatRecord(r) {
+  const [lng, lat] = r.geojson?.coordinates || [];
+  if (!isCoordinate(lat, lng)) return null;
+
+  // iNaturalist only has a free-text place; the last segment is usually the country
+  const placeParts = (r.place_guess || "").split(",").map((p) => p.trim());
+
+  return {
+    key: r.id,
+    lat,
+    lng,
+    year: r.observed_on_details?.year,
+    country: placeParts.length > 1 ? placeParts[placeParts.length - 1] : undefined,
+    stateProvince: placeParts.length > 2 ? placeParts[placeParts.length - 2] : undefined,
+    occurrenceId: r.uri,
+    eventDate: r.observed_on,
+    basisOfRecord: "HUMAN_OBSERVATION",
+    coordinateUncertainty: r.positional_accuracy ?? undefined,
+    datasetKey: null,
+    datasetName: "iNaturalist research-grade observations",
+    recordedBy: r.user?.name || r.user?.login,
+    license: inatLicense(r.license_code),
+    media: inatMedia(r.photos),
+    issues: r.obscured ? ["COORDINATES_OBSCURED"] : [],
+    source: "inaturalist",
+  };
+}
+
+// Fetch one page; the cursor is the highest observation id seen
+async function fetchPage(
+  taxon,
+  cursor,
+  { query = {}, baseUrl = INAT_API_URL, proxy = "", signal } = {}
+) {
+  const url = buildInatUrl(baseUrl, taxon.scientificName, query, cursor ?? 0);
+  const data = await fetchJson(url, { proxy, label: "iNaturalist", signal });
+  const pageResults = Array.isArray(data.results) ? data.results : [];
+
+  return {
+    records: pageResults.map(normalizeInatRecord).filter(Boolean),
+    total: data.total_results,
+    nextCursor:
+      pageResults.length < PER_PAGE
+        ? null
+        : pageResults[pageResults.length - 1].id,
+  };
+}
+
+// iNaturalist asks to be cited as a whole rather than per observer
+async function fetchCitation(datasetKey, { accessed = new Date() } = {}) {
+  return `iNaturalist contributors, iNaturalist (${accessed.getFullYear()}). Research-grade observations. https://www.inaturalist.org, accessed ${accessed.toISOString().slice(0, 10)}.`;
+}
+
+export default {
+  id: "inaturalist",
+  label: "iNaturalist",
+  recordUrl: (key) => `https://www.inaturalist.org/observations/${key}`,
+  datasetUrl: () => "https://www.inaturalist.org/observations?quality_grade=research",
+  fetchPage,
+  fetchCitation,
+};
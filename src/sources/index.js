@@ -0,0 +1,206 @@
+// src/sources/index.js
+// Occurrence data-source registry. Every adapter returns records in the
+// shared shape { key, lat, lng, year, country, stateProvince, source, ... }.
+import gbif from "./gbif";
+import obis from "./obis";
+import inaturalist from "./inaturalist";
+import { paginate } from "./http";
+
+// Order matters: when a record shows up in several sources, the first
+// source listed here "owns" it and the others are recorded in `sources`.
+export const DATA_SOURCES = [gbif, obis, inaturalist];
+
+export const DEFAULT_SOURCE_IDS = DATA_SOURCES.map((s) => s.id);
+
+export function getSource(id) {
+  return DATA_SOURCES.find((s) => s.id === id);
+}
+
+// "https://www.inaturalist.org/observations/123/" -> "inaturalist.org/observations/123"
+function normalizeOccurrenceId(id) {
+  if (id === undefined || id === null || id === "") return null;
+  return String(id)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^www\./, "")
+    .replace(/\/+$/, "");
+}
+
+// Same place (~10 m) on the same day
+export function recordFingerprint(r) {
+  const day = r.eventDate ? String(r.eventDate).slice(0, 10) : r.year;
+  if (!day) return null;
+  return `${r.lat.toFixed(4)}_${r.lng.toFixed(4)}_${day}`;
+}
+
+// Merge per-source record lists, collapsing records that appear in more
+// than one source. Duplicates within a single source are left alone.
+export function mergeSourceRecords(recordsBySource) {
+  const byId = new Map();
+  const byFingerprint = new Map();
+  const merged = [];
+
+  for (const source of DATA_SOURCES) {
+    const records = recordsBySource[source.id] || [];
+
+    records.forEach((r) => {
+      const idKey = normalizeOccurrenceId(r.occurrenceId);
+      const fingerprint = recordFingerprint(r);
+
+      const match =
+        (idKey && byId.get(idKey)) ||
+        (fingerprint && byFingerprint.get(fingerprint));
+
+      if (match && !match.sources.includes(r.source)) {
+        match.sources.push(r.source);
+        return;
+      }
+
+      const entry = { ...r, sources: [r.source] };
+      merged.push(entry);
+      if (idKey && !byId.has(idKey)) byId.set(idKey, entry);
+      if (fingerprint && !byFingerprint.has(fingerprint)) {
+        byFingerprint.set(fingerprint, entry);
+      }
+    });
+  }
+
+  return merged;
+}
+
+// Fetch one taxon ({ scientificName, taxonKey? }) from several sources,
+// page by page.
+//
+// onProgress receives { records, progress } after every page, where records
+// is the merged result so far and progress maps source id -> { fetched,
+// total, done, error }. onCheckpoint(sourceId, state) receives the state
+// needed to resume that source later (pass it back in via `resume`).
+//
+// A failing source is logged and skipped; we only give up when every
+// requested source fails. Aborting the signal rejects with its AbortError.
+export async function fetchFromSources(
+  taxon,
+  {
+    sourceIds = DEFAULT_SOURCE_IDS,
+    maxRecords = Infinity,
+    signal,
+    resume = {},
+    onProgress,
+    onCheckpoint,
+    ...pageOptions
+  } = {}
+) {
+  const sources = sourceIds.map(getSource).filter(Boolean);
+  const recordsBySource = {};
+  const progress = {};
+
+  sources.forEach((s) => {
+    const state = resume[s.id];
+    recordsBySource[s.id] = state?.records || [];
+    progress[s.id] = {
+      fetched: recordsBySource[s.id].length,
+      total: state?.total ?? null,
+      done: Boolean(state?.done),
+      error: null,
+    };
+  });
+
+  const report = () =>
+    onProgress?.({
+      records: mergeSourceRecords(recordsBySource),
+      progress: { ...progress },
+    });
+
+  const settled = await Promise.allSettled(
+    sources.map((s) => {
+      // Finished in an earlier, interrupted run
+      if (resume[s.id]?.done) return Promise.resolve(resume[s.id].records);
+
+      return paginate(
+        (cursor, pageSignal) =>
+          s.fetchPage(taxon, cursor, { ...pageOptions, signal: pageSignal }),
+        {
+          maxRecords,
+          signal,
+          resume: resume[s.id],
+          onPage: ({ records, cursor, total, done }) => {
+            recordsBySource[s.id] = records;
+            progress[s.id] = { fetched: records.length, total, done, error: null };
+            onCheckpoint?.(s.id, { records, cursor, total, done });
+            report();
+          },
+        }
+      );
+    })
+  );
+
+  signal?.throwIfAborted();
+
+  const errors = [];
+
+  settled.forEach((result, i) => {
+    const id = sources[i].id;
+    if (result.status === "fulfilled") {
+      recordsBySource[id] = result.value;
+      progress[id] = { ...progress[id], done: true };
+    } else {
+      console.warn(`${sources[i].label} fetch failed`, result.reason);
+      progress[id] = { ...progress[id], error: result.reason.message };
+      errors.push(result.reason);
+    }
+  });
+
+  report();
+
+  if (sources.length > 0 && errors.length === sources.length) {
+    throw errors[0];
+  }
+
+  return {
+    records: mergeSourceRecords(recordsBySource),
+    progress,
+    complete: errors.length === 0,
+  };
+}
+
+// Sources that matched more records than were downloaded, e.g. because of
+// the per-source cap: [{ source, fetched, total }]
+export function truncatedSources(progress) {
+  return Object.entries(progress || {})
+    .filter(([, p]) => p.total != null && p.fetched < p.total)
+    .map(([source, p]) => ({ source, fetched: p.fetched, total: p.total }));
+}
+
+// Sum per-source progress into { fetched, expected } for a progress bar.
+// Each source is capped at maxRecords, matching what we actually download.
+export function summarizeProgress(progress, maxRecords = Infinity) {
+  let fetched = 0;
+  let expected = 0;
+
+  Object.values(progress || {}).forEach((p) => {
+    const target = Math.min(p.total ?? p.fetched, maxRecords);
+    fetched += Math.min(p.fetched, target);
+    expected += p.done || p.error ? Math.min(p.fetched, target) : target;
+  });
+
+  return { fetched, expected };
+}
+
+// Per-source record counts (a record shared by two sources counts for both)
+export function countBySource(occurrences) {
+  const counts = Object.fromEntries(DEFAULT_SOURCE_IDS.map((id) => [id, 0]));
+  occurrences.forEach((o) => {
+    (o.sources || [o.source]).forEach((id) => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+// Keep records reported by at least one of the given sources
+export function filterBySources(occurrences, sourceIds) {
+  return occurrences.filter((o) =>
+    (o.sources || [o.source]).some((id) => sourceIds.includes(id))
+  );
+}
@@ -0,0 +1,106 @@
+// src/sources/obis.js
+import { fetchJson, isCoordinate, recentYearRange } from "./http";
+
+// OBIS sends CORS headers, so no proxy by default
+const OBIS_API_URL =
+  import.meta.env.VITE_OBIS_API_URL || "https://api.obis.org/v3";
+
+const PAGE_SIZE = 1000;
+
+// OBIS QC flags that make a record's position suspect
+const GEOSPATIAL_FLAGS = new Set(["ON_LAND", "DEPTH_EXCEEDS_BATH"]);
+
+// OBIS passes most Darwin Core terms through as strings
+function toNumber(value) {
+  const n = Number.parseFloat(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function buildObisUrl(baseUrl, scientificName, query, after) {
+  const [startYear, endYear] = query.yearRange || recentYearRange();
+
+  const params = new URLSearchParams({
+    scientificname: scientificName,
+    startdate: `${startYear}-01-01`,
+    enddate: `${endYear}-12-31`,
+    size: PAGE_SIZE.toString(),
+  });
+  if (query.bbox) params.set("geometry", bboxToWkt(query.bbox));
+  // OBIS pages by cursor: the id of the last record on the previous page
+  if (after) params.set("after", after);
+
+  return `${baseUrl}/occurrence?${params.toString()}`;
+}
+
+function bboxToWkt({ south, west, north, east }) {
+  return `POLYGON((${west} ${south},${east} ${south},${east} ${north},${west} ${north},${west} ${south}))`;
+}
+
+export function normalizeObisRecord(r) {
+  if (!isCoordinate(r.decimalLatitude, r.decimalLongitude)) return null;
+
+  return {
+    key: r.id,
+    lat: r.decimalLatitude,
+    lng: r.decimalLongitude,
+    year: r.date_year ?? (r.eventDate ? Number.parseInt(r.eventDate, 10) : undefined),
+    country: r.country,
+    stateProvince: r.stateProvince,
+    occurrenceId: r.occurrenceID,
+    eventDate: r.eventDate,
+    basisOfRecord: r.basisOfRecord,
+    coordinateUncertainty: toNumber(r.coordinateUncertaintyInMeters),
+    datasetKey: r.dataset_id,
+    datasetName: r.datasetName,
+    recordedBy: r.recordedBy,
+    license: r.license,
+    media: [],
+    // OBIS quality flags, e.g. ON_LAND or NO_DEPTH
+    issues: (r.flags || []).filter((f) => GEOSPATIAL_FLAGS.has(f)),
+    source: "obis",
+  };
+}
+
+// Fetch one page; the cursor is the id of the last record seen
+async function fetchPage(
+  taxon,
+  cursor,
+  { query = {}, baseUrl = OBIS_API_URL, proxy = "", signal } = {}
+) {
+  const url = buildObisUrl(baseUrl, taxon.scientificName, query, cursor);
+  const data = await fetchJson(url, { proxy, label: "OBIS", signal });
+  const pageResults = Array.isArray(data.results) ? data.results : [];
+
+  return {
+    records: pageResults.map(normalizeObisRecord).filter(Boolean),
+    total: data.total,
+    nextCursor:
+      pageResults.length < PAGE_SIZE
+        ? null
+        : pageResults[pageResults.length - 1].id,
+  };
+}
+
+// Dataset citation as registered with OBIS, or one built from its title
+async function fetchCitation(
+  datasetKey,
+  { baseUrl = OBIS_API_URL, proxy = "", signal, accessed = new Date() } = {}
+) {
+  const data = await fetchJson(`${baseUrl}/dataset/${encodeURIComponent(datasetKey)}`, {
+    proxy,
+    label: "OBIS dataset",
+    signal,
+  });
+  const dataset = data.results?.[0] ?? {};
+  const text = dataset.citation || `${dataset.title ?? datasetKey}. ${dataset.url ?? ""}`.trim();
+  return `${text} Accessed via OBIS (https://obis.org) on ${accessed.toISOString().slice(0, 10)}.`;
+}
+
+export default {
+  id: "obis",
+  label: "OBIS",
+  recordUrl: (key) => `https://obis.org/occurrence/${key}`,
+  datasetUrl: (datasetKey) => `https://obis.org/dataset/${datasetKey}`,
+  fetchPage,
+  fetchCitation,
+};
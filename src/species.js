@@ -0,0 +1,132 @@
+// src/species.js
+// Tracked species: the built-in defaults plus whatever users add at runtime,
+// persisted in localStorage.
+import { readList, removeItem, writeJson } from "./storage";
+
+const STORAGE_KEY = "urchin-tracker.species";
+
+// taxonKey (GBIF backbone) is optional; without it sources are queried by
+// scientific name. culinaryProfile feeds the “Eat It” panel. nativeRange is
+// an optional GeoJSON (Multi)Polygon, edited in the native range panel and
+// null once cleared; the defaults are deliberately coarse.
+export const DEFAULT_SPECIES = [
+  {
+    id: "purple",
+    scientificName: "Strongylocentrotus purpuratus",
+    commonName: "Purple Sea Urchin",
+    regionHint: "US West Coast",
+    // Alaska to Baja California
+    nativeRange: {
+      type: "Polygon",
+      coordinates: [
+        [[-155, 52], [-135, 61], [-122, 50], [-112, 26], [-118, 26], [-132, 46], [-160, 52], [-155, 52]],
+      ],
+    },
+    culinaryProfile: {
+      uniGrade: "Premium",
+      flavor: "Sweet, buttery, clean brine",
+      texture: "Custardy, melts on the tongue",
+      notes:
+        "Infamous kelp-forest bulldozer along the US West Coast. Harvest pressure here is basically habitat restoration with chopsticks.",
+      suggestedDishes: [
+        "Uni-topped scallop crudo",
+        "Creamy uni pasta with lemon zest",
+        "Uni over rice with shiso and pickled ginger",
+      ],
+      sustainabilityTip:
+        "Partner with local dive programs and kelp-restoration projects to prioritize harvest in high-risk barrens.",
+    },
+  },
+  {
+    id: "longspined",
+    scientificName: "Centrostephanus rodgersii",
+    commonName: "Long-spined Sea Urchin",
+    regionHint: "Australia / Tasmania",
+    // NSW coast and northern New Zealand; Tasmania is a range extension
+    nativeRange: {
+      type: "MultiPolygon",
+      coordinates: [
+        [[[148, -38], [155, -38], [156, -24], [150, -24], [148, -38]]],
+        [[[171, -38], [179, -38], [179, -33.5], [171, -33.5], [171, -38]]],
+      ],
+    },
+    culinaryProfile: {
+      uniGrade: "High (if handled quickly)",
+      flavor: "Rich, slightly metallic, strong ocean umami",
+      texture: "Firm lobes, creamy when very fresh",
+      notes:
+        "Expanding from mainland Australia down into Tasmania, chewing through kelp like it’s a salad bar with no closing time.",
+      suggestedDishes: [
+        "Charcoal-grilled sourdough with long-spined uni butter",
+        "Uni folded into miso beurre blanc over white fish",
+        "Tasmanian uni chawanmushi (savory custard)",
+      ],
+      sustainabilityTip:
+        "Focus harvest on urchin barrens where kelp canopy has already collapsed; coordinate with local fisheries managers.",
+    },
+  },
+  {
+    id: "green",
+    scientificName: "Strongylocentrotus droebachiensis",
+    commonName: "Green Sea Urchin",
+    regionHint: "North Atlantic",
+    // Circumboreal: North Atlantic, North Pacific and Arctic coasts
+    nativeRange: {
+      type: "Polygon",
+      coordinates: [[[-180, 40], [180, 40], [180, 85], [-180, 85], [-180, 40]]],
+    },
+    culinaryProfile: {
+      uniGrade: "Variable but often good",
+      flavor: "Briny, slightly nutty, classic North Atlantic profile",
+      texture: "Delicate lobes, can be grainier if older",
+      notes:
+        "Overgrazing kelp beds in parts of the North Atlantic and Arctic-ish coasts. Also: surprisingly delicious when someone else cracks the shell for you.",
+      suggestedDishes: [
+        "Green urchin butter baked over oysters",
+        "Potato–leek soup finished with a spoon of uni",
+        "Nordic-style uni toast with dill and lemon",
+      ],
+      sustainabilityTip:
+        "Work with small-scale fisheries and chefs to build stable demand so divers can justify targeted removals.",
+    },
+  },
+];
+
+export function loadTrackedSpecies() {
+  const stored = readList(STORAGE_KEY);
+  if (stored.length === 0) return DEFAULT_SPECIES;
+  // Saved copies of built-in species pick up fields added since
+  return stored.map((s) => ({
+    ...DEFAULT_SPECIES.find((d) => d.id === s.id),
+    ...s,
+  }));
+}
+
+export function saveTrackedSpecies(species) {
+  writeJson(STORAGE_KEY, species);
+}
+
+export function resetTrackedSpecies() {
+  removeItem(STORAGE_KEY);
+  return DEFAULT_SPECIES;
+}
+
+// Build a tracked-species entry from a GBIF species match
+export function speciesFromMatch(
+  match,
+  { commonName, regionHint, culinaryProfile } = {}
+) {
+  return {
+    id: `taxon-${match.taxonKey}`,
+    taxonKey: match.taxonKey,
+    scientificName: match.scientificName,
+    commonName: commonName?.trim() || match.scientificName,
+    regionHint: regionHint?.trim() || undefined,
+    culinaryProfile: culinaryProfile || undefined,
+  };
+}
+
+// Cache-key / query identity of a species
+export function speciesTaxon(species) {
+  return { scientificName: species.scientificName, taxonKey: species.taxonKey };
+}
@@ -0,0 +1,118 @@
+// src/speciesStore.js
+// Occurrence records of the loaded species, kept where the pipeline runs
+// (the worker, or the main thread without one) instead of being posted to
+// the UI whole. Every load stores a species' records under a new version;
+// the UI asks for views of them: the records left after the source, quality
+// and filter passes, plus the counts its panels show.
+import { fetchOccurrencesForSpecies, readCachedSpeciesOccurrences } from "./api";
+import { applyFilters } from "./filters";
+import { checkRecordQuality } from "./quality";
+import { countBySource, filterBySources } from "./sources";
+
+const entries = new Map(); // speciesId -> { version, records, sourceCounts }
+// speciesId -> { records, sourceKey, landTest, quality } of the latest
+// quality pass, reused while only the filters change
+const qualityPasses = new Map();
+// speciesId -> { viewId, occurrences } of the latest view, which the
+// species' grids are computed from (see viewOccurrences)
+const latestViews = new Map();
+let nextVersion = 1;
+let nextViewId = 1;
+
+function storeRecords(speciesId, records) {
+  const version = nextVersion;
+  nextVersion += 1;
+  entries.set(speciesId, { version, records, sourceCounts: countBySource(records) });
+  return version;
+}
+
+// checkRecordQuality over the records of the enabled sources, run again
+// only when the records, the sources or the land test change
+function qualityPass(speciesId, records, sourceIds, landTest) {
+  const sourceKey = sourceIds.join(",");
+  const last = qualityPasses.get(speciesId);
+  if (last?.records === records && last.sourceKey === sourceKey && last.landTest === landTest) {
+    return last.quality;
+  }
+  const quality = checkRecordQuality(filterBySources(records, sourceIds), { landTest });
+  qualityPasses.set(speciesId, { records, sourceKey, landTest, quality });
+  return quality;
+}
+
+// Stored records of a species, [] before any load
+export function storedRecords(speciesId) {
+  return entries.get(speciesId)?.records ?? [];
+}
+
+// readCachedSpeciesOccurrences (see api.js), storing the records found.
+// Resolves to { version, count, fetchedAt, complete, truncated } or null.
+export async function loadCachedSpecies(species, options) {
+  const cached = await readCachedSpeciesOccurrences(species, options);
+  if (!cached) return null;
+  const { records, ...entry } = cached;
+  return { ...entry, version: storeRecords(species.id, records), count: records.length };
+}
+
+// fetchOccurrencesForSpecies (see api.js), storing the finished records
+// unless aborted. With `progressive`, partial results are stored as well
+// whenever they have doubled, so the views the UI asks for along the way
+// add up to about one copy of the final records.
+// onProgress({ progress, version }) has version set when a partial result
+// was stored. Resolves to { version, count, truncated }.
+export async function loadSpecies(
+  species,
+  maxRecords,
+  { progressive = false, signal, onProgress, ...options } = {}
+) {
+  let storedCount = 0;
+  const { records, truncated } = await fetchOccurrencesForSpecies(species, maxRecords, {
+    ...options,
+    signal,
+    onProgress: ({ records: partial, progress }) => {
+      if (signal?.aborted) return;
+      let version = null;
+      if (progressive && partial.length > 0 && partial.length >= storedCount * 2) {
+        storedCount = partial.length;
+        version = storeRecords(species.id, partial);
+      }
+      onProgress?.({ progress, version });
+    },
+  });
+  signal?.throwIfAborted();
+  return { version: storeRecords(species.id, records), count: records.length, truncated };
+}
+
+// View of a species' stored records: { viewId, occurrences, report,
+// sourceCounts }. occurrences are the records of the enabled sources,
+// quality checked (see quality.js) and filtered; report is
+// checkRecordQuality's result without the records; sourceCounts counts
+// every stored record (see countBySource).
+// landTest should be the same function while the land layers are (see
+// createLandTestCache), or the quality pass is repeated.
+export function speciesView(speciesId, { sourceIds, filters, landTest = null }) {
+  const viewId = nextViewId;
+  nextViewId += 1;
+  const entry = entries.get(speciesId);
+  if (!entry) {
+    latestViews.set(speciesId, { viewId, occurrences: [] });
+    return { viewId, occurrences: [], report: null, sourceCounts: {} };
+  }
+
+  const { records: checked, ...report } = qualityPass(
+    speciesId,
+    entry.records,
+    sourceIds,
+    landTest
+  );
+  const occurrences = applyFilters(checked, filters);
+  latestViews.set(speciesId, { viewId, occurrences });
+  return { viewId, occurrences, report, sourceCounts: entry.sourceCounts };
+}
+
+// Occurrences of a species' view while it is the latest one, null once a
+// newer view replaced it. A null viewId stands for no view at all: [].
+export function viewOccurrences(speciesId, viewId) {
+  if (viewId === null) return [];
+  const latest = latestViews.get(speciesId);
+  return latest?.viewId === viewId ? latest.occurrences : null;
+}
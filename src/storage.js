@@ -0,0 +1,53 @@
+// src/storage.js
+// localStorage access for the settings and lists the app keeps per browser.
+// Storage can be unavailable (disabled, private mode, quota), and values can
+// be unreadable; either way we log, carry on and fall back to defaults.
+
+export function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (e) {
+    console.warn(`Ignoring unreadable ${key}`, e);
+    return null;
+  }
+}
+
+// A stored array, or [] when missing or not an array
+export function readList(key) {
+  const stored = readJson(key);
+  return Array.isArray(stored) ? stored : [];
+}
+
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Could not persist ${key}`, e);
+  }
+}
+
+// Plain strings (e.g. URLs) are stored as they are, not as JSON
+export function readString(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    console.warn(`Ignoring unreadable ${key}`, e);
+    return null;
+  }
+}
+
+export function writeString(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    console.warn(`Could not persist ${key}`, e);
+  }
+}
+
+export function removeItem(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    console.warn(`Could not remove ${key}`, e);
+  }
+}
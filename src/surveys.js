@@ -0,0 +1,275 @@
+// src/surveys.js
+// Field survey imports: our own dive counts (urchins per m², transect, date)
+// read from CSV or GeoJSON, validated row by row and mapped onto the
+// occurrence shape so they can be drawn and optionally gridded.
+
+export const SURVEY_SOURCE_ID = "survey";
+
+// Fields a survey row maps onto. `aliases` are normalized header names
+// (lowercase, no punctuation) recognized when guessing the mapping.
+export const SURVEY_FIELDS = [
+  {
+    id: "lat",
+    label: "Latitude",
+    required: true,
+    aliases: ["lat", "latitude", "decimallatitude", "y", "geometrylat"],
+  },
+  {
+    id: "lng",
+    label: "Longitude",
+    required: true,
+    aliases: ["lng", "lon", "long", "longitude", "decimallongitude", "x", "geometrylng"],
+  },
+  {
+    id: "date",
+    label: "Date",
+    required: true,
+    aliases: ["date", "eventdate", "surveydate", "divedate"],
+  },
+  {
+    id: "density",
+    label: "Density (urchins/m²)",
+    required: true,
+    aliases: ["density", "urchinsperm2", "urchinsm2", "densitym2", "perm2", "individualsperm2"],
+  },
+  {
+    id: "transectId",
+    label: "Transect ID",
+    required: false,
+    aliases: ["transect", "transectid", "transectcode", "site", "siteid"],
+  },
+  {
+    id: "species",
+    label: "Species",
+    required: false,
+    aliases: ["species", "scientificname", "taxon", "commonname"],
+  },
+];
+
+// Columns exposed for GeoJSON point geometries
+const GEOMETRY_COLUMNS = { lat: "geometry.lat", lng: "geometry.lng" };
+
+const normalizeHeader = (h) => h.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ---- Parsing ----
+
+// RFC 4180-ish CSV: quoted fields, escaped quotes, CRLF. The delimiter is
+// whichever of , ; or tab appears most in the header line.
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    headerLine.split(d).length > headerLine.split(best).length ? d : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+// Reads a survey file into { format, headers, rows: [{ line, values }] }.
+// `line` is what row errors refer to: the CSV line or the feature number.
+export function parseSurveyFile(fileName, text) {
+  const isGeoJson = /\.(geo)?json$/i.test(fileName) || /^\s*\{/.test(text);
+
+  if (isGeoJson) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      throw new Error("File is not valid JSON.");
+    }
+    const features =
+      doc.type === "FeatureCollection" ? doc.features : doc.type === "Feature" ? [doc] : null;
+    if (!Array.isArray(features)) {
+      throw new Error("GeoJSON must be a Feature or FeatureCollection.");
+    }
+
+    const headers = new Set([GEOMETRY_COLUMNS.lat, GEOMETRY_COLUMNS.lng]);
+    const rows = features.map((f, i) => {
+      const values = { ...(f?.properties || {}) };
+      Object.keys(values).forEach((k) => headers.add(k));
+      if (f?.geometry?.type === "Point") {
+        const [lng, lat] = f.geometry.coordinates;
+        values[GEOMETRY_COLUMNS.lat] = lat;
+        values[GEOMETRY_COLUMNS.lng] = lng;
+      }
+      return { line: `feature ${i + 1}`, values };
+    });
+    return { format: "geojson", headers: [...headers], rows };
+  }
+
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error("File is empty.");
+  const headers = header.map((h) => h.trim());
+  const rows = body.map((cells, i) => ({
+    line: `line ${i + 2}`,
+    values: Object.fromEntries(headers.map((h, j) => [h, cells[j]])),
+  }));
+  return { format: "csv", headers, rows };
+}
+
+// { fieldId: header } for every field with a recognizable column
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  SURVEY_FIELDS.forEach((field) => {
+    const match = headers.find((h) => field.aliases.includes(normalizeHeader(h)));
+    if (match) mapping[field.id] = match;
+  });
+  return mapping;
+}
+
+// ---- Validation / mapping ----
+
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || value.trim() === "") return NaN;
+  // Accept decimal commas from European spreadsheets
+  return Number(value.trim().replace(/^(-?\d+),(\d+)$/, "$1.$2"));
+}
+
+// "2024", "2024-06" or "2024-06-18" (anything after the date is ignored)
+function parseSurveyDate(value) {
+  const match = String(value ?? "").trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/);
+  if (!match) return null;
+  const [, y, m, d] = match;
+  if (m && (Number(m) < 1 || Number(m) > 12)) return null;
+  if (d && (Number(d) < 1 || Number(d) > 31)) return null;
+  return {
+    year: Number(y),
+    eventDate: [y, m?.padStart(2, "0"), d?.padStart(2, "0")].filter(Boolean).join("-"),
+  };
+}
+
+function matchSpecies(value, trackedSpecies) {
+  const name = String(value).trim().toLowerCase();
+  return trackedSpecies.find(
+    (s) =>
+      s.scientificName.toLowerCase() === name || s.commonName?.toLowerCase() === name
+  );
+}
+
+// Returns an error message, or null when every required field is mapped
+export function validateMapping(mapping) {
+  const missing = SURVEY_FIELDS.filter((f) => f.required && !mapping[f.id]);
+  return missing.length > 0
+    ? `Map a column to ${missing.map((f) => f.label).join(", ")}.`
+    : null;
+}
+
+// Turns parsed rows into survey records. Rows that fail validation are
+// skipped and reported as errors: [{ line, message }].
+//
+// Rows are assigned to `speciesId` unless a species column is mapped, in
+// which case its value must name one of `trackedSpecies`.
+export function mapSurveyRows(rows, mapping, { datasetId, speciesId, trackedSpecies = [] }) {
+  const records = [];
+  const errors = [];
+
+  rows.forEach(({ line, values }, i) => {
+    const get = (fieldId) => (mapping[fieldId] ? values[mapping[fieldId]] : undefined);
+    const problems = [];
+
+    const lat = parseNumber(get("lat"));
+    const lng = parseNumber(get("lng"));
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+      problems.push("latitude missing or out of range");
+    }
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+      problems.push("longitude missing or out of range");
+    }
+
+    const date = parseSurveyDate(get("date"));
+    if (!date) problems.push("date missing or not YYYY[-MM[-DD]]");
+
+    const density = parseNumber(get("density"));
+    if (!Number.isFinite(density) || density < 0) {
+      problems.push("density must be a number ≥ 0");
+    }
+
+    let rowSpeciesId = speciesId;
+    const speciesValue = get("species");
+    if (mapping.species && speciesValue != null && String(speciesValue).trim() !== "") {
+      const species = matchSpecies(speciesValue, trackedSpecies);
+      if (species) rowSpeciesId = species.id;
+      else problems.push(`species “${speciesValue}” is not tracked`);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ line, message: problems.join("; ") });
+      return;
+    }
+
+    const transectId = get("transectId");
+    records.push({
+      key: `${datasetId}:${i}`,
+      lat,
+      lng,
+      year: date.year,
+      country: null,
+      stateProvince: null,
+      occurrenceId: null,
+      eventDate: date.eventDate,
+      basisOfRecord: "HUMAN_OBSERVATION",
+      coordinateUncertainty: null,
+      issues: [],
+      source: SURVEY_SOURCE_ID,
+      speciesId: rowSpeciesId,
+      datasetId,
+      density,
+      transectId: transectId != null && transectId !== "" ? String(transectId) : null,
+    });
+  });
+
+  return { records, errors };
+}
+
+// ---- Merging ----
+
+// Survey records of one species across all imported datasets
+export function surveyRecordsForSpecies(datasets, speciesId) {
+  return datasets.flatMap((d) => d.records.filter((r) => r.speciesId === speciesId));
+}
+
+// Copies with a grid weight of density × recordsPerDensity, so a transect at
+// 2 urchins/m² counts like two occurrence records at the default scale.
+// Zero-density transects (true absences) add nothing and are left out.
+export function weightSurveyRecords(records, recordsPerDensity = 1) {
+  return records
+    .map((r) => ({ ...r, weight: r.density * recordsPerDensity }))
+    .filter((r) => r.weight > 0);
+}
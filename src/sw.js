@@ -0,0 +1,86 @@
+// src/sw.js
+// Service worker for offline use. It isn't bundled: the serviceWorker
+// plugin in vite.config.js copies it to /sw.js at build time and fills in
+// the build's files and version, so it can't import anything.
+//
+// - App shell (every built file): precached on install and served from the
+//   cache. Page loads try the network first and fall back to the cached page.
+// - Basemap tiles: served from the tile cache that the Offline maps panel
+//   fills (see offline.js), otherwise fetched as usual.
+// - Data API requests pass through; occurrences are kept in IndexedDB.
+// - Clicking an alert notification focuses the app.
+
+const VERSION = "__BUILD_VERSION__";
+const PRECACHE = self.__PRECACHE__;
+const SHELL_PREFIX = "urchin-shell-";
+const SHELL_CACHE = `${SHELL_PREFIX}${VERSION}`;
+// Same name as TILE_CACHE in offline.js
+const TILE_CACHE = "urchin-tiles";
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE.map(scoped)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the shells of earlier builds; tiles are kept
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(SHELL_PREFIX) && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Alert notifications (see notifyBrowser in alerts.js) bring the app back
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((windows) =>
+      windows.length > 0 ? windows[0].focus() : self.clients.openWindow(scoped("./"))
+    )
+  );
+});
+
+async function pageFromNetwork(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match(request, { ignoreSearch: true })) || cache.match(scoped("./"));
+  }
+}
+
+// Tiles were fetched with CORS by the page and are requested without it by
+// the map, hence ignoreVary
+async function fromCache(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreVary: true });
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(pageFromNetwork(request));
+  } else if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(fromCache(SHELL_CACHE, request));
+  } else if (request.destination === "image") {
+    // Record photos miss the tile cache and go to the network
+    event.respondWith(fromCache(TILE_CACHE, request));
+  }
+});
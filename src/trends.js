@@ -0,0 +1,109 @@
+// src/trends.js
+// Year-by-year breakdown of grid cells, growth rates and range expansion.
+
+// Records in the last N years of the period count as "recent"
+export const RECENT_YEARS = 2;
+
+export function yearsInRange([yearFrom, yearTo]) {
+  const years = [];
+  for (let y = yearFrom; y <= yearTo; y += 1) years.push(y);
+  return years;
+}
+
+// Record counts turn fractional once weighted survey records are gridded
+export function formatCount(count) {
+  return Number.isInteger(count) ? String(count) : count.toFixed(1);
+}
+
+// Relative growth per year: least-squares slope divided by the mean count.
+// 0.25 means "about 25% of the average year added each year".
+export function growthRate(series) {
+  const n = series.length;
+  if (n < 2) return null;
+
+  const meanX = series.reduce((s, p) => s + p.year, 0) / n;
+  const meanY = series.reduce((s, p) => s + p.count, 0) / n;
+  if (meanY === 0) return null;
+
+  let num = 0;
+  let den = 0;
+  series.forEach((p) => {
+    num += (p.year - meanX) * (p.count - meanY);
+    den += (p.year - meanX) ** 2;
+  });
+
+  return num / den / meanY;
+}
+
+// [{ year, count }] for every year of the period, zeros included
+export function yearlySeries(byYear, yearRange) {
+  return yearsInRange(yearRange).map((year) => ({ year, count: byYear[year] || 0 }));
+}
+
+// Adds { firstYear, growthRate, expanding } to every cell, from the
+// per-year counts the aggregation already keeps (cell.byYear).
+// A cell is "expanding" when it has no records before the recent window but
+// some inside it, i.e. the species showed up there recently.
+export function addYearlyBreakdown(gridData, yearRange, { recentYears = RECENT_YEARS } = {}) {
+  const [yearFrom, yearTo] = yearRange;
+  const recentFrom = yearTo - recentYears + 1;
+  const canDetectExpansion = recentFrom > yearFrom;
+
+  const cells = gridData.cells.map((cell) => {
+    const byYear = cell.byYear || {};
+    const years = Object.keys(byYear).map(Number);
+    const firstYear = years.length > 0 ? Math.min(...years) : null;
+
+    return {
+      ...cell,
+      firstYear,
+      growthRate: growthRate(yearlySeries(byYear, yearRange)),
+      expanding: canDetectExpansion && firstYear !== null && firstYear >= recentFrom,
+    };
+  });
+
+  return { ...gridData, cells };
+}
+
+// Species-level trend summary for the analytics panel
+export function summarizeTrends(cells, yearRange) {
+  const totals = {};
+  const colonized = {};
+
+  cells.forEach((cell) => {
+    Object.entries(cell.byYear || {}).forEach(([year, count]) => {
+      totals[year] = (totals[year] || 0) + count;
+    });
+    if (cell.firstYear !== null) {
+      colonized[cell.firstYear] = (colonized[cell.firstYear] || 0) + 1;
+    }
+  });
+
+  const series = yearlySeries(totals, yearRange).map((p, i) => ({
+    ...p,
+    // Every cell is "new" in the first year, so that bar says nothing
+    newCells: i === 0 ? null : colonized[p.year] || 0,
+  }));
+
+  return {
+    series,
+    growthRate: growthRate(series),
+    expandingCount: cells.filter((c) => c.expanding).length,
+  };
+}
+
+// Count of a cell as seen at `year`: that year alone, or everything up to it
+export function countAtYear(cell, year, cumulative = false) {
+  if (year === null || year === undefined) return cell.count;
+  if (!cumulative) return cell.byYear?.[year] || 0;
+  return Object.entries(cell.byYear || {}).reduce(
+    (sum, [y, count]) => (Number(y) <= year ? sum + count : sum),
+    0
+  );
+}
+
+export function formatGrowthRate(rate) {
+  if (rate === null || rate === undefined) return "—";
+  const pct = rate * 100;
+  return `${pct >= 0 ? "+" : ""}${pct.toFixed(0)}% / yr`;
+}
@@ -0,0 +1,146 @@
+// src/urlState.js
+// Shareable state in the query string: species (plus any being compared),
+// map view, filters, grid settings and the selected cell, e.g.
+//   ?species=purple&lat=-42.9&lng=147.6&z=7&from=2021&to=2026&cell=-43_147
+// Anything missing or invalid falls back to the app defaults.
+import {
+  BASIS_OF_RECORD_OPTIONS,
+  DEFAULT_FILTERS,
+  validateFilters,
+} from "./filters";
+import { BINNING_OPTIONS, RESOLUTION_OPTIONS } from "./grid";
+
+export const DEFAULT_VIEW = { lat: 20, lng: 0, zoom: 2 };
+export const DEFAULT_BINNING = "square";
+export const DEFAULT_RESOLUTION = "auto";
+
+// 4 decimals (~10 m) is plenty for sharing and keeps URLs short
+export function roundView(lat, lng, zoom) {
+  const round = (v, digits) => Number(v.toFixed(digits));
+  return { lat: round(lat, 4), lng: round(lng, 4), zoom: round(zoom, 2) };
+}
+
+function numberParam(params, key) {
+  const value = params.get(key);
+  if (value === null || value.trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function filtersFromParams(params) {
+  const filters = { ...DEFAULT_FILTERS };
+
+  const yearFrom = numberParam(params, "from");
+  const yearTo = numberParam(params, "to");
+  if (yearFrom !== null) filters.yearFrom = yearFrom;
+  if (yearTo !== null) filters.yearTo = yearTo;
+
+  const bbox = params.get("bbox")?.split(",").map(Number);
+  if (bbox?.length === 4) {
+    const [south, west, north, east] = bbox;
+    filters.bbox = { south, west, north, east };
+  }
+
+  if (params.has("basis")) {
+    const known = BASIS_OF_RECORD_OPTIONS.map((o) => o.id);
+    filters.basisOfRecord = params
+      .get("basis")
+      .split(",")
+      .filter((id) => known.includes(id));
+  }
+
+  const uncertainty = numberParam(params, "unc");
+  if (uncertainty !== null) filters.maxCoordinateUncertainty = uncertainty;
+
+  if (params.get("issues") === "keep") filters.excludeGeospatialIssues = false;
+  if (params.get("qc") === "exclude") filters.excludeFlagged = true;
+
+  return validateFilters(filters) ? null : filters;
+}
+
+// { speciesId, compareSpeciesIds, view, filters, binning, resolution,
+// cellId }, each only when present and valid in the URL
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  if (params.get("species")) state.speciesId = params.get("species");
+  // Present (even empty) means compare mode is on
+  if (params.has("compare")) {
+    state.compareSpeciesIds = params.get("compare").split(",").filter(Boolean);
+  }
+
+  const lat = numberParam(params, "lat");
+  const lng = numberParam(params, "lng");
+  const zoom = numberParam(params, "z");
+  if (lat !== null && lng !== null && Math.abs(lat) <= 90) {
+    state.view = roundView(lat, lng, zoom ?? DEFAULT_VIEW.zoom);
+  }
+
+  const hasFilters = ["from", "to", "bbox", "basis", "unc", "issues", "qc"].some((k) =>
+    params.has(k)
+  );
+  if (hasFilters) {
+    const filters = filtersFromParams(params);
+    if (filters) state.filters = filters;
+  }
+
+  const binning = params.get("grid");
+  if (BINNING_OPTIONS.some((b) => b.id === binning)) state.binning = binning;
+  const resolution = params.get("res");
+  if (RESOLUTION_OPTIONS.some((r) => r.id === resolution)) state.resolution = resolution;
+
+  if (params.get("cell")) state.cellId = params.get("cell");
+
+  return state;
+}
+
+// Query string for the given state. Filters and grid settings are only
+// written when they differ from the defaults, except the years: the default
+// period moves with the calendar, so links pin it explicitly.
+export function buildSearch({
+  speciesId,
+  compareSpeciesIds,
+  view,
+  filters,
+  binning,
+  resolution,
+  cellId,
+}) {
+  const params = new URLSearchParams();
+
+  if (speciesId) params.set("species", speciesId);
+  if (compareSpeciesIds) params.set("compare", compareSpeciesIds.join(","));
+
+  if (view) {
+    params.set("lat", String(view.lat));
+    params.set("lng", String(view.lng));
+    params.set("z", String(view.zoom));
+  }
+
+  if (filters) {
+    params.set("from", String(filters.yearFrom));
+    params.set("to", String(filters.yearTo));
+    if (filters.bbox) {
+      const { south, west, north, east } = filters.bbox;
+      params.set("bbox", [south, west, north, east].join(","));
+    }
+    const basis = [...filters.basisOfRecord].sort();
+    if (basis.join() !== [...DEFAULT_FILTERS.basisOfRecord].sort().join()) {
+      params.set("basis", basis.join(","));
+    }
+    if (filters.maxCoordinateUncertainty != null) {
+      params.set("unc", String(filters.maxCoordinateUncertainty));
+    }
+    if (!filters.excludeGeospatialIssues) params.set("issues", "keep");
+    if (filters.excludeFlagged) params.set("qc", "exclude");
+  }
+
+  if (binning && binning !== DEFAULT_BINNING) params.set("grid", binning);
+  if (resolution && resolution !== DEFAULT_RESOLUTION) params.set("res", resolution);
+  if (cellId) params.set("cell", cellId);
+
+  // Commas are legal in a query string and keep bbox / basis readable
+  const search = params.toString().replace(/%2C/g, ",");
+  return search ? `?${search}` : "";
+}
@@ -0,0 +1,99 @@
+// src/zip.js
+// Minimal zip reader for GBIF download archives: lists entries and streams
+// their contents, inflating with the browser's DecompressionStream. Entry
+// sizes and offsets past 4 GB (Zip64) are read from the extra field; a
+// Zip64 central directory is not supported.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_U32 = 0xffffffff;
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i -= 1) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error("Not a zip file");
+}
+
+// Replaces 0xFFFFFFFF placeholders with the 64-bit values of the Zip64
+// extra field, which lists only the placeholder fields, in this order
+function applyZip64(view, entry, extraStart, extraLength) {
+  let p = extraStart;
+  while (p + 4 <= extraStart + extraLength) {
+    const id = view.getUint16(p, true);
+    const size = view.getUint16(p + 2, true);
+    if (id === ZIP64_EXTRA_ID) {
+      let q = p + 4;
+      ["size", "compressedSize", "offset"].forEach((field) => {
+        if (entry[field] !== MAX_U32) return;
+        entry[field] = Number(view.getBigUint64(q, true));
+        q += 8;
+      });
+      return;
+    }
+    p += 4 + size;
+  }
+}
+
+// [{ name, method, compressedSize, size, offset }]
+export function listZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  if (p === MAX_U32) throw new Error("Zip64 archives are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(p, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const entry = {
+      name: decoder.decode(new Uint8Array(buffer, p + 46, nameLength)),
+      method: view.getUint16(p + 10, true),
+      compressedSize: view.getUint32(p + 20, true),
+      size: view.getUint32(p + 24, true),
+      offset: view.getUint32(p + 42, true),
+    };
+    applyZip64(view, entry, p + 46 + nameLength, extraLength);
+    entries.push(entry);
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// ReadableStream of an entry's uncompressed bytes
+export function zipEntryStream(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt zip entry ${entry.name}`);
+  }
+  const start =
+    entry.offset +
+    30 +
+    view.getUint16(entry.offset + 26, true) +
+    view.getUint16(entry.offset + 28, true);
+  const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+  const raw = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    },
+  });
+
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) return raw.pipeThrough(new DecompressionStream("deflate-raw"));
+  throw new Error(`Unsupported compression in ${entry.name}`);
+}
+
+export async function readZipText(buffer, entry) {
+  return new Response(zipEntryStream(buffer, entry)).text();
+}
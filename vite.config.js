@@ -1,7 +1,40 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/sw.js as sw.js with every built and public file to precache;
+// the version hashes the build, so browsers pick up each new one
+function serviceWorker() {
+  let config
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const publicFiles = config.publicDir ? readdirSync(config.publicDir) : []
+      const files = [
+        ...Object.keys(bundle).filter((file) => !file.endsWith('.map')),
+        ...publicFiles,
+      ].sort()
+      const hash = createHash('sha256')
+      Object.values(bundle).forEach((item) =>
+        hash.update(item.type === 'chunk' ? item.code : item.source)
+      )
+      publicFiles.forEach((file) => hash.update(readFileSync(resolve(config.publicDir, file))))
+
+      const source = readFileSync(resolve(config.root, 'src/sw.js'), 'utf8')
+        .replace('__BUILD_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('self.__PRECACHE__', JSON.stringify(['./', ...files]))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })